@@ -6,28 +6,49 @@ import NotFound from "@/pages/not-found";
 import Dashboard from "./pages/Dashboard";
 import GeneratedContent from "./pages/GeneratedContent";
 import Library from "./pages/Library";
+import AuthPage from "./pages/AuthPage";
+import Team from "./pages/Team";
 import SidebarWithContext from "./components/SidebarWithContext";
+import { AuthProvider, useAuth } from "./hooks/use-auth";
+import { ProtectedRoute } from "./lib/protected-route";
 
 function Router() {
   return (
     <Switch>
-      <Route path="/" component={Dashboard} />
-      <Route path="/generated-content" component={GeneratedContent} />
-      <Route path="/library" component={Library} />
+      <ProtectedRoute path="/" component={Dashboard} />
+      <ProtectedRoute path="/generated-content" component={GeneratedContent} />
+      <ProtectedRoute path="/library" component={Library} />
+      <ProtectedRoute path="/team" component={Team} />
+      <Route path="/auth" component={AuthPage} />
       <Route component={NotFound} />
     </Switch>
   );
 }
 
+function Layout() {
+  const { user } = useAuth();
+
+  // The login page takes the whole screen
+  if (!user) {
+    return <Router />;
+  }
+
+  return (
+    <div className="flex h-screen overflow-hidden">
+      <SidebarWithContext />
+      <main className="flex-1 overflow-y-auto bg-gray-50 pb-16">
+        <Router />
+      </main>
+    </div>
+  );
+}
+
 function App() {
   return (
     <QueryClientProvider client={queryClient}>
-      <div className="flex h-screen overflow-hidden">
-        <SidebarWithContext />
-        <main className="flex-1 overflow-y-auto bg-gray-50 pb-16">
-          <Router />
-        </main>
-      </div>
+      <AuthProvider>
+        <Layout />
+      </AuthProvider>
       <Toaster />
     </QueryClientProvider>
   );
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { useToast } from '@/hooks/use-toast';
+import { apiRequest, queryClient } from '@/lib/queryClient';
+
+/**
+ * Library section for the lessons of one syllabus batch, with its progress
+ * and the lessons that failed
+ */
+export default function BatchGroup({ batch, failed = [], children }) {
+  const { toast } = useToast();
+  const [isRetrying, setIsRetrying] = useState(false);
+  const { progress } = batch;
+  const inProgress = progress.queued + progress.generating + progress.rendering;
+
+  const handleRetry = async () => {
+    setIsRetrying(true);
+    try {
+      await apiRequest('POST', `/api/batches/${batch.id}/retry`);
+      queryClient.invalidateQueries({ queryKey: ['/api/batches'] });
+      queryClient.invalidateQueries({ queryKey: ['/api/contents'] });
+
+      toast({
+        title: 'Retrying failed lessons',
+        description: `${progress.failed} ${progress.failed === 1 ? 'lesson was' : 'lessons were'} queued again.`
+      });
+    } catch (error) {
+      toast({
+        title: 'Could not retry batch',
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setIsRetrying(false);
+    }
+  };
+
+  return (
+    <section className="mb-8">
+      <div className="bg-white rounded-lg border border-gray-200 p-4 mb-4">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-800">
+              <i className="ri-stack-line mr-1 text-gray-400"></i>{batch.name}
+            </h2>
+            <p className="text-xs text-gray-500">
+              Uploaded {new Date(batch.createdAt).toLocaleDateString()} · {progress.total} lessons
+            </p>
+          </div>
+          {progress.failed > 0 && (
+            <button
+              type="button"
+              onClick={handleRetry}
+              disabled={isRetrying}
+              className="px-3 py-1.5 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-70"
+            >
+              <i className={`ri-refresh-line mr-1 ${isRetrying ? 'animate-spin' : ''}`}></i>
+              Retry failed ({progress.failed})
+            </button>
+          )}
+        </div>
+
+        <div className="w-full bg-gray-200 rounded-full h-2 mb-2 flex overflow-hidden">
+          <div className="bg-green-500 h-2" style={{ width: `${(progress.completed / (progress.total || 1)) * 100}%` }}></div>
+          <div className="bg-red-500 h-2" style={{ width: `${(progress.failed / (progress.total || 1)) * 100}%` }}></div>
+        </div>
+
+        <div className="flex flex-wrap gap-4 text-xs text-gray-600">
+          <span><i className="ri-check-line text-green-600 mr-1"></i>{progress.completed} ready</span>
+          {inProgress > 0 && (
+            <span>
+              <i className="ri-loader-4-line animate-spin text-blue-600 mr-1"></i>
+              {inProgress} in progress ({progress.queued} queued, {progress.generating} writing, {progress.rendering} rendering)
+            </span>
+          )}
+          {progress.failed > 0 && (
+            <span><i className="ri-error-warning-line text-red-600 mr-1"></i>{progress.failed} failed</span>
+          )}
+        </div>
+
+        {failed.length > 0 && (
+          <ul className="mt-3 pt-3 border-t border-gray-200 text-xs space-y-1">
+            {failed.map(content => (
+              <li key={content.id} className="text-red-700">
+                <span className="font-medium">{content.title}:</span> {content.errorMessage || 'Unknown error'}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {children}
+    </section>
+  );
+}
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useToast } from '@/hooks/use-toast';
+import { apiRequest, queryClient } from '@/lib/queryClient';
+
+const DELIVERY_BADGES = {
+  pending: { label: 'Sending', className: 'bg-yellow-100 text-yellow-800' },
+  sent: { label: 'Sent', className: 'bg-blue-100 text-blue-800' },
+  delivered: { label: 'Delivered', className: 'bg-green-100 text-green-800' },
+  read: { label: 'Read', className: 'bg-purple-100 text-purple-800' },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-800' }
+};
+
+/**
+ * WhatsApp delivery status of a published lesson, per recipient
+ */
+export default function ContentDelivery({ content, canResend }) {
+  const { toast } = useToast();
+  const [isResending, setIsResending] = useState(false);
+
+  const deliveriesUrl = `/api/contents/${content.id}/deliveries`;
+  const { data: deliveries = [] } = useQuery({
+    queryKey: [deliveriesUrl],
+    // Keep polling until every message has left the queue
+    refetchInterval: (query) =>
+      query.state.data?.some(delivery => delivery.status === 'pending') ? 5000 : false,
+  });
+
+  const handleResend = async () => {
+    setIsResending(true);
+    try {
+      await apiRequest('POST', deliveriesUrl);
+      queryClient.invalidateQueries({ queryKey: [deliveriesUrl] });
+    } catch (error) {
+      toast({
+        title: 'Could not resend',
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setIsResending(false);
+    }
+  };
+
+  if (deliveries.length === 0) {
+    return null;
+  }
+
+  const hasFailures = deliveries.some(delivery => delivery.status === 'failed');
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-medium text-gray-700">
+          <i className="ri-whatsapp-line mr-1"></i>TAPBuddy Delivery
+        </h4>
+        {canResend && hasFailures && (
+          <button
+            type="button"
+            onClick={handleResend}
+            disabled={isResending}
+            className="text-xs text-primary hover:underline disabled:opacity-70"
+          >
+            <i className="ri-refresh-line mr-1"></i>Retry failed
+          </button>
+        )}
+      </div>
+      <ul className="bg-white border border-gray-200 rounded-md divide-y divide-gray-200 text-sm">
+        {deliveries.map(delivery => {
+          const badge = DELIVERY_BADGES[delivery.status] || DELIVERY_BADGES.pending;
+          return (
+            <li key={delivery.id} className="px-3 py-2">
+              <div className="flex items-center justify-between">
+                <span className="text-gray-700">+{delivery.recipient}</span>
+                <span className={`text-xs px-2 py-0.5 rounded-full font-medium ${badge.className}`}>
+                  {badge.label}
+                </span>
+              </div>
+              {delivery.errorMessage && (
+                <p className="text-xs text-red-500 mt-1">{delivery.errorMessage}</p>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,257 @@
+import React, { useState } from 'react';
+import { useToast } from '@/hooks/use-toast';
+import { apiRequest, queryClient } from '@/lib/queryClient';
+import { regenerateSection } from '../lib/groq';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+function RegenerateButton({ isRegenerating, disabled, title, onClick }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      disabled={disabled}
+      title={title}
+      className="text-xs text-primary hover:underline disabled:opacity-70"
+    >
+      {isRegenerating ? (
+        <><i className="ri-loader-4-line animate-spin mr-1"></i>Regenerating...</>
+      ) : (
+        <><i className="ri-refresh-line mr-1"></i>Regenerate</>
+      )}
+    </button>
+  );
+}
+
+/**
+ * Structured editor for the opening, main sections and conclusion of a script.
+ * Any part can be regenerated on its own; saving re-renders the video.
+ */
+export default function ContentEditor({ content, onClose }) {
+  const { toast } = useToast();
+  const [draft, setDraft] = useState(() => structuredClone(content.scriptContent));
+  const [instructions, setInstructions] = useState('');
+  const [regenerating, setRegenerating] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  // Sections are regenerated by their saved position, which no longer matches once sections are added or removed
+  const [sectionsChanged, setSectionsChanged] = useState(false);
+
+  const isBusy = isSaving || regenerating !== null;
+
+  const updateSection = (index, field, value) => {
+    setDraft({
+      ...draft,
+      mainContent: draft.mainContent.map((section, i) => i === index ? { ...section, [field]: value } : section)
+    });
+  };
+
+  const addSection = () => {
+    setSectionsChanged(true);
+    setDraft({
+      ...draft,
+      mainContent: [...draft.mainContent, { sectionTitle: '', script: '', interactiveElement: '' }]
+    });
+  };
+
+  const removeSection = (index) => {
+    setSectionsChanged(true);
+    setDraft({ ...draft, mainContent: draft.mainContent.filter((_, i) => i !== index) });
+  };
+
+  const handleRegenerate = async (section) => {
+    setRegenerating(section);
+    try {
+      const updated = await regenerateSection(content.id, section, { instructions });
+      const regenerated = updated.scriptContent;
+
+      // Keep unsaved edits to every other part of the draft
+      setDraft(current => typeof section === 'number'
+        ? { ...current, mainContent: current.mainContent.map((s, i) => i === section ? regenerated.mainContent[section] : s) }
+        : { ...current, [section]: regenerated[section] }
+      );
+      queryClient.invalidateQueries({ queryKey: ['/api/contents'] });
+    } catch (error) {
+      toast({
+        title: 'Regeneration failed',
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setRegenerating(null);
+    }
+  };
+
+  const handleSave = async () => {
+    const isComplete = draft.opening.trim() && draft.conclusion.trim() && draft.mainContent.length > 0 &&
+      draft.mainContent.every(section => section.sectionTitle.trim() && section.script.trim());
+    if (!isComplete) {
+      toast({
+        title: 'Script is incomplete',
+        description: 'The opening, the conclusion and every section need a title and a script.',
+        variant: 'destructive'
+      });
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const scriptContent = {
+        ...draft,
+        mainContent: draft.mainContent.map(({ interactiveElement, ...section }) =>
+          interactiveElement?.trim() ? { ...section, interactiveElement } : section
+        )
+      };
+      await apiRequest('PATCH', `/api/contents/${content.id}`, { scriptContent });
+
+      // The video narrates the script, so render it again
+      await apiRequest('POST', `/api/contents/${content.id}/generate-video`);
+      queryClient.invalidateQueries({ queryKey: ['/api/contents'] });
+      queryClient.invalidateQueries({ queryKey: [`/api/contents/${content.id}/review`] });
+
+      toast({
+        title: 'Script saved',
+        description: 'The video is being rendered again with your changes.'
+      });
+      onClose();
+    } catch (error) {
+      toast({
+        title: 'Could not save script',
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-md p-3 mb-3 text-sm">
+      <div className="mb-4">
+        <label htmlFor="regenerate-instructions" className="block text-xs font-medium text-gray-500 mb-1">
+          Guidance for regeneration (optional)
+        </label>
+        <input
+          id="regenerate-instructions"
+          type="text"
+          value={instructions}
+          onChange={(e) => setInstructions(e.target.value)}
+          className={inputClassName}
+          placeholder="e.g. Use a cricket example, keep it shorter"
+        />
+      </div>
+
+      <div className="mb-4">
+        <div className="flex items-center justify-between mb-1">
+          <h5 className="font-medium text-gray-700">Opening</h5>
+          <RegenerateButton
+            isRegenerating={regenerating === 'opening'}
+            disabled={isBusy}
+            onClick={() => handleRegenerate('opening')}
+          />
+        </div>
+        <textarea
+          rows="3"
+          value={draft.opening}
+          onChange={(e) => setDraft({ ...draft, opening: e.target.value })}
+          className={inputClassName}
+        ></textarea>
+      </div>
+
+      <div className="mb-4">
+        <h5 className="font-medium text-gray-700 mb-1">Main Content</h5>
+        {draft.mainContent.map((section, index) => (
+          <div key={index} className="mb-3 pl-3 border-l-2 border-gray-200">
+            <div className="flex items-center gap-2 mb-1">
+              <input
+                type="text"
+                value={section.sectionTitle}
+                onChange={(e) => updateSection(index, 'sectionTitle', e.target.value)}
+                className={`${inputClassName} font-medium`}
+                placeholder="Section title"
+              />
+              <RegenerateButton
+                isRegenerating={regenerating === index}
+                disabled={isBusy || sectionsChanged}
+                title={sectionsChanged ? 'Save your changes to the sections first' : undefined}
+                onClick={() => handleRegenerate(index)}
+              />
+              {draft.mainContent.length > 1 && (
+                <button
+                  type="button"
+                  title="Remove section"
+                  onClick={() => removeSection(index)}
+                  disabled={isBusy}
+                  className="text-gray-400 hover:text-red-500"
+                >
+                  <i className="ri-delete-bin-line"></i>
+                </button>
+              )}
+            </div>
+            <textarea
+              rows="4"
+              value={section.script}
+              onChange={(e) => updateSection(index, 'script', e.target.value)}
+              className={`${inputClassName} mb-1`}
+              placeholder="Script"
+            ></textarea>
+            <input
+              type="text"
+              value={section.interactiveElement || ''}
+              onChange={(e) => updateSection(index, 'interactiveElement', e.target.value)}
+              className={inputClassName}
+              placeholder="Interactive element (optional)"
+            />
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={addSection}
+          disabled={isBusy}
+          className="text-xs text-primary hover:underline"
+        >
+          <i className="ri-add-line mr-1"></i>Add section
+        </button>
+      </div>
+
+      <div className="mb-4">
+        <div className="flex items-center justify-between mb-1">
+          <h5 className="font-medium text-gray-700">Conclusion</h5>
+          <RegenerateButton
+            isRegenerating={regenerating === 'conclusion'}
+            disabled={isBusy}
+            onClick={() => handleRegenerate('conclusion')}
+          />
+        </div>
+        <textarea
+          rows="3"
+          value={draft.conclusion}
+          onChange={(e) => setDraft({ ...draft, conclusion: e.target.value })}
+          className={inputClassName}
+        ></textarea>
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onClose}
+          disabled={isSaving}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={isBusy}
+          className="px-3 py-2 rounded-md text-sm text-white bg-primary hover:bg-primary-dark disabled:opacity-70"
+        >
+          {isSaving ? (
+            <><i className="ri-loader-4-line animate-spin mr-1"></i> Saving...</>
+          ) : (
+            <><i className="ri-save-line mr-1"></i> Save &amp; Re-render</>
+          )}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,193 @@
+import React, { useEffect, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useToast } from '@/hooks/use-toast';
+import { apiRequest, queryClient } from '@/lib/queryClient';
+import { VERSIONED_FIELD_LABELS } from '@shared/versions';
+
+function DiffText({ change }) {
+  if (change.words) {
+    return (
+      <p className="whitespace-pre-line">
+        {change.words.map((word, index) => (
+          <span
+            key={index}
+            className={
+              word.type === 'added' ? 'bg-green-100 text-green-800' :
+              word.type === 'removed' ? 'bg-red-100 text-red-800 line-through' : ''
+            }
+          >
+            {word.text}
+          </span>
+        ))}
+      </p>
+    );
+  }
+
+  return (
+    <>
+      {change.before && <p className="whitespace-pre-line bg-red-50 text-red-800 line-through">{change.before}</p>}
+      {change.after && <p className="whitespace-pre-line bg-green-50 text-green-800">{change.after}</p>}
+    </>
+  );
+}
+
+/**
+ * Saved versions of a lesson, with a diff between any two and restore
+ */
+export default function ContentHistory({ content, canRestore }) {
+  const { toast } = useToast();
+  const [isOpen, setIsOpen] = useState(false);
+  const [compare, setCompare] = useState(null);
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  const versionsUrl = `/api/contents/${content.id}/versions`;
+  const { data: versions = [], refetch } = useQuery({
+    queryKey: [versionsUrl],
+    enabled: isOpen,
+  });
+
+  // Edits and renders add versions while the panel is open
+  useEffect(() => {
+    if (isOpen) refetch();
+  }, [isOpen, content.scriptContent, content.videoUrl, refetch]);
+
+  useEffect(() => {
+    setCompare(null);
+  }, [content.id]);
+
+  const diffUrl = compare ? `${versionsUrl}/diff?from=${compare.from}&to=${compare.to}` : null;
+  const { data: diff, isLoading: isDiffLoading } = useQuery({
+    queryKey: [diffUrl],
+    enabled: !!compare,
+  });
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore version ${version}? The current state stays in the history.`)) {
+      return;
+    }
+
+    setIsRestoring(true);
+    try {
+      await apiRequest('POST', `${versionsUrl}/${version}/restore`);
+      queryClient.invalidateQueries({ queryKey: ['/api/contents'] });
+      queryClient.invalidateQueries({ queryKey: [versionsUrl] });
+      queryClient.invalidateQueries({ queryKey: [`/api/contents/${content.id}/review`] });
+      setCompare(null);
+
+      toast({
+        title: 'Version restored',
+        description: `Version ${version} of "${content.title}" is current again.`
+      });
+    } catch (error) {
+      toast({
+        title: 'Could not restore version',
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  const latest = versions[0]?.version;
+
+  return (
+    <div className="mb-4">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center text-sm font-medium text-gray-700 mb-2"
+      >
+        <i className={`${isOpen ? 'ri-arrow-down-s-line' : 'ri-arrow-right-s-line'} mr-1`}></i>
+        Version History
+      </button>
+
+      {isOpen && (
+        <div className="bg-white border border-gray-200 rounded-md text-sm">
+          {versions.length === 0 ? (
+            <p className="p-3 text-xs text-gray-500">No versions saved yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 max-h-48 overflow-y-auto">
+              {versions.map((version, index) => {
+                const previous = versions[index + 1];
+                return (
+                  <li key={version.id} className="px-3 py-2">
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <span className="font-medium text-gray-700">v{version.version}</span>
+                        {version.version === latest && <span className="ml-1 text-xs text-primary">(current)</span>}
+                        <span className="ml-2 text-xs text-gray-500">{new Date(version.createdAt).toLocaleString()}</span>
+                      </div>
+                      <div className="flex gap-2 text-xs">
+                        {previous && (
+                          <button
+                            type="button"
+                            onClick={() => setCompare({ from: previous.version, to: version.version })}
+                            className="text-primary hover:underline"
+                          >
+                            Changes
+                          </button>
+                        )}
+                        {version.version !== latest && (
+                          <button
+                            type="button"
+                            onClick={() => setCompare({ from: version.version, to: latest })}
+                            className="text-primary hover:underline"
+                          >
+                            Compare to current
+                          </button>
+                        )}
+                        {canRestore && version.version !== latest && (
+                          <button
+                            type="button"
+                            onClick={() => handleRestore(version.version)}
+                            disabled={isRestoring}
+                            className="text-primary hover:underline disabled:opacity-70"
+                          >
+                            Restore
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      {version.changedFields.map(field => VERSIONED_FIELD_LABELS[field] || field).join(', ')}
+                    </p>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          {compare && (
+            <div className="border-t border-gray-200 p-3">
+              <div className="flex items-center justify-between mb-2">
+                <h5 className="font-medium text-gray-700">v{compare.from} → v{compare.to}</h5>
+                <button
+                  type="button"
+                  onClick={() => setCompare(null)}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <i className="ri-close-line"></i>
+                </button>
+              </div>
+              {isDiffLoading ? (
+                <p className="text-xs text-gray-500">Comparing...</p>
+              ) : !diff || diff.changes.length === 0 ? (
+                <p className="text-xs text-gray-500">No differences.</p>
+              ) : (
+                <div className="space-y-3 max-h-64 overflow-y-auto text-xs text-gray-600">
+                  {diff.changes.map(change => (
+                    <div key={change.path}>
+                      <h6 className="font-medium text-gray-700 mb-1">{change.label}</h6>
+                      <DiffText change={change} />
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,48 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
 import { useToast } from '@/hooks/use-toast';
+import { apiRequest, queryClient } from '@/lib/queryClient';
+import { useAuth } from '@/hooks/use-auth';
+import { SUPPORTED_LANGUAGES, getLanguage } from '@shared/languages';
+import { stripMarkup } from '@shared/markup';
 import { SubjectIcons } from '../lib/icons';
 import ContentVideo from './ContentVideo';
+import ContentReview from './ContentReview';
+import ContentDelivery from './ContentDelivery';
+import ContentEditor from './ContentEditor';
+import ContentHistory from './ContentHistory';
+import ContentQuiz from './ContentQuiz';
+import MarkupText from './MarkupText';
 
 export default function ContentPreview({ content }) {
   const { toast } = useToast();
+  const { user } = useAuth();
+  const [targetLanguage, setTargetLanguage] = useState('');
+  const [isTranslating, setIsTranslating] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  
+  // Leave the editor when another lesson is selected
+  useEffect(() => {
+    setIsEditing(false);
+  }, [content?.id]);
+  
+  // The lesson and every translation linked to it
+  const translationsUrl = content ? `/api/contents/${content.id}/translations` : null;
+  const { data: translations = [] } = useQuery({
+    queryKey: [translationsUrl],
+    enabled: !!content,
+  });
+  
+  // Shares its cache entry with the review panel
+  const reviewUrl = content ? `/api/contents/${content.id}/review` : null;
+  const { data: review } = useQuery({
+    queryKey: [reviewUrl],
+    enabled: !!content,
+  });
+  const canPublish = !!review?.availableActions.includes('publish');
+  // Content under review is locked until it is withdrawn
+  const canEdit = !!content?.scriptContent && content.userId === user?.id && review?.reviewStatus !== 'in-review';
   
   if (!content) {
     return (
@@ -23,42 +61,24 @@ export default function ContentPreview({ content }) {
     
     if (!content.scriptContent) {
       scriptText = 'No script content available';
-    } else if (typeof content.scriptContent === 'string') {
-      scriptText = content.scriptContent;
-    } else if (content.scriptContent && typeof content.scriptContent === 'object') {
+    } else {
       const { opening, mainContent, conclusion } = content.scriptContent;
       
-      // Add opening section
-      if (opening) {
-        scriptText += "===== OPENING =====\n" + opening + "\n\n";
-      }
+      scriptText += "===== OPENING =====\n" + opening + "\n\n";
+      scriptText += "===== MAIN CONTENT =====\n";
       
-      // Add main content sections
-      if (mainContent) {
-        scriptText += "===== MAIN CONTENT =====\n";
+      mainContent.forEach((section, index) => {
+        scriptText += `\n--- SECTION ${index + 1}: ${section.sectionTitle} ---\n\n`;
+        scriptText += section.script;
         
-        if (Array.isArray(mainContent)) {
-          // For sectioned content format (with sectionTitle, script, interactiveElement)
-          mainContent.forEach((section, index) => {
-            scriptText += `\n--- SECTION ${index + 1}: ${section.sectionTitle || 'Untitled'} ---\n\n`;
-            scriptText += section.script || '';
-            
-            if (section.interactiveElement) {
-              scriptText += '\n\nInteractive Element: ' + section.interactiveElement;
-            }
-            
-            scriptText += '\n\n';
-          });
-        } else if (typeof mainContent === 'string') {
-          // For simple string content
-          scriptText += mainContent + '\n\n';
+        if (section.interactiveElement) {
+          scriptText += '\n\nInteractive Element: ' + section.interactiveElement;
         }
-      }
+        
+        scriptText += '\n\n';
+      });
       
-      // Add conclusion section
-      if (conclusion) {
-        scriptText += "===== CONCLUSION =====\n" + conclusion;
-      }
+      scriptText += "===== CONCLUSION =====\n" + conclusion;
     }
     
     // Create a blob of the script text
@@ -81,31 +101,77 @@ export default function ContentPreview({ content }) {
   };
   
   const handleExportPackage = () => {
-    // Create a JSON representation of the full content
-    const packageData = JSON.stringify(content, null, 2);
-    const blob = new Blob([packageData], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    
-    // Create download link
+    // The server streams the ZIP, the browser saves it as a download
     const a = document.createElement('a');
-    a.href = url;
-    a.download = `${content.title}-full-package.json`;
+    a.href = `/api/contents/${content.id}/package`;
     a.click();
     
-    // Clean up
-    URL.revokeObjectURL(url);
-    
     toast({
-      title: "Full Package Exported",
-      description: "Your content package has been downloaded as a JSON file."
+      title: "Preparing Package",
+      description: "The video, captions, script and teacher guide are being zipped for download."
     });
   };
   
-  const handleSendToTAPBuddy = () => {
-    toast({
-      title: "Content Sent to TAPBuddy",
-      description: "Your content has been successfully sent to TAPBuddy."
-    });
+  const handleTranslate = async () => {
+    if (!targetLanguage) return;
+    
+    setIsTranslating(true);
+    try {
+      await apiRequest('POST', `/api/contents/${content.id}/translate`, { 
+        language: targetLanguage,
+        aiModel: content.aiModel
+      });
+      queryClient.invalidateQueries({ queryKey: ['/api/contents'] });
+      queryClient.invalidateQueries({ queryKey: [translationsUrl] });
+      
+      toast({
+        title: "Translation created",
+        description: `A ${getLanguage(targetLanguage).name} version of this lesson is being rendered.`
+      });
+      setTargetLanguage('');
+    } catch (error) {
+      toast({
+        title: "Translation failed",
+        description: error.message || "An error occurred while translating content",
+        variant: "destructive"
+      });
+    } finally {
+      setIsTranslating(false);
+    }
+  };
+  
+  const availableLanguages = SUPPORTED_LANGUAGES.filter(
+    language => !translations.some(translation => translation.language === language.code) &&
+      language.code !== (content.language || 'en')
+  );
+  
+  // Only approved content can go out to learners
+  const handleSendToTAPBuddy = async () => {
+    setIsSending(true);
+    try {
+      const response = await apiRequest('POST', reviewUrl, { action: 'publish' });
+      const { deliveryQueued } = await response.json();
+      queryClient.invalidateQueries({ queryKey: [reviewUrl] });
+      queryClient.invalidateQueries({ queryKey: ['/api/contents'] });
+      queryClient.invalidateQueries({ queryKey: [`/api/contents/${content.id}/deliveries`] });
+      
+      // Without WhatsApp delivery configured the lesson is only published
+      toast(deliveryQueued ? {
+        title: "Sending to TAPBuddy",
+        description: "The video and learning objectives are on their way over WhatsApp."
+      } : {
+        title: "Published",
+        description: "WhatsApp delivery is not configured, so nothing was sent."
+      });
+    } catch (error) {
+      toast({
+        title: "Could not send to TAPBuddy",
+        description: error.message || "An error occurred while publishing content",
+        variant: "destructive"
+      });
+    } finally {
+      setIsSending(false);
+    }
   };
   
   return (
@@ -148,7 +214,11 @@ export default function ContentPreview({ content }) {
                 Age Group: {content.ageGroup} • Difficulty: {content.difficultyLevel} • Duration: {content.duration}
               </p>
               {content.aiModel && (
-                <span className={`text-xs px-2 py-0.5 rounded-full font-medium ${
+                <span 
+                  title={content.generationAttempts?.length > 1 
+                    ? `Generated after ${content.generationAttempts.length} attempts (${content.generationAttempts.map(a => a.provider).join(', ')})` 
+                    : undefined}
+                  className={`text-xs px-2 py-0.5 rounded-full font-medium ${
                   content.aiModel === 'groq' 
                     ? 'bg-blue-100 text-blue-800' 
                     : content.aiModel === 'gemini'
@@ -161,10 +231,24 @@ export default function ContentPreview({ content }) {
                   {content.aiModel === 'gemini' && (
                     <><i className="ri-google-line mr-1"></i>Gemini</>
                   )}
-                  {!['groq', 'gemini'].includes(content.aiModel) && content.aiModel}
+                  {content.aiModel === 'openai' && (
+                    <><i className="ri-openai-line mr-1"></i>OpenAI</>
+                  )}
+                  {!['groq', 'gemini', 'openai'].includes(content.aiModel) && content.aiModel}
                 </span>
               )}
+              <span className="text-xs px-2 py-0.5 rounded-full font-medium bg-purple-100 text-purple-800">
+                <i className="ri-translate-2 mr-1"></i>{getLanguage(content.language).nativeName}
+              </span>
             </div>
+            {translations.length > 1 && (
+              <p className="text-xs text-gray-500 mt-1">
+                Also available in: {translations
+                  .filter(translation => translation.id !== content.id)
+                  .map(translation => getLanguage(translation.language).name)
+                  .join(', ')}
+              </p>
+            )}
           </div>
         </div>
         
@@ -172,74 +256,52 @@ export default function ContentPreview({ content }) {
           {/* Video component */}
           <ContentVideo content={content} />
 
+          <ContentReview content={content} />
+
+          <ContentDelivery content={content} canResend={content.userId === user?.id} />
+
+          <ContentHistory content={content} canRestore={canEdit} />
+
           <h4 className="text-sm font-medium text-gray-700 mb-2">Script Overview</h4>
-          <div className="bg-white border border-gray-200 rounded-md p-3 mb-3 text-sm text-gray-600 max-h-64 overflow-y-auto">
-            {!content.scriptContent ? (
-              <p>No script content available</p>
-            ) : typeof content.scriptContent === 'string' ? (
-              <p className="whitespace-pre-line">{content.scriptContent}</p>
-            ) : (
-              <div>
-                {/* Handle opening section */}
-                {content.scriptContent.opening && (
+          {isEditing ? (
+            <ContentEditor content={content} onClose={() => setIsEditing(false)} />
+          ) : (
+            <div className="bg-white border border-gray-200 rounded-md p-3 mb-3 text-sm text-gray-600 max-h-64 overflow-y-auto">
+              {!content.scriptContent ? (
+                <p>No script content available</p>
+              ) : (
+                <div>
                   <div className="mb-4">
                     <h5 className="font-medium mb-1">Opening:</h5>
-                    <p className="whitespace-pre-line">{typeof content.scriptContent.opening === 'string' 
-                ? content.scriptContent.opening 
-                : JSON.stringify(content.scriptContent.opening)}</p>
+                    <MarkupText text={content.scriptContent.opening} />
                   </div>
-                )}
                 
-                {/* Handle main content sections */}
-                {Array.isArray(content.scriptContent.mainContent) ? (
                   <div className="mb-4">
                     <h5 className="font-medium mb-1">Main Content:</h5>
                     {content.scriptContent.mainContent.map((section, index) => (
                       <div key={index} className="mb-3 pl-3 border-l-2 border-gray-200">
-                        <h6 className="font-medium text-gray-700">{
-                          typeof section.sectionTitle === 'string' 
-                            ? section.sectionTitle 
-                            : JSON.stringify(section.sectionTitle)
-                        }</h6>
-                        <p className="whitespace-pre-line mb-2">{
-                          typeof section.script === 'string' 
-                            ? section.script 
-                            : JSON.stringify(section.script)
-                        }</p>
+                        <h6 className="font-medium text-gray-700">{section.sectionTitle}</h6>
+                        <MarkupText text={section.script} className="mb-2" />
                         {section.interactiveElement && (
                           <div className="bg-blue-50 p-2 rounded border border-blue-100">
                             <span className="text-xs font-medium text-blue-800">Interactive Element: </span>
-                            <span className="text-xs text-blue-700">{
-                              typeof section.interactiveElement === 'string' 
-                                ? section.interactiveElement 
-                                : JSON.stringify(section.interactiveElement)
-                            }</span>
+                            <span className="text-xs text-blue-700">{stripMarkup(section.interactiveElement)}</span>
                           </div>
                         )}
                       </div>
                     ))}
                   </div>
-                ) : content.scriptContent.mainContent && typeof content.scriptContent.mainContent === 'string' ? (
-                  <div className="mb-4">
-                    <h5 className="font-medium mb-1">Main Content:</h5>
-                    <p className="whitespace-pre-line">{content.scriptContent.mainContent}</p>
-                  </div>
-                ) : null}
                 
-                {/* Handle conclusion section */}
-                {content.scriptContent.conclusion && (
                   <div>
                     <h5 className="font-medium mb-1">Conclusion:</h5>
-                    <p className="whitespace-pre-line">{
-                      typeof content.scriptContent.conclusion === 'string' 
-                        ? content.scriptContent.conclusion 
-                        : JSON.stringify(content.scriptContent.conclusion)
-                    }</p>
+                    <MarkupText text={content.scriptContent.conclusion} />
                   </div>
-                )}
-              </div>
-            )}
-          </div>
+                </div>
+              )}
+            </div>
+          )}
+          
+          <ContentQuiz content={content} />
           
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
             <div>
@@ -264,20 +326,24 @@ export default function ContentPreview({ content }) {
             <div className="mb-4">
               <h4 className="text-sm font-medium text-gray-700 mb-2">Visual References</h4>
               <div className="grid grid-cols-3 gap-3">
-                {content.visualReferences.map((reference, index) => (
-                  <div key={index} className="relative aspect-video bg-gray-100 rounded-md overflow-hidden border border-gray-200">
-                    <div className="absolute inset-0 flex items-center justify-center">
-                      <i className="ri-image-line text-2xl text-gray-400"></i>
-                    </div>
-                    <div className="absolute bottom-0 left-0 right-0 bg-black bg-opacity-60 p-1">
-                      <p className="text-xs text-white">{
-                        typeof reference.title === 'string' 
-                          ? reference.title 
-                          : JSON.stringify(reference.title)
-                      }</p>
+                {content.visualReferences.map((reference, index) => {
+                  // Illustrations are found or drawn when the video renders
+                  const visual = content.visuals?.find(item => item.referenceIndex === index);
+                  return (
+                    <div key={index} className="relative aspect-video bg-gray-100 rounded-md overflow-hidden border border-gray-200" title={reference.description}>
+                      {visual ? (
+                        <img src={visual.imageUrl} alt={reference.description} className="absolute inset-0 w-full h-full object-contain bg-white" />
+                      ) : (
+                        <div className="absolute inset-0 flex items-center justify-center">
+                          <i className="ri-image-line text-2xl text-gray-400"></i>
+                        </div>
+                      )}
+                      <div className="absolute bottom-0 left-0 right-0 bg-black bg-opacity-60 p-1">
+                        <p className="text-xs text-white">{reference.title}</p>
+                      </div>
                     </div>
-                  </div>
-                ))}
+                  );
+                })}
               </div>
             </div>
           )}
@@ -287,16 +353,43 @@ export default function ContentPreview({ content }) {
       <div className="flex flex-wrap gap-3 justify-end">
         <button 
           type="button" 
-          className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          onClick={() => setIsEditing(true)}
+          disabled={!canEdit || isEditing}
+          title={canEdit ? 'Edit or regenerate parts of the script' : undefined}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-70"
         >
           <i className="ri-edit-line mr-1"></i> Edit Content
         </button>
-        <button 
-          type="button" 
-          className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
-        >
-          <i className="ri-refresh-line mr-1"></i> Regenerate
-        </button>
+        {content.scriptContent && availableLanguages.length > 0 && (
+          <div className="inline-flex items-center">
+            <select 
+              value={targetLanguage}
+              onChange={(e) => setTargetLanguage(e.target.value)}
+              className="px-2 py-2 border border-gray-300 rounded-l-md text-sm text-gray-700 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Translate to...</option>
+              {availableLanguages.map(language => (
+                <option key={language.code} value={language.code}>
+                  {language.name} ({language.nativeName})
+                </option>
+              ))}
+            </select>
+            <button 
+              type="button" 
+              onClick={handleTranslate}
+              disabled={!targetLanguage || isTranslating}
+              className={`inline-flex items-center px-3 py-2 border border-l-0 border-gray-300 text-sm font-medium rounded-r-md text-gray-700 bg-white ${
+                !targetLanguage || isTranslating ? 'opacity-70 cursor-not-allowed' : 'hover:bg-gray-50'
+              }`}
+            >
+              {isTranslating ? (
+                <><i className="ri-loader-4-line animate-spin mr-1"></i> Translating...</>
+              ) : (
+                <><i className="ri-translate-2 mr-1"></i> Translate</>
+              )}
+            </button>
+          </div>
+        )}
         <button 
           type="button" 
           onClick={handleExportScript}
@@ -307,16 +400,23 @@ export default function ContentPreview({ content }) {
         <button 
           type="button" 
           onClick={handleExportPackage}
-          className="inline-flex items-center px-3 py-2 border border-primary text-sm font-medium rounded-md text-primary bg-white hover:bg-blue-50"
+          disabled={!content.scriptContent}
+          className="inline-flex items-center px-3 py-2 border border-primary text-sm font-medium rounded-md text-primary bg-white hover:bg-blue-50 disabled:opacity-70"
         >
           <i className="ri-download-line mr-1"></i> Export Full Package
         </button>
         <button 
           type="button" 
           onClick={handleSendToTAPBuddy}
-          className="inline-flex items-center px-3 py-2 text-sm font-medium rounded-md text-white bg-primary hover:bg-primary-dark"
+          disabled={!canPublish || isSending}
+          title={canPublish ? undefined : 'Content must be approved before it can be sent'}
+          className="inline-flex items-center px-3 py-2 text-sm font-medium rounded-md text-white bg-primary hover:bg-primary-dark disabled:opacity-70"
         >
-          <i className="ri-whatsapp-line mr-1"></i> Send to TAPBuddy
+          {isSending ? (
+            <><i className="ri-loader-4-line animate-spin mr-1"></i> Sending...</>
+          ) : (
+            <><i className="ri-whatsapp-line mr-1"></i> Send to TAPBuddy</>
+          )}
         </button>
       </div>
     </div>
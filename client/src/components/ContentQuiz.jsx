@@ -0,0 +1,58 @@
+import React from 'react';
+import { getQuizOptions, OPTION_LETTERS } from '@shared/quiz';
+
+const EXPORT_FORMATS = [
+  { id: 'json', label: 'JSON', icon: 'ri-braces-line' },
+  { id: 'qti', label: 'QTI 2.1', icon: 'ri-file-zip-line' },
+  { id: 'h5p', label: 'H5P', icon: 'ri-file-zip-line' }
+];
+
+/**
+ * Quiz questions of a lesson with the correct option marked, and downloads
+ * for learning platforms
+ */
+export default function ContentQuiz({ content }) {
+  if (!content.quiz?.length) return null;
+
+  return (
+    <div className="mb-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h4 className="text-sm font-medium text-gray-700">Quiz ({content.quiz.length} questions)</h4>
+        <div className="flex gap-2">
+          {EXPORT_FORMATS.map(format => (
+            <a
+              key={format.id}
+              href={`/api/contents/${content.id}/quiz/export?format=${format.id}`}
+              className="inline-flex items-center px-3 py-1 bg-white border border-gray-300 rounded text-xs text-gray-700 hover:bg-gray-50"
+            >
+              <i className={`${format.icon} mr-1`}></i>{format.label}
+            </a>
+          ))}
+        </div>
+      </div>
+
+      <ol className="bg-white border border-gray-200 rounded-md p-3 text-sm text-gray-600 space-y-4 max-h-64 overflow-y-auto">
+        {content.quiz.map((item, index) => {
+          const { options, answerIndex } = getQuizOptions(item);
+          return (
+            <li key={index}>
+              <p className="font-medium text-gray-800 mb-1">{index + 1}. {item.question}</p>
+              <ul className="space-y-1 mb-1">
+                {options.map((option, optionIndex) => (
+                  <li
+                    key={optionIndex}
+                    className={optionIndex === answerIndex ? 'text-green-700 font-medium' : ''}
+                  >
+                    {OPTION_LETTERS[optionIndex]}. {option}
+                    {optionIndex === answerIndex && <i className="ri-check-line ml-1"></i>}
+                  </li>
+                ))}
+              </ul>
+              <p className="text-xs text-gray-500">{item.explanation}</p>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useToast } from '@/hooks/use-toast';
+import { apiRequest, queryClient } from '@/lib/queryClient';
+import { REVIEW_TRANSITIONS, REVIEW_STATUS_LABELS } from '@shared/review';
+
+const STATUS_BADGES = {
+  draft: 'bg-gray-100 text-gray-800',
+  'in-review': 'bg-blue-100 text-blue-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  published: 'bg-purple-100 text-purple-800'
+};
+
+const ACTION_STYLES = {
+  approve: 'text-white bg-green-600 hover:bg-green-700',
+  reject: 'text-white bg-red-500 hover:bg-red-600',
+  submit: 'text-white bg-primary hover:bg-primary-dark'
+};
+
+// Publishing is offered as the Send to TAPBuddy button in the preview
+const PANEL_ACTIONS = ['submit', 'withdraw', 'approve', 'reject'];
+
+/**
+ * Review state, actions, comments and audit trail of a content item
+ */
+export default function ContentReview({ content }) {
+  const { toast } = useToast();
+  const [comment, setComment] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const reviewUrl = `/api/contents/${content.id}/review`;
+  const { data: review } = useQuery({
+    queryKey: [reviewUrl],
+  });
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: [reviewUrl] });
+    queryClient.invalidateQueries({ queryKey: ['/api/contents'] });
+    queryClient.invalidateQueries({ queryKey: ['/api/reviews'] });
+  };
+
+  const handleAction = async (action) => {
+    setIsSubmitting(true);
+    try {
+      await apiRequest('POST', reviewUrl, { action, comment: comment || undefined });
+      setComment('');
+      refresh();
+      toast({
+        title: REVIEW_TRANSITIONS[action].label,
+        description: `"${content.title}" is now ${REVIEW_STATUS_LABELS[REVIEW_TRANSITIONS[action].to].toLowerCase()}.`
+      });
+    } catch (error) {
+      toast({
+        title: 'Review action failed',
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleComment = async () => {
+    if (!comment.trim()) return;
+
+    setIsSubmitting(true);
+    try {
+      await apiRequest('POST', `/api/contents/${content.id}/comments`, { body: comment });
+      setComment('');
+      refresh();
+    } catch (error) {
+      toast({
+        title: 'Could not add comment',
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!review) {
+    return null;
+  }
+
+  const actions = review.availableActions.filter(action => PANEL_ACTIONS.includes(action));
+
+  // Comments and state changes in one timeline, oldest first
+  const timeline = [
+    ...review.events.map(event => ({ ...event, kind: 'event' })),
+    ...review.comments.map(item => ({ ...item, kind: 'comment' }))
+  ].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-medium text-gray-700">Review</h4>
+        <span className={`text-xs px-2 py-0.5 rounded-full font-medium ${STATUS_BADGES[review.reviewStatus] || STATUS_BADGES.draft}`}>
+          {REVIEW_STATUS_LABELS[review.reviewStatus] || review.reviewStatus}
+        </span>
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-md p-3 text-sm">
+        {timeline.length === 0 ? (
+          <p className="text-gray-500 text-xs mb-3">No review activity yet.</p>
+        ) : (
+          <ul className="space-y-2 mb-3 max-h-48 overflow-y-auto">
+            {timeline.map(item => (
+              <li key={`${item.kind}-${item.id}`} className="text-xs">
+                {item.kind === 'comment' ? (
+                  <div className="bg-gray-50 rounded p-2">
+                    <span className="font-medium text-gray-700">{item.username}: </span>
+                    <span className="text-gray-600 whitespace-pre-line">{item.body}</span>
+                  </div>
+                ) : (
+                  <div className="text-gray-500">
+                    <i className="ri-arrow-right-line mr-1"></i>
+                    <span className="font-medium text-gray-700">{item.username}</span> moved it from{' '}
+                    {REVIEW_STATUS_LABELS[item.fromStatus] || item.fromStatus} to{' '}
+                    {REVIEW_STATUS_LABELS[item.toStatus] || item.toStatus}
+                  </div>
+                )}
+                <div className="text-gray-400 mt-0.5">{new Date(item.createdAt).toLocaleString()}</div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <textarea
+          rows="2"
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          placeholder="Leave a comment for the author or reviewers..."
+        ></textarea>
+
+        <div className="flex flex-wrap gap-2 justify-end mt-2">
+          <button
+            type="button"
+            onClick={handleComment}
+            disabled={isSubmitting || !comment.trim()}
+            className="px-3 py-1 border border-gray-300 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-70"
+          >
+            <i className="ri-chat-3-line mr-1"></i>Comment
+          </button>
+          {actions.map(action => {
+            const needsComment = REVIEW_TRANSITIONS[action].requiresComment && !comment.trim();
+            return (
+              <button
+                key={action}
+                type="button"
+                onClick={() => handleAction(action)}
+                disabled={isSubmitting || needsComment}
+                title={needsComment ? 'Add a comment explaining what needs to change' : undefined}
+                className={`px-3 py-1 rounded-md text-sm disabled:opacity-70 ${
+                  ACTION_STYLES[action] || 'border border-gray-300 text-gray-700 bg-white hover:bg-gray-50'
+                }`}
+              >
+                {REVIEW_TRANSITIONS[action].label}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
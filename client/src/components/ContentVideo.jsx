@@ -2,12 +2,24 @@ import React, { useState, useEffect, useRef } from 'react';
 import { apiRequest } from '@/lib/queryClient';
 import { useToast } from '@/hooks/use-toast';
 import { queryClient } from '@/lib/queryClient';
+import { useRenderProgress, getOverallPercent } from '@/hooks/use-render-progress';
+import { getLanguage } from '@shared/languages';
+
+const PHASE_LABELS = {
+  queued: 'Waiting for a free renderer...',
+  narration: 'Recording narration',
+  frames: 'Drawing slides',
+  encoding: 'Encoding video',
+  completed: 'Finishing up',
+  error: 'Render failed'
+};
 
 export default function ContentVideo({ content }) {
   const { toast } = useToast();
   const [isVideoLoading, setIsVideoLoading] = useState(true);
   const [videoError, setVideoError] = useState(false);
   const videoRef = useRef(null);
+  const progress = useRenderProgress(content?.id, content?.status === 'processing');
   
   // Return early if no content is provided
   if (!content) return null;
@@ -30,9 +42,7 @@ export default function ContentVideo({ content }) {
         description: "This may take a minute or two to complete"
       });
       
-      await apiRequest(`/api/contents/${content.id}/generate-video`, {
-        method: 'POST'
-      });
+      await apiRequest('POST', `/api/contents/${content.id}/generate-video`);
       
       // Invalidate content query to fetch updated status
       queryClient.invalidateQueries({ queryKey: ['/api/contents'] });
@@ -50,14 +60,26 @@ export default function ContentVideo({ content }) {
   // Status based styling and content
   const getStatusDisplay = () => {
     switch (content.status) {
-      case 'processing':
+      case 'processing': {
+        const percent = getOverallPercent(progress);
+        
         return (
           <div className="flex flex-col items-center justify-center bg-gray-100 rounded-lg p-6 mb-4">
-            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary mb-2"></div>
             <h4 className="font-medium text-gray-700">Generating Video</h4>
-            <p className="text-sm text-gray-500">Please wait, this may take a minute...</p>
+            <p className="text-sm text-gray-500 mb-3">
+              {progress ? PHASE_LABELS[progress.phase] : 'Please wait, this may take a minute...'}
+              {progress?.phase === 'frames' && ` (${progress.frame} of ${progress.totalFrames})`}
+            </p>
+            <div className="w-full max-w-md h-2 bg-gray-200 rounded-full overflow-hidden">
+              <div 
+                className="h-full bg-primary rounded-full transition-all duration-300"
+                style={{ width: `${percent}%` }}
+              ></div>
+            </div>
+            <span className="text-xs text-gray-500 mt-1">{percent}%</span>
           </div>
         );
+      }
       case 'error':
         return (
           <div className="flex flex-col items-center justify-center bg-red-50 rounded-lg p-6 mb-4 border border-red-200">
@@ -119,6 +141,9 @@ export default function ContentVideo({ content }) {
                     console.error('Error loading video:', content.videoUrl);
                   }}
                 >
+                  {content.subtitlesUrl && (
+                    <track kind="captions" src={content.subtitlesUrl} srcLang={content.language || 'en'} label={getLanguage(content.language).name} default />
+                  )}
                   Your browser does not support the video tag.
                 </video>
               </div>
@@ -131,6 +156,15 @@ export default function ContentVideo({ content }) {
                 >
                   <i className="ri-download-line mr-1"></i>Download
                 </a>
+                {content.subtitlesUrl && (
+                  <a 
+                    href={content.subtitlesUrl.replace(/\.vtt$/, '.srt')}
+                    download={`${content.title.replace(/\s+/g, '-')}.srt`}
+                    className="ml-2 inline-flex items-center px-3 py-1 bg-white border border-gray-300 rounded text-sm text-gray-700 hover:bg-gray-50"
+                  >
+                    <i className="ri-closed-captioning-line mr-1"></i>Subtitles
+                  </a>
+                )}
               </div>
             </div>
           );
@@ -182,6 +216,9 @@ export default function ContentVideo({ content }) {
                     console.error('Error loading video:', content.videoUrl);
                   }}
                 >
+                  {content.subtitlesUrl && (
+                    <track kind="captions" src={content.subtitlesUrl} srcLang={content.language || 'en'} label={getLanguage(content.language).name} default />
+                  )}
                   Your browser does not support the video tag.
                 </video>
               </div>
@@ -194,6 +231,15 @@ export default function ContentVideo({ content }) {
                 >
                   <i className="ri-download-line mr-1"></i>Download
                 </a>
+                {content.subtitlesUrl && (
+                  <a 
+                    href={content.subtitlesUrl.replace(/\.vtt$/, '.srt')}
+                    download={`${content.title.replace(/\s+/g, '-')}.srt`}
+                    className="ml-2 inline-flex items-center px-3 py-1 bg-white border border-gray-300 rounded text-sm text-gray-700 hover:bg-gray-50"
+                  >
+                    <i className="ri-closed-captioning-line mr-1"></i>Subtitles
+                  </a>
+                )}
               </div>
             </div>
           );
@@ -1,13 +1,13 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { useQuery } from '@tanstack/react-query';
 import { useToast } from '@/hooks/use-toast';
 import { apiRequest } from '@/lib/queryClient';
 import { queryClient } from '@/lib/queryClient';
+import { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } from '@shared/languages';
 import SubjectSelector from './SubjectSelector';
 
-export default function ContentWizard() {
-  const { toast } = useToast();
-  const [isGenerating, setIsGenerating] = useState(false);
-  const [formData, setFormData] = useState({
+function getEmptyForm(language = DEFAULT_LANGUAGE, aiModel = '', courseId = '') {
+  return {
     subject: '',
     title: '',
     ageGroup: '',
@@ -15,8 +15,45 @@ export default function ContentWizard() {
     contentFormat: 'tutorial',
     duration: '5-8',
     specificInstructions: '',
-    aiModel: 'gemini' // Default to Gemini
+    language,
+    aiModel, // Filled in with the server's default provider
+    courseId // Lessons generated into a course build on its earlier lessons
+  };
+}
+
+// A draft is a saved set of wizard parameters that has not been generated yet
+function isDraft(content) {
+  return content.status === 'draft' && !content.scriptContent;
+}
+
+export default function ContentWizard() {
+  const { toast } = useToast();
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [isSavingDraft, setIsSavingDraft] = useState(false);
+  const [formData, setFormData] = useState(() => getEmptyForm());
+  // The saved draft the form was opened from, if any
+  const [draftId, setDraftId] = useState(null);
+  
+  // Available AI providers come from the server configuration
+  const { data: providers = [] } = useQuery({
+    queryKey: ['/api/providers'],
+  });
+  
+  const { data: contents = [] } = useQuery({
+    queryKey: ['/api/contents'],
   });
+  
+  const { data: courses = [] } = useQuery({
+    queryKey: ['/api/courses'],
+  });
+  const drafts = contents.filter(isDraft);
+  
+  useEffect(() => {
+    if (!formData.aiModel && providers.length > 0) {
+      const defaultProvider = providers.find(provider => provider.isDefault) || providers[0];
+      setFormData(current => ({ ...current, aiModel: defaultProvider.id }));
+    }
+  }, [providers, formData.aiModel]);
 
   const handleSubjectSelect = (subject) => {
     setFormData({
@@ -66,30 +103,34 @@ export default function ContentWizard() {
     console.log("Proceeding with content generation", formData);
     setIsGenerating(true);
     try {
-      console.log("Making API request to /api/generate-content");
-      const response = await apiRequest('POST', '/api/generate-content', formData);
-      console.log("API Response received:", response);
-      const newContent = await response.json();
+      if (draftId) {
+        // Generate into the draft so it does not stay behind as a duplicate
+        await apiRequest('PATCH', `/api/contents/${draftId}`, getDraftFields());
+        await apiRequest('POST', `/api/contents/${draftId}/generate`, {
+          aiModel: formData.aiModel,
+          courseId: formData.courseId || undefined
+        });
+      } else {
+        console.log("Making API request to /api/generate-content");
+        const response = await apiRequest('POST', '/api/generate-content', {
+          ...formData,
+          courseId: formData.courseId || undefined
+        });
+        console.log("API Response received:", response);
+      }
       
       // Invalidate queries to update the UI
       queryClient.invalidateQueries({ queryKey: ['/api/contents'] });
+      queryClient.invalidateQueries({ queryKey: ['/api/courses'] });
       
       toast({
         title: "Content generated successfully!",
         description: "Your content is now ready for review and export."
       });
       
-      // Reset form
-      setFormData({
-        subject: '',
-        title: '',
-        ageGroup: '',
-        difficultyLevel: 'beginner',
-        contentFormat: 'tutorial',
-        duration: '5-8',
-        specificInstructions: '',
-        aiModel: formData.aiModel // Keep the selected AI model
-      });
+      // Reset form, keeping the selected language, AI model and course for the next lesson
+      setFormData(getEmptyForm(formData.language, formData.aiModel, formData.courseId));
+      setDraftId(null);
       
     } catch (error) {
       toast({
@@ -102,13 +143,95 @@ export default function ContentWizard() {
     }
   };
 
-  const handleSaveDraft = () => {
-    toast({
-      title: "Draft saved",
-      description: "Your content draft has been saved for later."
+  const getDraftFields = () => ({
+    subject: formData.subject,
+    title: formData.title,
+    ageGroup: formData.ageGroup,
+    difficultyLevel: formData.difficultyLevel,
+    contentFormat: formData.contentFormat,
+    duration: formData.duration,
+    specificInstructions: formData.specificInstructions,
+    language: formData.language,
+    aiModel: formData.aiModel || null
+  });
+
+  const handleSaveDraft = async () => {
+    if (!formData.title.trim()) {
+      toast({
+        title: "Add a title first",
+        description: "Drafts are listed by their lesson title.",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    setIsSavingDraft(true);
+    try {
+      // Saving a draft only stores the parameters, nothing is generated yet
+      const response = draftId
+        ? await apiRequest('PATCH', `/api/contents/${draftId}`, getDraftFields())
+        : await apiRequest('POST', '/api/contents', { ...getDraftFields(), status: 'draft' });
+      const draft = await response.json();
+      setDraftId(draft.id);
+      queryClient.invalidateQueries({ queryKey: ['/api/contents'] });
+
+      toast({
+        title: "Draft saved",
+        description: "Your content draft has been saved for later."
+      });
+    } catch (error) {
+      toast({
+        title: "Could not save draft",
+        description: error.message,
+        variant: "destructive"
+      });
+    } finally {
+      setIsSavingDraft(false);
+    }
+  };
+
+  const handleOpenDraft = (draft) => {
+    setDraftId(draft.id);
+    setFormData({
+      subject: draft.subject,
+      title: draft.title,
+      ageGroup: draft.ageGroup,
+      difficultyLevel: draft.difficultyLevel,
+      contentFormat: draft.contentFormat,
+      duration: draft.duration,
+      specificInstructions: draft.specificInstructions || '',
+      language: draft.language || DEFAULT_LANGUAGE,
+      // Fall back to the current choice when the draft's provider is no longer configured
+      aiModel: providers.some(provider => provider.id === draft.aiModel) ? draft.aiModel : formData.aiModel,
+      courseId: formData.courseId
     });
   };
 
+  const handleNewDraft = () => {
+    setDraftId(null);
+    setFormData(getEmptyForm(formData.language, formData.aiModel, formData.courseId));
+  };
+
+  const handleDeleteDraft = async (draft) => {
+    if (!window.confirm(`Delete the draft "${draft.title}"?`)) {
+      return;
+    }
+
+    try {
+      await apiRequest('DELETE', `/api/contents/${draft.id}`);
+      queryClient.invalidateQueries({ queryKey: ['/api/contents'] });
+      if (draft.id === draftId) {
+        handleNewDraft();
+      }
+    } catch (error) {
+      toast({
+        title: "Could not delete draft",
+        description: error.message,
+        variant: "destructive"
+      });
+    }
+  };
+
   const handleTestButtonClick = () => {
     console.log("Test button clicked");
     toast({
@@ -127,6 +250,56 @@ export default function ContentWizard() {
         Test Button
       </button>
 
+      {drafts.length > 0 && (
+        <div className="mb-6">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-md font-medium text-gray-700">Saved Drafts</h3>
+            {draftId && (
+              <button
+                type="button"
+                onClick={handleNewDraft}
+                className="text-sm text-primary hover:underline"
+              >
+                <i className="ri-add-line mr-1"></i>New lesson
+              </button>
+            )}
+          </div>
+          <ul className="border border-gray-200 rounded-md divide-y divide-gray-200">
+            {drafts.map(draft => (
+              <li
+                key={draft.id}
+                className={`flex items-center justify-between px-3 py-2 text-sm ${draft.id === draftId ? 'bg-blue-50' : ''}`}
+              >
+                <div>
+                  <span className="font-medium text-gray-700">{draft.title}</span>
+                  <span className="ml-2 text-xs text-gray-500">
+                    {draft.subject || 'No subject'} · saved {new Date(draft.createdAt).toLocaleDateString()}
+                  </span>
+                </div>
+                <div className="flex gap-3">
+                  <button
+                    type="button"
+                    onClick={() => handleOpenDraft(draft)}
+                    disabled={draft.id === draftId}
+                    className="text-primary hover:underline disabled:opacity-70 disabled:no-underline"
+                  >
+                    {draft.id === draftId ? 'Editing' : 'Open'}
+                  </button>
+                  <button
+                    type="button"
+                    title="Delete draft"
+                    onClick={() => handleDeleteDraft(draft)}
+                    className="text-gray-400 hover:text-red-500"
+                  >
+                    <i className="ri-delete-bin-line"></i>
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <SubjectSelector 
         selectedSubject={formData.subject} 
         onSelectSubject={handleSubjectSelect} 
@@ -138,33 +311,25 @@ export default function ContentWizard() {
         {/* AI Model Selection */}
         <div className="mb-4">
           <label className="block text-sm font-medium text-gray-700 mb-1">AI Model</label>
-          <div className="flex items-center space-x-4">
-            <label className="inline-flex items-center">
-              <input 
-                type="radio" 
-                name="aiModel" 
-                value="groq" 
-                checked={formData.aiModel === 'groq'} 
-                onChange={handleRadioChange}
-                className="form-radio h-4 w-4 text-blue-600" 
-              />
-              <span className="ml-2 text-sm text-gray-700 flex items-center">
-                <i className="ri-robot-line mr-1 text-blue-500"></i> GROQ
-              </span>
-            </label>
-            <label className="inline-flex items-center">
-              <input 
-                type="radio" 
-                name="aiModel" 
-                value="gemini" 
-                checked={formData.aiModel === 'gemini'} 
-                onChange={handleRadioChange}
-                className="form-radio h-4 w-4 text-green-600" 
-              />
-              <span className="ml-2 text-sm text-gray-700 flex items-center">
-                <i className="ri-google-line mr-1 text-green-500"></i> Google Gemini
-              </span>
-            </label>
+          <div className="flex items-center flex-wrap gap-4">
+            {providers.length === 0 && (
+              <span className="text-sm text-gray-500">No AI models are configured on the server</span>
+            )}
+            {providers.map(provider => (
+              <label key={provider.id} className="inline-flex items-center" title={provider.model}>
+                <input 
+                  type="radio" 
+                  name="aiModel" 
+                  value={provider.id} 
+                  checked={formData.aiModel === provider.id} 
+                  onChange={handleRadioChange}
+                  className="form-radio h-4 w-4 text-blue-600" 
+                />
+                <span className="ml-2 text-sm text-gray-700 flex items-center">
+                  <i className={`${provider.icon} mr-1 text-blue-500`}></i> {provider.name}
+                </span>
+              </label>
+            ))}
           </div>
         </div>
         
@@ -239,6 +404,22 @@ export default function ContentWizard() {
           </div>
           
           <div>
+            <div className="mb-4">
+              <label htmlFor="language" className="block text-sm font-medium text-gray-700 mb-1">Language</label>
+              <select 
+                id="language" 
+                value={formData.language}
+                onChange={handleInputChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {SUPPORTED_LANGUAGES.map(language => (
+                  <option key={language.code} value={language.code}>
+                    {language.name} ({language.nativeName})
+                  </option>
+                ))}
+              </select>
+            </div>
+            
             <div className="mb-4">
               <label htmlFor="contentDuration" className="block text-sm font-medium text-gray-700 mb-1">Video Duration</label>
               <select 
@@ -270,6 +451,30 @@ export default function ContentWizard() {
               </select>
             </div>
             
+            {courses.length > 0 && (
+              <div className="mb-4">
+                <label htmlFor="courseId" className="block text-sm font-medium text-gray-700 mb-1">Course (Optional)</label>
+                <select 
+                  id="courseId" 
+                  value={formData.courseId}
+                  onChange={handleInputChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="">Not part of a course</option>
+                  {courses.map(course => (
+                    <option key={course.id} value={course.id}>
+                      {course.title} ({course.lessonIds.length} lessons)
+                    </option>
+                  ))}
+                </select>
+                {formData.courseId && (
+                  <p className="mt-1 text-xs text-gray-500">
+                    Added as the next lesson, building on the objectives of the lessons before it.
+                  </p>
+                )}
+              </div>
+            )}
+            
             <div className="mb-4">
               <label htmlFor="specificInstructions" className="block text-sm font-medium text-gray-700 mb-1">Specific Instructions (Optional)</label>
               <textarea 
@@ -289,9 +494,10 @@ export default function ContentWizard() {
         <button 
           type="button" 
           onClick={handleSaveDraft}
-          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+          disabled={isSavingDraft || isGenerating}
+          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 disabled:opacity-70"
         >
-          Save Draft
+          {isSavingDraft ? 'Saving...' : draftId ? 'Update Draft' : 'Save Draft'}
         </button>
         <button 
           type="button" 
@@ -0,0 +1,283 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useToast } from '@/hooks/use-toast';
+import { apiRequest, queryClient } from '@/lib/queryClient';
+import { SubjectIcons } from '../lib/icons';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+function moveItem(items, from, to) {
+  const moved = [...items];
+  const [item] = moved.splice(from, 1);
+  moved.splice(to, 0, item);
+  return moved;
+}
+
+function CourseCard({ course, contents }) {
+  const { toast } = useToast();
+  const [dragIndex, setDragIndex] = useState(null);
+  const [overIndex, setOverIndex] = useState(null);
+  const [lessonToAdd, setLessonToAdd] = useState('');
+
+  const contentsById = new Map(contents.map(content => [content.id, content]));
+  const lessons = course.lessonIds.map(id => contentsById.get(id)).filter(Boolean);
+  // Any generated lesson can join, one that is in another course moves over
+  const available = contents.filter(content => content.courseId !== course.id && content.scriptContent);
+  const subject = SubjectIcons.find(s => s.id === course.subject);
+
+  const saveLessons = async (lessonIds) => {
+    // Show the new order straight away, the server confirms it
+    queryClient.setQueryData(['/api/courses'], (current = []) =>
+      current.map(c => c.id === course.id ? { ...c, lessonIds } : c)
+    );
+
+    try {
+      await apiRequest('PUT', `/api/courses/${course.id}/lessons`, { lessonIds });
+    } catch (error) {
+      toast({
+        title: 'Could not update course',
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      queryClient.invalidateQueries({ queryKey: ['/api/courses'] });
+      queryClient.invalidateQueries({ queryKey: ['/api/contents'] });
+    }
+  };
+
+  const handleDrop = (index) => {
+    if (dragIndex !== null && dragIndex !== index) {
+      saveLessons(moveItem(course.lessonIds, dragIndex, index));
+    }
+    setDragIndex(null);
+    setOverIndex(null);
+  };
+
+  const handleAdd = () => {
+    if (!lessonToAdd) return;
+    saveLessons([...course.lessonIds, parseInt(lessonToAdd)]);
+    setLessonToAdd('');
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the course "${course.title}"? Its lessons are kept.`)) {
+      return;
+    }
+
+    try {
+      await apiRequest('DELETE', `/api/courses/${course.id}`);
+      queryClient.invalidateQueries({ queryKey: ['/api/courses'] });
+      queryClient.invalidateQueries({ queryKey: ['/api/contents'] });
+    } catch (error) {
+      toast({
+        title: 'Could not delete course',
+        description: error.message,
+        variant: 'destructive'
+      });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200">
+      <div className={`px-4 py-3 border-b border-gray-200 flex items-start justify-between ${subject ? subject.bgColor : ''}`}>
+        <div>
+          <h3 className="font-medium text-lg">{course.title}</h3>
+          <p className="text-xs text-gray-600">
+            {subject ? subject.name : 'Mixed subjects'} · {lessons.length} {lessons.length === 1 ? 'lesson' : 'lessons'}
+          </p>
+          {course.description && <p className="text-sm text-gray-600 mt-1">{course.description}</p>}
+        </div>
+        <button
+          type="button"
+          title="Delete course"
+          onClick={handleDelete}
+          className="p-1 text-gray-500 hover:text-red-500"
+        >
+          <i className="ri-delete-bin-line"></i>
+        </button>
+      </div>
+
+      {lessons.length === 0 ? (
+        <p className="px-4 py-3 text-sm text-gray-500">
+          No lessons yet. Add existing lessons below, or pick this course in the wizard when generating.
+        </p>
+      ) : (
+        <ol className="divide-y divide-gray-200">
+          {lessons.map((lesson, index) => (
+            <li
+              key={lesson.id}
+              draggable
+              onDragStart={(e) => {
+                e.dataTransfer.effectAllowed = 'move';
+                setDragIndex(index);
+              }}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setOverIndex(index);
+              }}
+              onDragEnd={() => {
+                setDragIndex(null);
+                setOverIndex(null);
+              }}
+              onDrop={(e) => {
+                e.preventDefault();
+                handleDrop(index);
+              }}
+              className={`flex items-center px-4 py-2 text-sm cursor-move ${
+                dragIndex === index ? 'opacity-50' : ''
+              } ${overIndex === index && dragIndex !== index ? 'bg-blue-50' : ''}`}
+            >
+              <i className="ri-draggable text-gray-400 mr-2"></i>
+              <span className="w-6 text-gray-500">{index + 1}.</span>
+              <span className="flex-1 text-gray-800">{lesson.title}</span>
+              <span className="text-xs text-gray-500 mr-3">{lesson.status}</span>
+              <div className="flex text-gray-400">
+                <button
+                  type="button"
+                  title="Move up"
+                  onClick={() => saveLessons(moveItem(course.lessonIds, index, index - 1))}
+                  disabled={index === 0}
+                  className="p-1 hover:text-primary disabled:opacity-30"
+                >
+                  <i className="ri-arrow-up-line"></i>
+                </button>
+                <button
+                  type="button"
+                  title="Move down"
+                  onClick={() => saveLessons(moveItem(course.lessonIds, index, index + 1))}
+                  disabled={index === lessons.length - 1}
+                  className="p-1 hover:text-primary disabled:opacity-30"
+                >
+                  <i className="ri-arrow-down-line"></i>
+                </button>
+                <button
+                  type="button"
+                  title="Remove from course"
+                  onClick={() => saveLessons(course.lessonIds.filter(id => id !== lesson.id))}
+                  className="p-1 hover:text-red-500"
+                >
+                  <i className="ri-close-line"></i>
+                </button>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {available.length > 0 && (
+        <div className="flex gap-2 px-4 py-3 border-t border-gray-200">
+          <select
+            value={lessonToAdd}
+            onChange={(e) => setLessonToAdd(e.target.value)}
+            className={inputClassName}
+          >
+            <option value="">Add a lesson...</option>
+            {available.map(content => (
+              <option key={content.id} value={content.id}>
+                {content.title}{content.courseId ? ' (in another course)' : ''}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={handleAdd}
+            disabled={!lessonToAdd}
+            className="px-3 py-2 rounded-md text-sm text-white bg-primary hover:bg-primary-dark disabled:opacity-70"
+          >
+            Add
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Courses with their ordered lessons; lessons are reordered by dragging them
+ */
+export default function CourseView({ contents = [] }) {
+  const { toast } = useToast();
+  const [newCourse, setNewCourse] = useState({ title: '', subject: '', description: '' });
+  const [isCreating, setIsCreating] = useState(false);
+
+  const { data: courses = [], isLoading } = useQuery({
+    queryKey: ['/api/courses'],
+  });
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    try {
+      await apiRequest('POST', '/api/courses', {
+        title: newCourse.title,
+        subject: newCourse.subject || null,
+        description: newCourse.description || null
+      });
+      queryClient.invalidateQueries({ queryKey: ['/api/courses'] });
+      setNewCourse({ title: '', subject: '', description: '' });
+    } catch (error) {
+      toast({
+        title: 'Could not create course',
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  return (
+    <div>
+      <form onSubmit={handleCreate} className="bg-white rounded-lg border border-gray-200 p-4 mb-6">
+        <h2 className="text-md font-medium text-gray-700 mb-3">New Course</h2>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-3">
+          <input
+            type="text"
+            value={newCourse.title}
+            onChange={(e) => setNewCourse({ ...newCourse, title: e.target.value })}
+            className={inputClassName}
+            placeholder="Course title, e.g. Python for Beginners"
+          />
+          <select
+            value={newCourse.subject}
+            onChange={(e) => setNewCourse({ ...newCourse, subject: e.target.value })}
+            className={inputClassName}
+          >
+            <option value="">Mixed subjects</option>
+            {SubjectIcons.map(subject => (
+              <option key={subject.id} value={subject.id}>{subject.name}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={newCourse.description}
+            onChange={(e) => setNewCourse({ ...newCourse, description: e.target.value })}
+            className={inputClassName}
+            placeholder="Description (optional)"
+          />
+        </div>
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={isCreating || !newCourse.title.trim()}
+            className="px-4 py-2 rounded-md text-sm text-white bg-primary hover:bg-primary-dark disabled:opacity-70"
+          >
+            <i className="ri-add-line mr-1"></i> Create Course
+          </button>
+        </div>
+      </form>
+
+      {isLoading ? (
+        <p className="text-center text-gray-500 py-10">Loading courses...</p>
+      ) : courses.length === 0 ? (
+        <p className="text-center text-gray-500 py-10">No courses yet.</p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {courses.map(course => (
+            <CourseCard key={course.id} course={course} contents={contents} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import React from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { parseMarkup } from '@shared/markup';
+import { CODE_LANGUAGES, highlightCode } from '@shared/code';
+import { getMathText } from '@shared/math';
+
+const TOKEN_CLASSES = {
+  keyword: 'text-purple-300',
+  builtin: 'text-yellow-200',
+  function: 'text-sky-300',
+  string: 'text-green-300',
+  number: 'text-orange-300',
+  comment: 'text-gray-400 italic',
+  tag: 'text-red-300',
+  attribute: 'text-orange-300',
+  operator: 'text-cyan-300',
+  plain: 'text-gray-200'
+};
+
+/**
+ * A formula typeset by the server, the same SVG the slides draw. Until it
+ * arrives, or when the TeX has errors, the formula shows as plain text.
+ */
+function MathFormula({ tex, display = false }) {
+  const { data } = useQuery({
+    queryKey: [`/api/math?tex=${encodeURIComponent(tex)}&display=${display}`],
+  });
+
+  if (!data?.svg) {
+    return <span className={display ? 'block text-center' : ''} title={tex}>{data?.text ?? getMathText(tex)}</span>;
+  }
+  return (
+    <span
+      className={display ? 'block text-center my-1 overflow-x-auto' : 'inline-block'}
+      title={tex}
+      dangerouslySetInnerHTML={{ __html: data.svg }}
+    />
+  );
+}
+
+function Run({ run }) {
+  let node = run.math ? <MathFormula tex={run.text} /> : run.text;
+  if (run.italic) node = <em>{node}</em>;
+  if (run.bold) node = <strong>{node}</strong>;
+  if (run.highlight) node = <mark className="bg-yellow-100 text-gray-800 font-medium rounded px-0.5">{node}</mark>;
+  return node;
+}
+
+function Runs({ runs }) {
+  return runs.map((run, index) => <Run key={index} run={run} />);
+}
+
+function CodeBlock({ block }) {
+  const lines = highlightCode(block.code, block.language);
+  return (
+    <div className="rounded-md bg-gray-900 text-xs my-1 overflow-x-auto">
+      <div className="px-3 py-1 text-gray-400 border-b border-gray-700">{CODE_LANGUAGES[block.language]}</div>
+      <pre className="p-3 font-mono">
+        {lines.map((tokens, index) => (
+          <div key={index} className="flex">
+            <span className="select-none w-8 shrink-0 text-right pr-3 text-gray-500">{index + 1}</span>
+            <code>
+              {tokens.length === 0 ? ' ' : tokens.map((token, i) => (
+                <span key={i} className={TOKEN_CLASSES[token.type]}>{token.text}</span>
+              ))}
+            </code>
+          </div>
+        ))}
+      </pre>
+    </div>
+  );
+}
+
+/**
+ * Script text with its markup shown the way the video slides show it:
+ * bold, italic, highlighted keywords, bullet or numbered lists, highlighted
+ * code and typeset formulas
+ */
+export default function MarkupText({ text, className = '' }) {
+  const groups = [];
+  parseMarkup(text).forEach(block => {
+    const last = groups[groups.length - 1];
+    if ((block.type === 'bullet' || block.type === 'number') && last?.type === block.type) {
+      last.blocks.push(block);
+    } else {
+      groups.push({ type: block.type, blocks: [block] });
+    }
+  });
+
+  return (
+    <div className={className}>
+      {groups.map((group, index) => {
+        if (group.type === 'bullet') {
+          return (
+            <ul key={index} className="list-disc pl-5 mb-1">
+              {group.blocks.map((block, i) => <li key={i}><Runs runs={block.runs} /></li>)}
+            </ul>
+          );
+        }
+        if (group.type === 'number') {
+          return (
+            <ol key={index} start={group.blocks[0].number} className="list-decimal pl-5 mb-1">
+              {group.blocks.map((block, i) => <li key={i}><Runs runs={block.runs} /></li>)}
+            </ol>
+          );
+        }
+        if (group.type === 'code') {
+          return <CodeBlock key={index} block={group.blocks[0]} />;
+        }
+        if (group.type === 'math') {
+          return <MathFormula key={index} tex={group.blocks[0].tex} display />;
+        }
+        return <p key={index} className="mb-1"><Runs runs={group.blocks[0].runs} /></p>;
+      })}
+    </div>
+  );
+}
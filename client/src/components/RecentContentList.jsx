@@ -1,5 +1,6 @@
 import React from 'react';
 import { useToast } from '@/hooks/use-toast';
+import { REVIEW_STATUS_LABELS } from '@shared/review';
 import { SubjectIcons } from '../lib/icons';
 
 export default function RecentContentList({ contents = [], onSelectContent }) {
@@ -30,6 +31,12 @@ export default function RecentContentList({ contents = [], onSelectContent }) {
         return 'bg-yellow-100 text-yellow-800';
       case 'in-review':
         return 'bg-blue-100 text-blue-800';
+      case 'approved':
+      case 'published':
+        return 'bg-green-100 text-green-800';
+      case 'rejected':
+      case 'error':
+        return 'bg-red-100 text-red-800';
       default:
         return 'bg-gray-100 text-gray-800';
     }
@@ -105,9 +112,14 @@ export default function RecentContentList({ contents = [], onSelectContent }) {
                     <div className="text-sm text-gray-900">{formatDate(content.createdAt)}</div>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
-                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusBadgeClass(content.status)}`}>
-                      {content.status.charAt(0).toUpperCase() + content.status.slice(1)}
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusBadgeClass(content.reviewStatus)}`}>
+                      {REVIEW_STATUS_LABELS[content.reviewStatus] || content.reviewStatus}
                     </span>
+                    {content.status && content.status !== 'completed' && (
+                      <div className="text-xs text-gray-500 mt-1">
+                        Video: {content.status}
+                      </div>
+                    )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                     <button 
@@ -1,9 +1,17 @@
 import { Link, useLocation } from "wouter";
 import { useSidebar } from "../contexts/SidebarContext";
+import { useAuth } from "../hooks/use-auth";
 import { SubjectIcons } from "../lib/icons";
 
+const ROLE_NAMES = {
+  creator: "Content Creator",
+  reviewer: "Reviewer",
+  admin: "Administrator"
+};
+
 export default function Sidebar() {
   const { isOpen, toggleSidebar } = useSidebar();
+  const { user, logoutMutation } = useAuth();
   const [location] = useLocation();
   
   const isActive = (path) => location === path;
@@ -66,6 +74,18 @@ export default function Sidebar() {
                 Library
               </Link>
             </li>
+            {user?.role === 'admin' && (
+              <li>
+                <Link 
+                  href="/team" 
+                  className={`sidebar-menu-item flex items-center p-3 text-gray-800 font-medium ${isActive('/team') ? 'active' : ''}`}
+                  onClick={() => isOpen && toggleSidebar()}
+                >
+                  <i className={`ri-team-line mr-3 ${isActive('/team') ? 'text-primary' : 'text-gray-600'}`}></i>
+                  Team
+                </Link>
+              </li>
+            )}
           </ul>
           
           <p className="text-xs font-medium text-gray-500 uppercase tracking-wider mt-8 mb-2 px-3">Subject Areas</p>
@@ -90,10 +110,19 @@ export default function Sidebar() {
             <div className="w-8 h-8 rounded-full bg-gray-300 flex items-center justify-center">
               <i className="ri-user-line text-gray-500"></i>
             </div>
-            <div className="ml-3">
-              <p className="text-sm font-medium">Sarah Johnson</p>
-              <p className="text-xs text-gray-500">Content Creator</p>
+            <div className="ml-3 flex-1 min-w-0">
+              <p className="text-sm font-medium truncate">{user?.username}</p>
+              <p className="text-xs text-gray-500">{ROLE_NAMES[user?.role] || ROLE_NAMES.creator}</p>
             </div>
+            <button 
+              type="button"
+              title="Log out"
+              onClick={() => logoutMutation.mutate()}
+              disabled={logoutMutation.isPending}
+              className="ml-2 p-2 text-gray-500 hover:text-gray-700 rounded-md hover:bg-gray-100"
+            >
+              <i className="ri-logout-box-r-line text-lg"></i>
+            </button>
           </div>
         </div>
       </div>
@@ -0,0 +1,213 @@
+import React, { useEffect, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useToast } from '@/hooks/use-toast';
+import { apiRequest, queryClient } from '@/lib/queryClient';
+import { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } from '@shared/languages';
+import { MAX_BATCH_ITEMS, parseSyllabus } from '@shared/batch';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+/**
+ * Upload a CSV or JSON syllabus and queue a lesson for every row of it
+ */
+export default function SyllabusUpload() {
+  const { toast } = useToast();
+  const [fileName, setFileName] = useState('');
+  const [name, setName] = useState('');
+  const [language, setLanguage] = useState(DEFAULT_LANGUAGE);
+  const [aiModel, setAiModel] = useState('');
+  const [syllabus, setSyllabus] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const { data: providers = [] } = useQuery({
+    queryKey: ['/api/providers'],
+  });
+
+  useEffect(() => {
+    if (!aiModel && providers.length > 0) {
+      setAiModel((providers.find(provider => provider.isDefault) || providers[0]).id);
+    }
+  }, [providers, aiModel]);
+
+  const reset = () => {
+    setFileName('');
+    setName('');
+    setSyllabus(null);
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setFileName(file.name);
+    setName(file.name.replace(/\.[^.]+$/, ''));
+    setSyllabus(parseSyllabus(await file.text()));
+  };
+
+  const handleSubmit = async () => {
+    setIsSubmitting(true);
+    try {
+      const response = await apiRequest('POST', '/api/batches', {
+        name,
+        language,
+        aiModel,
+        items: syllabus.items
+      });
+      const batch = await response.json();
+      queryClient.invalidateQueries({ queryKey: ['/api/contents'] });
+      queryClient.invalidateQueries({ queryKey: ['/api/batches'] });
+
+      toast({
+        title: 'Syllabus queued',
+        description: `${batch.progress.total} lessons from "${batch.name}" are being generated. Track them in the Library.`
+      });
+      reset();
+    } catch (error) {
+      toast({
+        title: 'Could not queue syllabus',
+        description: error.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const itemCount = syllabus?.items.length ?? 0;
+  const isTooLarge = itemCount > MAX_BATCH_ITEMS;
+  const canSubmit = itemCount > 0 && !isTooLarge && name.trim() && aiModel && !isSubmitting;
+
+  return (
+    <div className="p-5">
+      <p className="text-sm text-gray-500 mb-3">
+        One lesson per row, with the columns <code>subject</code>, <code>title</code>, <code>ageGroup</code>,
+        {' '}<code>difficulty</code>, <code>format</code> and <code>duration</code>. A JSON file can hold an array of the same fields.
+      </p>
+
+      <label className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50 cursor-pointer">
+        <i className="ri-upload-2-line mr-1"></i>
+        {fileName || 'Choose a CSV or JSON file'}
+        <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFileChange} className="hidden" />
+      </label>
+
+      {syllabus && (
+        <div className="mt-4">
+          {syllabus.errors.length > 0 && (
+            <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">
+              <p className="font-medium mb-1">
+                {syllabus.errors.length} {syllabus.errors.length === 1 ? 'row was' : 'rows were'} skipped
+              </p>
+              <ul className="list-disc list-inside text-xs space-y-1">
+                {syllabus.errors.map(error => (
+                  <li key={error.row}>{error.row > 0 ? `Row ${error.row}: ` : ''}{error.message}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {isTooLarge && (
+            <p className="mb-4 text-sm text-red-600">
+              A syllabus can have at most {MAX_BATCH_ITEMS} lessons, split this one into several files.
+            </p>
+          )}
+
+          {itemCount > 0 && (
+            <>
+              <div className="overflow-x-auto max-h-64 overflow-y-auto border border-gray-200 rounded-md mb-4">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50 text-xs text-gray-500 uppercase">
+                    <tr>
+                      <th className="px-3 py-2 text-left">Title</th>
+                      <th className="px-3 py-2 text-left">Subject</th>
+                      <th className="px-3 py-2 text-left">Age</th>
+                      <th className="px-3 py-2 text-left">Difficulty</th>
+                      <th className="px-3 py-2 text-left">Format</th>
+                      <th className="px-3 py-2 text-left">Duration</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200 text-gray-700">
+                    {syllabus.items.map((item, index) => (
+                      <tr key={index}>
+                        <td className="px-3 py-2">{item.title}</td>
+                        <td className="px-3 py-2">{item.subject}</td>
+                        <td className="px-3 py-2">{item.ageGroup}</td>
+                        <td className="px-3 py-2">{item.difficultyLevel}</td>
+                        <td className="px-3 py-2">{item.contentFormat}</td>
+                        <td className="px-3 py-2">{item.duration} min</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                <div>
+                  <label htmlFor="batchName" className="block text-sm font-medium text-gray-700 mb-1">Batch Name</label>
+                  <input
+                    id="batchName"
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    className={inputClassName}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="batchLanguage" className="block text-sm font-medium text-gray-700 mb-1">Language</label>
+                  <select
+                    id="batchLanguage"
+                    value={language}
+                    onChange={(e) => setLanguage(e.target.value)}
+                    className={inputClassName}
+                  >
+                    {SUPPORTED_LANGUAGES.map(option => (
+                      <option key={option.code} value={option.code}>
+                        {option.name} ({option.nativeName})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="batchAiModel" className="block text-sm font-medium text-gray-700 mb-1">AI Model</label>
+                  <select
+                    id="batchAiModel"
+                    value={aiModel}
+                    onChange={(e) => setAiModel(e.target.value)}
+                    className={inputClassName}
+                  >
+                    {providers.map(provider => (
+                      <option key={provider.id} value={provider.id}>{provider.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            </>
+          )}
+
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={reset}
+              disabled={isSubmitting}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleSubmit}
+              disabled={!canSubmit}
+              className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary-dark disabled:opacity-70 disabled:cursor-not-allowed"
+            >
+              {isSubmitting ? (
+                <><i className="ri-loader-4-line animate-spin mr-1"></i> Queueing...</>
+              ) : (
+                <><i className="ri-stack-line mr-1"></i> Generate {itemCount} {itemCount === 1 ? 'Lesson' : 'Lessons'}</>
+              )}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import { createContext, ReactNode, useContext } from "react";
+import { useQuery, useMutation, UseMutationResult } from "@tanstack/react-query";
+import type { User } from "@shared/schema";
+import { getQueryFn, apiRequest, queryClient } from "../lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+
+type PublicUser = Omit<User, "password">;
+type Credentials = { username: string; password: string };
+
+type AuthContextType = {
+  user: PublicUser | null;
+  isLoading: boolean;
+  loginMutation: UseMutationResult<PublicUser, Error, Credentials>;
+  registerMutation: UseMutationResult<PublicUser, Error, Credentials>;
+  logoutMutation: UseMutationResult<void, Error, void>;
+};
+
+// apiRequest errors look like `401: {"message": "..."}`, show just the message
+function describeError(error: Error) {
+  const body = error.message.replace(/^\d+:\s*/, "");
+  try {
+    return JSON.parse(body).message || body;
+  } catch {
+    return body;
+  }
+}
+
+export const AuthContext = createContext<AuthContextType | null>(null);
+
+export function AuthProvider({ children }: { children: ReactNode }) {
+  const { toast } = useToast();
+  const { data: user, isLoading } = useQuery<PublicUser | null>({
+    queryKey: ["/api/user"],
+    queryFn: getQueryFn({ on401: "returnNull" }),
+  });
+
+  const onAuthenticated = (authenticatedUser: PublicUser) => {
+    // Drop anything cached for a previous user before showing the new one
+    queryClient.clear();
+    queryClient.setQueryData(["/api/user"], authenticatedUser);
+  };
+
+  const loginMutation = useMutation<PublicUser, Error, Credentials>({
+    mutationFn: async (credentials) => {
+      const res = await apiRequest("POST", "/api/login", credentials);
+      return await res.json();
+    },
+    onSuccess: onAuthenticated,
+    onError: (error) => {
+      toast({
+        title: "Login failed",
+        description: describeError(error),
+        variant: "destructive",
+      });
+    },
+  });
+
+  const registerMutation = useMutation<PublicUser, Error, Credentials>({
+    mutationFn: async (credentials) => {
+      const res = await apiRequest("POST", "/api/register", credentials);
+      return await res.json();
+    },
+    onSuccess: onAuthenticated,
+    onError: (error) => {
+      toast({
+        title: "Registration failed",
+        description: describeError(error),
+        variant: "destructive",
+      });
+    },
+  });
+
+  const logoutMutation = useMutation<void, Error, void>({
+    mutationFn: async () => {
+      await apiRequest("POST", "/api/logout");
+    },
+    onSuccess: () => {
+      queryClient.clear();
+      queryClient.setQueryData(["/api/user"], null);
+    },
+    onError: (error) => {
+      toast({
+        title: "Logout failed",
+        description: describeError(error),
+        variant: "destructive",
+      });
+    },
+  });
+
+  return (
+    <AuthContext.Provider
+      value={{
+        user: user ?? null,
+        isLoading,
+        loginMutation,
+        registerMutation,
+        logoutMutation,
+      }}
+    >
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error("useAuth must be used within an AuthProvider");
+  }
+  return context;
+}
@@ -0,0 +1,56 @@
+import { useEffect, useState } from 'react';
+import { queryClient } from '@/lib/queryClient';
+
+/**
+ * Subscribe to the server-sent render progress stream of a content item.
+ * Only connects while `enabled` is true (i.e. the content is processing) and
+ * refreshes the content queries once the render finishes or fails.
+ */
+export function useRenderProgress(contentId, enabled) {
+  const [progress, setProgress] = useState(null);
+
+  useEffect(() => {
+    if (!contentId || !enabled) {
+      setProgress(null);
+      return;
+    }
+
+    const source = new EventSource(`/api/contents/${contentId}/progress`);
+
+    source.addEventListener('progress', (event) => {
+      const update = JSON.parse(event.data);
+      setProgress(update);
+
+      if (update.phase === 'completed' || update.phase === 'error') {
+        source.close();
+        queryClient.invalidateQueries({ queryKey: ['/api/contents'] });
+      }
+    });
+
+    return () => source.close();
+  }, [contentId, enabled]);
+
+  return progress;
+}
+
+/**
+ * Overall completion from a progress update, following the order the server
+ * renders in: narration counts for the first 20%, frame rendering up to 60%
+ * and ffmpeg encoding for the rest
+ */
+export function getOverallPercent(progress) {
+  if (!progress) return 0;
+
+  switch (progress.phase) {
+    case 'narration':
+      return progress.totalFrames ? Math.round((progress.frame / progress.totalFrames) * 20) : 0;
+    case 'frames':
+      return progress.totalFrames ? Math.round(20 + (progress.frame / progress.totalFrames) * 40) : 20;
+    case 'encoding':
+      return Math.round(60 + (progress.percent || 0) * 0.4);
+    case 'completed':
+      return 100;
+    default:
+      return 0;
+  }
+}
@@ -22,28 +22,25 @@ export const generateContent = async (contentParams) => {
   }
 };
 
-export const regenerateContent = async (contentId, newParams) => {
+export const regenerateSection = async (contentId, section, { instructions, aiModel } = {}) => {
   try {
-    // First get the existing content
-    const getResponse = await fetch(`/api/contents/${contentId}`);
+    // Only the requested part of the script is rewritten; the rest stays as saved
+    const response = await fetch(`/api/contents/${contentId}/regenerate-section`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ section, instructions: instructions || undefined, aiModel }),
+    });
     
-    if (!getResponse.ok) {
-      const errorData = await getResponse.json();
-      throw new Error(errorData.message || 'Failed to retrieve content');
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.message || 'Failed to regenerate section');
     }
     
-    const existingContent = await getResponse.json();
-    
-    // Merge existing and new params
-    const contentParams = {
-      ...existingContent,
-      ...newParams,
-    };
-    
-    // Generate new content
-    return await generateContent(contentParams);
+    return await response.json();
   } catch (error) {
-    console.error('Error regenerating content:', error);
+    console.error('Error regenerating section:', error);
     throw error;
   }
-};
\ No newline at end of file
+};
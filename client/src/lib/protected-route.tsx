@@ -0,0 +1,36 @@
+import { ComponentType } from "react";
+import { Redirect, Route } from "wouter";
+import { useAuth } from "@/hooks/use-auth";
+
+/**
+ * A route that sends visitors to the login page until they are signed in
+ */
+export function ProtectedRoute({
+  path,
+  component: Component,
+}: {
+  path: string;
+  component: ComponentType<any>;
+}) {
+  const { user, isLoading } = useAuth();
+
+  if (isLoading) {
+    return (
+      <Route path={path}>
+        <div className="flex items-center justify-center h-full">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-primary"></div>
+        </div>
+      </Route>
+    );
+  }
+
+  if (!user) {
+    return (
+      <Route path={path}>
+        <Redirect to="/auth" />
+      </Route>
+    );
+  }
+
+  return <Route path={path} component={Component} />;
+}
@@ -0,0 +1,107 @@
+import { FormEvent, useState } from "react";
+import { Redirect } from "wouter";
+import { useAuth } from "@/hooks/use-auth";
+
+export default function AuthPage() {
+  const { user, loginMutation, registerMutation } = useAuth();
+  const [mode, setMode] = useState<"login" | "register">("login");
+  const [credentials, setCredentials] = useState({ username: "", password: "" });
+
+  if (user) {
+    return <Redirect to="/" />;
+  }
+
+  const isLogin = mode === "login";
+  const mutation = isLogin ? loginMutation : registerMutation;
+
+  const handleSubmit = (e: FormEvent) => {
+    e.preventDefault();
+    mutation.mutate(credentials);
+  };
+
+  const handleInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const { id, value } = e.target;
+    setCredentials({ ...credentials, [id]: value });
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 p-4">
+      <div className="w-full max-w-sm bg-white border border-gray-200 rounded-lg shadow-sm p-6">
+        <div className="flex items-center mb-6">
+          <div className="w-10 h-10 rounded-lg bg-primary flex items-center justify-center text-white">
+            <i className="ri-vidicon-line text-xl"></i>
+          </div>
+          <div className="ml-3">
+            <h1 className="text-lg font-semibold text-gray-800">TAPContent</h1>
+            <p className="text-xs text-gray-500">AI Content Generator</p>
+          </div>
+        </div>
+
+        <div className="flex mb-5 border-b border-gray-200">
+          {(["login", "register"] as const).map((tab) => (
+            <button
+              key={tab}
+              type="button"
+              onClick={() => setMode(tab)}
+              className={`flex-1 pb-2 text-sm font-medium ${
+                mode === tab ? "text-primary border-b-2 border-primary" : "text-gray-500 hover:text-gray-700"
+              }`}
+            >
+              {tab === "login" ? "Log in" : "Create account"}
+            </button>
+          ))}
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="mb-4">
+            <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-1">Username</label>
+            <input
+              type="text"
+              id="username"
+              autoComplete="username"
+              value={credentials.username}
+              onChange={handleInputChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              required
+            />
+          </div>
+
+          <div className="mb-5">
+            <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+            <input
+              type="password"
+              id="password"
+              autoComplete={isLogin ? "current-password" : "new-password"}
+              minLength={isLogin ? undefined : 8}
+              value={credentials.password}
+              onChange={handleInputChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              required
+            />
+            {!isLogin && (
+              <p className="text-xs text-gray-500 mt-1">At least 8 characters</p>
+            )}
+          </div>
+
+          <button
+            type="submit"
+            disabled={mutation.isPending}
+            className={`w-full px-4 py-2 bg-primary text-white rounded-md ${
+              mutation.isPending ? "opacity-70 cursor-not-allowed" : "hover:bg-primary-dark"
+            } focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary`}
+          >
+            {mutation.isPending ? (
+              <>
+                <i className="ri-loader-4-line animate-spin mr-1"></i> Please wait...
+              </>
+            ) : isLogin ? (
+              "Log in"
+            ) : (
+              "Create account"
+            )}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -3,6 +3,7 @@ import { useQuery } from '@tanstack/react-query';
 import Header from '../components/Header';
 import StatCard from '../components/StatCard';
 import ContentWizard from '../components/ContentWizard';
+import SyllabusUpload from '../components/SyllabusUpload';
 import ContentPreview from '../components/ContentPreview';
 import RecentContentList from '../components/RecentContentList';
 import { DashboardIcons } from '../lib/icons';
@@ -11,26 +12,13 @@ export default function Dashboard() {
   const [selectedContent, setSelectedContent] = useState(null);
   
   // Fetch all contents
-  const { data: contents, isLoading, refetch } = useQuery({
+  // Render progress is streamed by ContentVideo, which refreshes this query when a render finishes
+  const { data: allContents, isLoading } = useQuery({
     queryKey: ['/api/contents'],
     staleTime: 10000, // 10 seconds
   });
-  
-  // Refresh content every 5 seconds while "processing" state exists
-  useEffect(() => {
-    let interval;
-    
-    if (contents && contents.some(content => content.status === 'processing')) {
-      interval = setInterval(() => {
-        console.log('Refreshing content list due to processing status');
-        refetch();
-      }, 5000); // Refresh every 5 seconds
-    }
-    
-    return () => {
-      if (interval) clearInterval(interval);
-    };
-  }, [contents, refetch]);
+  // Drafts have nothing to preview yet, they are listed in the wizard instead
+  const contents = allContents?.filter(content => content.status !== 'draft' || content.scriptContent);
   
   // Calculate stats
   const getStats = () => {
@@ -70,6 +58,9 @@ export default function Dashboard() {
     }
   }, [contents, selectedContent]);
   
+  // Batch lessons wait in the queue and are written before their video renders
+  const isInProgress = ['queued', 'generating', 'processing'].includes(selectedContent?.status);
+  
   const handleSelectContent = (content) => {
     setSelectedContent(content);
   };
@@ -114,6 +105,16 @@ export default function Dashboard() {
           <ContentWizard />
         </div>
 
+        {/* Batch generation from a syllabus */}
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 mb-6">
+          <div className="p-5 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-800">Generate from a Syllabus</h2>
+            <p className="text-sm text-gray-500">Upload a whole syllabus and queue every lesson in it</p>
+          </div>
+          
+          <SyllabusUpload />
+        </div>
+
         {/* Generated Content Preview */}
         <div className="bg-white rounded-lg shadow-sm border border-gray-200 mb-6">
           <div className="p-5 border-b border-gray-200 flex justify-between items-center">
@@ -123,7 +124,7 @@ export default function Dashboard() {
             </div>
             {selectedContent && (
               <div>
-                {selectedContent.status === 'processing' && (
+                {isInProgress && (
                   <span className="bg-yellow-100 text-yellow-800 text-xs font-medium px-2.5 py-1 rounded flex items-center">
                     <span className="animate-spin h-3 w-3 border-b-2 border-yellow-800 rounded-full mr-1"></span>
                     Processing...
@@ -141,7 +142,7 @@ export default function Dashboard() {
                     Ready to Export
                   </span>
                 )}
-                {(!selectedContent.status || !['processing', 'error', 'completed'].includes(selectedContent.status)) && (
+                {(!selectedContent.status || (!isInProgress && !['error', 'completed'].includes(selectedContent.status))) && (
                   <span className="bg-blue-100 text-blue-800 text-xs font-medium px-2.5 py-1 rounded">
                     Draft
                   </span>
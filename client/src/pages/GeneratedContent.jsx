@@ -3,20 +3,42 @@ import { useQuery } from '@tanstack/react-query';
 import { useToast } from '@/hooks/use-toast';
 import { apiRequest } from '@/lib/queryClient';
 import { queryClient } from '@/lib/queryClient';
+import { useAuth } from '@/hooks/use-auth';
+import { REVIEW_STATUSES, REVIEW_STATUS_LABELS } from '@shared/review';
 import Header from '../components/Header';
 import RecentContentList from '../components/RecentContentList';
 import ContentPreview from '../components/ContentPreview';
 
 export default function GeneratedContent() {
   const { toast } = useToast();
+  const { user } = useAuth();
   const [selectedContent, setSelectedContent] = useState(null);
+  const [subjectFilter, setSubjectFilter] = useState('all');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [showReviewQueue, setShowReviewQueue] = useState(false);
   
-  // Fetch all contents
+  const canReview = user?.role === 'reviewer' || user?.role === 'admin';
+  
+  // Fetch the user's own contents, or everything waiting for review
   const { data: contents, isLoading, isError, error } = useQuery({
-    queryKey: ['/api/contents'],
+    queryKey: [showReviewQueue ? '/api/reviews' : '/api/contents'],
     staleTime: 60000, // 1 minute
   });
   
+  const filteredContents = (contents || []).filter(content =>
+    (subjectFilter === 'all' || content.subject === subjectFilter) &&
+    (statusFilter === 'all' || content.reviewStatus === statusFilter)
+  );
+  
+  // Show the latest copy of the selected lesson after edits and re-renders
+  const previewContent = (selectedContent && contents?.find(content => content.id === selectedContent.id)) || selectedContent;
+  
+  const handleToggleReviewQueue = () => {
+    setShowReviewQueue(!showReviewQueue);
+    setStatusFilter('all');
+    setSelectedContent(null);
+  };
+  
   const handleSelectContent = (content) => {
     setSelectedContent(content);
   };
@@ -63,12 +85,32 @@ export default function GeneratedContent() {
             <div className="bg-white rounded-lg shadow-sm border border-gray-200">
               <div className="p-5 border-b border-gray-200 flex justify-between items-center">
                 <div>
-                  <h2 className="text-lg font-semibold text-gray-800">Generated Content</h2>
-                  <p className="text-sm text-gray-500">All your generated educational materials</p>
+                  <h2 className="text-lg font-semibold text-gray-800">
+                    {showReviewQueue ? 'Review Queue' : 'Generated Content'}
+                  </h2>
+                  <p className="text-sm text-gray-500">
+                    {showReviewQueue ? 'Lessons waiting for a reviewer' : 'All your generated educational materials'}
+                  </p>
                 </div>
                 
                 <div className="flex space-x-2">
-                  <select className="px-3 py-1 border border-gray-300 rounded-md text-sm">
+                  {canReview && (
+                    <button
+                      type="button"
+                      onClick={handleToggleReviewQueue}
+                      className={`px-3 py-1 border rounded-md text-sm ${
+                        showReviewQueue ? 'border-primary text-primary bg-blue-50' : 'border-gray-300 text-gray-700 bg-white hover:bg-gray-50'
+                      }`}
+                    >
+                      <i className="ri-checkbox-multiple-line mr-1"></i> Review queue
+                    </button>
+                  )}
+                  
+                  <select 
+                    value={subjectFilter}
+                    onChange={(e) => setSubjectFilter(e.target.value)}
+                    className="px-3 py-1 border border-gray-300 rounded-md text-sm"
+                  >
                     <option value="all">All Subjects</option>
                     <option value="visual-arts">Visual Arts</option>
                     <option value="performing-arts">Performing Arts</option>
@@ -77,12 +119,18 @@ export default function GeneratedContent() {
                     <option value="science">Science</option>
                   </select>
                   
-                  <select className="px-3 py-1 border border-gray-300 rounded-md text-sm">
-                    <option value="all">All Status</option>
-                    <option value="completed">Completed</option>
-                    <option value="draft">Draft</option>
-                    <option value="in-review">In Review</option>
-                  </select>
+                  {!showReviewQueue && (
+                    <select 
+                      value={statusFilter}
+                      onChange={(e) => setStatusFilter(e.target.value)}
+                      className="px-3 py-1 border border-gray-300 rounded-md text-sm"
+                    >
+                      <option value="all">All Status</option>
+                      {REVIEW_STATUSES.map(status => (
+                        <option key={status} value={status}>{REVIEW_STATUS_LABELS[status]}</option>
+                      ))}
+                    </select>
+                  )}
                 </div>
               </div>
               
@@ -96,7 +144,7 @@ export default function GeneratedContent() {
                 </div>
               ) : (
                 <RecentContentList 
-                  contents={contents} 
+                  contents={filteredContents} 
                   onSelectContent={handleSelectContent} 
                 />
               )}
@@ -112,9 +160,9 @@ export default function GeneratedContent() {
                 </p>
               </div>
               
-              <ContentPreview content={selectedContent} />
+              <ContentPreview content={previewContent} />
               
-              {selectedContent && (
+              {selectedContent && selectedContent.userId === user?.id && (
                 <div className="p-5 border-t border-gray-200">
                   <button 
                     onClick={() => handleDeleteContent(selectedContent.id)}
@@ -4,16 +4,73 @@ import { useToast } from '@/hooks/use-toast';
 import { apiRequest } from '@/lib/queryClient';
 import { queryClient } from '@/lib/queryClient';
 import Header from '../components/Header';
+import BatchGroup from '../components/BatchGroup';
+import CourseView from '../components/CourseView';
 import { SubjectIcons } from '../lib/icons';
 
+function LibraryCard({ content }) {
+  const subjectIcon = SubjectIcons.find(s => s.id === content.subject) || SubjectIcons[0];
+  
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 overflow-hidden hover:shadow-md transition-shadow">
+      <div className={`px-4 py-3 ${subjectIcon.bgColor} border-b border-gray-200`}>
+        <div className="flex items-center">
+          {subjectIcon.icon}
+          <span className="font-medium">{subjectIcon.name}</span>
+        </div>
+      </div>
+      
+      <div className="p-4">
+        <h3 className="font-medium text-lg mb-1">{content.title}</h3>
+        <p className="text-sm text-gray-500 mb-2">
+          Age Group: {content.ageGroup} • {content.duration} min {content.contentFormat}
+        </p>
+        
+        <div className="border-t border-gray-200 pt-3 mt-3">
+          <div className="flex justify-between items-center">
+            <span className={`px-2 py-1 text-xs font-medium rounded-full ${
+              content.status === 'completed' ? 'bg-green-100 text-green-800' : 
+              content.status === 'draft' ? 'bg-yellow-100 text-yellow-800' : 
+              content.status === 'error' ? 'bg-red-100 text-red-800' : 
+              'bg-blue-100 text-blue-800'
+            }`}>
+              {content.status.charAt(0).toUpperCase() + content.status.slice(1)}
+            </span>
+            
+            <div className="flex space-x-2">
+              <button className="p-1 text-gray-500 hover:text-primary">
+                <i className="ri-eye-line"></i>
+              </button>
+              <button className="p-1 text-gray-500 hover:text-primary">
+                <i className="ri-download-line"></i>
+              </button>
+              <button className="p-1 text-gray-500 hover:text-primary">
+                <i className="ri-share-line"></i>
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 export default function Library() {
   const { toast } = useToast();
   const [selectedSubject, setSelectedSubject] = useState('all');
   
+  // Syllabus batches, polled while any of their lessons are still being generated
+  const { data: batches = [] } = useQuery({
+    queryKey: ['/api/batches'],
+    refetchInterval: (query) => query.state.data?.some(batch => batch.progress.isActive) ? 5000 : false,
+  });
+  const hasActiveBatch = batches.some(batch => batch.progress.isActive);
+  
   // Fetch all contents
   const { data: contents, isLoading } = useQuery({
     queryKey: ['/api/contents'],
     staleTime: 60000, // 1 minute
+    refetchInterval: hasActiveBatch ? 5000 : false,
   });
   
   // Filter contents based on selected subject
@@ -23,6 +80,18 @@ export default function Library() {
       : contents.filter(content => content.subject === selectedSubject)
     : [];
   
+  // Lessons from a syllabus upload are shown together under their batch
+  const batchGroups = batches
+    .map(batch => ({
+      batch,
+      items: filteredContents.filter(content => content.batchId === batch.id),
+      failed: (contents || []).filter(content => content.batchId === batch.id && content.status === 'error'),
+    }))
+    .filter(group => group.items.length > 0);
+  const ungroupedContents = filteredContents.filter(
+    content => !batchGroups.some(group => group.batch.id === content.batchId)
+  );
+  
   // Group contents by subject
   const getContentsBySubject = () => {
     if (!contents) return {};
@@ -39,7 +108,7 @@ export default function Library() {
   
   // Handle export of all contents for a subject
   const handleExportSubject = (subjectId) => {
-    const subjectContents = contentsBySubject[subjectId] || [];
+    const subjectContents = (contentsBySubject[subjectId] || []).filter(content => content.scriptContent);
     
     if (subjectContents.length === 0) {
       toast({
@@ -50,23 +119,14 @@ export default function Library() {
       return;
     }
     
-    // Create export data
-    const exportData = JSON.stringify(subjectContents, null, 2);
-    const blob = new Blob([exportData], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    
-    // Create download link
+    // The server streams one ZIP with a folder per lesson
     const a = document.createElement('a');
-    a.href = url;
-    a.download = `${subjectId}-contents.json`;
+    a.href = `/api/subjects/${subjectId}/package`;
     a.click();
     
-    // Clean up
-    URL.revokeObjectURL(url);
-    
     toast({
-      title: "Export successful",
-      description: `All ${subjectId} content has been exported.`
+      title: "Preparing export",
+      description: `All ${subjectId} lessons are being zipped with their videos and handouts.`
     });
   };
   
@@ -104,6 +164,17 @@ export default function Library() {
               {subject.name}
             </button>
           ))}
+          
+          <button 
+            onClick={() => setSelectedSubject('courses')}
+            className={`px-4 py-2 border-b-2 font-medium text-sm ${
+              selectedSubject === 'courses' 
+                ? 'border-primary text-primary' 
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            <i className="ri-book-open-line mr-1"></i>Courses
+          </button>
         </div>
         
         {/* Library content */}
@@ -111,6 +182,8 @@ export default function Library() {
           <div className="text-center py-10">
             <p className="text-gray-500">Loading content library...</p>
           </div>
+        ) : selectedSubject === 'courses' ? (
+          <CourseView contents={contents} />
         ) : filteredContents.length === 0 ? (
           <div className="text-center py-10 bg-white rounded-lg border border-gray-200">
             <div className="w-16 h-16 mx-auto mb-4 rounded-full bg-gray-100 flex items-center justify-center">
@@ -124,53 +197,26 @@ export default function Library() {
             </p>
           </div>
         ) : (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {filteredContents.map(content => {
-              const subjectIcon = SubjectIcons.find(s => s.id === content.subject) || SubjectIcons[0];
-              
-              return (
-                <div key={content.id} className="bg-white rounded-lg border border-gray-200 overflow-hidden hover:shadow-md transition-shadow">
-                  <div className={`px-4 py-3 ${subjectIcon.bgColor} border-b border-gray-200`}>
-                    <div className="flex items-center">
-                      {subjectIcon.icon}
-                      <span className="font-medium">{subjectIcon.name}</span>
-                    </div>
-                  </div>
-                  
-                  <div className="p-4">
-                    <h3 className="font-medium text-lg mb-1">{content.title}</h3>
-                    <p className="text-sm text-gray-500 mb-2">
-                      Age Group: {content.ageGroup} • {content.duration} min {content.contentFormat}
-                    </p>
-                    
-                    <div className="border-t border-gray-200 pt-3 mt-3">
-                      <div className="flex justify-between items-center">
-                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${
-                          content.status === 'completed' ? 'bg-green-100 text-green-800' : 
-                          content.status === 'draft' ? 'bg-yellow-100 text-yellow-800' : 
-                          'bg-blue-100 text-blue-800'
-                        }`}>
-                          {content.status.charAt(0).toUpperCase() + content.status.slice(1)}
-                        </span>
-                        
-                        <div className="flex space-x-2">
-                          <button className="p-1 text-gray-500 hover:text-primary">
-                            <i className="ri-eye-line"></i>
-                          </button>
-                          <button className="p-1 text-gray-500 hover:text-primary">
-                            <i className="ri-download-line"></i>
-                          </button>
-                          <button className="p-1 text-gray-500 hover:text-primary">
-                            <i className="ri-share-line"></i>
-                          </button>
-                        </div>
-                      </div>
-                    </div>
-                  </div>
+          <>
+            {batchGroups.map(({ batch, items, failed }) => (
+              <BatchGroup key={batch.id} batch={batch} failed={failed}>
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                  {items.map(content => <LibraryCard key={content.id} content={content} />)}
                 </div>
-              );
-            })}
-          </div>
+              </BatchGroup>
+            ))}
+            
+            {ungroupedContents.length > 0 && (
+              <section>
+                {batchGroups.length > 0 && (
+                  <h2 className="text-lg font-semibold text-gray-800 mb-4">Individual Lessons</h2>
+                )}
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                  {ungroupedContents.map(content => <LibraryCard key={content.id} content={content} />)}
+                </div>
+              </section>
+            )}
+          </>
         )}
         
         {/* Export section at the bottom */}
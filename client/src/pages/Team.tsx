@@ -0,0 +1,114 @@
+import { useMutation, useQuery } from "@tanstack/react-query";
+import type { User } from "@shared/schema";
+import { USER_ROLES, type UserRole } from "@shared/review";
+import { apiRequest, queryClient } from "@/lib/queryClient";
+import { useAuth } from "@/hooks/use-auth";
+import { useToast } from "@/hooks/use-toast";
+
+type PublicUser = Omit<User, "password">;
+
+const ROLE_DESCRIPTIONS: Record<UserRole, string> = {
+  creator: "Generates lessons and submits them for review",
+  reviewer: "Approves or requests changes on submitted lessons",
+  admin: "Manages the team and can take any review action",
+};
+
+/**
+ * Admin page for assigning roles to accounts
+ */
+export default function Team() {
+  const { user: currentUser } = useAuth();
+  const { toast } = useToast();
+
+  const { data: users = [], isLoading } = useQuery<PublicUser[]>({
+    queryKey: ["/api/users"],
+  });
+
+  const roleMutation = useMutation({
+    mutationFn: async ({ id, role }: { id: number; role: UserRole }) => {
+      const res = await apiRequest("PATCH", `/api/users/${id}`, { role });
+      return (await res.json()) as PublicUser;
+    },
+    onSuccess: (user) => {
+      queryClient.invalidateQueries({ queryKey: ["/api/users"] });
+      toast({
+        title: "Role updated",
+        description: `${user.username} is now a ${user.role}.`,
+      });
+    },
+    onError: (error: Error) => {
+      toast({
+        title: "Could not update role",
+        description: error.message,
+        variant: "destructive",
+      });
+    },
+  });
+
+  return (
+    <>
+      <header className="bg-white border-b border-gray-200 px-4 py-4 sm:px-6 sticky top-0 z-10">
+        <h1 className="text-xl font-semibold text-gray-800">Team</h1>
+        <p className="text-sm text-gray-500">Decide who creates, reviews and administers content</p>
+      </header>
+
+      <div className="p-4 sm:p-6">
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+          <div className="p-5 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-800">Accounts</h2>
+            <ul className="mt-2 space-y-1 text-sm text-gray-500">
+              {USER_ROLES.map((role) => (
+                <li key={role}>
+                  <span className="font-medium text-gray-700 capitalize">{role}</span>: {ROLE_DESCRIPTIONS[role]}
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {isLoading ? (
+            <div className="p-5 text-center">
+              <p className="text-gray-500">Loading accounts...</p>
+            </div>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-5 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Username
+                  </th>
+                  <th className="px-5 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Role
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {users.map((user) => (
+                  <tr key={user.id}>
+                    <td className="px-5 py-4 text-sm font-medium text-gray-800">
+                      {user.username}
+                      {user.id === currentUser?.id && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                    </td>
+                    <td className="px-5 py-4 text-sm">
+                      <select
+                        value={user.role}
+                        disabled={user.id === currentUser?.id || roleMutation.isPending}
+                        onChange={(e) => roleMutation.mutate({ id: user.id, role: e.target.value as UserRole })}
+                        className="px-3 py-1 border border-gray-300 rounded-md text-sm capitalize disabled:bg-gray-50"
+                      >
+                        {USER_ROLES.map((role) => (
+                          <option key={role} value={role}>
+                            {role}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
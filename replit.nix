@@ -11,5 +11,6 @@
     pkgs.pixman
     pkgs.libuuid
     pkgs.ffmpeg
+    pkgs.espeak-ng
   ];
 }
@@ -0,0 +1,163 @@
+import type { Express, Request, Response, NextFunction } from "express";
+import session from "express-session";
+import passport from "passport";
+import { Strategy as LocalStrategy } from "passport-local";
+import { randomBytes } from "crypto";
+import { ZodError } from "zod";
+import { registerUserSchema, type User as SelectUser } from "@shared/schema";
+import type { UserRole } from "@shared/review";
+import { storage } from "./storage";
+import { hashPassword, comparePasswords } from "./passwords";
+import { log } from "./vite";
+
+declare global {
+  namespace Express {
+    interface User extends SelectUser {}
+  }
+}
+
+// Never send the password hash to the client
+function toPublicUser(user: SelectUser) {
+  const { password, ...publicUser } = user;
+  return publicUser;
+}
+
+function getSessionSecret(): string {
+  if (process.env.SESSION_SECRET) {
+    return process.env.SESSION_SECRET;
+  }
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("SESSION_SECRET must be set in production");
+  }
+
+  log("SESSION_SECRET is not set, sessions will not survive a restart", "auth");
+  return randomBytes(32).toString("hex");
+}
+
+/**
+ * Reject requests without a logged-in user
+ */
+export function requireAuth(req: Request, res: Response, next: NextFunction) {
+  if (!req.isAuthenticated()) {
+    return res.status(401).json({ message: "Not logged in" });
+  }
+  next();
+}
+
+/**
+ * Reject requests from users without one of the given roles
+ */
+export function requireRole(...roles: UserRole[]) {
+  return (req: Request, res: Response, next: NextFunction) => {
+    if (!req.isAuthenticated()) {
+      return res.status(401).json({ message: "Not logged in" });
+    }
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ message: "You do not have permission to do this" });
+    }
+    next();
+  };
+}
+
+/**
+ * Sessions, passport and the login, logout and registration routes
+ */
+export function setupAuth(app: Express) {
+  const sessionSettings: session.SessionOptions = {
+    secret: getSessionSecret(),
+    resave: false,
+    saveUninitialized: false,
+    store: storage.sessionStore,
+    cookie: {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: process.env.NODE_ENV === "production",
+      maxAge: 1000 * 60 * 60 * 24 * 7, // One week
+    },
+  };
+
+  app.set("trust proxy", 1);
+  app.use(session(sessionSettings));
+  app.use(passport.initialize());
+  app.use(passport.session());
+
+  passport.use(
+    new LocalStrategy(async (username, password, done) => {
+      try {
+        const user = await storage.getUserByUsername(username);
+        if (!user || !(await comparePasswords(password, user.password))) {
+          return done(null, false);
+        }
+        return done(null, user);
+      } catch (error) {
+        return done(error);
+      }
+    }),
+  );
+
+  passport.serializeUser((user, done) => done(null, user.id));
+  passport.deserializeUser(async (id: number, done) => {
+    try {
+      const user = await storage.getUser(id);
+      done(null, user || false);
+    } catch (error) {
+      done(error);
+    }
+  });
+
+  app.post("/api/register", async (req, res, next) => {
+    try {
+      const { username, password } = registerUserSchema.parse(req.body);
+
+      if (await storage.getUserByUsername(username)) {
+        return res.status(409).json({ message: "Username already exists" });
+      }
+
+      // The first account administers the installation, everyone after starts as a creator
+      const isFirstUser = (await storage.getAllUsers()).length === 0;
+      const user = await storage.createUser({
+        username,
+        password: await hashPassword(password),
+        role: isFirstUser ? "admin" : "creator",
+      });
+
+      req.login(user, (err) => {
+        if (err) return next(err);
+        res.status(201).json(toPublicUser(user));
+      });
+    } catch (error: any) {
+      if (error instanceof ZodError) {
+        return res.status(400).json({ message: "Invalid registration data", errors: error.errors });
+      }
+      next(error);
+    }
+  });
+
+  app.post("/api/login", (req, res, next) => {
+    passport.authenticate("local", (err: any, user: SelectUser | false) => {
+      if (err) return next(err);
+      if (!user) {
+        return res.status(401).json({ message: "Invalid username or password" });
+      }
+
+      req.login(user, (loginErr) => {
+        if (loginErr) return next(loginErr);
+        res.json(toPublicUser(user));
+      });
+    })(req, res, next);
+  });
+
+  app.post("/api/logout", (req, res, next) => {
+    req.logout((err) => {
+      if (err) return next(err);
+      res.sendStatus(200);
+    });
+  });
+
+  app.get("/api/user", (req, res) => {
+    if (!req.isAuthenticated()) {
+      return res.status(401).json({ message: "Not logged in" });
+    }
+    res.json(toPublicUser(req.user));
+  });
+}
@@ -0,0 +1,32 @@
+import { Pool as NeonPool, neonConfig } from "@neondatabase/serverless";
+import { drizzle as drizzleNeon } from "drizzle-orm/neon-serverless";
+import { drizzle as drizzlePg } from "drizzle-orm/node-postgres";
+import type { PgDatabase, PgQueryResultHKT } from "drizzle-orm/pg-core";
+import pg from "pg";
+import ws from "ws";
+import * as schema from "@shared/schema";
+
+neonConfig.webSocketConstructor = ws;
+
+// Both drivers keep their pool on $client, which the session store shares
+export type Database = PgDatabase<PgQueryResultHKT, typeof schema> & { $client: pg.Pool | NeonPool };
+
+/**
+ * Create a drizzle client for the configured database.
+ * DATABASE_DRIVER=pg talks to a plain Postgres server (local development, CI),
+ * otherwise the Neon serverless driver is used as provisioned on Replit.
+ */
+export function createDb(
+  connectionString = process.env.DATABASE_URL,
+  driver = process.env.DATABASE_DRIVER || "neon",
+): Database {
+  if (!connectionString) {
+    throw new Error("DATABASE_URL must be set. Did you forget to provision a database?");
+  }
+
+  if (driver === "pg") {
+    return drizzlePg({ client: new pg.Pool({ connectionString }), schema });
+  }
+
+  return drizzleNeon({ client: new NeonPool({ connectionString }), schema });
+}
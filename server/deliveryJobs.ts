@@ -0,0 +1,165 @@
+import type { Content, Delivery, Job } from "@shared/schema";
+import { stripMarkup } from "@shared/markup";
+import { storage } from "./storage";
+import { jobQueue } from "./jobQueue";
+import { log } from "./vite";
+
+// @ts-ignore
+import { getVideoPath } from "./videoFiles";
+// @ts-ignore
+import * as whatsapp from "./whatsapp";
+
+export const DELIVER_CONTENT_JOB = "deliver-content";
+
+// Statuses reported by WhatsApp, in the order a message moves through them
+const DELIVERY_PROGRESS = ["pending", "sent", "delivered", "read"];
+
+function truncate(text: string, maxLength: number) {
+  return text.length <= maxLength ? text : `${text.slice(0, maxLength - 1)}…`;
+}
+
+function buildCaption(content: Content) {
+  const summary = stripMarkup(content.scriptContent?.opening ?? "");
+  return truncate(`*${content.title}*\n\n${summary}`.trim(), whatsapp.MAX_CAPTION_LENGTH);
+}
+
+// Every publish sends a lesson out afresh; only the deliveries of one send belong together
+function getSendDeliveries(deliveries: Delivery[], publishEventId: number | null) {
+  return deliveries.filter((delivery) => delivery.publishEventId === publishEventId);
+}
+
+/**
+ * The deliveries of the last time a lesson was sent out, one per recipient
+ */
+export async function getLatestDeliveries(contentId: number): Promise<Delivery[]> {
+  const deliveries = await storage.getDeliveries(contentId);
+  const latest = deliveries[deliveries.length - 1];
+  return latest ? getSendDeliveries(deliveries, latest.publishEventId) : [];
+}
+
+function buildObjectivesMessage(content: Content) {
+  const objectives = content.learningObjectives ?? [];
+  const lines = objectives.map((objective, index) => `${index + 1}. ${objective}`);
+  return truncate(`What you will learn in "${content.title}":\n\n${lines.join("\n")}`, whatsapp.MAX_TEXT_LENGTH);
+}
+
+async function deliverContent(job: Job) {
+  const contentId = job.payload.contentId as number;
+  const publishEventId = (job.payload.publishEventId as number | undefined) ?? null;
+  const content = await storage.getContent(contentId);
+
+  if (!content) {
+    throw new Error(`Content ${contentId} not found`);
+  }
+  if (!content.videoUrl) {
+    throw new Error("The video has not been rendered yet");
+  }
+  // Throws for a URL outside the video folder, so no other server file is ever uploaded
+  const sourcePath = getVideoPath(content.videoUrl);
+
+  // Only messages recipients have not received yet, so a retry never sends anything twice:
+  // the video to pending recipients, the objectives to everyone who got the video but not them
+  const hasObjectives = !!content.learningObjectives?.length;
+  const needsObjectives = (delivery: Delivery) => hasObjectives && !delivery.objectivesMessageId && delivery.status !== "failed";
+  const pending = getSendDeliveries(await storage.getDeliveries(contentId), publishEventId).filter(
+    (delivery) => delivery.status === "pending" || needsObjectives(delivery),
+  );
+  if (pending.length === 0) {
+    return { sent: 0 };
+  }
+
+  const client = whatsapp.getWhatsAppClient();
+  let mediaId: string | undefined;
+  if (pending.some((delivery) => delivery.status === "pending")) {
+    const videoPath = await whatsapp.fitVideoToSize(sourcePath, whatsapp.getMaxVideoBytes());
+    mediaId = await client.uploadMedia(videoPath, "video/mp4");
+  }
+
+  const failures: string[] = [];
+  for (const delivery of pending) {
+    try {
+      if (delivery.status === "pending") {
+        const messageId = await client.sendVideo(delivery.recipient, mediaId, buildCaption(content));
+        await storage.updateDelivery(delivery.id, { status: "sent", messageId, errorMessage: null });
+      }
+      if (needsObjectives(delivery)) {
+        const objectivesMessageId = await client.sendText(delivery.recipient, buildObjectivesMessage(content));
+        await storage.updateDelivery(delivery.id, { objectivesMessageId, errorMessage: null });
+      }
+    } catch (error: any) {
+      failures.push(delivery.recipient);
+      await storage.updateDelivery(delivery.id, { errorMessage: error.message });
+    }
+  }
+
+  // Let the queue retry the recipients that failed
+  if (failures.length > 0) {
+    throw new Error(`Could not deliver to ${failures.join(", ")}`);
+  }
+
+  log(`delivered content ${contentId} to ${pending.length} recipient(s)`, "whatsapp");
+  return { sent: pending.length };
+}
+
+async function markDeliveryFailed(job: Job, error: Error) {
+  const deliveries = getSendDeliveries(await storage.getDeliveries(job.payload.contentId), job.payload.publishEventId ?? null);
+  for (const delivery of deliveries) {
+    if (delivery.status === "pending") {
+      await storage.updateDelivery(delivery.id, {
+        status: "failed",
+        errorMessage: delivery.errorMessage || error.message,
+      });
+    }
+  }
+}
+
+jobQueue.register(DELIVER_CONTENT_JOB, deliverContent, markDeliveryFailed);
+
+/**
+ * Queue sending a lesson to every configured recipient. A publish event starts
+ * a new send, so recipients of an earlier version get this one too; without one
+ * the latest send is completed, trying its failed deliveries again.
+ */
+export async function enqueueDelivery(contentId: number, publishEventId?: number): Promise<Job> {
+  const deliveries = publishEventId === undefined ? await getLatestDeliveries(contentId) : [];
+  const sendId = publishEventId ?? deliveries[0]?.publishEventId ?? null;
+
+  for (const recipient of whatsapp.getRecipients() as string[]) {
+    const existing = deliveries.find((delivery) => delivery.recipient === recipient);
+    if (!existing) {
+      await storage.createDelivery({ contentId, publishEventId: sendId, recipient, status: "pending" });
+    } else if (existing.status === "failed") {
+      await storage.updateDelivery(existing.id, { status: "pending", errorMessage: null });
+    }
+  }
+
+  return jobQueue.enqueue(DELIVER_CONTENT_JOB, { contentId, publishEventId: sendId });
+}
+
+type WhatsAppStatus = {
+  id: string;
+  status: string;
+  errors?: { title?: string; message?: string }[];
+};
+
+/**
+ * Apply the message statuses from a WhatsApp webhook notification.
+ * Statuses can arrive out of order, so a delivery never moves backwards.
+ */
+export async function applyDeliveryStatuses(statuses: WhatsAppStatus[]): Promise<Delivery[]> {
+  const updated: Delivery[] = [];
+
+  for (const { id, status, errors } of statuses) {
+    const delivery = await storage.getDeliveryByMessageId(id);
+    if (!delivery) continue;
+
+    if (status === "failed") {
+      const message = errors?.[0]?.message || errors?.[0]?.title || "WhatsApp could not deliver the message";
+      updated.push((await storage.updateDelivery(delivery.id, { status: "failed", errorMessage: message }))!);
+    } else if (DELIVERY_PROGRESS.indexOf(status) > DELIVERY_PROGRESS.indexOf(delivery.status)) {
+      updated.push((await storage.updateDelivery(delivery.id, { status }))!);
+    }
+  }
+
+  return updated;
+}
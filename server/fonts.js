@@ -0,0 +1,33 @@
+/**
+ * Fonts for everything TAP draws with canvas: video slides and PDF handouts
+ */
+
+import path from 'path';
+import { registerFont } from 'canvas';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Bundled Noto fonts so Indic scripts render instead of empty boxes.
+// Family names must match the fontFamily of the languages in @shared/languages.
+const FONT_DIR = path.join(__dirname, '..', 'public', 'fonts');
+const BUNDLED_FONTS = ['Devanagari', 'Bengali', 'Gujarati', 'Tamil', 'Telugu', 'Kannada'];
+
+BUNDLED_FONTS.forEach(script => {
+  const family = `Noto Sans ${script}`;
+  try {
+    registerFont(path.join(FONT_DIR, `NotoSans${script}-Regular.ttf`), { family });
+    registerFont(path.join(FONT_DIR, `NotoSans${script}-Bold.ttf`), { family, weight: 'bold' });
+  } catch (err) {
+    console.log(`Error loading font ${family}:`, err.message);
+  }
+});
+
+/**
+ * Font stack that puts the script font of a language ahead of the Latin fallbacks
+ * @param {Object} language - Language from @shared/languages
+ * @returns {string} CSS font family list for canvas
+ */
+export function getFontFamily(language) {
+  return language.fontFamily ? `Poppins, "${language.fontFamily}", Arial` : 'Poppins, Arial';
+}
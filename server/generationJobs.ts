@@ -0,0 +1,126 @@
+import type { Content, Job } from "@shared/schema";
+import { storage } from "./storage";
+import { jobQueue } from "./jobQueue";
+import { enqueueVideoRender } from "./renderJobs";
+
+// @ts-ignore
+import { getDefaultProviderId, resolveProviderChain, generateWithFailover } from "./providers";
+
+export const GENERATE_CONTENT_JOB = "generate-content";
+
+// Only the most recent lessons of a long course are described to the model
+const MAX_COURSE_CONTEXT_LESSONS = 10;
+
+/**
+ * The generation parameters a content row was created with
+ */
+export function getContentParams(content: Content) {
+  return {
+    subject: content.subject,
+    title: content.title,
+    ageGroup: content.ageGroup,
+    difficultyLevel: content.difficultyLevel,
+    contentFormat: content.contentFormat,
+    duration: content.duration,
+    specificInstructions: content.specificInstructions || "",
+    language: content.language,
+  };
+}
+
+/**
+ * A course and the objectives of its lessons before the given position, so a
+ * series of lessons builds on itself
+ */
+export async function getCourseContext(courseId: number, beforePosition = Infinity) {
+  const course = await storage.getCourse(courseId);
+  if (!course) return undefined;
+
+  const previousLessons = (await storage.getCourseLessons(courseId))
+    .filter((lesson) => (lesson.coursePosition ?? 0) < beforePosition && lesson.learningObjectives?.length)
+    .slice(-MAX_COURSE_CONTEXT_LESSONS)
+    .map((lesson) => ({ title: lesson.title, learningObjectives: lesson.learningObjectives! }));
+
+  return { title: course.title, previousLessons };
+}
+
+/**
+ * Everything needed to generate a content row, including its place in a course
+ */
+export async function getGenerationParams(content: Content) {
+  const course = content.courseId ? await getCourseContext(content.courseId, content.coursePosition ?? Infinity) : undefined;
+  return { ...getContentParams(content), course };
+}
+
+/**
+ * The content fields filled in from a generated lesson
+ */
+export function getGeneratedFields(lesson: any, provider: any, attempts: any[]) {
+  return {
+    scriptContent: lesson.scriptContent,
+    learningObjectives: lesson.learningObjectives,
+    materials: lesson.materials,
+    visualReferences: lesson.visualReferences,
+    quiz: lesson.quiz ?? null,
+    aiModel: provider.id, // Store which AI provider actually produced the lesson
+    promptVersion: lesson.promptVersion,
+    generationAttempts: attempts,
+  };
+}
+
+async function generateContent(job: Job) {
+  const contentId = job.payload.contentId as number;
+  const content = await storage.getContent(contentId);
+
+  if (!content) {
+    throw new Error(`Content ${contentId} not found`);
+  }
+
+  const providerChain = resolveProviderChain(content.aiModel || getDefaultProviderId());
+  if (providerChain.length === 0) {
+    throw new Error("No AI models are configured");
+  }
+
+  await storage.updateContent(contentId, { status: "generating", errorMessage: null });
+  const { lesson, provider, attempts } = await generateWithFailover(providerChain, await getGenerationParams(content));
+  await storage.updateContent(contentId, getGeneratedFields(lesson, provider, attempts));
+
+  const renderJob = await enqueueVideoRender(contentId);
+  return { provider: provider.id, renderJobId: renderJob.id };
+}
+
+async function markGenerationFailed(job: Job, error: Error) {
+  await storage.updateContent(job.payload.contentId, {
+    status: "error",
+    errorMessage: error.message || "Unknown error during lesson generation"
+  });
+}
+
+jobQueue.register(GENERATE_CONTENT_JOB, generateContent, markGenerationFailed);
+
+/**
+ * Return drafts left generating by a restart of the server to draft, so they
+ * can be generated again. Lessons whose generation job is still pending are
+ * left alone, the job queue picks them up again.
+ */
+export async function recoverInterruptedDrafts(): Promise<number> {
+  const pendingJobs = [...await storage.getJobsByStatus("queued"), ...await storage.getJobsByStatus("processing")];
+  const jobContentIds = new Set(
+    pendingJobs.filter((job) => job.type === GENERATE_CONTENT_JOB).map((job) => job.payload.contentId)
+  );
+
+  let recovered = 0;
+  for (const content of await storage.getAllContents()) {
+    if (content.status !== "generating" || jobContentIds.has(content.id)) continue;
+    if (await storage.claimContentStatus(content.id, "generating", "draft")) recovered++;
+  }
+  return recovered;
+}
+
+/**
+ * Queue lesson generation for a content row; the video render is queued once the lesson exists
+ */
+export async function enqueueGeneration(contentId: number): Promise<Job> {
+  await storage.updateContent(contentId, { status: "queued", errorMessage: null });
+  // generateWithFailover already retries every provider, so the job itself runs once
+  return jobQueue.enqueue(GENERATE_CONTENT_JOB, { contentId }, 1);
+}
@@ -1,9 +1,16 @@
 import express, { type Request, Response, NextFunction } from "express";
 import { registerRoutes } from "./routes";
 import { setupVite, serveStatic, log } from "./vite";
+import { jobQueue } from "./jobQueue";
+import { recoverInterruptedDrafts } from "./generationJobs";
 
 const app = express();
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body around so webhook signatures can be checked
+  verify: (req, _res, buf) => {
+    (req as any).rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: false }));
 
 app.use((req, res, next) => {
@@ -56,6 +63,12 @@ app.use((req, res, next) => {
     serveStatic(app);
   }
 
+  // Drafts whose generation request died with the previous process can be generated again
+  const recoveredDrafts = await recoverInterruptedDrafts();
+  if (recoveredDrafts > 0) {
+    log(`returned ${recoveredDrafts} interrupted draft(s) to draft`);
+  }
+
   // ALWAYS serve the app on port 5000
   // this serves both the API and the client.
   // It is the only port that is not firewalled.
@@ -67,4 +80,7 @@ app.use((req, res, next) => {
   }, () => {
     log(`serving on port ${port}`);
   });
+
+  // Start the background workers, picking up any jobs interrupted by a restart
+  await jobQueue.start();
 })();
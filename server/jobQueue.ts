@@ -0,0 +1,151 @@
+import type { Job } from "@shared/schema";
+import { storage, type IStorage } from "./storage";
+import { log } from "./vite";
+
+export type JobHandler = (job: Job) => Promise<unknown>;
+
+interface JobDefinition {
+  handler: JobHandler;
+  // Called once a job has used up all of its attempts
+  onFailed?: (job: Job, error: Error) => Promise<void>;
+}
+
+export interface JobQueueOptions {
+  concurrency: number;
+  pollIntervalMs: number;
+  backoffBaseMs: number;
+  maxAttempts: number;
+}
+
+/**
+ * Persisted background job queue with a small in-process worker pool.
+ * Jobs live in storage so a crash or restart never loses them: on start()
+ * anything still marked as processing is put back in the queue.
+ */
+export class JobQueue {
+  private definitions = new Map<string, JobDefinition>();
+  private active = new Set<number>();
+  private timer: NodeJS.Timeout | undefined;
+  private ticking = false;
+
+  constructor(private storage: IStorage, private options: JobQueueOptions) {}
+
+  register(type: string, handler: JobHandler, onFailed?: JobDefinition["onFailed"]) {
+    this.definitions.set(type, { handler, onFailed });
+  }
+
+  async enqueue(type: string, payload: Record<string, any>, maxAttempts = this.options.maxAttempts): Promise<Job> {
+    if (!this.definitions.has(type)) {
+      throw new Error(`No handler registered for job type "${type}"`);
+    }
+
+    const job = await this.storage.createJob({ type, payload, maxAttempts, runAt: new Date() });
+    log(`queued ${type} job ${job.id}`, "jobs");
+    this.tick();
+    return job;
+  }
+
+  async start() {
+    // Recover jobs that were running when the process went away
+    const interrupted = await this.storage.getJobsByStatus("processing");
+    for (const job of interrupted) {
+      if (this.active.has(job.id)) continue;
+      await this.storage.updateJob(job.id, { status: "queued", runAt: new Date() });
+      log(`recovered interrupted ${job.type} job ${job.id}`, "jobs");
+    }
+
+    this.timer = setInterval(() => this.tick(), this.options.pollIntervalMs);
+    this.timer.unref();
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = undefined;
+  }
+
+  private async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const free = this.options.concurrency - this.active.size;
+      if (free <= 0) return;
+
+      const due = await this.storage.getDueJobs(free);
+      for (const candidate of due) {
+        const job = await this.storage.claimJob(candidate.id);
+        if (!job) continue;
+
+        this.active.add(job.id);
+        // Bookkeeping can still fail, e.g. when storage goes away; the job is
+        // then left as processing and recovered on the next start
+        this.run(job)
+          .catch((error) => console.error(`Error recording the result of ${job.type} job ${job.id}:`, error))
+          .finally(() => {
+            this.active.delete(job.id);
+            this.tick();
+          });
+      }
+    } catch (error: any) {
+      console.error("Error polling job queue:", error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  private async run(job: Job) {
+    const definition = this.definitions.get(job.type);
+    const attempts = job.attempts + 1;
+
+    try {
+      if (!definition) {
+        throw new Error(`No handler registered for job type "${job.type}"`);
+      }
+
+      log(`running ${job.type} job ${job.id} (attempt ${attempts}/${job.maxAttempts})`, "jobs");
+      const result = await definition.handler({ ...job, attempts });
+      await this.storage.updateJob(job.id, {
+        status: "completed",
+        attempts,
+        result: result ?? null,
+        lastError: null,
+      });
+      log(`${job.type} job ${job.id} completed`, "jobs");
+    } catch (err: any) {
+      const error = err instanceof Error ? err : new Error(String(err));
+      console.error(`Error running ${job.type} job ${job.id}:`, error);
+
+      if (attempts >= job.maxAttempts || !definition) {
+        const failedJob = await this.storage.updateJob(job.id, {
+          status: "failed",
+          attempts,
+          lastError: error.message,
+        });
+        if (definition?.onFailed) {
+          await definition.onFailed(failedJob ?? job, error).catch((hookError) => {
+            console.error(`Error in failure hook for job ${job.id}:`, hookError);
+          });
+        }
+        return;
+      }
+
+      // Exponential backoff before the next attempt
+      const delay = this.options.backoffBaseMs * 2 ** (attempts - 1);
+      await this.storage.updateJob(job.id, {
+        status: "queued",
+        attempts,
+        lastError: error.message,
+        runAt: new Date(Date.now() + delay),
+      });
+      log(`${job.type} job ${job.id} failed, retrying in ${delay}ms`, "jobs");
+    }
+  }
+}
+
+export const jobQueue = new JobQueue(storage, {
+  concurrency: parseInt(process.env.JOB_CONCURRENCY || "1", 10),
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS || "2000", 10),
+  backoffBaseMs: parseInt(process.env.JOB_BACKOFF_BASE_MS || "5000", 10),
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || "3", 10),
+});
@@ -0,0 +1,284 @@
+import fs from "fs";
+import type { Content } from "@shared/schema";
+import { getLanguage } from "@shared/languages";
+import { getQuizOptions, OPTION_LETTERS } from "@shared/quiz";
+import { stripMarkup } from "@shared/markup";
+import { writeZip, type ZipEntry, type ZipFileEntry } from "./zip";
+
+// @ts-ignore
+import { getVideoPath } from "./videoFiles";
+// @ts-ignore
+import { getSubtitlePath } from "./subtitles";
+// @ts-ignore
+import { createThumbnail } from "./thumbnails";
+// @ts-ignore
+import { renderPdf } from "./pdf";
+
+const PACKAGE_VERSION = 1;
+
+type DocumentBlock = {
+  type: "title" | "heading" | "subheading" | "paragraph" | "bullet" | "note";
+  text: string;
+};
+
+type PackageFile = {
+  path: string;
+  type: "manifest" | "video" | "thumbnail" | "subtitles" | "script" | "teacher-guide" | "quiz";
+  format: string;
+};
+
+type PackageEntry = ZipEntry | ZipFileEntry;
+
+function getFileStem(text: string): string {
+  return text.replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "").toLowerCase();
+}
+
+/**
+ * File name of a lesson package, also used as its folder in subject archives
+ */
+export function getPackageName(content: Content): string {
+  return getFileStem(content.title) || `lesson-${content.id}`;
+}
+
+function getLessonDetails(content: Content): string {
+  const language = getLanguage(content.language);
+  return [
+    `Subject: ${content.subject}`,
+    `Ages: ${content.ageGroup}`,
+    `Level: ${content.difficultyLevel}`,
+    `Format: ${content.contentFormat}`,
+    `Duration: ${content.duration} minutes`,
+    `Language: ${language.name}`,
+  ].join(" · ");
+}
+
+/**
+ * The narration script as it is read in the video, quiz questions included
+ */
+export function buildScriptDocument(content: Content): DocumentBlock[] {
+  const { labels } = getLanguage(content.language);
+  const blocks: DocumentBlock[] = [
+    { type: "title", text: content.title },
+    { type: "paragraph", text: getLessonDetails(content) },
+  ];
+  if (!content.scriptContent) return blocks;
+
+  const { opening, mainContent, conclusion } = content.scriptContent;
+  blocks.push({ type: "heading", text: labels.introduction }, { type: "paragraph", text: opening });
+
+  mainContent.forEach((section, index) => {
+    blocks.push(
+      { type: "heading", text: `${index + 1}. ${section.sectionTitle}` },
+      { type: "paragraph", text: section.script },
+    );
+    if (section.interactiveElement) {
+      blocks.push({ type: "note", text: `${labels.activity}: ${section.interactiveElement}` });
+    }
+  });
+
+  if (content.quiz?.length) {
+    blocks.push({ type: "heading", text: labels.quiz });
+    content.quiz.forEach((item, index) => {
+      const { options } = getQuizOptions(item);
+      blocks.push({ type: "subheading", text: `${index + 1}. ${item.question}` });
+      options.forEach((option, optionIndex) => {
+        blocks.push({ type: "bullet", text: `${OPTION_LETTERS[optionIndex]}. ${option}` });
+      });
+    });
+  }
+
+  blocks.push({ type: "heading", text: labels.conclusion }, { type: "paragraph", text: conclusion });
+  return blocks;
+}
+
+/**
+ * What a teacher needs to run the lesson: objectives, materials, the outline
+ * with its activities and the quiz answer key
+ */
+export function buildTeacherGuide(content: Content): DocumentBlock[] {
+  const blocks: DocumentBlock[] = [
+    { type: "title", text: `Teacher Guide: ${content.title}` },
+    { type: "paragraph", text: getLessonDetails(content) },
+  ];
+
+  if (content.learningObjectives?.length) {
+    blocks.push({ type: "heading", text: "Learning Objectives" });
+    content.learningObjectives.forEach((objective) => blocks.push({ type: "bullet", text: objective }));
+  }
+
+  blocks.push({ type: "heading", text: "Materials Needed" });
+  if (content.materials?.length) {
+    content.materials.forEach((material) => blocks.push({ type: "bullet", text: material }));
+  } else {
+    blocks.push({ type: "paragraph", text: "No materials are needed." });
+  }
+
+  if (content.scriptContent) {
+    blocks.push({ type: "heading", text: "Lesson Outline" });
+    content.scriptContent.mainContent.forEach((section, index) => {
+      blocks.push({ type: "bullet", text: `${index + 1}. ${section.sectionTitle}` });
+      if (section.interactiveElement) {
+        blocks.push({ type: "note", text: `Activity: ${stripMarkup(section.interactiveElement)}` });
+      }
+    });
+  }
+
+  if (content.visualReferences?.length) {
+    blocks.push({ type: "heading", text: "Visual Aids" });
+    content.visualReferences.forEach((reference) => {
+      blocks.push({ type: "bullet", text: reference.description ? `${reference.title}: ${reference.description}` : reference.title });
+    });
+  }
+
+  if (content.quiz?.length) {
+    blocks.push({ type: "heading", text: "Quiz Answer Key" });
+    content.quiz.forEach((item, index) => {
+      const { answerIndex } = getQuizOptions(item);
+      blocks.push(
+        { type: "subheading", text: `${index + 1}. ${OPTION_LETTERS[answerIndex]}. ${item.answer}` },
+        { type: "paragraph", text: item.explanation },
+      );
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Plain Markdown for document blocks
+ */
+export function toMarkdown(blocks: DocumentBlock[]): string {
+  const prefixes: Record<DocumentBlock["type"], string> = {
+    title: "# ",
+    heading: "## ",
+    subheading: "### ",
+    paragraph: "",
+    bullet: "- ",
+    note: "> ",
+  };
+
+  const lines: string[] = [];
+  blocks.forEach((block, index) => {
+    // Consecutive bullets form one list
+    const isListItem = block.type === "bullet" && blocks[index - 1]?.type === "bullet";
+    if (index > 0 && !isListItem) lines.push("");
+    lines.push(prefixes[block.type] + block.text.trim());
+  });
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * The files of one lesson package under folder, video files first. Files
+ * that do not exist yet, like the video of a lesson still rendering, are
+ * left out rather than failing the package.
+ */
+async function getLessonEntries(content: Content, folder = ""): Promise<{ entries: PackageEntry[]; files: PackageFile[] }> {
+  const entries: PackageEntry[] = [];
+  const files: PackageFile[] = [];
+  const add = (entry: PackageEntry, type: PackageFile["type"], format: string) => {
+    entries.push({ ...entry, name: folder + entry.name });
+    files.push({ path: entry.name, type, format });
+  };
+
+  let videoPath: string | null = null;
+  try {
+    videoPath = content.videoUrl ? getVideoPath(content.videoUrl) : null;
+  } catch (error: any) {
+    console.log(`Leaving the video out of the package of content ${content.id}: ${error.message}`);
+  }
+  if (videoPath && fs.existsSync(videoPath)) {
+    add({ name: "video.mp4", path: videoPath }, "video", "mp4");
+
+    try {
+      add({ name: "thumbnail.jpg", path: await createThumbnail(videoPath) }, "thumbnail", "jpg");
+    } catch (error: any) {
+      console.log(`Could not create a thumbnail for content ${content.id}: ${error.message}`);
+    }
+
+    for (const format of ["vtt", "srt"]) {
+      const subtitlePath = getSubtitlePath(videoPath, format);
+      if (content.subtitlesUrl && fs.existsSync(subtitlePath)) {
+        add({ name: `subtitles.${format}`, path: subtitlePath }, "subtitles", format);
+      }
+    }
+  }
+
+  // Script markup is Markdown already; the PDF shows its plain text
+  const script = buildScriptDocument(content);
+  const guide = buildTeacherGuide(content);
+  const plainScript = script.map((block) => ({ ...block, text: stripMarkup(block.text) }));
+  add({ name: "script.md", data: toMarkdown(script) }, "script", "md");
+  add({ name: "script.pdf", data: renderPdf(plainScript, { language: content.language }) }, "script", "pdf");
+  add({ name: "teacher-guide.md", data: toMarkdown(guide) }, "teacher-guide", "md");
+  add({ name: "teacher-guide.pdf", data: renderPdf(guide, { language: content.language }) }, "teacher-guide", "pdf");
+
+  if (content.quiz?.length) {
+    add({ name: "quiz.json", data: JSON.stringify(content.quiz, null, 2) }, "quiz", "json");
+  }
+
+  return { entries, files };
+}
+
+function getLessonManifest(content: Content, files: PackageFile[]) {
+  return {
+    id: content.id,
+    title: content.title,
+    subject: content.subject,
+    ageGroup: content.ageGroup,
+    difficultyLevel: content.difficultyLevel,
+    contentFormat: content.contentFormat,
+    duration: content.duration,
+    language: content.language,
+    learningObjectives: content.learningObjectives ?? [],
+    materials: content.materials ?? [],
+    aiModel: content.aiModel,
+    promptVersion: content.promptVersion,
+    createdAt: content.createdAt,
+    files,
+  };
+}
+
+/**
+ * Stream the ZIP package of one lesson: video, thumbnail, subtitles, the
+ * script and teacher guide as Markdown and PDF, and a manifest.json
+ */
+export async function writeLessonPackage(output: NodeJS.WritableStream, content: Content): Promise<void> {
+  const { entries, files } = await getLessonEntries(content);
+  const manifest = {
+    packageVersion: PACKAGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    ...getLessonManifest(content, [...files, { path: "manifest.json", type: "manifest", format: "json" }]),
+  };
+
+  await writeZip(output, [{ name: "manifest.json", data: JSON.stringify(manifest, null, 2) }, ...entries]);
+}
+
+/**
+ * Stream an archive of several lessons, one package per folder, with a
+ * top-level manifest.json listing them in order
+ */
+export async function writeSubjectPackage(output: NodeJS.WritableStream, subject: string, contents: Content[]): Promise<void> {
+  const entries: PackageEntry[] = [];
+  const lessons = [];
+  const usedFolders = new Set<string>();
+
+  for (const content of contents) {
+    // Lessons may share a title, every one gets its own folder
+    let folder = getPackageName(content);
+    if (usedFolders.has(folder)) folder = `${folder}-${content.id}`;
+    usedFolders.add(folder);
+
+    const lesson = await getLessonEntries(content, `${folder}/`);
+    const manifest = getLessonManifest(content, lesson.files);
+    entries.push({ name: `${folder}/manifest.json`, data: JSON.stringify(manifest, null, 2) }, ...lesson.entries);
+    lessons.push({ id: content.id, title: content.title, folder });
+  }
+
+  const manifest = {
+    packageVersion: PACKAGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    subject,
+    lessons,
+  };
+  await writeZip(output, [{ name: "manifest.json", data: JSON.stringify(manifest, null, 2) }, ...entries]);
+}
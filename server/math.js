@@ -0,0 +1,77 @@
+/**
+ * Offline typesetting of the math and chemistry notation in lesson scripts.
+ * MathJax turns TeX, with \ce{...} from mhchem for chemical equations, into
+ * self-contained SVG: glyphs are paths, so nothing needs fonts or a network.
+ * Video slides draw the SVG scaled to their font size; the preview shows the
+ * same SVG through /api/math.
+ */
+
+import { mathjax } from 'mathjax-full/js/mathjax.js';
+import { TeX } from 'mathjax-full/js/input/tex.js';
+import { SVG } from 'mathjax-full/js/output/svg.js';
+import { liteAdaptor } from 'mathjax-full/js/adaptors/liteAdaptor.js';
+import { RegisterHTMLHandler } from 'mathjax-full/js/handlers/html.js';
+import 'mathjax-full/js/input/tex/base/BaseConfiguration.js';
+import 'mathjax-full/js/input/tex/ams/AmsConfiguration.js';
+import 'mathjax-full/js/input/tex/mhchem/MhchemConfiguration.js';
+
+const MAX_CACHED = 500;
+
+const adaptor = liteAdaptor();
+RegisterHTMLHandler(adaptor);
+const mathDocument = mathjax.document('', {
+  InputJax: new TeX({ packages: ['base', 'ams', 'mhchem'] }),
+  OutputJax: new SVG({ fontCache: 'none' })
+});
+
+const cache = new Map();
+
+/**
+ * Typeset TeX to SVG. Sizes are in em of the surrounding text, taken from
+ * the viewBox where 1000 units make an em.
+ * @param {string} tex - TeX source, without $ delimiters
+ * @param {Object} [options]
+ * @param {boolean} [options.display] - Display style, as for a formula on its own line
+ * @returns {{ svg: string, width: number, height: number, depth: number }|null} Null when the TeX has errors
+ */
+export function typesetMath(tex, { display = false } = {}) {
+  const key = `${display ? 'D' : 'I'}${tex}`;
+  if (cache.has(key)) return cache.get(key);
+
+  let result = null;
+  try {
+    const svgNode = adaptor.firstChild(mathDocument.convert(tex, { display }));
+    const svg = adaptor.outerHTML(svgNode);
+    // MathJax draws its errors instead of throwing them
+    if (!svg.includes('data-mml-node="merror"')) {
+      const [, minY, width, height] = adaptor.getAttribute(svgNode, 'viewBox').split(/\s+/).map(Number);
+      result = { svg, width: width / 1000, height: height / 1000, depth: (minY + height) / 1000 };
+    }
+  } catch (err) {
+    console.log(`Could not typeset "${tex}": ${err.message}`);
+  }
+
+  // Old entries go first once the cache is full
+  if (cache.size >= MAX_CACHED) cache.delete(cache.keys().next().value);
+  cache.set(key, result);
+  return result;
+}
+
+/**
+ * SVG of a formula sized in pixels and coloured, ready for canvas to load
+ * @param {string} tex - TeX source
+ * @param {Object} options - { display, fontSize, color }
+ * @returns {{ svg: string, width: number, height: number, depth: number }|null} Sizes in pixels
+ */
+export function getMathImage(tex, { display = false, fontSize, color }) {
+  const math = typesetMath(tex, { display });
+  if (!math) return null;
+
+  const width = math.width * fontSize;
+  const height = math.height * fontSize;
+  const svg = math.svg
+    .replace(/ width="[^"]*"/, ` width="${width}px"`)
+    .replace(/ height="[^"]*"/, ` height="${height}px"`)
+    .replace(/currentColor/g, color);
+  return { svg, width, height, depth: math.depth * fontSize };
+}
@@ -0,0 +1,27 @@
+import { randomBytes, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+
+const scryptAsync = promisify(scrypt);
+
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with a random salt, stored as "<hash>.<salt>"
+ */
+export async function hashPassword(password: string): Promise<string> {
+  const salt = randomBytes(16).toString("hex");
+  const hash = (await scryptAsync(password, salt, KEY_LENGTH)) as Buffer;
+  return `${hash.toString("hex")}.${salt}`;
+}
+
+/**
+ * Check a password against a hash produced by hashPassword
+ */
+export async function comparePasswords(supplied: string, stored: string): Promise<boolean> {
+  const [hashed, salt] = stored.split(".");
+  if (!hashed || !salt) return false;
+
+  const storedHash = Buffer.from(hashed, "hex");
+  const suppliedHash = (await scryptAsync(supplied, salt, KEY_LENGTH)) as Buffer;
+  return storedHash.length === suppliedHash.length && timingSafeEqual(storedHash, suppliedHash);
+}
@@ -0,0 +1,72 @@
+/**
+ * Retry and failover for lesson generation
+ * Each provider is retried with exponential backoff, then the next provider
+ * in the configured chain is tried until one returns a valid lesson
+ */
+
+import { generateLesson } from "./lesson";
+
+const RETRY_ATTEMPTS = parseInt(process.env.AI_RETRY_ATTEMPTS || "2", 10);
+const RETRY_BASE_MS = parseInt(process.env.AI_RETRY_BASE_MS || "1000", 10);
+
+export class ProviderChainError extends Error {
+  constructor(message, attempts = []) {
+    super(message);
+    this.name = "ProviderChainError";
+    this.attempts = attempts;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * The ordered provider ids to try, starting with the requested one
+ * @param {string} preferredId - Provider the teacher picked
+ * @returns {Array<string>} Provider ids, without duplicates
+ */
+export function getProviderChain(preferredId) {
+  const configured = (process.env.AI_PROVIDER_CHAIN || "gemini,groq,openai")
+    .split(",")
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  return Array.from(new Set([preferredId, ...configured].filter(Boolean)));
+}
+
+/**
+ * Generate a lesson, retrying and falling back across providers
+ * @param {Array<Object>} providers - Providers in the order they should be tried
+ * @param {Object} contentParams - Parameters for content generation
+ * @param {Function} [generate] - (provider, contentParams) => lesson, generateLesson by default
+ * @returns {Promise<{ lesson: Object, provider: Object, attempts: Array<Object> }>}
+ */
+export async function generateWithFailover(providers, contentParams, generate = generateLesson) {
+  const attempts = [];
+
+  for (const provider of providers) {
+    for (let attempt = 1; attempt <= RETRY_ATTEMPTS; attempt++) {
+      const startedAt = Date.now();
+
+      try {
+        const lesson = await generate(provider, contentParams);
+        attempts.push({ provider: provider.id, attempt, success: true, durationMs: Date.now() - startedAt });
+        return { lesson, provider, attempts };
+      } catch (error) {
+        attempts.push({
+          provider: provider.id,
+          attempt,
+          success: false,
+          durationMs: Date.now() - startedAt,
+          error: error.message,
+        });
+        console.warn(`${provider.name} attempt ${attempt}/${RETRY_ATTEMPTS} failed: ${error.message}`);
+
+        if (attempt < RETRY_ATTEMPTS) {
+          await sleep(RETRY_BASE_MS * 2 ** (attempt - 1));
+        }
+      }
+    }
+  }
+
+  throw new ProviderChainError("All AI providers failed to generate the lesson", attempts);
+}
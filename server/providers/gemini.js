@@ -0,0 +1,53 @@
+/**
+ * Google Gemini AI integration for the TAP Educational Content Generator
+ * Provides an alternative AI model for content generation
+ */
+
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+let genAI;
+
+// Initialize the Gemini API on first use so a missing key only affects this provider
+function getClient() {
+  if (!genAI) {
+    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  }
+  return genAI;
+}
+
+/**
+ * Send a prompt to Google Gemini AI
+ * @param {Object} request - { system, prompt }
+ * @returns {Promise<string>} Raw model output
+ */
+async function complete({ system, prompt }) {
+  try {
+    // Create a model instance
+    const model = getClient().getGenerativeModel({
+      model: geminiProvider.model,
+      systemInstruction: system,
+      generationConfig: { responseMimeType: "application/json" },
+    });
+
+    // Generate content from model
+    const result = await model.generateContent(prompt);
+    const response = await result.response;
+
+    return response.text();
+  } catch (error) {
+    console.error("Error generating content with Gemini:", error);
+    throw error;
+  }
+}
+
+const geminiProvider = {
+  id: "gemini",
+  name: "Google Gemini",
+  icon: "ri-google-line",
+  model: process.env.GEMINI_MODEL || "gemini-1.5-pro",
+  isConfigured: () => !!process.env.GEMINI_API_KEY,
+  complete,
+};
+
+// Export as ES Module
+export { geminiProvider };
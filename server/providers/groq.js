@@ -0,0 +1,56 @@
+import { Groq } from "groq-sdk";
+
+let groq;
+
+// Create the client on first use so a missing key only affects this provider
+function getClient() {
+  if (!groq) {
+    groq = new Groq({
+      apiKey: process.env.GROQ_API_KEY
+    });
+  }
+  return groq;
+}
+
+/**
+ * Send a prompt to GROQ AI
+ * @param {Object} request - { system, prompt }
+ * @returns {Promise<string>} Raw model output
+ */
+async function complete({ system, prompt }) {
+  try {
+    // Call the GROQ API using the configured Llama model for creative long-form content
+    const chatCompletion = await getClient().chat.completions.create({
+      model: groqProvider.model,
+      messages: [
+        {
+          role: "system",
+          content: system
+        },
+        {
+          role: "user",
+          content: prompt
+        }
+      ],
+      temperature: 0.7,
+      max_tokens: 4096,
+      response_format: { type: "json_object" }
+    });
+
+    return chatCompletion.choices[0].message.content;
+  } catch (error) {
+    console.error("Error generating content with GROQ:", error);
+    throw new Error(`Failed to generate content: ${error.message}`);
+  }
+}
+
+const groqProvider = {
+  id: "groq",
+  name: "GROQ",
+  icon: "ri-robot-line",
+  model: process.env.GROQ_MODEL || "llama3-70b-8192",
+  isConfigured: () => !!process.env.GROQ_API_KEY,
+  complete,
+};
+
+export { groqProvider };
@@ -0,0 +1,76 @@
+/**
+ * LLM provider registry for the TAP Educational Content Generator
+ * Every provider exposes the same interface:
+ *   { id, name, icon, model, isConfigured(), complete({ system, prompt }) }
+ * where complete resolves to the raw model output. Prompting and validation
+ * are shared by all providers, see generateLesson in ./lesson
+ */
+
+import { geminiProvider } from "./gemini";
+import { groqProvider } from "./groq";
+import { openaiProvider } from "./openai";
+import { mockProvider } from "./mock";
+
+import { getProviderChain } from "./failover";
+
+export { generateLesson, translateLesson, regenerateSection, LessonValidationError } from "./lesson";
+export { generateWithFailover, ProviderChainError } from "./failover";
+
+const providers = new Map();
+
+/**
+ * Add a provider to the registry, replacing any provider with the same id
+ * @param {Object} provider - Provider implementing the shared interface
+ */
+export function registerProvider(provider) {
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Look up a provider by id
+ * @param {string} id - Provider id, e.g. "gemini"
+ * @returns {Object|undefined} The provider, if registered
+ */
+export function getProvider(id) {
+  return providers.get(String(id).toLowerCase());
+}
+
+/**
+ * List the providers that have the configuration they need to run
+ * @returns {Array<Object>} Public description of each available provider
+ */
+export function listProviders() {
+  return Array.from(providers.values())
+    .filter((provider) => provider.isConfigured())
+    .map(({ id, name, icon, model }) => ({
+      id,
+      name,
+      icon,
+      model,
+      isDefault: id === getDefaultProviderId(),
+    }));
+}
+
+/**
+ * The provider used when a request does not name one
+ * @returns {string} Provider id
+ */
+export function getDefaultProviderId() {
+  return process.env.DEFAULT_AI_PROVIDER || "gemini";
+}
+
+/**
+ * The configured providers to try for a request, starting with the requested one
+ * @param {string} preferredId - Provider the teacher picked
+ * @returns {Array<Object>} Providers in failover order
+ */
+export function resolveProviderChain(preferredId) {
+  return getProviderChain(String(preferredId).toLowerCase())
+    .map((id) => providers.get(id))
+    .filter((provider) => provider && provider.isConfigured());
+}
+
+registerProvider(geminiProvider);
+registerProvider(groqProvider);
+registerProvider(openaiProvider);
+registerProvider(mockProvider);
@@ -0,0 +1,293 @@
+/**
+ * Provider-independent lesson generation
+ * Sends the shared prompt template to a provider, then parses and validates
+ * the answer against the lesson schema. Invalid answers are first repaired
+ * locally and, if that is not enough, the provider is asked again.
+ */
+
+import { z } from "zod";
+import { generatedLessonSchema, lessonSectionSchema, quizLessonSchema } from "@shared/lesson";
+import {
+  PROMPT_VERSION,
+  SYSTEM_PROMPT,
+  buildLessonPrompt,
+  buildRepairPrompt,
+  buildSectionPrompt,
+  buildTranslationPrompt,
+  getLessonStructure,
+  getSectionStructure,
+} from "./prompt";
+
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.LLM_REPAIR_ATTEMPTS || "1", 10);
+
+export class LessonValidationError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = "LessonValidationError";
+    this.issues = issues;
+  }
+}
+
+/**
+ * Extract the JSON object from a model response, ignoring code fences or preamble
+ * @param {string} text - Raw model output
+ * @returns {Object} Parsed JSON
+ */
+function parseJsonResponse(text) {
+  let jsonText = String(text ?? "").trim();
+
+  // Clean up response in case it is wrapped in a markdown code block. Only a
+  // fence around the whole response counts, fences inside the JSON are code in the script
+  const fenced = jsonText.match(/^```(?:json)?\s*([\s\S]*?)```$/i);
+  if (fenced) {
+    jsonText = fenced[1].trim();
+  }
+
+  try {
+    return JSON.parse(jsonText);
+  } catch (error) {
+    // Fall back to the outermost braces
+    const start = jsonText.indexOf("{");
+    const end = jsonText.lastIndexOf("}");
+    if (start !== -1 && end > start) {
+      return JSON.parse(jsonText.slice(start, end + 1));
+    }
+    throw error;
+  }
+}
+
+const toText = (value) => {
+  if (typeof value === "string") return value.trim();
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean).join("\n");
+  if (typeof value === "object") {
+    if (value.text) return toText(value.text);
+    if (value.script) return toText(value.script);
+    return Object.values(value).map(toText).filter(Boolean).join("\n");
+  }
+  return String(value);
+};
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean);
+  if (typeof value === "string") {
+    return value
+      .split(/\n|;/)
+      .map((item) => item.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "").trim())
+      .filter(Boolean);
+  }
+  return [];
+};
+
+/**
+ * Coerce a quiz question given with other key names, or with every option
+ * listed together, into the quiz question structure
+ * @param {Object} raw - One question from the model output
+ * @returns {Object} Best-effort question
+ */
+function repairQuizQuestion(raw) {
+  const item = raw && typeof raw === "object" ? raw : { question: raw };
+  const answer = toText(item.answer ?? item.correctAnswer ?? item.correct);
+  const distractors = toList(item.distractors ?? item.wrongAnswers ?? item.incorrectAnswers ?? item.options)
+    .filter((option) => option !== answer);
+
+  return {
+    question: toText(item.question ?? item.prompt),
+    answer,
+    distractors,
+    explanation: toText(item.explanation ?? item.feedback),
+  };
+}
+
+/**
+ * Coerce the common near-misses (a script as one string, objectives as a
+ * paragraph, sections as plain strings...) into the lesson structure
+ * @param {Object} raw - Parsed model output
+ * @returns {Object} Best-effort lesson
+ */
+export function repairLesson(raw) {
+  const lesson = raw && typeof raw === "object" ? raw : {};
+  let script = lesson.scriptContent;
+
+  if (typeof script === "string") {
+    try {
+      script = JSON.parse(script);
+    } catch {
+      const paragraphs = script.split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean);
+      script = {
+        opening: paragraphs[0],
+        mainContent: paragraphs.slice(1, -1),
+        conclusion: paragraphs.length > 1 ? paragraphs[paragraphs.length - 1] : undefined,
+      };
+    }
+  }
+  script = script && typeof script === "object" ? script : {};
+
+  let sections = script.mainContent;
+  if (!Array.isArray(sections)) {
+    sections = sections ? [sections] : [];
+  }
+  sections = sections
+    .map((section, index) => {
+      if (section && typeof section === "object") {
+        return {
+          sectionTitle: toText(section.sectionTitle || section.title) || `Part ${index + 1}`,
+          script: toText(section.script ?? section.content ?? section.text),
+          ...(section.interactiveElement ? { interactiveElement: toText(section.interactiveElement) } : {}),
+        };
+      }
+      return { sectionTitle: `Part ${index + 1}`, script: toText(section) };
+    })
+    .filter((section) => section.script);
+
+  const visualReferences = (Array.isArray(lesson.visualReferences) ? lesson.visualReferences : toList(lesson.visualReferences))
+    .map((reference) =>
+      reference && typeof reference === "object"
+        ? { title: toText(reference.title), description: toText(reference.description) }
+        : { title: toText(reference), description: "" },
+    )
+    .filter((reference) => reference.title);
+
+  const quiz = lesson.quiz ?? lesson.questions;
+
+  return {
+    scriptContent: {
+      opening: toText(script.opening),
+      mainContent: sections,
+      conclusion: toText(script.conclusion),
+    },
+    learningObjectives: toList(lesson.learningObjectives),
+    materials: toList(lesson.materials),
+    visualReferences,
+    ...(Array.isArray(quiz) ? { quiz: quiz.map(repairQuizQuestion) } : {}),
+    ...(lesson.teacherNotes ? { teacherNotes: toText(lesson.teacherNotes) } : {}),
+  };
+}
+
+const formatIssues = (zodError) =>
+  zodError.errors.map((issue) => `${issue.path.join(".") || "response"}: ${issue.message}`);
+
+// What the model returns when rewriting the opening or the conclusion
+const sectionTextSchema = z.object({ text: z.string().min(1) });
+
+/**
+ * Parse and validate one raw provider response
+ * @param {string} text - Raw model output
+ * @param {Object} schema - Zod schema the answer must match
+ * @param {Function} repair - Best-effort fix applied when the answer does not match
+ * @returns {{ value?: Object, issues: Array<string> }}
+ */
+function validateResponse(text, schema, repair) {
+  let parsed;
+  try {
+    parsed = parseJsonResponse(text);
+  } catch (error) {
+    return { issues: [`response is not valid JSON (${error.message})`] };
+  }
+
+  const strict = schema.safeParse(parsed);
+  if (strict.success) return { value: strict.data, issues: [] };
+
+  const repaired = schema.safeParse(repair(parsed));
+  if (repaired.success) return { value: repaired.data, issues: [] };
+
+  return { issues: formatIssues(repaired.error) };
+}
+
+/**
+ * Send a prompt and keep asking for repairs until the answer matches the schema
+ * @param {Object} provider - Provider from the registry
+ * @param {string} initialPrompt - First user prompt
+ * @param {Object} contentParams - Parameters for content generation
+ * @param {Object} [expected] - { schema, repair, structure, section } for answers that are not a whole lesson
+ * @returns {Promise<Object>} The validated answer
+ */
+async function requestJson(provider, initialPrompt, contentParams, expected = {}) {
+  const { schema = generatedLessonSchema, repair = repairLesson, structure, section } = expected;
+  let prompt = initialPrompt;
+  let issues = [];
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const text = await provider.complete({ system: SYSTEM_PROMPT, prompt, contentParams, section });
+    const result = validateResponse(text, schema, repair);
+
+    if (result.value) {
+      return result.value;
+    }
+
+    issues = result.issues;
+    console.warn(`${provider.name} returned an invalid answer (attempt ${attempt + 1}):`, issues);
+    prompt = buildRepairPrompt(text, issues, structure);
+  }
+
+  throw new LessonValidationError(`${provider.name} did not return a valid lesson`, issues);
+}
+
+/**
+ * Send a prompt and keep asking for repairs until the answer is a valid lesson
+ * @param {Object} provider - Provider from the registry
+ * @param {string} initialPrompt - First user prompt
+ * @param {Object} contentParams - Parameters for content generation
+ * @param {boolean} [withQuiz] - Whether the lesson must include quiz questions
+ * @returns {Promise<Object>} Lesson plus the prompt version that produced it
+ */
+async function requestLesson(provider, initialPrompt, contentParams, withQuiz = contentParams.contentFormat === "quiz") {
+  const lesson = await requestJson(provider, initialPrompt, contentParams, {
+    schema: withQuiz ? quizLessonSchema : generatedLessonSchema,
+    structure: getLessonStructure(withQuiz),
+  });
+  return { ...lesson, promptVersion: PROMPT_VERSION };
+}
+
+/**
+ * Generate a schema-valid lesson with the given provider
+ * @param {Object} provider - Provider from the registry
+ * @param {Object} contentParams - Parameters for content generation
+ * @returns {Promise<Object>} Lesson plus the prompt version that produced it
+ */
+export async function generateLesson(provider, contentParams) {
+  return requestLesson(provider, buildLessonPrompt(contentParams), contentParams);
+}
+
+/**
+ * Translate an existing lesson with the given provider
+ * @param {Object} provider - Provider from the registry
+ * @param {Object} lesson - Source lesson in the shared lesson structure
+ * @param {Object} contentParams - Parameters of the translated lesson, including the target language
+ * @returns {Promise<Object>} Translated lesson plus the prompt version that produced it
+ */
+export async function translateLesson(provider, lesson, contentParams) {
+  // A translated quiz keeps its questions, whatever format the lesson was created with
+  return requestLesson(provider, buildTranslationPrompt(lesson, contentParams.language), contentParams, !!lesson.quiz?.length);
+}
+
+/**
+ * Rewrite one part of a lesson with the given provider, leaving the rest as it is
+ * @param {Object} provider - Provider from the registry
+ * @param {Object} lesson - Current lesson in the shared lesson structure
+ * @param {string|number} section - "opening", "conclusion" or a main section index
+ * @param {Object} contentParams - Parameters of the lesson
+ * @param {string} [instructions] - What the teacher wants changed
+ * @returns {Promise<string|Object>} The new text, or the new main section
+ */
+export async function regenerateSection(provider, lesson, section, contentParams, instructions) {
+  const prompt = buildSectionPrompt(lesson, section, contentParams, instructions);
+  const structure = getSectionStructure(section);
+
+  if (typeof section === "number") {
+    return requestJson(provider, prompt, contentParams, {
+      schema: lessonSectionSchema,
+      repair: (raw) => repairLesson({ scriptContent: { mainContent: [raw] } }).scriptContent.mainContent[0],
+      structure,
+      section,
+    });
+  }
+
+  const { text } = await requestJson(provider, prompt, contentParams, {
+    schema: sectionTextSchema,
+    repair: (raw) => ({ text: toText(raw?.text ?? raw?.[section] ?? raw) }),
+    structure,
+    section,
+  });
+  return text;
+}
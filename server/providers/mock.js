@@ -0,0 +1,116 @@
+/**
+ * Offline mock provider for the TAP Educational Content Generator
+ * Builds a deterministic lesson from the request so the generation and video
+ * pipeline can be exercised without network access or API keys
+ */
+
+/**
+ * Build a placeholder lesson from the content parameters
+ * @param {Object} contentParams - Parameters for content generation
+ * @returns {Object} Lesson in the shared lesson structure
+ */
+function buildMockLesson(contentParams) {
+  const { subject, title, ageGroup, difficultyLevel } = contentParams;
+
+  return {
+    scriptContent: {
+      opening: `Welcome! Today we are going to explore ${title}, a ${difficultyLevel} ${subject} lesson for ages ${ageGroup}.`,
+      mainContent: [
+        {
+          sectionTitle: `What is ${title}?`,
+          script: `Let's start with the basics of ${title} and why it matters in ${subject}.`,
+          interactiveElement: `Ask learners to share one thing they already know about ${title}.`
+        },
+        {
+          sectionTitle: "Let's try it",
+          script: `Now we will work through a simple example of ${title} together, step by step:\n1. Read the example **carefully** 👀\n2. Try it *on your own*\n3. Check your answer${
+            /coding|computer/i.test(subject) ? `\n\`\`\`python\nfor step in range(3):\n    print("Step", step + 1)\n\`\`\`` : ""
+          }${
+            /science|chemistry|biology/i.test(subject) ? "\nPlants make sugar from light: $\\ce{6CO2 + 6H2O -> C6H12O6 + 6O2}$" : ""
+          }${
+            /math|finance/i.test(subject) ? "\n$$\\frac{1}{2} + \\frac{1}{4} = \\frac{3}{4}$$" : ""
+          }`,
+          interactiveElement: "Pause the video and try the example on your own."
+        }
+      ],
+      conclusion: `Great work! You have taken your first steps with ${title}. Keep practising!`
+    },
+    learningObjectives: [
+      `Explain what ${title} is`,
+      `Try a simple ${title} example`,
+      `Connect ${title} to everyday life`
+    ],
+    materials: ["Paper", "Pencil"],
+    visualReferences: [
+      { title: `${title} overview`, description: `A friendly illustration introducing ${title}.` },
+      { title: "Worked example", description: `A step-by-step diagram of a ${title} example.` }
+    ],
+    ...(contentParams.contentFormat === "quiz" ? { quiz: buildMockQuiz(title) } : {}),
+    teacherNotes: "Generated offline by the mock provider.",
+  };
+}
+
+/**
+ * Build placeholder quiz questions about the lesson title
+ * @param {string} title - Lesson title
+ * @returns {Array<Object>} Questions in the shared quiz structure
+ */
+function buildMockQuiz(title) {
+  return [
+    {
+      question: `What is today's lesson about?`,
+      answer: title,
+      distractors: ["Cooking pasta", "Riding a bicycle", "Planting trees"],
+      explanation: `The whole lesson explored ${title}.`
+    },
+    {
+      question: `What should you do after the worked example of ${title}?`,
+      answer: "Try it on your own",
+      distractors: ["Skip to the end", "Close the video", "Forget about it"],
+      explanation: "Practising on your own is how the idea sticks."
+    },
+    {
+      question: `Where can you use ${title}?`,
+      answer: "In everyday life",
+      distractors: ["Only on the moon", "Nowhere at all", "Only in the year 3000"],
+      explanation: `The lesson connected ${title} to everyday life.`
+    }
+  ];
+}
+
+/**
+ * Answer a prompt with a mock lesson, going through the same parsing and
+ * validation as real providers
+ * @param {Object} request - { system, prompt, contentParams, section }
+ * @returns {Promise<string>} Raw JSON output
+ */
+async function complete({ contentParams, section }) {
+  const lesson = buildMockLesson(contentParams);
+  
+  // Tag the opening so translated rows are easy to tell apart
+  if (contentParams.language && contentParams.language !== "en") {
+    lesson.scriptContent.opening = `[${contentParams.language}] ${lesson.scriptContent.opening}`;
+  }
+  
+  // Regenerating one part of a lesson answers with just that part
+  if (typeof section === "number") {
+    const { mainContent } = lesson.scriptContent;
+    const mockSection = mainContent[section % mainContent.length];
+    return JSON.stringify({ ...mockSection, script: `Here is another way to look at it. ${mockSection.script}` });
+  }
+  if (section) {
+    return JSON.stringify({ text: `Here is another way to put it. ${lesson.scriptContent[section]}` });
+  }
+  return JSON.stringify(lesson);
+}
+
+const mockProvider = {
+  id: "mock",
+  name: "Offline Mock",
+  icon: "ri-flask-line",
+  model: "mock",
+  isConfigured: () => process.env.ENABLE_MOCK_PROVIDER === "true",
+  complete,
+};
+
+export { mockProvider };
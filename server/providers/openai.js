@@ -0,0 +1,56 @@
+/**
+ * OpenAI integration for the TAP Educational Content Generator
+ */
+
+import OpenAI from "openai";
+
+let openai;
+
+// Create the client on first use so a missing key only affects this provider
+function getClient() {
+  if (!openai) {
+    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return openai;
+}
+
+/**
+ * Send a prompt to OpenAI chat completions
+ * @param {Object} request - { system, prompt }
+ * @returns {Promise<string>} Raw model output
+ */
+async function complete({ system, prompt }) {
+  try {
+    const completion = await getClient().chat.completions.create({
+      model: openaiProvider.model,
+      messages: [
+        {
+          role: "system",
+          content: system
+        },
+        {
+          role: "user",
+          content: prompt
+        }
+      ],
+      temperature: 0.7,
+      response_format: { type: "json_object" }
+    });
+
+    return completion.choices[0].message.content;
+  } catch (error) {
+    console.error("Error generating content with OpenAI:", error);
+    throw new Error(`Failed to generate content: ${error.message}`);
+  }
+}
+
+const openaiProvider = {
+  id: "openai",
+  name: "OpenAI",
+  icon: "ri-openai-line",
+  model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+  isConfigured: () => !!process.env.OPENAI_API_KEY,
+  complete,
+};
+
+export { openaiProvider };
@@ -0,0 +1,246 @@
+/**
+ * Lesson prompt template shared by every AI provider
+ * Bump PROMPT_VERSION whenever the wording or the requested structure changes;
+ * the version is stored on each content row that the template produced
+ */
+
+import { getLanguage } from "@shared/languages";
+
+export const PROMPT_VERSION = "lesson-v7";
+
+export const SYSTEM_PROMPT = `You are an expert educational content creator for The Apprentice Project (TAP), an educational NGO that provides engaging educational content for children. Your content is factually correct, age-appropriate and engaging. You always answer with a single JSON object and nothing else.`;
+
+const RESPONSE_STRUCTURE = `{
+  "scriptContent": {
+    "opening": "Opening script",
+    "mainContent": [
+      {
+        "sectionTitle": "Section title",
+        "script": "Detailed script for this section",
+        "interactiveElement": "Suggestion for an interactive element to engage learners"
+      }
+    ],
+    "conclusion": "Closing script"
+  },
+  "learningObjectives": ["objective 1", "objective 2", "objective 3"],
+  "materials": ["material 1", "material 2"],
+  "visualReferences": [
+    { "title": "Visual title", "description": "Detailed description of the visual aid" }
+  ],
+  "teacherNotes": "Additional notes for the teacher or presenter"
+}`;
+
+// The lesson structure with the questions asked in the "quiz" format
+const QUIZ_RESPONSE_STRUCTURE = RESPONSE_STRUCTURE.replace(
+  `  "teacherNotes"`,
+  `  "quiz": [
+    {
+      "question": "Multiple-choice question",
+      "answer": "The correct answer",
+      "distractors": ["wrong answer 1", "wrong answer 2", "wrong answer 3"],
+      "explanation": "Why the answer is correct"
+    }
+  ],
+  "teacherNotes"`
+);
+
+const SECTION_STRUCTURE = `{
+  "sectionTitle": "Section title",
+  "script": "Detailed script for this section",
+  "interactiveElement": "Suggestion for an interactive element to engage learners"
+}`;
+
+// The markup the video slides render, see @shared/markup
+const MARKUP_RULES = `- "opening", "script", "interactiveElement" and "conclusion" may use light markup: **bold** for key terms, *italic* for emphasis, ==keyword== to highlight the single most important word, lines starting with "- " for bullets or "1. " for steps (separate lines with \\n), and a few emoji where they help young learners. Use it sparingly; everything else is plain text.
+- Put code in a "script" between \`\`\` fences, naming the language after the opening fence: python, javascript, html, or scratch for Scratch blocks written as text. Keep each block under 15 short lines; slides reveal it line by line, so add "static" after the language for code that should appear all at once.
+- Write math as TeX between $...$, or on a line of its own between $$...$$, and chemical formulas and equations with \\ce{...}, e.g. $\\ce{2H2 + O2 -> 2H2O}$ or $$A = P\\left(1 + \\frac{r}{n}\\right)^{nt}$$. Backslashes must be escaped in the JSON ("\\\\frac"). Only use it for real formulas; amounts of money stay plain text.
+- Never use markup in titles, objectives, materials or quiz fields.`;
+
+const TEXT_STRUCTURE = `{
+  "text": "The rewritten script"
+}`;
+
+/**
+ * The JSON structure a whole lesson is expected in
+ * @param {boolean} withQuiz - Whether the lesson includes quiz questions
+ * @returns {string} Example structure
+ */
+export function getLessonStructure(withQuiz) {
+  return withQuiz ? QUIZ_RESPONSE_STRUCTURE : RESPONSE_STRUCTURE;
+}
+
+/**
+ * Instructions that keep the JSON keys in English while the lesson itself is
+ * written in the target language
+ * @param {string} languageCode - Target language code
+ * @returns {string} Prompt lines, empty for English
+ */
+function buildLanguageRules(languageCode) {
+  const language = getLanguage(languageCode);
+  if (language.code === "en") return "";
+
+  return `
+- Write every text value in ${language.name} (${language.nativeName}) using its native script.
+- Keep the JSON keys exactly as shown, in English.
+- Keep the language simple enough for the age group; well-known technical terms may stay in English.`;
+}
+
+/**
+ * Describe the earlier lessons of a course so the new lesson builds on them
+ * @param {Object} [course] - { title, previousLessons: [{ title, learningObjectives }] }
+ * @returns {string} Prompt lines, empty when the lesson is not part of a course
+ */
+function buildCourseContext(course) {
+  if (!course) return "";
+
+  const lessons = course.previousLessons.map(
+    (lesson, index) => `${index + 1}. ${lesson.title}: ${lesson.learningObjectives.join("; ")}`
+  );
+  if (lessons.length === 0) {
+    return `\nThis is the first lesson of the course "${course.title}", so assume no prior lessons.\n`;
+  }
+
+  return `
+This lesson is part of the course "${course.title}". Learners have already completed these lessons, listed with their learning objectives:
+${lessons.join("\n")}
+
+Build on what these lessons taught: refer back to it where it helps, and do not teach it again from scratch.
+`;
+}
+
+/**
+ * Build the lesson generation prompt
+ * @param {Object} contentParams - Parameters for content generation, with the course context if any
+ * @returns {string} User prompt
+ */
+export function buildLessonPrompt(contentParams) {
+  const {
+    subject,
+    title,
+    ageGroup,
+    difficultyLevel,
+    contentFormat,
+    duration,
+    specificInstructions,
+    language,
+    course,
+  } = contentParams;
+
+  return `
+Create a detailed educational video script for a ${contentFormat} on "${title}".
+
+Content details:
+- Subject: ${subject}
+- Age Group: ${ageGroup} years
+- Difficulty: ${difficultyLevel}
+- Duration: ${duration} minutes
+- Language: ${getLanguage(language).name}
+${specificInstructions ? `- Special Instructions: ${specificInstructions}` : ""}
+${buildCourseContext(course)}
+Return a JSON object with exactly this structure:
+${getLessonStructure(contentFormat === "quiz")}
+
+Rules:
+- "mainContent" has 3-6 sections.
+${MARKUP_RULES}
+- "learningObjectives" has 3-5 items and "visualReferences" has 3-5 items.
+- Include interactive elements where appropriate for the age group.${contentFormat === "quiz" ? `
+- "quiz" has 4-8 questions that check the learning objectives, in the order the lesson teaches them.
+- Every question has exactly one correct "answer" and 3 plausible "distractors" that are clearly wrong to someone who followed the lesson.
+- Keep questions and answers short enough to read aloud; the "explanation" is one or two sentences.` : ""}
+- Do not include any preamble, markdown or text outside the JSON object.${buildLanguageRules(language)}
+`.trim();
+}
+
+/**
+ * Build the prompt that translates an existing lesson into another language
+ * @param {Object} lesson - Lesson in the shared lesson structure
+ * @param {string} languageCode - Target language code
+ * @returns {string} User prompt
+ */
+export function buildTranslationPrompt(lesson, languageCode) {
+  const language = getLanguage(languageCode);
+
+  return `
+Translate this educational lesson into ${language.name} (${language.nativeName}).
+
+Lesson:
+${JSON.stringify(lesson, null, 2)}
+
+Return the translated lesson as a JSON object with exactly this structure:
+${getLessonStructure(!!lesson.quiz?.length)}
+
+Rules:
+- Translate the meaning naturally for children; do not add, drop or reorder sections.
+- Keep any markup (**bold**, *italic*, ==highlight==, list lines and emoji) around the matching translated words.
+- Copy math between $ signs, including \\ce{...} formulas, exactly as written; never translate it.
+- Write every text value in ${language.name} using its native script.
+- Keep the JSON keys exactly as shown, in English.
+- Do not include any preamble, markdown or text outside the JSON object.
+`.trim();
+}
+
+/**
+ * The JSON structure expected when regenerating one part of a lesson
+ * @param {string|number} section - "opening", "conclusion" or a main section index
+ * @returns {string} Structure example
+ */
+export function getSectionStructure(section) {
+  return typeof section === "number" ? SECTION_STRUCTURE : TEXT_STRUCTURE;
+}
+
+/**
+ * Build the prompt that rewrites one part of a lesson, with the rest of the
+ * lesson as context so the new part still fits in
+ * @param {Object} lesson - Lesson in the shared lesson structure
+ * @param {string|number} section - "opening", "conclusion" or a main section index
+ * @param {Object} contentParams - Parameters of the lesson
+ * @param {string} [instructions] - What the teacher wants changed
+ * @returns {string} User prompt
+ */
+export function buildSectionPrompt(lesson, section, contentParams, instructions) {
+  const { title, subject, ageGroup, difficultyLevel, language } = contentParams;
+  const target = typeof section === "number"
+    ? `main section ${section + 1} ("${lesson.scriptContent.mainContent[section].sectionTitle}")`
+    : `the ${section}`;
+
+  return `
+Rewrite ${target} of this ${difficultyLevel} ${subject} lesson on "${title}" for ages ${ageGroup}.
+
+Current lesson:
+${JSON.stringify(lesson, null, 2)}
+
+${instructions ? `Teacher's instructions: ${instructions}\n\n` : ""}Return only the rewritten part as a JSON object with exactly this structure:
+${getSectionStructure(section)}
+
+Rules:
+- Keep it consistent with the sections before and after it; do not repeat what they already cover.
+- Write a fresh version rather than copying the current text.
+${MARKUP_RULES}
+- Do not include any preamble, markdown or text outside the JSON object.${buildLanguageRules(language)}
+`.trim();
+}
+
+/**
+ * Build a follow-up prompt asking the model to fix an invalid response
+ * @param {string} previousResponse - The raw text the model returned
+ * @param {Array<string>} issues - Validation problems found in the response
+ * @param {string} [structure] - Expected JSON structure, a full lesson by default
+ * @returns {string} User prompt
+ */
+export function buildRepairPrompt(previousResponse, issues, structure = RESPONSE_STRUCTURE) {
+  return `
+Your previous response did not match the required JSON structure.
+
+Problems found:
+${issues.map((issue) => `- ${issue}`).join("\n")}
+
+Previous response:
+${previousResponse}
+
+Return the corrected answer as a JSON object with exactly this structure:
+${structure}
+
+Do not include any text outside the JSON object.
+`.trim();
+}
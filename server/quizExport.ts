@@ -0,0 +1,227 @@
+import { randomUUID } from "crypto";
+import type { Content } from "@shared/schema";
+import type { QuizQuestion } from "@shared/lesson";
+import { getQuizOptions, OPTION_LETTERS } from "@shared/quiz";
+import { createZip } from "./zip";
+
+export const QUIZ_EXPORT_FORMATS = ["json", "qti", "h5p"] as const;
+export type QuizExportFormat = (typeof QUIZ_EXPORT_FORMATS)[number];
+
+export type QuizExport = {
+  data: Buffer;
+  contentType: string;
+  fileName: string;
+};
+
+// Library versions the H5P export is written against; the package does not bundle them
+const H5P_QUESTION_SET = { machineName: "H5P.QuestionSet", majorVersion: 1, minorVersion: 20 };
+const H5P_MULTI_CHOICE = { machineName: "H5P.MultiChoice", majorVersion: 1, minorVersion: 16 };
+
+const QTI_NAMESPACE = 'xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" ' +
+  'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+  'xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"';
+
+function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function getFileStem(content: Content): string {
+  return content.title.replace(/[^a-z0-9]+/gi, "_").replace(/^_|_$/g, "").toLowerCase() || `lesson_${content.id}`;
+}
+
+function toJson(content: Content, quiz: QuizQuestion[]): Buffer {
+  const questions = quiz.map((item) => {
+    const { options, answerIndex } = getQuizOptions(item);
+    return {
+      question: item.question,
+      options,
+      answer: item.answer,
+      answerIndex,
+      explanation: item.explanation,
+    };
+  });
+
+  const data = {
+    title: content.title,
+    subject: content.subject,
+    ageGroup: content.ageGroup,
+    language: content.language,
+    questions,
+  };
+  return Buffer.from(JSON.stringify(data, null, 2), "utf8");
+}
+
+function toQtiItem(item: QuizQuestion, identifier: string, language: string): string {
+  const { options, answerIndex } = getQuizOptions(item);
+  const choices = options
+    .map((option, index) => `      <simpleChoice identifier="${OPTION_LETTERS[index]}">${escapeXml(option)}</simpleChoice>`)
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem ${QTI_NAMESPACE} identifier="${identifier}" title="${escapeXml(item.question)}" xml:lang="${language}" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse>
+      <value>${OPTION_LETTERS[answerIndex]}</value>
+    </correctResponse>
+  </responseDeclaration>
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue>
+      <value>0</value>
+    </defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+      <prompt>${escapeXml(item.question)}</prompt>
+${choices}
+    </choiceInteraction>
+  </itemBody>
+  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <match>
+          <variable identifier="RESPONSE"/>
+          <correct identifier="RESPONSE"/>
+        </match>
+        <setOutcomeValue identifier="SCORE">
+          <baseValue baseType="float">1</baseValue>
+        </setOutcomeValue>
+      </responseIf>
+    </responseCondition>
+    <setOutcomeValue identifier="FEEDBACK">
+      <baseValue baseType="identifier">EXPLANATION</baseValue>
+    </setOutcomeValue>
+  </responseProcessing>
+  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${escapeXml(item.explanation)}</modalFeedback>
+</assessmentItem>
+`;
+}
+
+function toQtiTest(content: Content, itemIds: string[]): string {
+  const refs = itemIds
+    .map((id) => `      <assessmentItemRef identifier="${id}" href="items/${id}.xml"/>`)
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest ${QTI_NAMESPACE} identifier="quiz-${content.id}" title="${escapeXml(content.title)}">
+  <testPart identifier="part-1" navigationMode="linear" submissionMode="individual">
+    <assessmentSection identifier="section-1" title="${escapeXml(content.title)}" visible="true">
+${refs}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`;
+}
+
+function toQtiManifest(content: Content, itemIds: string[]): string {
+  const items = itemIds
+    .map((id) => `    <resource identifier="${id}" type="imsqti_item_xmlv2p1" href="items/${id}.xml">
+      <file href="items/${id}.xml"/>
+    </resource>`)
+    .join("\n");
+  const dependencies = itemIds.map((id) => `      <dependency identifierref="${id}"/>`).join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="manifest-${content.id}">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="test" type="imsqti_test_xmlv2p1" href="test.xml">
+      <file href="test.xml"/>
+${dependencies}
+    </resource>
+${items}
+  </resources>
+</manifest>
+`;
+}
+
+function toQti(content: Content, quiz: QuizQuestion[]): Buffer {
+  const language = content.language || "en";
+  const itemIds = quiz.map((_, index) => `item-${index + 1}`);
+
+  return createZip([
+    { name: "imsmanifest.xml", data: toQtiManifest(content, itemIds) },
+    { name: "test.xml", data: toQtiTest(content, itemIds) },
+    ...quiz.map((item, index) => ({
+      name: `items/${itemIds[index]}.xml`,
+      data: toQtiItem(item, itemIds[index], language),
+    })),
+  ]);
+}
+
+function toH5p(content: Content, quiz: QuizQuestion[]): Buffer {
+  const questions = quiz.map((item) => {
+    const { options, answerIndex } = getQuizOptions(item);
+    return {
+      library: `${H5P_MULTI_CHOICE.machineName} ${H5P_MULTI_CHOICE.majorVersion}.${H5P_MULTI_CHOICE.minorVersion}`,
+      subContentId: randomUUID(),
+      metadata: { contentType: "Multiple Choice", title: item.question.slice(0, 255) },
+      params: {
+        question: `<p>${escapeXml(item.question)}</p>`,
+        answers: options.map((option, index) => ({
+          text: `<div>${escapeXml(option)}</div>`,
+          correct: index === answerIndex,
+          tipsAndFeedback: {
+            tip: "",
+            chosenFeedback: index === answerIndex ? `<div>${escapeXml(item.explanation)}</div>` : "",
+            notChosenFeedback: "",
+          },
+        })),
+        behaviour: {
+          singleAnswer: true,
+          enableRetry: true,
+          enableSolutionsButton: true,
+          randomAnswers: false,
+        },
+      },
+    };
+  });
+
+  const h5p = {
+    title: content.title,
+    language: content.language || "en",
+    mainLibrary: H5P_QUESTION_SET.machineName,
+    embedTypes: ["div"],
+    license: "U",
+    preloadedDependencies: [H5P_QUESTION_SET, H5P_MULTI_CHOICE],
+  };
+  const questionSet = {
+    introPage: { showIntroPage: false },
+    progressType: "dots",
+    passPercentage: 50,
+    questions,
+    endGame: { showResultPage: true, showSolutionButton: true, showRetryButton: true },
+  };
+
+  return createZip([
+    { name: "h5p.json", data: JSON.stringify(h5p, null, 2) },
+    { name: "content/content.json", data: JSON.stringify(questionSet, null, 2) },
+  ]);
+}
+
+/**
+ * Package the quiz of a lesson for other tools: plain JSON, a QTI 2.1
+ * content package for LMS item banks, or an H5P Question Set. H5P packages
+ * leave the libraries out, so the importing site must already have them.
+ */
+export function exportQuiz(content: Content, format: QuizExportFormat): QuizExport {
+  const quiz = content.quiz ?? [];
+  const stem = getFileStem(content);
+
+  if (format === "qti") {
+    return { data: toQti(content, quiz), contentType: "application/zip", fileName: `${stem}_qti.zip` };
+  }
+  if (format === "h5p") {
+    return { data: toH5p(content, quiz), contentType: "application/zip", fileName: `${stem}.h5p` };
+  }
+  return { data: toJson(content, quiz), contentType: "application/json", fileName: `${stem}_quiz.json` };
+}
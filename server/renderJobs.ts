@@ -0,0 +1,67 @@
+import type { Job } from "@shared/schema";
+import { storage } from "./storage";
+import { jobQueue } from "./jobQueue";
+import { publishProgress, type RenderProgress } from "./renderProgress";
+
+// @ts-ignore
+import { generateVideo } from "./videoGenerator";
+// @ts-ignore
+import { getVideoUrl } from "./videoFiles";
+// @ts-ignore
+import { getSubtitlePath } from "./subtitles";
+// @ts-ignore
+import { createLessonVisuals, getVisualPath } from "./visuals";
+
+export const RENDER_VIDEO_JOB = "render-video";
+
+async function renderVideo(job: Job) {
+  const contentId = job.payload.contentId as number;
+  const content = await storage.getContent(contentId);
+
+  if (!content) {
+    throw new Error(`Content ${contentId} not found`);
+  }
+
+  await storage.updateContent(contentId, { status: "processing", errorMessage: null });
+
+  // Illustrations come first, the section slides lay them out
+  const visuals = await createLessonVisuals(content);
+  const visualPaths = visuals.map((visual: { imageUrl: string }) => ({ ...visual, path: getVisualPath(visual.imageUrl) }));
+
+  const videoPath = await generateVideo({ ...content, visuals: visualPaths }, (progress: Omit<RenderProgress, "contentId">) => {
+    publishProgress({ ...progress, contentId });
+  });
+  const videoUrl = getVideoUrl(videoPath);
+  const subtitlesUrl = getVideoUrl(getSubtitlePath(videoPath, "vtt"));
+
+  await storage.updateContent(contentId, {
+    status: "completed",
+    videoUrl: videoUrl,
+    subtitlesUrl: subtitlesUrl,
+    visuals
+  });
+  publishProgress({ contentId, phase: "completed", percent: 100 });
+
+  console.log(`Content ${contentId} updated with video URL ${videoUrl}`);
+  return { videoUrl, subtitlesUrl };
+}
+
+async function markRenderFailed(job: Job, error: Error) {
+  const message = error.message || "Unknown error during video generation";
+  await storage.updateContent(job.payload.contentId, {
+    status: "error",
+    errorMessage: message
+  });
+  publishProgress({ contentId: job.payload.contentId, phase: "error", message });
+}
+
+jobQueue.register(RENDER_VIDEO_JOB, renderVideo, markRenderFailed);
+
+/**
+ * Queue a video render for a content row and flag the row as processing
+ */
+export async function enqueueVideoRender(contentId: number): Promise<Job> {
+  await storage.updateContent(contentId, { status: "processing", errorMessage: null });
+  publishProgress({ contentId, phase: "queued", percent: 0 });
+  return jobQueue.enqueue(RENDER_VIDEO_JOB, { contentId });
+}
@@ -0,0 +1,45 @@
+import { EventEmitter } from "events";
+
+export type RenderPhase = "queued" | "narration" | "frames" | "encoding" | "completed" | "error";
+
+export interface RenderProgress {
+  contentId: number;
+  phase: RenderPhase;
+  frame?: number;
+  totalFrames?: number;
+  percent?: number;
+  message?: string;
+}
+
+type ProgressListener = (progress: RenderProgress) => void;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Last known progress per content id, so late subscribers start from the current state
+const latest = new Map<number, RenderProgress>();
+
+export function publishProgress(progress: RenderProgress) {
+  if (progress.phase === "completed" || progress.phase === "error") {
+    latest.delete(progress.contentId);
+  } else {
+    latest.set(progress.contentId, progress);
+  }
+  emitter.emit(`progress:${progress.contentId}`, progress);
+}
+
+export function getProgress(contentId: number): RenderProgress | undefined {
+  return latest.get(contentId);
+}
+
+/**
+ * Listen for progress updates of a single content render
+ * @returns A function that removes the listener
+ */
+export function subscribeProgress(contentId: number, listener: ProgressListener): () => void {
+  const event = `progress:${contentId}`;
+  emitter.on(event, listener);
+  return () => {
+    emitter.off(event, listener);
+  };
+}
@@ -0,0 +1,112 @@
+import type { Content, ReviewEvent, User } from "@shared/schema";
+import {
+  REVIEW_TRANSITIONS,
+  canReviewContent,
+  canTakeReviewAction,
+  getAvailableReviewActions,
+  type ReviewAction,
+} from "@shared/review";
+import { storage } from "./storage";
+
+export class ReviewError extends Error {
+  status: number;
+
+  constructor(message: string, status = 400) {
+    super(message);
+    this.name = "ReviewError";
+    this.status = status;
+  }
+}
+
+/**
+ * Whether a user may read a content row: its author, or a reviewer once it left drafts
+ */
+export function canReadContent(content: Content, user: User): boolean {
+  return content.userId === user.id || canReviewContent(content, user);
+}
+
+/**
+ * Move content to the next review state and record who did it
+ * @returns The updated content and the review event that was recorded
+ */
+export async function applyReviewAction(
+  content: Content,
+  user: User,
+  action: ReviewAction,
+  comment?: string,
+): Promise<{ content: Content; event: ReviewEvent }> {
+  const transition = REVIEW_TRANSITIONS[action];
+
+  if (!canTakeReviewAction(action, content, user)) {
+    throw new ReviewError(`You cannot ${transition.label.toLowerCase()} content that is ${content.reviewStatus}`, 403);
+  }
+  if ("requiresComment" in transition && transition.requiresComment && !comment) {
+    throw new ReviewError(`A comment is required to ${transition.label.toLowerCase()}`);
+  }
+
+  const updated = await storage.updateContent(content.id, { reviewStatus: transition.to });
+  if (!updated) {
+    throw new ReviewError("Content not found", 404);
+  }
+
+  const event = await storage.createReviewEvent({
+    contentId: content.id,
+    userId: user.id,
+    action,
+    fromStatus: content.reviewStatus,
+    toStatus: transition.to,
+  });
+  if (comment) {
+    await storage.createReviewComment({ contentId: content.id, userId: user.id, body: comment });
+  }
+
+  return { content: updated, event };
+}
+
+/**
+ * Throw unless the content may be edited, for checks before expensive work
+ * that ends in prepareContentEdit
+ */
+export function assertContentEditable(content: Content): void {
+  if (content.reviewStatus === "in-review") {
+    throw new ReviewError("Content is locked while it is in review; withdraw it first", 409);
+  }
+}
+
+/**
+ * Editing content that already passed review sends it back to draft, so every
+ * published version has been approved as-is. Content under review is locked.
+ */
+export async function prepareContentEdit(content: Content, user: User): Promise<void> {
+  assertContentEditable(content);
+
+  if (content.reviewStatus === "approved" || content.reviewStatus === "published") {
+    await storage.updateContent(content.id, { reviewStatus: "draft" });
+    await storage.createReviewEvent({
+      contentId: content.id,
+      userId: user.id,
+      action: "revise",
+      fromStatus: content.reviewStatus,
+      toStatus: "draft",
+    });
+  }
+}
+
+/**
+ * Audit trail and comments of a content row, with the names of the people involved
+ */
+export async function getReviewHistory(content: Content, user: User) {
+  const [events, comments, users] = await Promise.all([
+    storage.getReviewEvents(content.id),
+    storage.getReviewComments(content.id),
+    storage.getAllUsers(),
+  ]);
+  const usernames = new Map(users.map((u) => [u.id, u.username]));
+
+  return {
+    reviewStatus: content.reviewStatus,
+    availableActions: getAvailableReviewActions(content, user),
+    events: events.map((event) => ({ ...event, username: usernames.get(event.userId) ?? "Unknown" })),
+    comments: comments.map((comment) => ({ ...comment, username: usernames.get(comment.userId) ?? "Unknown" })),
+  };
+}
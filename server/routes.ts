@@ -1,32 +1,130 @@
 import express, { type Express, Request, Response, NextFunction } from "express";
 import { createServer, type Server } from "http";
 import { storage } from "./storage";
-import { insertContentSchema } from "@shared/schema";
+import { insertContentSchema, insertCourseSchema, courseLessonsRequestSchema, type Batch, type Course } from "@shared/schema";
+import { regenerateSectionRequestSchema } from "@shared/lesson";
+import { createBatchRequestSchema, summarizeBatch } from "@shared/batch";
+import { VERSION_SNAPSHOT_FIELDS, diffVersions } from "@shared/versions";
+import { reviewActionRequestSchema, reviewCommentRequestSchema, userRoleSchema } from "@shared/review";
+import { DEFAULT_LANGUAGE, languageCodeSchema } from "@shared/languages";
+import { getMathText } from "@shared/math";
 import { ZodError } from "zod";
 import path from "path";
 import fs from "fs";
 import { fileURLToPath } from "url";
+import { createHmac, timingSafeEqual } from "crypto";
 
 // Get current directory since __dirname is not available in ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Import the AI modules from JS files
+// Import the AI provider registry from JS files
 // @ts-ignore
-import { generateEducationalContent as generateWithGroq } from "./groq";
+import { getProvider, listProviders, getDefaultProviderId, resolveProviderChain, generateWithFailover, translateLesson, regenerateSection, ProviderChainError } from "./providers";
+import { enqueueVideoRender } from "./renderJobs";
+import { enqueueGeneration, getContentParams, getCourseContext, getGenerationParams, getGeneratedFields } from "./generationJobs";
+import { getProgress, subscribeProgress, type RenderProgress } from "./renderProgress";
+import { setupAuth, requireAuth, requireRole } from "./auth";
+import { ReviewError, applyReviewAction, assertContentEditable, canReadContent, getReviewHistory, prepareContentEdit } from "./review";
+import { enqueueDelivery, applyDeliveryStatuses, getLatestDeliveries } from "./deliveryJobs";
+import { QUIZ_EXPORT_FORMATS, exportQuiz, type QuizExportFormat } from "./quizExport";
+import { getPackageName, writeLessonPackage, writeSubjectPackage } from "./lessonPackage";
 // @ts-ignore
-import { generateEducationalContent as generateWithGemini } from "./gemini";
+import { isWhatsAppConfigured } from "./whatsapp";
 // @ts-ignore
-import { generateVideo, getVideoUrl } from "./videoGenerator";
+import { typesetMath } from "./math";
+
+const SUBTITLE_CONTENT_TYPES: Record<string, string> = {
+  ".vtt": "text/vtt; charset=utf-8",
+  ".srt": "application/x-subrip; charset=utf-8",
+};
+
+/**
+ * Load a content row only if it belongs to the logged-in user
+ */
+async function getOwnedContent(req: Request, id: number) {
+  const content = await storage.getContent(id);
+  return content && content.userId === req.user!.id ? content : undefined;
+}
+
+/**
+ * Load a syllabus batch only if it belongs to the logged-in user
+ */
+async function getOwnedBatch(req: Request, id: number) {
+  const batch = await storage.getBatch(id);
+  return batch && batch.userId === req.user!.id ? batch : undefined;
+}
+
+/**
+ * Load a course only if it belongs to the logged-in user
+ */
+async function getOwnedCourse(req: Request, id: number) {
+  const course = await storage.getCourse(id);
+  return course && course.userId === req.user!.id ? course : undefined;
+}
+
+/**
+ * The position after the last lesson of a course
+ */
+async function getNextCoursePosition(courseId: number) {
+  const lessons = await storage.getCourseLessons(courseId);
+  return lessons.length > 0 ? (lessons[lessons.length - 1].coursePosition ?? 0) + 1 : 0;
+}
+
+/**
+ * A course together with its lessons, in order
+ */
+async function getCourseDetails(course: Course) {
+  return { ...course, lessons: await storage.getCourseLessons(course.id) };
+}
+
+/**
+ * A batch together with its lessons and their aggregate progress
+ */
+async function getBatchDetails(batch: Batch) {
+  const items = await storage.getContentsByBatch(batch.id);
+  return { ...batch, progress: summarizeBatch(items), items };
+}
+
+/**
+ * Check the X-Hub-Signature-256 header WhatsApp signs webhooks with.
+ * Without WHATSAPP_APP_SECRET nothing can be verified, so every webhook is rejected.
+ */
+function isValidWebhookSignature(req: Request) {
+  const secret = process.env.WHATSAPP_APP_SECRET;
+  if (!secret) return false;
+
+  const signature = req.get("X-Hub-Signature-256") || "";
+  const expected = `sha256=${createHmac("sha256", secret).update((req as any).rawBody || "").digest("hex")}`;
+  return signature.length === expected.length && timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+// Fields only rendering writes; the URLs name files the server reads back
+const RENDER_FIELDS = { status: true, videoUrl: true, subtitlesUrl: true } as const;
+
+/**
+ * Load a content row the logged-in user may read, including content they review
+ */
+async function getReadableContent(req: Request, id: number) {
+  const content = await storage.getContent(id);
+  return content && canReadContent(content, req.user!) ? content : undefined;
+}
 
 export async function registerRoutes(app: Express): Promise<Server> {
+  // Sessions plus the login, logout and registration routes
+  setupAuth(app);
+  
   // Initialize API routes
   const apiRouter = express.Router();
   
+  // Content and everything generated from it is private to its owner and reviewers
+  apiRouter.use(["/batches", "/contents", "/courses", "/generate-content", "/jobs", "/math", "/reviews", "/subjects"], requireAuth);
+  apiRouter.use("/users", requireRole("admin"));
+  
   // Get all contents
   apiRouter.get("/contents", async (req: Request, res: Response) => {
     try {
-      const contents = await storage.getAllContents();
+      const contents = await storage.getContentsByUser(req.user!.id);
       res.json(contents);
     } catch (error: any) {
       res.status(500).json({ message: "Failed to retrieve contents", error: error.message });
@@ -37,7 +135,7 @@ export async function registerRoutes(app: Express): Promise<Server> {
   apiRouter.get("/contents/:id", async (req: Request, res: Response) => {
     try {
       const id = parseInt(req.params.id);
-      const content = await storage.getContent(id);
+      const content = await getReadableContent(req, id);
       
       if (!content) {
         return res.status(404).json({ message: "Content not found" });
@@ -52,8 +150,12 @@ export async function registerRoutes(app: Express): Promise<Server> {
   // Create new content
   apiRouter.post("/contents", async (req: Request, res: Response) => {
     try {
-      const contentData = insertContentSchema.parse(req.body);
-      const newContent = await storage.createContent(contentData);
+      // Course and batch membership only change through their own routes, and
+      // the status and file URLs only through generation and rendering
+      const contentData = insertContentSchema
+        .omit({ reviewStatus: true, courseId: true, coursePosition: true, batchId: true, visuals: true, ...RENDER_FIELDS })
+        .parse(req.body);
+      const newContent = await storage.createContent({ ...contentData, userId: req.user!.id });
       res.status(201).json(newContent);
     } catch (error: any) {
       if (error instanceof ZodError) {
@@ -68,17 +170,30 @@ export async function registerRoutes(app: Express): Promise<Server> {
   apiRouter.patch("/contents/:id", async (req: Request, res: Response) => {
     try {
       const id = parseInt(req.params.id);
-      const contentData = req.body;
+      // Review state only changes through the review actions, courses and batches through their own routes,
+      // the status and file URLs through generation and rendering
+      const contentData = insertContentSchema
+        .partial()
+        .omit({ userId: true, reviewStatus: true, courseId: true, coursePosition: true, batchId: true, visuals: true, ...RENDER_FIELDS })
+        .parse(req.body);
       
-      const updatedContent = await storage.updateContent(id, contentData);
-      
-      if (!updatedContent) {
+      const content = await getOwnedContent(req, id);
+      if (!content) {
         return res.status(404).json({ message: "Content not found" });
       }
       
+      await prepareContentEdit(content, req.user!);
+      const updatedContent = await storage.updateContent(id, contentData);
+      
       res.json(updatedContent);
     } catch (error: any) {
-      res.status(500).json({ message: "Failed to update content", error: error.message });
+      if (error instanceof ZodError) {
+        res.status(400).json({ message: "Invalid content data", errors: error.errors });
+      } else if (error instanceof ReviewError) {
+        res.status(error.status).json({ message: error.message });
+      } else {
+        res.status(500).json({ message: "Failed to update content", error: error.message });
+      }
     }
   });
   
@@ -86,7 +201,7 @@ export async function registerRoutes(app: Express): Promise<Server> {
   apiRouter.delete("/contents/:id", async (req: Request, res: Response) => {
     try {
       const id = parseInt(req.params.id);
-      const result = await storage.deleteContent(id);
+      const result = (await getOwnedContent(req, id)) && await storage.deleteContent(id);
       
       if (!result) {
         return res.status(404).json({ message: "Content not found" });
@@ -98,7 +213,25 @@ export async function registerRoutes(app: Express): Promise<Server> {
     }
   });
   
-  // Generate content with AI (GROQ or Gemini)
+  // List the AI providers available for content generation
+  apiRouter.get("/providers", (req: Request, res: Response) => {
+    res.json(listProviders());
+  });
+  
+  // Typeset a formula from a script for the preview, the same SVG the video slides draw.
+  // The svg is null when the TeX has errors, and the preview shows the plain text instead
+  apiRouter.get("/math", (req: Request, res: Response) => {
+    const tex = typeof req.query.tex === "string" ? req.query.tex : "";
+    if (!tex.trim() || tex.length > 2000) {
+      return res.status(400).json({ message: "A formula of up to 2000 characters is required" });
+    }
+    
+    const math = typesetMath(tex, { display: req.query.display === "true" });
+    res.set("Cache-Control", "private, max-age=86400");
+    res.json({ svg: math ? math.svg : null, text: getMathText(tex) });
+  });
+  
+  // Generate content with the selected AI provider
   apiRouter.post("/generate-content", async (req: Request, res: Response) => {
     try {
       const { 
@@ -109,13 +242,34 @@ export async function registerRoutes(app: Express): Promise<Server> {
         contentFormat, 
         duration, 
         specificInstructions,
-        aiModel = 'gemini' // Default to Gemini if not specified
+        language = DEFAULT_LANGUAGE,
+        aiModel = getDefaultProviderId(),
+        courseId
       } = req.body;
       
       if (!subject || !title || !ageGroup || !difficultyLevel || !contentFormat || !duration) {
         return res.status(400).json({ message: "Missing required fields" });
       }
       
+      if (!languageCodeSchema.safeParse(language).success) {
+        return res.status(400).json({ message: `Unsupported language "${language}"` });
+      }
+      
+      if (!getProvider(aiModel)) {
+        return res.status(400).json({ message: `Unknown AI model "${aiModel}"` });
+      }
+      
+      // The selected provider first, then the configured fallbacks
+      const providerChain = resolveProviderChain(aiModel);
+      if (providerChain.length === 0) {
+        return res.status(503).json({ message: "No AI models are configured" });
+      }
+      
+      const course = courseId ? await getOwnedCourse(req, parseInt(courseId)) : undefined;
+      if (courseId && !course) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      
       // Prepare content parameters
       const contentParams = {
         subject,
@@ -124,78 +278,484 @@ export async function registerRoutes(app: Express): Promise<Server> {
         difficultyLevel,
         contentFormat,
         duration,
-        specificInstructions: specificInstructions || ""
+        specificInstructions: specificInstructions || "",
+        language
       };
       
-      // Generate content using the selected AI model
-      let generatedContent;
-      
-      if (aiModel.toLowerCase() === 'gemini') {
-        console.log('Generating content with Google Gemini...');
-        generatedContent = await generateWithGemini(contentParams);
-      } else {
-        // Default to GROQ
-        console.log('Generating content with GROQ...');
-        generatedContent = await generateWithGroq(contentParams);
-      }
+      // Generate content, retrying and falling back across providers
+      console.log(`Generating content with ${providerChain.map((p: any) => p.name).join(' -> ')}...`);
+      // A lesson added to a course builds on the lessons already in it
+      const { lesson: generatedContent, provider, attempts } = await generateWithFailover(providerChain, {
+        ...contentParams,
+        course: course && await getCourseContext(course.id)
+      });
       
       // Create the content in storage
       const contentData = {
-        title,
-        subject,
-        ageGroup,
-        difficultyLevel,
-        contentFormat,
-        duration,
-        specificInstructions: specificInstructions || "",
+        ...contentParams,
         status: "processing", // Set to processing while video is being generated
-        scriptContent: generatedContent.scriptContent,
-        learningObjectives: generatedContent.learningObjectives,
-        materials: generatedContent.materials,
-        visualReferences: generatedContent.visualReferences,
-        userId: 1,  // Default user for demo
-        aiModel: aiModel.toLowerCase() // Store which AI model was used
+        ...getGeneratedFields(generatedContent, provider, attempts),
+        ...(course && { courseId: course.id, coursePosition: await getNextCoursePosition(course.id) }),
+        userId: req.user!.id
       };
       
       // Create content entry first
       const newContent = await storage.createContent(contentData);
       
+      // Queue the video render as a background job
+      const job = await enqueueVideoRender(newContent.id);
+      
       // Send immediate response with the created content
-      res.status(201).json(newContent);
+      res.status(201).json({ ...newContent, jobId: job.id });
+    } catch (error: any) {
+      console.error(`Error generating content: ${error.message}`);
+      if (error instanceof ProviderChainError) {
+        return res.status(502).json({ 
+          message: "Failed to generate content", 
+          error: error.message,
+          attempts: error.attempts
+        });
+      }
+      res.status(500).json({ 
+        message: "Failed to generate content", 
+        error: error.message 
+      });
+    }
+  });
+  
+  // Generate the lesson for a draft saved from the wizard
+  apiRouter.post("/contents/:id/generate", async (req: Request, res: Response) => {
+    try {
+      const id = parseInt(req.params.id);
+      const draft = await getOwnedContent(req, id);
+      
+      if (!draft) {
+        return res.status(404).json({ message: "Content not found" });
+      }
+      if (draft.status !== "draft" || draft.scriptContent) {
+        return res.status(409).json({ message: "Content has already been generated" });
+      }
+      if (!draft.subject || !draft.title || !draft.ageGroup || !draft.difficultyLevel || !draft.contentFormat || !draft.duration) {
+        return res.status(400).json({ message: "Complete the draft before generating it" });
+      }
+      if (!languageCodeSchema.safeParse(draft.language).success) {
+        return res.status(400).json({ message: `Unsupported language "${draft.language}"` });
+      }
       
+      const aiModel = req.body.aiModel || draft.aiModel || getDefaultProviderId();
+      if (!getProvider(aiModel)) {
+        return res.status(400).json({ message: `Unknown AI model "${aiModel}"` });
+      }
+      const providerChain = resolveProviderChain(aiModel);
+      if (providerChain.length === 0) {
+        return res.status(503).json({ message: "No AI models are configured" });
+      }
+      
+      const course = req.body.courseId ? await getOwnedCourse(req, parseInt(req.body.courseId)) : undefined;
+      if (req.body.courseId && !course) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      
+      // Claim the draft for the whole provider call, so a second click or tab cannot generate it again
+      let lessonRow = await storage.claimContentStatus(id, "draft", "generating");
+      if (!lessonRow) {
+        return res.status(409).json({ message: "Content is already being generated" });
+      }
+      
+      let generated;
       try {
-        console.log("Starting video generation process...");
-        
-        // Start generating video in the background
-        // Generate video from the content (this may take some time)
-        const videoPath = await generateVideo(newContent);
-        const videoUrl = getVideoUrl(videoPath);
+        if (course) {
+          lessonRow = (await storage.updateContent(id, {
+            courseId: course.id,
+            coursePosition: await getNextCoursePosition(course.id)
+          }))!;
+        }
         
-        console.log(`Video generated successfully at: ${videoPath}`);
-        console.log(`Video URL: ${videoUrl}`);
-        
-        // Update the content with the video URL and status
-        await storage.updateContent(newContent.id, {
-          status: "completed",
-          videoUrl: videoUrl
+        console.log(`Generating draft ${id} with ${providerChain.map((p: any) => p.name).join(' -> ')}...`);
+        generated = await generateWithFailover(providerChain, await getGenerationParams(lessonRow));
+      } catch (error) {
+        // Back to a draft that can be generated again, in the course it had before
+        await storage.updateContent(id, {
+          status: "draft",
+          courseId: draft.courseId,
+          coursePosition: draft.coursePosition
         });
-        
-        console.log(`Content ${newContent.id} updated with video URL`);
-      } catch (videoError: any) {
-        console.error("Error generating video:", videoError);
-        
-        // Update content status to reflect the error
-        await storage.updateContent(newContent.id, {
-          status: "error",
-          errorMessage: videoError.message || "Unknown error during video generation"
+        throw error;
+      }
+      const { lesson, provider, attempts } = generated;
+      
+      const content = await storage.updateContent(id, {
+        status: "processing",
+        ...getGeneratedFields(lesson, provider, attempts)
+      });
+      const job = await enqueueVideoRender(id);
+      
+      res.json({ ...content, jobId: job.id });
+    } catch (error: any) {
+      console.error(`Error generating draft: ${error.message}`);
+      if (error instanceof ProviderChainError) {
+        return res.status(502).json({ 
+          message: "Failed to generate content", 
+          error: error.message,
+          attempts: error.attempts
         });
       }
+      res.status(500).json({ message: "Failed to generate content", error: error.message });
+    }
+  });
+  
+  // Syllabus batches, with the aggregate progress of their lessons
+  apiRouter.get("/batches", async (req: Request, res: Response) => {
+    try {
+      const batches = await storage.getBatchesByUser(req.user!.id);
+      const details = await Promise.all(batches.map(getBatchDetails));
+      res.json(details.map(({ items, ...batch }) => batch));
     } catch (error: any) {
-      console.error(`Error generating content: ${error.message}`);
-      res.status(500).json({ 
-        message: "Failed to generate content", 
-        error: error.message 
+      res.status(500).json({ message: "Failed to retrieve batches", error: error.message });
+    }
+  });
+  
+  apiRouter.get("/batches/:id", async (req: Request, res: Response) => {
+    try {
+      const batch = await getOwnedBatch(req, parseInt(req.params.id));
+      if (!batch) {
+        return res.status(404).json({ message: "Batch not found" });
+      }
+      
+      res.json(await getBatchDetails(batch));
+    } catch (error: any) {
+      res.status(500).json({ message: "Failed to retrieve batch", error: error.message });
+    }
+  });
+  
+  // Queue generation and a video render for every lesson of an uploaded syllabus
+  apiRouter.post("/batches", async (req: Request, res: Response) => {
+    try {
+      const { name, items, language = DEFAULT_LANGUAGE, aiModel = getDefaultProviderId() } = createBatchRequestSchema.parse(req.body);
+      
+      if (!getProvider(aiModel)) {
+        return res.status(400).json({ message: `Unknown AI model "${aiModel}"` });
+      }
+      if (resolveProviderChain(aiModel).length === 0) {
+        return res.status(503).json({ message: "No AI models are configured" });
+      }
+      
+      const batch = await storage.createBatch({ userId: req.user!.id, name });
+      for (const item of items) {
+        const content = await storage.createContent({
+          ...item,
+          specificInstructions: item.specificInstructions || "",
+          language: item.language || language,
+          status: "queued",
+          aiModel,
+          batchId: batch.id,
+          userId: req.user!.id
+        });
+        await enqueueGeneration(content.id);
+      }
+      
+      res.status(201).json(await getBatchDetails(batch));
+    } catch (error: any) {
+      if (error instanceof ZodError) {
+        return res.status(400).json({ message: "Invalid syllabus", errors: error.errors });
+      }
+      res.status(500).json({ message: "Failed to create batch", error: error.message });
+    }
+  });
+  
+  // Requeue only the lessons of a batch that failed, from the step they failed at
+  apiRouter.post("/batches/:id/retry", async (req: Request, res: Response) => {
+    try {
+      const batch = await getOwnedBatch(req, parseInt(req.params.id));
+      if (!batch) {
+        return res.status(404).json({ message: "Batch not found" });
+      }
+      
+      const failed = (await storage.getContentsByBatch(batch.id)).filter((content) => content.status === "error");
+      if (failed.length === 0) {
+        return res.status(409).json({ message: "No failed lessons to retry" });
+      }
+      
+      for (const content of failed) {
+        if (content.scriptContent) {
+          await enqueueVideoRender(content.id);
+        } else {
+          await enqueueGeneration(content.id);
+        }
+      }
+      
+      res.json(await getBatchDetails(batch));
+    } catch (error: any) {
+      res.status(500).json({ message: "Failed to retry batch", error: error.message });
+    }
+  });
+  
+  // Courses, each with the ids of its lessons in order
+  apiRouter.get("/courses", async (req: Request, res: Response) => {
+    try {
+      const courses = await storage.getCoursesByUser(req.user!.id);
+      const details = await Promise.all(courses.map(getCourseDetails));
+      res.json(details.map(({ lessons, ...course }) => ({ ...course, lessonIds: lessons.map((lesson) => lesson.id) })));
+    } catch (error: any) {
+      res.status(500).json({ message: "Failed to retrieve courses", error: error.message });
+    }
+  });
+  
+  apiRouter.get("/courses/:id", async (req: Request, res: Response) => {
+    try {
+      const course = await getOwnedCourse(req, parseInt(req.params.id));
+      if (!course) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      
+      res.json(await getCourseDetails(course));
+    } catch (error: any) {
+      res.status(500).json({ message: "Failed to retrieve course", error: error.message });
+    }
+  });
+  
+  apiRouter.post("/courses", async (req: Request, res: Response) => {
+    try {
+      const courseData = insertCourseSchema.omit({ userId: true }).parse(req.body);
+      const course = await storage.createCourse({ ...courseData, userId: req.user!.id });
+      res.status(201).json({ ...course, lessonIds: [] });
+    } catch (error: any) {
+      if (error instanceof ZodError) {
+        res.status(400).json({ message: "Invalid course data", errors: error.errors });
+      } else {
+        res.status(500).json({ message: "Failed to create course", error: error.message });
+      }
+    }
+  });
+  
+  apiRouter.patch("/courses/:id", async (req: Request, res: Response) => {
+    try {
+      const id = parseInt(req.params.id);
+      const courseData = insertCourseSchema.partial().omit({ userId: true }).parse(req.body);
+      
+      if (!(await getOwnedCourse(req, id))) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      
+      const course = await storage.updateCourse(id, courseData);
+      res.json(await getCourseDetails(course!));
+    } catch (error: any) {
+      if (error instanceof ZodError) {
+        res.status(400).json({ message: "Invalid course data", errors: error.errors });
+      } else {
+        res.status(500).json({ message: "Failed to update course", error: error.message });
+      }
+    }
+  });
+  
+  // Delete a course; its lessons are kept
+  apiRouter.delete("/courses/:id", async (req: Request, res: Response) => {
+    try {
+      const id = parseInt(req.params.id);
+      const result = (await getOwnedCourse(req, id)) && await storage.deleteCourse(id);
+      
+      if (!result) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      
+      res.json({ message: "Course deleted successfully" });
+    } catch (error: any) {
+      res.status(500).json({ message: "Failed to delete course", error: error.message });
+    }
+  });
+  
+  // Set which lessons make up a course and in what order
+  apiRouter.put("/courses/:id/lessons", async (req: Request, res: Response) => {
+    try {
+      const course = await getOwnedCourse(req, parseInt(req.params.id));
+      if (!course) {
+        return res.status(404).json({ message: "Course not found" });
+      }
+      
+      const { lessonIds } = courseLessonsRequestSchema.parse(req.body);
+      for (const lessonId of lessonIds) {
+        if (!(await getOwnedContent(req, lessonId))) {
+          return res.status(400).json({ message: `Lesson ${lessonId} not found` });
+        }
+      }
+      
+      await storage.setCourseLessons(course.id, lessonIds);
+      res.json(await getCourseDetails(course));
+    } catch (error: any) {
+      if (error instanceof ZodError) {
+        res.status(400).json({ message: "Invalid lesson order", errors: error.errors });
+      } else {
+        res.status(500).json({ message: "Failed to update course lessons", error: error.message });
+      }
+    }
+  });
+  
+  // List a lesson together with all of its translations
+  apiRouter.get("/contents/:id/translations", async (req: Request, res: Response) => {
+    try {
+      const id = parseInt(req.params.id);
+      const content = await getReadableContent(req, id);
+      
+      if (!content) {
+        return res.status(404).json({ message: "Content not found" });
+      }
+      
+      const translations = await storage.getContentTranslations(content.sourceContentId ?? content.id);
+      res.json(translations.filter(translation => translation.userId === content.userId));
+    } catch (error: any) {
+      res.status(500).json({ message: "Failed to retrieve translations", error: error.message });
+    }
+  });
+  
+  // Download the quiz of a lesson as JSON, a QTI 2.1 package or an H5P file
+  apiRouter.get("/contents/:id/quiz/export", async (req: Request, res: Response) => {
+    try {
+      const id = parseInt(req.params.id);
+      const format = (req.query.format as string) || "json";
+      
+      if (!QUIZ_EXPORT_FORMATS.includes(format as QuizExportFormat)) {
+        return res.status(400).json({ message: `Unsupported quiz format "${format}"` });
+      }
+      
+      const content = await getReadableContent(req, id);
+      if (!content) {
+        return res.status(404).json({ message: "Content not found" });
+      }
+      if (!content.quiz?.length) {
+        return res.status(404).json({ message: "Content has no quiz" });
+      }
+      
+      const { data, contentType, fileName } = exportQuiz(content, format as QuizExportFormat);
+      res.setHeader("Content-Type", contentType);
+      res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+      res.send(data);
+    } catch (error: any) {
+      res.status(500).json({ message: "Failed to export quiz", error: error.message });
+    }
+  });
+  
+  // Download a lesson with its video, captions and handouts as one ZIP
+  apiRouter.get("/contents/:id/package", async (req: Request, res: Response) => {
+    try {
+      const id = parseInt(req.params.id);
+      const content = await getReadableContent(req, id);
+      
+      if (!content) {
+        return res.status(404).json({ message: "Content not found" });
+      }
+      if (!content.scriptContent) {
+        return res.status(400).json({ message: "Content has no lesson to package" });
+      }
+      
+      res.setHeader("Content-Type", "application/zip");
+      res.setHeader("Content-Disposition", `attachment; filename="${getPackageName(content)}.zip"`);
+      await writeLessonPackage(res, content);
+      res.end();
+    } catch (error: any) {
+      console.error(`Error packaging content: ${error.message}`);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.status(500).json({ message: "Failed to package content", error: error.message });
+    }
+  });
+  
+  // Download every generated lesson of a subject as one archive
+  apiRouter.get("/subjects/:subject/package", async (req: Request, res: Response) => {
+    try {
+      const subject = req.params.subject;
+      const contents = (await storage.getContentsByUser(req.user!.id))
+        .filter(content => content.subject === subject && content.scriptContent);
+      
+      if (contents.length === 0) {
+        return res.status(404).json({ message: "No lessons to export for this subject" });
+      }
+      
+      res.setHeader("Content-Type", "application/zip");
+      res.setHeader("Content-Disposition", `attachment; filename="${subject.replace(/[^a-z0-9-]/gi, "")}-lessons.zip"`);
+      await writeSubjectPackage(res, subject, contents);
+      res.end();
+    } catch (error: any) {
+      console.error(`Error packaging subject: ${error.message}`);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.status(500).json({ message: "Failed to package subject", error: error.message });
+    }
+  });
+  
+  // Translate a lesson into another language as a linked sibling row
+  apiRouter.post("/contents/:id/translate", async (req: Request, res: Response) => {
+    try {
+      const id = parseInt(req.params.id);
+      const { aiModel = getDefaultProviderId() } = req.body;
+      const parsedLanguage = languageCodeSchema.safeParse(req.body.language);
+      
+      if (!parsedLanguage.success) {
+        return res.status(400).json({ message: `Unsupported language "${req.body.language}"` });
+      }
+      const language = parsedLanguage.data;
+      
+      const source = await getOwnedContent(req, id);
+      if (!source) {
+        return res.status(404).json({ message: "Content not found" });
+      }
+      if (!source.scriptContent) {
+        return res.status(400).json({ message: "Content has no lesson to translate" });
+      }
+      
+      // Every translation links to the original lesson, not to another translation
+      const sourceContentId = source.sourceContentId ?? source.id;
+      const siblings = await storage.getContentTranslations(sourceContentId);
+      const existing = siblings.find(sibling => sibling.language === language);
+      if (existing) {
+        return res.status(409).json({ message: "A translation in this language already exists", contentId: existing.id });
+      }
+      
+      if (!getProvider(aiModel)) {
+        return res.status(400).json({ message: `Unknown AI model "${aiModel}"` });
+      }
+      const providerChain = resolveProviderChain(aiModel);
+      if (providerChain.length === 0) {
+        return res.status(503).json({ message: "No AI models are configured" });
+      }
+      
+      const contentParams = { ...getContentParams(source), language };
+      const sourceLesson = {
+        scriptContent: source.scriptContent,
+        learningObjectives: source.learningObjectives || [],
+        materials: source.materials || [],
+        visualReferences: source.visualReferences || [],
+        ...(source.quiz?.length ? { quiz: source.quiz } : {})
+      };
+      
+      console.log(`Translating content ${id} to ${language} with ${providerChain.map((p: any) => p.name).join(' -> ')}...`);
+      const { lesson: translated, provider, attempts } = await generateWithFailover(
+        providerChain,
+        contentParams,
+        (candidate: any, params: any) => translateLesson(candidate, sourceLesson, params)
+      );
+      
+      const translation = await storage.createContent({
+        ...contentParams,
+        sourceContentId,
+        status: "processing",
+        ...getGeneratedFields(translated, provider, attempts),
+        userId: source.userId
       });
+      
+      const job = await enqueueVideoRender(translation.id);
+      res.status(201).json({ ...translation, jobId: job.id });
+    } catch (error: any) {
+      console.error(`Error translating content: ${error.message}`);
+      if (error instanceof ProviderChainError) {
+        return res.status(502).json({ 
+          message: "Failed to translate content", 
+          error: error.message,
+          attempts: error.attempts
+        });
+      }
+      res.status(500).json({ message: "Failed to translate content", error: error.message });
     }
   });
   
@@ -211,6 +771,14 @@ export async function registerRoutes(app: Express): Promise<Server> {
     
     // Set cache headers
     res.setHeader('Cache-Control', 'public, max-age=86400'); // 24 hours caching
+    
+    // Caption files live next to the video and are small enough to send whole
+    const subtitleType = SUBTITLE_CONTENT_TYPES[path.extname(filename).toLowerCase()];
+    if (subtitleType) {
+      res.setHeader('Content-Type', subtitleType);
+      return res.sendFile(videoPath);
+    }
+    
     res.setHeader('Content-Type', 'video/mp4');
     res.setHeader('Accept-Ranges', 'bytes');
     
@@ -248,39 +816,28 @@ export async function registerRoutes(app: Express): Promise<Server> {
   apiRouter.post("/contents/:id/generate-video", async (req: Request, res: Response) => {
     try {
       const id = parseInt(req.params.id);
-      const content = await storage.getContent(id);
+      const content = await getOwnedContent(req, id);
       
       if (!content) {
         return res.status(404).json({ message: "Content not found" });
       }
       
-      // Update status to processing
-      await storage.updateContent(id, { status: "processing" });
+      // A new video needs a new review before it can be sent out again
+      await prepareContentEdit(content, req.user!);
+      
+      // Queue the render; the job marks the content as processing
+      const job = await enqueueVideoRender(id);
       
       // Send immediate response
-      res.json({ 
-        message: "Video generation started", 
-        contentId: id 
+      res.status(202).json({ 
+        message: "Video generation queued", 
+        contentId: id,
+        jobId: job.id
       });
-      
-      try {
-        // Generate video
-        const videoPath = await generateVideo(content);
-        const videoUrl = getVideoUrl(videoPath);
-        
-        // Update content with video URL
-        await storage.updateContent(id, {
-          status: "completed",
-          videoUrl: videoUrl
-        });
-      } catch (error: any) {
-        console.error(`Error generating video for content ${id}:`, error);
-        await storage.updateContent(id, {
-          status: "error",
-          errorMessage: error.message || "Unknown error during video generation"
-        });
-      }
     } catch (error: any) {
+      if (error instanceof ReviewError) {
+        return res.status(error.status).json({ message: error.message });
+      }
       res.status(500).json({ 
         message: "Failed to generate video", 
         error: error.message 
@@ -288,11 +845,408 @@ export async function registerRoutes(app: Express): Promise<Server> {
     }
   });
   
+  // Rewrite one part of the script with the rest of the lesson as context
+  apiRouter.post("/contents/:id/regenerate-section", async (req: Request, res: Response) => {
+    try {
+      const id = parseInt(req.params.id);
+      const { section, instructions, aiModel } = regenerateSectionRequestSchema.parse(req.body);
+      
+      const content = await getOwnedContent(req, id);
+      if (!content) {
+        return res.status(404).json({ message: "Content not found" });
+      }
+      if (!content.scriptContent) {
+        return res.status(400).json({ message: "Content has no script to regenerate" });
+      }
+      if (typeof section === "number" && section >= content.scriptContent.mainContent.length) {
+        return res.status(400).json({ message: `Section ${section} does not exist` });
+      }
+      
+      const providerId = aiModel || content.aiModel || getDefaultProviderId();
+      if (!getProvider(providerId)) {
+        return res.status(400).json({ message: `Unknown AI model "${providerId}"` });
+      }
+      const providerChain = resolveProviderChain(providerId);
+      if (providerChain.length === 0) {
+        return res.status(503).json({ message: "No AI models are configured" });
+      }
+      
+      // Checked again below; the review state only changes once there is a new section
+      assertContentEditable(content);
+      
+      const lesson = {
+        scriptContent: content.scriptContent,
+        learningObjectives: content.learningObjectives || [],
+        materials: content.materials || [],
+        visualReferences: content.visualReferences || []
+      };
+      const { lesson: regenerated } = await generateWithFailover(
+        providerChain,
+        getContentParams(content),
+        (candidate: any, params: any) => regenerateSection(candidate, lesson, section, params, instructions)
+      );
+      
+      // Only the requested part changes
+      const scriptContent = typeof section === "number"
+        ? {
+            ...content.scriptContent,
+            mainContent: content.scriptContent.mainContent.map((current, index) => index === section ? regenerated : current)
+          }
+        : { ...content.scriptContent, [section]: regenerated };
+      
+      // The review state may have moved on while the provider was writing
+      await prepareContentEdit((await storage.getContent(id)) ?? content, req.user!);
+      const updatedContent = await storage.updateContent(id, { scriptContent });
+      res.json(updatedContent);
+    } catch (error: any) {
+      if (error instanceof ZodError) {
+        res.status(400).json({ message: "Invalid section", errors: error.errors });
+      } else if (error instanceof ReviewError) {
+        res.status(error.status).json({ message: error.message });
+      } else if (error instanceof ProviderChainError) {
+        res.status(502).json({ message: "Failed to regenerate section", error: error.message, attempts: error.attempts });
+      } else {
+        res.status(500).json({ message: "Failed to regenerate section", error: error.message });
+      }
+    }
+  });
+  
+  // Every saved version of a lesson, newest first
+  apiRouter.get("/contents/:id/versions", async (req: Request, res: Response) => {
+    try {
+      const id = parseInt(req.params.id);
+      const content = await getReadableContent(req, id);
+      
+      if (!content) {
+        return res.status(404).json({ message: "Content not found" });
+      }
+      
+      res.json(await storage.getContentVersions(id));
+    } catch (error: any) {
+      res.status(500).json({ message: "Failed to retrieve versions", error: error.message });
+    }
+  });
+  
+  // What changed between two versions of a lesson
+  apiRouter.get("/contents/:id/versions/diff", async (req: Request, res: Response) => {
+    try {
+      const id = parseInt(req.params.id);
+      const from = parseInt(String(req.query.from));
+      const to = parseInt(String(req.query.to));
+      
+      if (Number.isNaN(from) || Number.isNaN(to)) {
+        return res.status(400).json({ message: "Both a from and a to version are required" });
+      }
+      
+      const content = await getReadableContent(req, id);
+      if (!content) {
+        return res.status(404).json({ message: "Content not found" });
+      }
+      
+      const [fromVersion, toVersion] = await Promise.all([
+        storage.getContentVersion(id, from),
+        storage.getContentVersion(id, to),
+      ]);
+      if (!fromVersion || !toVersion) {
+        return res.status(404).json({ message: "Version not found" });
+      }
+      
+      res.json({ from, to, changes: diffVersions(fromVersion, toVersion) });
+    } catch (error: any) {
+      res.status(500).json({ message: "Failed to compare versions", error: error.message });
+    }
+  });
+  
+  // Bring back an earlier version; the restore itself is saved as a new version
+  apiRouter.post("/contents/:id/versions/:version/restore", async (req: Request, res: Response) => {
+    try {
+      const id = parseInt(req.params.id);
+      const content = await getOwnedContent(req, id);
+      
+      if (!content) {
+        return res.status(404).json({ message: "Content not found" });
+      }
+      if (content.status === "processing") {
+        return res.status(409).json({ message: "Wait for the video to finish rendering before restoring a version" });
+      }
+      
+      const version = await storage.getContentVersion(id, parseInt(req.params.version));
+      if (!version) {
+        return res.status(404).json({ message: "Version not found" });
+      }
+      
+      await prepareContentEdit(content, req.user!);
+      
+      const snapshot = Object.fromEntries(VERSION_SNAPSHOT_FIELDS.map((field) => [field, version[field]]));
+      const updatedContent = await storage.updateContent(id, {
+        ...snapshot,
+        // A restored video is ready to play again
+        ...(version.videoUrl ? { status: "completed", errorMessage: null } : {}),
+      });
+      
+      res.json(updatedContent);
+    } catch (error: any) {
+      if (error instanceof ReviewError) {
+        res.status(error.status).json({ message: error.message });
+      } else {
+        res.status(500).json({ message: "Failed to restore version", error: error.message });
+      }
+    }
+  });
+  
+  // Stream render progress for a content item as server-sent events
+  apiRouter.get("/contents/:id/progress", async (req: Request, res: Response) => {
+    const id = parseInt(req.params.id);
+    let content;
+    try {
+      content = await getReadableContent(req, id);
+    } catch (error: any) {
+      return res.status(500).json({ message: "Failed to retrieve progress", error: error.message });
+    }
+    
+    if (!content) {
+      return res.status(404).json({ message: "Content not found" });
+    }
+    
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+    
+    const send = (progress: RenderProgress) => {
+      res.write(`event: progress\ndata: ${JSON.stringify(progress)}\n\n`);
+    };
+    
+    // Start the client from the current state
+    const current = getProgress(id);
+    if (current) {
+      send(current);
+    } else if (content.status !== "processing") {
+      send({ contentId: id, phase: content.status === "error" ? "error" : "completed" });
+    }
+    
+    const unsubscribe = subscribeProgress(id, send);
+    
+    // Keep intermediaries from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+    
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+  
+  // Review history, comments and the actions available to the current user
+  apiRouter.get("/contents/:id/review", async (req: Request, res: Response) => {
+    try {
+      const id = parseInt(req.params.id);
+      const content = await getReadableContent(req, id);
+      
+      if (!content) {
+        return res.status(404).json({ message: "Content not found" });
+      }
+      
+      res.json(await getReviewHistory(content, req.user!));
+    } catch (error: any) {
+      res.status(500).json({ message: "Failed to retrieve review history", error: error.message });
+    }
+  });
+  
+  // Move content through the review workflow
+  apiRouter.post("/contents/:id/review", async (req: Request, res: Response) => {
+    try {
+      const id = parseInt(req.params.id);
+      const { action, comment } = reviewActionRequestSchema.parse(req.body);
+      const content = await getReadableContent(req, id);
+      
+      if (!content) {
+        return res.status(404).json({ message: "Content not found" });
+      }
+      
+      // Publishing sends the lesson out when WhatsApp delivery is configured,
+      // so make sure it can actually be sent first; without it, it only publishes
+      const delivers = action === "publish" && isWhatsAppConfigured();
+      if (delivers && (content.status !== "completed" || !content.videoUrl)) {
+        return res.status(409).json({ message: "The video must finish rendering before it can be sent" });
+      }
+      
+      const { content: updatedContent, event } = await applyReviewAction(content, req.user!, action, comment || undefined);
+      if (delivers) {
+        // Every publish sends the lesson out again, so earlier recipients get the new version
+        await enqueueDelivery(content.id, event.id);
+      }
+      res.json(action === "publish" ? { ...updatedContent, deliveryQueued: delivers } : updatedContent);
+    } catch (error: any) {
+      if (error instanceof ZodError) {
+        res.status(400).json({ message: "Invalid review action", errors: error.errors });
+      } else if (error instanceof ReviewError) {
+        res.status(error.status).json({ message: error.message });
+      } else {
+        res.status(500).json({ message: "Failed to update review status", error: error.message });
+      }
+    }
+  });
+  
+  // Leave a review comment
+  apiRouter.post("/contents/:id/comments", async (req: Request, res: Response) => {
+    try {
+      const id = parseInt(req.params.id);
+      const { body } = reviewCommentRequestSchema.parse(req.body);
+      const content = await getReadableContent(req, id);
+      
+      if (!content) {
+        return res.status(404).json({ message: "Content not found" });
+      }
+      
+      const comment = await storage.createReviewComment({ contentId: id, userId: req.user!.id, body });
+      res.status(201).json({ ...comment, username: req.user!.username });
+    } catch (error: any) {
+      if (error instanceof ZodError) {
+        res.status(400).json({ message: "Invalid comment", errors: error.errors });
+      } else {
+        res.status(500).json({ message: "Failed to add comment", error: error.message });
+      }
+    }
+  });
+  
+  // Delivery status of a lesson for each WhatsApp recipient
+  apiRouter.get("/contents/:id/deliveries", async (req: Request, res: Response) => {
+    try {
+      const id = parseInt(req.params.id);
+      const content = await getReadableContent(req, id);
+      
+      if (!content) {
+        return res.status(404).json({ message: "Content not found" });
+      }
+      
+      res.json(await getLatestDeliveries(id));
+    } catch (error: any) {
+      res.status(500).json({ message: "Failed to retrieve deliveries", error: error.message });
+    }
+  });
+  
+  // Send the latest publish of a lesson again to the recipients that did not get it
+  apiRouter.post("/contents/:id/deliveries", async (req: Request, res: Response) => {
+    try {
+      const id = parseInt(req.params.id);
+      const content = await getOwnedContent(req, id);
+      
+      if (!content) {
+        return res.status(404).json({ message: "Content not found" });
+      }
+      if (content.reviewStatus !== "published") {
+        return res.status(409).json({ message: "Only published content can be sent" });
+      }
+      if (!isWhatsAppConfigured()) {
+        return res.status(503).json({ message: "WhatsApp delivery is not configured" });
+      }
+      
+      const job = await enqueueDelivery(id);
+      res.status(202).json({ jobId: job.id, deliveries: await getLatestDeliveries(id) });
+    } catch (error: any) {
+      res.status(500).json({ message: "Failed to queue delivery", error: error.message });
+    }
+  });
+  
+  // WhatsApp webhook subscription handshake
+  apiRouter.get("/whatsapp/webhook", (req: Request, res: Response) => {
+    const verifyToken = process.env.WHATSAPP_VERIFY_TOKEN;
+    
+    if (verifyToken && req.query["hub.mode"] === "subscribe" && req.query["hub.verify_token"] === verifyToken) {
+      return res.send(req.query["hub.challenge"]);
+    }
+    res.sendStatus(403);
+  });
+  
+  // Sent, delivered, read and failed notifications for the messages we sent
+  apiRouter.post("/whatsapp/webhook", async (req: Request, res: Response) => {
+    if (!isValidWebhookSignature(req)) {
+      return res.sendStatus(401);
+    }
+    
+    try {
+      const statuses = (req.body.entry || [])
+        .flatMap((entry: any) => entry.changes || [])
+        .flatMap((change: any) => change.value?.statuses || []);
+      
+      await applyDeliveryStatuses(statuses);
+      res.sendStatus(200);
+    } catch (error: any) {
+      res.status(500).json({ message: "Failed to process webhook", error: error.message });
+    }
+  });
+  
+  // Content waiting for a reviewer
+  apiRouter.get("/reviews", requireRole("reviewer", "admin"), async (req: Request, res: Response) => {
+    try {
+      res.json(await storage.getContentsByReviewStatus("in-review"));
+    } catch (error: any) {
+      res.status(500).json({ message: "Failed to retrieve review queue", error: error.message });
+    }
+  });
+  
+  // List accounts and their roles
+  apiRouter.get("/users", async (req: Request, res: Response) => {
+    try {
+      const users = await storage.getAllUsers();
+      res.json(users.map(({ password, ...user }) => user));
+    } catch (error: any) {
+      res.status(500).json({ message: "Failed to retrieve users", error: error.message });
+    }
+  });
+  
+  // Change the role of an account
+  apiRouter.patch("/users/:id", async (req: Request, res: Response) => {
+    try {
+      const id = parseInt(req.params.id);
+      const role = userRoleSchema.parse(req.body.role);
+      
+      // Keeps at least one admin around
+      if (id === req.user!.id) {
+        return res.status(400).json({ message: "You cannot change your own role" });
+      }
+      
+      const user = await storage.updateUserRole(id, role);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+      
+      const { password, ...publicUser } = user;
+      res.json(publicUser);
+    } catch (error: any) {
+      if (error instanceof ZodError) {
+        res.status(400).json({ message: "Invalid role", errors: error.errors });
+      } else {
+        res.status(500).json({ message: "Failed to update user", error: error.message });
+      }
+    }
+  });
+  
+  // Get the state of a background job
+  apiRouter.get("/jobs/:id", async (req: Request, res: Response) => {
+    try {
+      const id = parseInt(req.params.id);
+      const job = await storage.getJob(id);
+      
+      if (!job || (job.payload.contentId && !(await getOwnedContent(req, job.payload.contentId)))) {
+        return res.status(404).json({ message: "Job not found" });
+      }
+      
+      res.json(job);
+    } catch (error: any) {
+      res.status(500).json({ message: "Failed to retrieve job", error: error.message });
+    }
+  });
+  
   // Mount the API router
   app.use("/api", apiRouter);
   
   // Serve static video files
   app.use('/videos', express.static(path.join(__dirname, '..', 'public', 'videos')));
+  
+  // Serve lesson illustrations: the bundled library and the diagrams drawn for lessons
+  app.use('/illustrations', express.static(path.join(__dirname, '..', 'public', 'illustrations')));
+  app.use('/visuals', express.static(path.join(__dirname, '..', 'public', 'visuals')));
 
   const httpServer = createServer(app);
   return httpServer;
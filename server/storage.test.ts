@@ -0,0 +1,268 @@
+/**
+ * The IStorage contract, run against both storage backends.
+ * DatabaseStorage runs on pg-mem, an in-process Postgres, with the tables
+ * created from shared/schema.ts. Set TEST_DATABASE_URL to run it against a
+ * real Postgres server through the pg driver instead; its tables are dropped
+ * and recreated, so point it at a throwaway database.
+ */
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "module";
+import { sql } from "drizzle-orm";
+import { drizzle } from "drizzle-orm/node-postgres";
+import { newDb } from "pg-mem";
+import * as schema from "@shared/schema";
+import { DatabaseStorage, MemStorage, type IStorage } from "./storage";
+import { createDb, type Database } from "./db";
+
+// The ESM build of drizzle-kit/api cannot load its own dependencies
+const { generateDrizzleJson, generateMigration } = createRequire(import.meta.url)("drizzle-kit/api");
+
+async function getSchemaStatements(): Promise<string[]> {
+  return generateMigration(generateDrizzleJson({}), generateDrizzleJson(schema));
+}
+
+// pg-mem hands back timestamps as Dates, where the pg driver gives drizzle the raw text
+function toDriverValue(value: unknown) {
+  return value instanceof Date ? value.toISOString().replace("T", " ").replace("Z", "") : value;
+}
+
+/**
+ * A drizzle client on pg-mem. Its pg adapter rejects the type parsers drizzle
+ * passes and ignores rowMode, so queries are adapted on the way through;
+ * pg-mem keeps the selected column order, which makes array rows reliable.
+ */
+async function createMemoryDb(): Promise<Database> {
+  const memoryDb = newDb();
+  for (const statement of await getSchemaStatements()) {
+    memoryDb.public.none(statement);
+  }
+
+  const { Pool } = memoryDb.adapters.createPg();
+  const pool = new Pool();
+  const query = pool.query.bind(pool);
+  pool.query = async (config: any, values?: unknown[]) => {
+    if (typeof config === "string") return query(config, values);
+
+    const { types, rowMode, name, ...rest } = config;
+    const result = await query(rest, values);
+    const rows = result.rows.map((row: Record<string, unknown>) =>
+      Object.fromEntries(Object.entries(row).map(([key, value]) => [key, toDriverValue(value)])),
+    );
+    return { ...result, rows: rowMode === "array" ? rows.map((row: Record<string, unknown>) => Object.values(row)) : rows };
+  };
+
+  return drizzle({ client: pool, schema }) as unknown as Database;
+}
+
+async function createPostgresDb(connectionString: string): Promise<Database> {
+  const db = createDb(connectionString, "pg");
+  for (const table of Object.values(generateDrizzleJson(schema).tables) as { name: string }[]) {
+    await db.execute(sql.raw(`DROP TABLE IF EXISTS "${table.name}" CASCADE`));
+  }
+  for (const statement of await getSchemaStatements()) {
+    await db.execute(sql.raw(statement));
+  }
+  return db;
+}
+
+const lessonFields = {
+  title: "The water cycle",
+  subject: "Science",
+  ageGroup: "8-10",
+  difficultyLevel: "beginner",
+  contentFormat: "video",
+  duration: "5",
+};
+
+const script = { opening: "Hello!", mainContent: [{ sectionTitle: "Rain", script: "Water falls." }], conclusion: "Bye!" };
+
+function describeStorage(name: string, createStorage: () => Promise<IStorage>, cleanUp?: () => Promise<void>) {
+  describe(name, () => {
+    let storage: IStorage;
+    let userId: number;
+
+    before(async () => {
+      storage = await createStorage();
+      userId = (await storage.createUser({ username: `creator-${name}`, password: "hash" })).id;
+    });
+
+    if (cleanUp) after(cleanUp);
+
+    test("creates, finds and updates users", async () => {
+      const reviewer = await storage.createUser({ username: `reviewer-${name}`, password: "hash", role: "reviewer" });
+      assert.equal(reviewer.role, "reviewer");
+      assert.equal((await storage.getUser(userId))?.username, `creator-${name}`);
+      assert.equal((await storage.getUser(userId))?.role, "creator");
+      assert.equal((await storage.getUserByUsername(`reviewer-${name}`))?.id, reviewer.id);
+      assert.equal(await storage.getUserByUsername("nobody"), undefined);
+
+      const updated = await storage.updateUserRole(reviewer.id, "admin");
+      assert.equal(updated?.role, "admin");
+      const usernames = (await storage.getAllUsers()).map((user) => user.username);
+      assert.ok(usernames.includes(`creator-${name}`) && usernames.includes(`reviewer-${name}`));
+    });
+
+    test("stores content with its defaults and looks it up", async () => {
+      const content = await storage.createContent({ ...lessonFields, userId });
+      assert.equal(content.status, "draft");
+      assert.equal(content.reviewStatus, "draft");
+      assert.equal(content.language, "en");
+      assert.ok(content.createdAt instanceof Date && !Number.isNaN(content.createdAt.getTime()));
+
+      assert.deepEqual(await storage.getContent(content.id), content);
+      assert.equal(await storage.getContent(content.id + 1000), undefined);
+      assert.ok((await storage.getContentsByUser(userId)).some((row) => row.id === content.id));
+      assert.ok((await storage.getAllContents()).some((row) => row.id === content.id));
+      assert.ok((await storage.getContentsByReviewStatus("draft")).some((row) => row.id === content.id));
+      assert.ok(!(await storage.getContentsByReviewStatus("published")).some((row) => row.id === content.id));
+    });
+
+    test("records a version whenever a versioned field changes", async () => {
+      const content = await storage.createContent({ ...lessonFields, userId });
+      assert.deepEqual(await storage.getContentVersions(content.id), []);
+
+      const updated = await storage.updateContent(content.id, { scriptContent: script, learningObjectives: ["Name the stages"] });
+      assert.deepEqual(updated?.scriptContent, script);
+
+      // Status changes and unchanged values are not versions
+      await storage.updateContent(content.id, { status: "processing" });
+      await storage.updateContent(content.id, { scriptContent: script });
+      await storage.updateContent(content.id, { videoUrl: "/videos/water.mp4" });
+
+      const versions = await storage.getContentVersions(content.id);
+      assert.deepEqual(versions.map((version) => version.version), [2, 1]);
+      assert.deepEqual(versions[1].changedFields.sort(), ["learningObjectives", "scriptContent"]);
+      assert.deepEqual(versions[0].changedFields, ["videoUrl"]);
+      assert.equal(versions[0].videoUrl, "/videos/water.mp4");
+      assert.deepEqual(versions[0].scriptContent, script);
+
+      assert.equal((await storage.getContentVersion(content.id, 1))?.videoUrl, null);
+      assert.equal(await storage.getContentVersion(content.id, 3), undefined);
+      assert.equal(await storage.updateContent(content.id + 1000, { status: "error" }), undefined);
+    });
+
+    test("claims a content status only once", async () => {
+      const content = await storage.createContent({ ...lessonFields, userId });
+
+      assert.equal((await storage.claimContentStatus(content.id, "draft", "generating"))?.status, "generating");
+      assert.equal(await storage.claimContentStatus(content.id, "draft", "generating"), undefined);
+      assert.equal((await storage.getContent(content.id))?.status, "generating");
+    });
+
+    test("finds translations and batch lessons", async () => {
+      const source = await storage.createContent({ ...lessonFields, userId });
+      const translation = await storage.createContent({ ...lessonFields, userId, language: "hi", sourceContentId: source.id });
+      await storage.createContent({ ...lessonFields, userId });
+      assert.deepEqual((await storage.getContentTranslations(source.id)).map((row) => row.id), [source.id, translation.id]);
+
+      const batch = await storage.createBatch({ userId, name: "Term 1" });
+      const first = await storage.createContent({ ...lessonFields, userId, batchId: batch.id });
+      const second = await storage.createContent({ ...lessonFields, userId, batchId: batch.id });
+      assert.deepEqual((await storage.getContentsByBatch(batch.id)).map((row) => row.id), [first.id, second.id]);
+      assert.equal((await storage.getBatch(batch.id))?.name, "Term 1");
+      assert.ok((await storage.getBatchesByUser(userId)).some((row) => row.id === batch.id));
+    });
+
+    test("deletes content together with its versions", async () => {
+      const content = await storage.createContent({ ...lessonFields, userId, scriptContent: script });
+      assert.equal((await storage.getContentVersions(content.id)).length, 1);
+
+      assert.equal(await storage.deleteContent(content.id), true);
+      assert.equal(await storage.getContent(content.id), undefined);
+      assert.deepEqual(await storage.getContentVersions(content.id), []);
+      assert.equal(await storage.deleteContent(content.id), false);
+    });
+
+    test("queues, claims and updates jobs", async () => {
+      const due = await storage.createJob({ type: "render-video", payload: { contentId: 1 }, runAt: new Date(Date.now() - 1000) });
+      const later = await storage.createJob({ type: "render-video", payload: { contentId: 2 }, runAt: new Date(Date.now() + 60_000) });
+      assert.equal(due.status, "queued");
+      assert.equal(due.attempts, 0);
+      assert.deepEqual((await storage.getJob(due.id))?.payload, { contentId: 1 });
+
+      const dueIds = (await storage.getDueJobs(10)).map((job) => job.id);
+      assert.ok(dueIds.includes(due.id) && !dueIds.includes(later.id));
+
+      // Only one worker gets a job
+      assert.equal((await storage.claimJob(due.id))?.status, "processing");
+      assert.equal(await storage.claimJob(due.id), undefined);
+      assert.ok((await storage.getJobsByStatus("processing")).some((job) => job.id === due.id));
+
+      const done = await storage.updateJob(due.id, { status: "completed", attempts: 1, result: { ok: true } });
+      assert.equal(done?.status, "completed");
+      assert.deepEqual(done?.result, { ok: true });
+      assert.ok(!(await storage.getDueJobs(10)).some((job) => job.id === due.id));
+    });
+
+    test("keeps review events and comments in order", async () => {
+      const content = await storage.createContent({ ...lessonFields, userId });
+      await storage.createReviewEvent({ contentId: content.id, userId, action: "submit", fromStatus: "draft", toStatus: "in-review" });
+      await storage.createReviewEvent({ contentId: content.id, userId, action: "approve", fromStatus: "in-review", toStatus: "approved" });
+      await storage.createReviewComment({ contentId: content.id, userId, body: "Looks good" });
+
+      assert.deepEqual((await storage.getReviewEvents(content.id)).map((event) => event.action), ["submit", "approve"]);
+      assert.deepEqual((await storage.getReviewComments(content.id)).map((comment) => comment.body), ["Looks good"]);
+      assert.deepEqual(await storage.getReviewEvents(content.id + 1000), []);
+    });
+
+    test("tracks deliveries by content and message id", async () => {
+      const content = await storage.createContent({ ...lessonFields, userId });
+      const delivery = await storage.createDelivery({ contentId: content.id, recipient: "15550001111" });
+      assert.equal(delivery.status, "pending");
+      assert.equal(delivery.publishEventId, null);
+      assert.equal(delivery.messageId, null);
+      assert.equal(delivery.objectivesMessageId, null);
+
+      const sent = await storage.updateDelivery(delivery.id, { status: "sent", messageId: `wamid.${name}` });
+      assert.equal(sent?.status, "sent");
+      assert.equal((await storage.getDeliveryByMessageId(`wamid.${name}`))?.id, delivery.id);
+      assert.equal(await storage.getDeliveryByMessageId("wamid.unknown"), undefined);
+      assert.deepEqual((await storage.getDeliveries(content.id)).map((row) => row.status), ["sent"]);
+    });
+
+    test("orders, reorders and deletes course lessons", async () => {
+      const course = await storage.createCourse({ userId, title: "Weather" });
+      const lessons = await Promise.all([1, 2, 3].map(() => storage.createContent({ ...lessonFields, userId })));
+      const [a, b, c] = lessons.map((lesson) => lesson.id);
+
+      assert.deepEqual((await storage.setCourseLessons(course.id, [c, a, b])).map((row) => row.id), [c, a, b]);
+      assert.deepEqual((await storage.getCourseLessons(course.id)).map((row) => row.coursePosition), [0, 1, 2]);
+
+      // Lessons left out leave the course
+      assert.deepEqual((await storage.setCourseLessons(course.id, [b, c])).map((row) => row.id), [b, c]);
+      assert.equal((await storage.getContent(a))?.courseId, null);
+
+      assert.equal((await storage.updateCourse(course.id, { description: "Rain and sun" }))?.description, "Rain and sun");
+      assert.ok((await storage.getCoursesByUser(userId)).some((row) => row.id === course.id));
+
+      assert.equal(await storage.deleteCourse(course.id), true);
+      assert.equal(await storage.getCourse(course.id), undefined);
+      assert.equal((await storage.getContent(b))?.courseId, null);
+      assert.equal(await storage.deleteCourse(course.id), false);
+    });
+  });
+}
+
+describeStorage("MemStorage", async () => new MemStorage());
+
+// The first account to register becomes the admin, so none may exist before it
+test("MemStorage starts without any accounts", async () => {
+  assert.deepEqual(await new MemStorage().getAllUsers(), []);
+});
+
+let database: Database | undefined;
+let databaseStorage: DatabaseStorage | undefined;
+describeStorage(
+  process.env.TEST_DATABASE_URL ? "DatabaseStorage on Postgres" : "DatabaseStorage on pg-mem",
+  async () => {
+    database = process.env.TEST_DATABASE_URL ? await createPostgresDb(process.env.TEST_DATABASE_URL) : await createMemoryDb();
+    databaseStorage = new DatabaseStorage(database);
+    return databaseStorage;
+  },
+  async () => {
+    (databaseStorage?.sessionStore as any)?.close?.();
+    if (process.env.TEST_DATABASE_URL) await database?.$client.end();
+  },
+);
@@ -1,32 +1,140 @@
-import { users, type User, type InsertUser, contents, type Content, type InsertContent } from "@shared/schema";
+import {
+  users, type User, type InsertUser,
+  contents, type Content, type InsertContent,
+  jobs, type Job, type InsertJob,
+  reviewEvents, type ReviewEvent, type InsertReviewEvent,
+  reviewComments, type ReviewComment, type InsertReviewComment,
+  deliveries, type Delivery, type InsertDelivery,
+  contentVersions, type ContentVersion, type InsertContentVersion,
+  batches, type Batch, type InsertBatch,
+  courses, type Course, type InsertCourse,
+} from "@shared/schema";
+import type { ReviewStatus, UserRole } from "@shared/review";
+import { VERSION_SNAPSHOT_FIELDS, getChangedVersionFields, type VersionedField } from "@shared/versions";
+import { DEFAULT_LANGUAGE } from "@shared/languages";
+import { and, asc, desc, eq, lte, max, notInArray, or } from "drizzle-orm";
+import session from "express-session";
+import createMemoryStore from "memorystore";
+import connectPg from "connect-pg-simple";
+import type pg from "pg";
+import { createDb, type Database } from "./db";
+
+const MemoryStore = createMemoryStore(session);
+const PostgresSessionStore = connectPg(session);
+
+/**
+ * The version row recording the current state of a lesson
+ */
+function toVersion(content: Content, version: number, changedFields: VersionedField[]): InsertContentVersion {
+  const snapshot = Object.fromEntries(VERSION_SNAPSHOT_FIELDS.map((field) => [field, content[field] ?? null]));
+  return { ...snapshot, contentId: content.id, version, changedFields };
+}
 
 export interface IStorage {
+  sessionStore: session.Store;
+
   getUser(id: number): Promise<User | undefined>;
   getUserByUsername(username: string): Promise<User | undefined>;
   createUser(user: InsertUser): Promise<User>;
+  getAllUsers(): Promise<User[]>;
+  updateUserRole(id: number, role: UserRole): Promise<User | undefined>;
   
   // Content related methods
   getAllContents(): Promise<Content[]>;
+  getContentsByUser(userId: number): Promise<Content[]>;
+  getContentsByReviewStatus(reviewStatus: ReviewStatus): Promise<Content[]>;
   getContent(id: number): Promise<Content | undefined>;
+  getContentTranslations(sourceContentId: number): Promise<Content[]>;
+  getContentsByBatch(batchId: number): Promise<Content[]>;
   createContent(content: InsertContent): Promise<Content>;
+  // Changing a versioned field also records an immutable version of the lesson
   updateContent(id: number, content: Partial<InsertContent>): Promise<Content | undefined>;
+  // Move content from one status to another, unless something else already moved it
+  claimContentStatus(id: number, fromStatus: string, toStatus: string): Promise<Content | undefined>;
   deleteContent(id: number): Promise<boolean>;
+  getContentVersions(contentId: number): Promise<ContentVersion[]>;
+  getContentVersion(contentId: number, version: number): Promise<ContentVersion | undefined>;
+
+  // Background job methods
+  createJob(job: InsertJob): Promise<Job>;
+  getJob(id: number): Promise<Job | undefined>;
+  getJobsByStatus(status: string): Promise<Job[]>;
+  getDueJobs(limit: number): Promise<Job[]>;
+  claimJob(id: number): Promise<Job | undefined>;
+  updateJob(id: number, job: Partial<InsertJob>): Promise<Job | undefined>;
+
+  // Review workflow methods
+  createReviewEvent(event: InsertReviewEvent): Promise<ReviewEvent>;
+  getReviewEvents(contentId: number): Promise<ReviewEvent[]>;
+  createReviewComment(comment: InsertReviewComment): Promise<ReviewComment>;
+  getReviewComments(contentId: number): Promise<ReviewComment[]>;
+
+  // WhatsApp delivery methods
+  createDelivery(delivery: InsertDelivery): Promise<Delivery>;
+  getDeliveries(contentId: number): Promise<Delivery[]>;
+  getDeliveryByMessageId(messageId: string): Promise<Delivery | undefined>;
+  updateDelivery(id: number, delivery: Partial<InsertDelivery>): Promise<Delivery | undefined>;
+
+  // Syllabus batch methods
+  createBatch(batch: InsertBatch): Promise<Batch>;
+  getBatch(id: number): Promise<Batch | undefined>;
+  getBatchesByUser(userId: number): Promise<Batch[]>;
+
+  // Course methods
+  createCourse(course: InsertCourse): Promise<Course>;
+  getCourse(id: number): Promise<Course | undefined>;
+  getCoursesByUser(userId: number): Promise<Course[]>;
+  updateCourse(id: number, course: Partial<InsertCourse>): Promise<Course | undefined>;
+  // Deleting a course keeps its lessons, they just leave the course
+  deleteCourse(id: number): Promise<boolean>;
+  getCourseLessons(courseId: number): Promise<Content[]>;
+  // Replace the lesson sequence of a course; lessons left out are removed from it
+  setCourseLessons(courseId: number, contentIds: number[]): Promise<Content[]>;
 }
 
 export class MemStorage implements IStorage {
   private users: Map<number, User>;
   private contents: Map<number, Content>;
+  private jobs: Map<number, Job>;
+  private reviewEvents: Map<number, ReviewEvent>;
+  private reviewComments: Map<number, ReviewComment>;
+  private deliveries: Map<number, Delivery>;
+  private contentVersions: Map<number, ContentVersion>;
+  private batches: Map<number, Batch>;
+  private courses: Map<number, Course>;
   currentUserId: number;
   currentContentId: number;
+  currentJobId: number;
+  currentReviewEventId: number;
+  currentReviewCommentId: number;
+  currentDeliveryId: number;
+  currentContentVersionId: number;
+  currentBatchId: number;
+  currentCourseId: number;
+  sessionStore: session.Store;
 
   constructor() {
     this.users = new Map();
     this.contents = new Map();
+    this.jobs = new Map();
+    this.reviewEvents = new Map();
+    this.reviewComments = new Map();
+    this.deliveries = new Map();
+    this.contentVersions = new Map();
+    this.batches = new Map();
+    this.courses = new Map();
     this.currentUserId = 1;
     this.currentContentId = 1;
-    
-    // Add some initial sample data
-    this.createUser({ username: "demo", password: "password" });
+    this.currentJobId = 1;
+    this.currentReviewEventId = 1;
+    this.currentReviewCommentId = 1;
+    this.currentDeliveryId = 1;
+    this.currentContentVersionId = 1;
+    this.currentBatchId = 1;
+    this.currentCourseId = 1;
+    this.sessionStore = new MemoryStore({
+      checkPeriod: 86400000, // Prune expired sessions every 24h
+    });
   }
 
   async getUser(id: number): Promise<User | undefined> {
@@ -41,28 +149,67 @@ export class MemStorage implements IStorage {
 
   async createUser(insertUser: InsertUser): Promise<User> {
     const id = this.currentUserId++;
-    const user: User = { ...insertUser, id };
+    const user: User = { ...insertUser, id, role: insertUser.role ?? "creator" };
     this.users.set(id, user);
     return user;
   }
   
+  async getAllUsers(): Promise<User[]> {
+    return Array.from(this.users.values());
+  }
+  
+  async updateUserRole(id: number, role: UserRole): Promise<User | undefined> {
+    const user = this.users.get(id);
+    if (!user) return undefined;
+    
+    const updatedUser: User = { ...user, role };
+    this.users.set(id, updatedUser);
+    return updatedUser;
+  }
+  
   // Content related methods
   async getAllContents(): Promise<Content[]> {
     return Array.from(this.contents.values());
   }
   
+  async getContentsByUser(userId: number): Promise<Content[]> {
+    return Array.from(this.contents.values()).filter((content) => content.userId === userId);
+  }
+  
+  async getContentsByReviewStatus(reviewStatus: ReviewStatus): Promise<Content[]> {
+    return Array.from(this.contents.values()).filter((content) => content.reviewStatus === reviewStatus);
+  }
+  
   async getContent(id: number): Promise<Content | undefined> {
     return this.contents.get(id);
   }
   
+  async getContentTranslations(sourceContentId: number): Promise<Content[]> {
+    return Array.from(this.contents.values()).filter(
+      (content) => content.id === sourceContentId || content.sourceContentId === sourceContentId
+    );
+  }
+  
+  async getContentsByBatch(batchId: number): Promise<Content[]> {
+    return Array.from(this.contents.values()).filter((content) => content.batchId === batchId);
+  }
+  
   async createContent(insertContent: InsertContent): Promise<Content> {
     const id = this.currentContentId++;
     const content: Content = { 
       ...insertContent, 
       id,
+      status: insertContent.status ?? "draft",
+      language: insertContent.language ?? DEFAULT_LANGUAGE,
+      reviewStatus: insertContent.reviewStatus ?? "draft",
       createdAt: new Date() 
     };
     this.contents.set(id, content);
+    
+    const changedFields = getChangedVersionFields({}, content);
+    if (changedFields.length > 0) {
+      this.recordVersion(content, changedFields);
+    }
     return content;
   }
   
@@ -70,18 +217,585 @@ export class MemStorage implements IStorage {
     const content = this.contents.get(id);
     if (!content) return undefined;
     
+    const changedFields = getChangedVersionFields(content, updateContent);
     const updatedContent: Content = { 
       ...content, 
       ...updateContent 
     };
     this.contents.set(id, updatedContent);
+    
+    if (changedFields.length > 0) {
+      this.recordVersion(updatedContent, changedFields);
+    }
     return updatedContent;
   }
   
+  async claimContentStatus(id: number, fromStatus: string, toStatus: string): Promise<Content | undefined> {
+    const content = this.contents.get(id);
+    if (!content || content.status !== fromStatus) return undefined;
+    return this.updateContent(id, { status: toStatus });
+  }
+  
   async deleteContent(id: number): Promise<boolean> {
     if (!this.contents.has(id)) return false;
+    
+    this.contentVersions.forEach((version, versionId) => {
+      if (version.contentId === id) this.contentVersions.delete(versionId);
+    });
     return this.contents.delete(id);
   }
+  
+  private recordVersion(content: Content, changedFields: VersionedField[]) {
+    const id = this.currentContentVersionId++;
+    const version: ContentVersion = {
+      ...toVersion(content, this.countVersions(content.id) + 1, changedFields),
+      id,
+      createdAt: new Date(),
+    } as ContentVersion;
+    this.contentVersions.set(id, version);
+  }
+  
+  private countVersions(contentId: number) {
+    return Array.from(this.contentVersions.values()).filter((version) => version.contentId === contentId).length;
+  }
+  
+  async getContentVersions(contentId: number): Promise<ContentVersion[]> {
+    return Array.from(this.contentVersions.values())
+      .filter((version) => version.contentId === contentId)
+      .sort((a, b) => b.version - a.version);
+  }
+  
+  async getContentVersion(contentId: number, version: number): Promise<ContentVersion | undefined> {
+    return Array.from(this.contentVersions.values()).find(
+      (candidate) => candidate.contentId === contentId && candidate.version === version
+    );
+  }
+
+  // Background job methods
+  async createJob(insertJob: InsertJob): Promise<Job> {
+    const id = this.currentJobId++;
+    const now = new Date();
+    const job: Job = {
+      status: "queued",
+      attempts: 0,
+      maxAttempts: 3,
+      runAt: now,
+      lastError: null,
+      result: null,
+      ...insertJob,
+      id,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.jobs.set(id, job);
+    return job;
+  }
+
+  async getJob(id: number): Promise<Job | undefined> {
+    return this.jobs.get(id);
+  }
+
+  async getJobsByStatus(status: string): Promise<Job[]> {
+    return Array.from(this.jobs.values()).filter((job) => job.status === status);
+  }
+
+  async getDueJobs(limit: number): Promise<Job[]> {
+    const now = Date.now();
+    return Array.from(this.jobs.values())
+      .filter((job) => job.status === "queued" && job.runAt.getTime() <= now)
+      .sort((a, b) => a.runAt.getTime() - b.runAt.getTime() || a.id - b.id)
+      .slice(0, limit);
+  }
+
+  async claimJob(id: number): Promise<Job | undefined> {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== "queued") return undefined;
+    return this.updateJob(id, { status: "processing" });
+  }
+
+  async updateJob(id: number, updateJob: Partial<InsertJob>): Promise<Job | undefined> {
+    const job = this.jobs.get(id);
+    if (!job) return undefined;
+
+    const updatedJob: Job = {
+      ...job,
+      ...updateJob,
+      updatedAt: new Date()
+    };
+    this.jobs.set(id, updatedJob);
+    return updatedJob;
+  }
+
+  // Review workflow methods
+  async createReviewEvent(insertEvent: InsertReviewEvent): Promise<ReviewEvent> {
+    const id = this.currentReviewEventId++;
+    const event: ReviewEvent = { ...insertEvent, id, createdAt: new Date() };
+    this.reviewEvents.set(id, event);
+    return event;
+  }
+
+  async getReviewEvents(contentId: number): Promise<ReviewEvent[]> {
+    return Array.from(this.reviewEvents.values()).filter((event) => event.contentId === contentId);
+  }
+
+  async createReviewComment(insertComment: InsertReviewComment): Promise<ReviewComment> {
+    const id = this.currentReviewCommentId++;
+    const comment: ReviewComment = { ...insertComment, id, createdAt: new Date() };
+    this.reviewComments.set(id, comment);
+    return comment;
+  }
+
+  async getReviewComments(contentId: number): Promise<ReviewComment[]> {
+    return Array.from(this.reviewComments.values()).filter((comment) => comment.contentId === contentId);
+  }
+
+  // WhatsApp delivery methods
+  async createDelivery(insertDelivery: InsertDelivery): Promise<Delivery> {
+    const id = this.currentDeliveryId++;
+    const now = new Date();
+    const delivery: Delivery = {
+      status: "pending",
+      publishEventId: null,
+      messageId: null,
+      objectivesMessageId: null,
+      errorMessage: null,
+      ...insertDelivery,
+      id,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.deliveries.set(id, delivery);
+    return delivery;
+  }
+
+  async getDeliveries(contentId: number): Promise<Delivery[]> {
+    return Array.from(this.deliveries.values()).filter((delivery) => delivery.contentId === contentId);
+  }
+
+  async getDeliveryByMessageId(messageId: string): Promise<Delivery | undefined> {
+    return Array.from(this.deliveries.values()).find((delivery) => delivery.messageId === messageId);
+  }
+
+  async updateDelivery(id: number, updateDelivery: Partial<InsertDelivery>): Promise<Delivery | undefined> {
+    const delivery = this.deliveries.get(id);
+    if (!delivery) return undefined;
+
+    const updatedDelivery: Delivery = {
+      ...delivery,
+      ...updateDelivery,
+      updatedAt: new Date()
+    };
+    this.deliveries.set(id, updatedDelivery);
+    return updatedDelivery;
+  }
+
+  // Syllabus batch methods
+  async createBatch(insertBatch: InsertBatch): Promise<Batch> {
+    const id = this.currentBatchId++;
+    const batch: Batch = { ...insertBatch, id, createdAt: new Date() };
+    this.batches.set(id, batch);
+    return batch;
+  }
+
+  async getBatch(id: number): Promise<Batch | undefined> {
+    return this.batches.get(id);
+  }
+
+  async getBatchesByUser(userId: number): Promise<Batch[]> {
+    return Array.from(this.batches.values())
+      .filter((batch) => batch.userId === userId)
+      .sort((a, b) => b.id - a.id);
+  }
+
+  // Course methods
+  async createCourse(insertCourse: InsertCourse): Promise<Course> {
+    const id = this.currentCourseId++;
+    const course: Course = {
+      ...insertCourse,
+      id,
+      subject: insertCourse.subject ?? null,
+      description: insertCourse.description ?? null,
+      createdAt: new Date(),
+    };
+    this.courses.set(id, course);
+    return course;
+  }
+
+  async getCourse(id: number): Promise<Course | undefined> {
+    return this.courses.get(id);
+  }
+
+  async getCoursesByUser(userId: number): Promise<Course[]> {
+    return Array.from(this.courses.values()).filter((course) => course.userId === userId);
+  }
+
+  async updateCourse(id: number, updateCourse: Partial<InsertCourse>): Promise<Course | undefined> {
+    const course = this.courses.get(id);
+    if (!course) return undefined;
+
+    const updatedCourse: Course = { ...course, ...updateCourse };
+    this.courses.set(id, updatedCourse);
+    return updatedCourse;
+  }
+
+  async deleteCourse(id: number): Promise<boolean> {
+    await this.setCourseLessons(id, []);
+    return this.courses.delete(id);
+  }
+
+  async getCourseLessons(courseId: number): Promise<Content[]> {
+    return Array.from(this.contents.values())
+      .filter((content) => content.courseId === courseId)
+      .sort((a, b) => (a.coursePosition ?? 0) - (b.coursePosition ?? 0));
+  }
+
+  async setCourseLessons(courseId: number, contentIds: number[]): Promise<Content[]> {
+    this.contents.forEach((content, id) => {
+      const position = contentIds.indexOf(id);
+      if (position !== -1) {
+        this.contents.set(id, { ...content, courseId, coursePosition: position });
+      } else if (content.courseId === courseId) {
+        this.contents.set(id, { ...content, courseId: null, coursePosition: null });
+      }
+    });
+    return this.getCourseLessons(courseId);
+  }
+}
+
+export class DatabaseStorage implements IStorage {
+  private db: Database;
+  sessionStore: session.Store;
+
+  constructor(db: Database = createDb()) {
+    this.db = db;
+    this.sessionStore = new PostgresSessionStore({
+      // Sessions share the pool of the injected database; the Neon pool answers the same queries as pg's
+      pool: db.$client as pg.Pool,
+      createTableIfMissing: true,
+    });
+  }
+
+  async getUser(id: number): Promise<User | undefined> {
+    const [user] = await this.db.select().from(users).where(eq(users.id, id));
+    return user;
+  }
+
+  async getUserByUsername(username: string): Promise<User | undefined> {
+    const [user] = await this.db.select().from(users).where(eq(users.username, username));
+    return user;
+  }
+
+  async createUser(insertUser: InsertUser): Promise<User> {
+    const [user] = await this.db.insert(users).values(insertUser).returning();
+    return user;
+  }
+
+  async getAllUsers(): Promise<User[]> {
+    return this.db.select().from(users).orderBy(asc(users.id));
+  }
+
+  async updateUserRole(id: number, role: UserRole): Promise<User | undefined> {
+    const [user] = await this.db.update(users).set({ role }).where(eq(users.id, id)).returning();
+    return user;
+  }
+
+  // Content related methods
+  async getAllContents(): Promise<Content[]> {
+    return this.db.select().from(contents).orderBy(desc(contents.createdAt));
+  }
+
+  async getContentsByUser(userId: number): Promise<Content[]> {
+    return this.db
+      .select()
+      .from(contents)
+      .where(eq(contents.userId, userId))
+      .orderBy(desc(contents.createdAt));
+  }
+
+  async getContentsByReviewStatus(reviewStatus: ReviewStatus): Promise<Content[]> {
+    return this.db
+      .select()
+      .from(contents)
+      .where(eq(contents.reviewStatus, reviewStatus))
+      .orderBy(asc(contents.createdAt));
+  }
+
+  async getContent(id: number): Promise<Content | undefined> {
+    const [content] = await this.db.select().from(contents).where(eq(contents.id, id));
+    return content;
+  }
+
+  async getContentTranslations(sourceContentId: number): Promise<Content[]> {
+    return this.db
+      .select()
+      .from(contents)
+      .where(or(eq(contents.id, sourceContentId), eq(contents.sourceContentId, sourceContentId)))
+      .orderBy(asc(contents.id));
+  }
+
+  async getContentsByBatch(batchId: number): Promise<Content[]> {
+    return this.db.select().from(contents).where(eq(contents.batchId, batchId)).orderBy(asc(contents.id));
+  }
+
+  async createContent(insertContent: InsertContent): Promise<Content> {
+    return this.db.transaction(async (tx) => {
+      const [content] = await tx.insert(contents).values(insertContent).returning();
+
+      const changedFields = getChangedVersionFields({}, content);
+      if (changedFields.length > 0) {
+        await tx.insert(contentVersions).values(toVersion(content, 1, changedFields));
+      }
+      return content;
+    });
+  }
+
+  async updateContent(id: number, updateContent: Partial<InsertContent>): Promise<Content | undefined> {
+    // Status updates are frequent and never versioned, so skip the transaction for them
+    const touchesVersionedFields = getChangedVersionFields({}, updateContent).length > 0;
+    if (!touchesVersionedFields) {
+      const [content] = await this.db
+        .update(contents)
+        .set(updateContent)
+        .where(eq(contents.id, id))
+        .returning();
+      return content;
+    }
+
+    return this.db.transaction(async (tx) => {
+      const [current] = await tx.select().from(contents).where(eq(contents.id, id)).for("update");
+      if (!current) return undefined;
+
+      const changedFields = getChangedVersionFields(current, updateContent);
+      const [content] = await tx
+        .update(contents)
+        .set(updateContent)
+        .where(eq(contents.id, id))
+        .returning();
+
+      if (changedFields.length > 0) {
+        const [{ latest }] = await tx
+          .select({ latest: max(contentVersions.version) })
+          .from(contentVersions)
+          .where(eq(contentVersions.contentId, id));
+        await tx.insert(contentVersions).values(toVersion(content, (latest ?? 0) + 1, changedFields));
+      }
+      return content;
+    });
+  }
+
+  async claimContentStatus(id: number, fromStatus: string, toStatus: string): Promise<Content | undefined> {
+    // Conditional update so two requests can never both claim the same content
+    const [content] = await this.db
+      .update(contents)
+      .set({ status: toStatus })
+      .where(and(eq(contents.id, id), eq(contents.status, fromStatus)))
+      .returning();
+    return content;
+  }
+
+  async deleteContent(id: number): Promise<boolean> {
+    return this.db.transaction(async (tx) => {
+      await tx.delete(contentVersions).where(eq(contentVersions.contentId, id));
+      const deleted = await tx
+        .delete(contents)
+        .where(eq(contents.id, id))
+        .returning({ id: contents.id });
+      return deleted.length > 0;
+    });
+  }
+
+  async getContentVersions(contentId: number): Promise<ContentVersion[]> {
+    return this.db
+      .select()
+      .from(contentVersions)
+      .where(eq(contentVersions.contentId, contentId))
+      .orderBy(desc(contentVersions.version));
+  }
+
+  async getContentVersion(contentId: number, version: number): Promise<ContentVersion | undefined> {
+    const [contentVersion] = await this.db
+      .select()
+      .from(contentVersions)
+      .where(and(eq(contentVersions.contentId, contentId), eq(contentVersions.version, version)));
+    return contentVersion;
+  }
+
+  // Background job methods
+  async createJob(insertJob: InsertJob): Promise<Job> {
+    const [job] = await this.db.insert(jobs).values(insertJob).returning();
+    return job;
+  }
+
+  async getJob(id: number): Promise<Job | undefined> {
+    const [job] = await this.db.select().from(jobs).where(eq(jobs.id, id));
+    return job;
+  }
+
+  async getJobsByStatus(status: string): Promise<Job[]> {
+    return this.db.select().from(jobs).where(eq(jobs.status, status));
+  }
+
+  async getDueJobs(limit: number): Promise<Job[]> {
+    return this.db
+      .select()
+      .from(jobs)
+      .where(and(eq(jobs.status, "queued"), lte(jobs.runAt, new Date())))
+      .orderBy(asc(jobs.runAt), asc(jobs.id))
+      .limit(limit);
+  }
+
+  async claimJob(id: number): Promise<Job | undefined> {
+    // Conditional update so two workers can never pick up the same job
+    const [job] = await this.db
+      .update(jobs)
+      .set({ status: "processing", updatedAt: new Date() })
+      .where(and(eq(jobs.id, id), eq(jobs.status, "queued")))
+      .returning();
+    return job;
+  }
+
+  async updateJob(id: number, updateJob: Partial<InsertJob>): Promise<Job | undefined> {
+    const [job] = await this.db
+      .update(jobs)
+      .set({ ...updateJob, updatedAt: new Date() })
+      .where(eq(jobs.id, id))
+      .returning();
+    return job;
+  }
+
+  // Review workflow methods
+  async createReviewEvent(insertEvent: InsertReviewEvent): Promise<ReviewEvent> {
+    const [event] = await this.db.insert(reviewEvents).values(insertEvent).returning();
+    return event;
+  }
+
+  async getReviewEvents(contentId: number): Promise<ReviewEvent[]> {
+    return this.db
+      .select()
+      .from(reviewEvents)
+      .where(eq(reviewEvents.contentId, contentId))
+      .orderBy(asc(reviewEvents.id));
+  }
+
+  async createReviewComment(insertComment: InsertReviewComment): Promise<ReviewComment> {
+    const [comment] = await this.db.insert(reviewComments).values(insertComment).returning();
+    return comment;
+  }
+
+  async getReviewComments(contentId: number): Promise<ReviewComment[]> {
+    return this.db
+      .select()
+      .from(reviewComments)
+      .where(eq(reviewComments.contentId, contentId))
+      .orderBy(asc(reviewComments.id));
+  }
+
+  // WhatsApp delivery methods
+  async createDelivery(insertDelivery: InsertDelivery): Promise<Delivery> {
+    const [delivery] = await this.db.insert(deliveries).values(insertDelivery).returning();
+    return delivery;
+  }
+
+  async getDeliveries(contentId: number): Promise<Delivery[]> {
+    return this.db
+      .select()
+      .from(deliveries)
+      .where(eq(deliveries.contentId, contentId))
+      .orderBy(asc(deliveries.id));
+  }
+
+  async getDeliveryByMessageId(messageId: string): Promise<Delivery | undefined> {
+    const [delivery] = await this.db.select().from(deliveries).where(eq(deliveries.messageId, messageId));
+    return delivery;
+  }
+
+  async updateDelivery(id: number, updateDelivery: Partial<InsertDelivery>): Promise<Delivery | undefined> {
+    const [delivery] = await this.db
+      .update(deliveries)
+      .set({ ...updateDelivery, updatedAt: new Date() })
+      .where(eq(deliveries.id, id))
+      .returning();
+    return delivery;
+  }
+
+  // Syllabus batch methods
+  async createBatch(insertBatch: InsertBatch): Promise<Batch> {
+    const [batch] = await this.db.insert(batches).values(insertBatch).returning();
+    return batch;
+  }
+
+  async getBatch(id: number): Promise<Batch | undefined> {
+    const [batch] = await this.db.select().from(batches).where(eq(batches.id, id));
+    return batch;
+  }
+
+  async getBatchesByUser(userId: number): Promise<Batch[]> {
+    return this.db.select().from(batches).where(eq(batches.userId, userId)).orderBy(desc(batches.id));
+  }
+
+  // Course methods
+  async createCourse(insertCourse: InsertCourse): Promise<Course> {
+    const [course] = await this.db.insert(courses).values(insertCourse).returning();
+    return course;
+  }
+
+  async getCourse(id: number): Promise<Course | undefined> {
+    const [course] = await this.db.select().from(courses).where(eq(courses.id, id));
+    return course;
+  }
+
+  async getCoursesByUser(userId: number): Promise<Course[]> {
+    return this.db.select().from(courses).where(eq(courses.userId, userId)).orderBy(asc(courses.id));
+  }
+
+  async updateCourse(id: number, updateCourse: Partial<InsertCourse>): Promise<Course | undefined> {
+    const [course] = await this.db.update(courses).set(updateCourse).where(eq(courses.id, id)).returning();
+    return course;
+  }
+
+  async deleteCourse(id: number): Promise<boolean> {
+    return this.db.transaction(async (tx) => {
+      await tx
+        .update(contents)
+        .set({ courseId: null, coursePosition: null })
+        .where(eq(contents.courseId, id));
+      const deleted = await tx.delete(courses).where(eq(courses.id, id)).returning({ id: courses.id });
+      return deleted.length > 0;
+    });
+  }
+
+  async getCourseLessons(courseId: number): Promise<Content[]> {
+    return this.db
+      .select()
+      .from(contents)
+      .where(eq(contents.courseId, courseId))
+      .orderBy(asc(contents.coursePosition), asc(contents.id));
+  }
+
+  async setCourseLessons(courseId: number, contentIds: number[]): Promise<Content[]> {
+    await this.db.transaction(async (tx) => {
+      const removed = contentIds.length > 0
+        ? and(eq(contents.courseId, courseId), notInArray(contents.id, contentIds))
+        : eq(contents.courseId, courseId);
+      await tx.update(contents).set({ courseId: null, coursePosition: null }).where(removed);
+
+      for (let position = 0; position < contentIds.length; position++) {
+        await tx.update(contents).set({ courseId, coursePosition: position }).where(eq(contents.id, contentIds[position]));
+      }
+    });
+    return this.getCourseLessons(courseId);
+  }
+}
+
+/**
+ * Pick the storage backend from configuration.
+ * STORAGE_DRIVER=memory forces the in-memory store; otherwise Postgres is used
+ * whenever DATABASE_URL is set so content survives restarts and deploys.
+ */
+export function createStorage(driver = process.env.STORAGE_DRIVER): IStorage {
+  if (driver === "memory") return new MemStorage();
+  if (driver === "database" || process.env.DATABASE_URL) return new DatabaseStorage();
+  return new MemStorage();
 }
 
-export const storage = new MemStorage();
+export const storage = createStorage();
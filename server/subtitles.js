@@ -0,0 +1,150 @@
+/**
+ * Subtitle generation for TAP Educational Content videos
+ * Turns the slide timeline produced by the video generator into WebVTT and
+ * SRT caption files stored next to the MP4
+ */
+
+import fs from 'fs';
+
+const MAX_CUE_CHARS = 84; // Roughly two lines of captions
+
+/**
+ * Split caption text into readable chunks, preferring sentence boundaries
+ * @param {string} text - Plain caption text
+ * @returns {Array<string>} Chunks of at most MAX_CUE_CHARS characters where possible
+ */
+function splitCaptionText(text) {
+  // Sentences end in Latin punctuation or the Devanagari danda and double danda
+  const sentences = text.replace(/\s+/g, ' ').trim().match(/[^.!?।॥]+[.!?।॥]*\s*/g) || [];
+  const pieces = [];
+
+  // Break overly long sentences at word boundaries into evenly sized parts
+  sentences.forEach(sentence => {
+    const trimmed = sentence.trim();
+    const target = trimmed.length / Math.ceil(trimmed.length / MAX_CUE_CHARS);
+    let line = '';
+    trimmed.split(' ').forEach(word => {
+      if (line && (line + ' ' + word).length > target + 1) {
+        pieces.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    });
+    if (line) pieces.push(line);
+  });
+
+  // Merge short neighbours so cues do not flicker
+  const chunks = [];
+  pieces.forEach(piece => {
+    const last = chunks[chunks.length - 1];
+    if (last && (last + ' ' + piece).length <= MAX_CUE_CHARS) {
+      chunks[chunks.length - 1] = `${last} ${piece}`;
+    } else {
+      chunks.push(piece);
+    }
+  });
+
+  return chunks;
+}
+
+/**
+ * Build timed caption cues from slide segments
+ * @param {Array<Object>} segments - { start, end, text } per slide, in seconds
+ * @returns {Array<Object>} Cues { start, end, text }
+ */
+export function buildCues(segments) {
+  const cues = [];
+
+  segments.forEach(segment => {
+    const chunks = splitCaptionText(segment.text || '');
+    const totalChars = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const span = segment.end - segment.start;
+    let cursor = segment.start;
+
+    // Give each chunk screen time in proportion to its length
+    chunks.forEach(chunk => {
+      const length = span * (chunk.length / totalChars);
+      cues.push({ start: cursor, end: cursor + length, text: chunk });
+      cursor += length;
+    });
+  });
+
+  return cues;
+}
+
+/**
+ * Format seconds as a subtitle timestamp
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - Decimal separator ('.' for WebVTT, ',' for SRT)
+ * @returns {string} hh:mm:ss.mmm
+ */
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, size = 2) => value.toString().padStart(size, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Serialize cues as WebVTT
+ * @param {Array<Object>} cues - Cues from buildCues
+ * @returns {string} WebVTT document
+ */
+export function toWebVTT(cues) {
+  const body = cues
+    .map(cue => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.text}`)
+    .join('\n\n');
+  return `WEBVTT\n\n${body}\n`;
+}
+
+/**
+ * Serialize cues as SRT
+ * @param {Array<Object>} cues - Cues from buildCues
+ * @returns {string} SRT document
+ */
+export function toSRT(cues) {
+  return cues
+    .map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}`)
+    .join('\n\n') + '\n';
+}
+
+/**
+ * Path of the subtitle file that belongs to a video
+ * @param {string} videoPath - Path to the MP4
+ * @param {'vtt'|'srt'} format - Subtitle format
+ * @returns {string} Subtitle file path
+ */
+export function getSubtitlePath(videoPath, format) {
+  return videoPath.replace(/\.mp4$/i, `.${format}`);
+}
+
+/**
+ * Write WebVTT and SRT files next to a video
+ * @param {string} videoPath - Path to the MP4 the captions belong to
+ * @param {Array<Object>} segments - { start, end, text } per slide
+ * @returns {{ vtt: string, srt: string }} Paths of the written files
+ */
+export function writeSubtitles(videoPath, segments) {
+  const cues = buildCues(segments);
+  const vtt = getSubtitlePath(videoPath, 'vtt');
+  const srt = getSubtitlePath(videoPath, 'srt');
+
+  fs.writeFileSync(vtt, toWebVTT(cues));
+  fs.writeFileSync(srt, toSRT(cues));
+
+  return { vtt, srt };
+}
+
+/**
+ * Remove the subtitle files of a video, ignoring ones that do not exist
+ * @param {string} videoPath - Path to the MP4
+ */
+export function removeSubtitles(videoPath) {
+  ['vtt', 'srt'].forEach(format => {
+    fs.rmSync(getSubtitlePath(videoPath, format), { force: true });
+  });
+}
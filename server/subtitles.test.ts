@@ -0,0 +1,31 @@
+/**
+ * Caption cues built from slide text, which has to break at the sentence
+ * boundaries of every script lessons are written in.
+ */
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+// @ts-ignore
+import { buildCues } from "./subtitles";
+
+describe("buildCues", () => {
+  test("splits Latin text at its sentence boundaries", () => {
+    const first = "Rain forms when tiny drops of water in a cloud join together and grow heavy.";
+    const second = "The water then flows back to the sea through rivers and the cycle begins again.";
+
+    const cues = buildCues([{ start: 0, end: 10, text: `${first} ${second}` }]);
+
+    assert.deepEqual(cues.map((cue: any) => cue.text), [first, second]);
+  });
+
+  test("splits Devanagari text at the danda", () => {
+    const first = "बारिश तब होती है जब बादलों में पानी की छोटी बूंदें आपस में मिलकर भारी हो जाती हैं।";
+    const second = "फिर यही पानी नदियों से होकर वापस समुद्र तक पहुँचता है और चक्र चलता रहता है॥";
+
+    const cues = buildCues([{ start: 0, end: 10, text: `${first} ${second}` }]);
+
+    assert.deepEqual(cues.map((cue: any) => cue.text), [first, second]);
+    assert.equal(cues[0].start, 0);
+    assert.equal(cues[1].end, 10);
+  });
+});
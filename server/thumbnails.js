@@ -0,0 +1,45 @@
+/**
+ * Still images of rendered lessons, for packages and listings
+ */
+
+import fs from 'fs';
+import path from 'path';
+import ffmpeg from 'fluent-ffmpeg';
+
+const THUMBNAIL_TIME = 1; // Seconds in, past the fade of the title reveal
+const THUMBNAIL_SIZE = '640x360';
+
+/**
+ * Path of the thumbnail that belongs to a video
+ * @param {string} videoPath - Rendered MP4
+ * @returns {string}
+ */
+export function getThumbnailPath(videoPath) {
+  return videoPath.replace(/\.mp4$/i, '.jpg');
+}
+
+/**
+ * Return the thumbnail of a video, grabbing a frame with ffmpeg the first
+ * time. It is kept next to the video and made again after a re-render.
+ * @param {string} videoPath - Rendered MP4
+ * @returns {Promise<string>} Path of the JPEG
+ */
+export async function createThumbnail(videoPath) {
+  const thumbnailPath = getThumbnailPath(videoPath);
+  if (fs.existsSync(thumbnailPath) && fs.statSync(thumbnailPath).mtimeMs >= fs.statSync(videoPath).mtimeMs) {
+    return thumbnailPath;
+  }
+
+  await new Promise((resolve, reject) => {
+    ffmpeg(videoPath)
+      .on('end', resolve)
+      .on('error', reject)
+      .screenshots({
+        timestamps: [THUMBNAIL_TIME],
+        filename: path.basename(thumbnailPath),
+        folder: path.dirname(thumbnailPath),
+        size: THUMBNAIL_SIZE
+      });
+  });
+  return thumbnailPath;
+}
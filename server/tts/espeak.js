@@ -0,0 +1,60 @@
+/**
+ * espeak-ng text-to-speech engine
+ * Runs fully offline; install the `espeak-ng` package on the host
+ */
+
+import { spawn, spawnSync } from 'child_process';
+import { getWavDuration } from './wav';
+
+let available;
+
+/**
+ * Synthesize speech to a WAV file
+ * @param {string} text - Text to speak
+ * @param {string} outputPath - WAV file to write
+ * @param {Object} options - { voice }
+ * @returns {Promise<{ path: string, duration: number }>}
+ */
+function synthesize(text, outputPath, options = {}) {
+  const voice = options.voice || process.env.TTS_VOICE || 'en';
+  const speed = process.env.TTS_SPEED || '150'; // Words per minute, a little slower for young learners
+
+  return new Promise((resolve, reject) => {
+    const child = spawn('espeak-ng', ['-v', voice, '-s', speed, '-w', outputPath, '--stdin']);
+    let stderr = '';
+
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+    });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`espeak-ng exited with code ${code}: ${stderr.trim()}`));
+        return;
+      }
+
+      try {
+        resolve({ path: outputPath, duration: getWavDuration(outputPath) });
+      } catch (err) {
+        reject(err);
+      }
+    });
+
+    child.stdin.end(text);
+  });
+}
+
+const espeakEngine = {
+  id: 'espeak',
+  name: 'eSpeak NG',
+  isAvailable: () => {
+    if (available === undefined) {
+      const result = spawnSync('espeak-ng', ['--version']);
+      available = !result.error && result.status === 0;
+    }
+    return available;
+  },
+  synthesize,
+};
+
+export { espeakEngine };
@@ -0,0 +1,41 @@
+/**
+ * Text-to-speech engine registry for video narration
+ * Every engine exposes the same interface:
+ *   { id, name, isAvailable(), synthesize(text, outputPath, { voice }) }
+ * where synthesize writes a WAV file and resolves to { path, duration }
+ */
+
+import { espeakEngine } from './espeak';
+
+const engines = new Map();
+
+/**
+ * Add a TTS engine to the registry, replacing any engine with the same id
+ * @param {Object} engine - Engine implementing the shared interface
+ */
+export function registerTtsEngine(engine) {
+  engines.set(engine.id, engine);
+}
+
+/**
+ * The configured TTS engine, or null when narration is disabled or the
+ * engine cannot run on this host
+ * @returns {Object|null} TTS engine
+ */
+export function getTtsEngine() {
+  const id = (process.env.TTS_ENGINE || 'espeak').toLowerCase();
+  if (id === 'none') return null;
+
+  const engine = engines.get(id);
+  if (!engine) {
+    console.warn(`Unknown TTS engine "${id}", videos will have no narration`);
+    return null;
+  }
+  if (!engine.isAvailable()) {
+    console.warn(`TTS engine "${id}" is not available on this host, videos will have no narration`);
+    return null;
+  }
+  return engine;
+}
+
+registerTtsEngine(espeakEngine);
@@ -0,0 +1,40 @@
+/**
+ * Minimal WAV header reader used to time narration clips
+ */
+
+import fs from 'fs';
+
+/**
+ * Read the duration of a PCM WAV file from its header
+ * @param {string} filePath - Path to the WAV file
+ * @returns {number} Duration in seconds
+ */
+export function getWavDuration(filePath) {
+  const buffer = fs.readFileSync(filePath);
+
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error(`Not a WAV file: ${filePath}`);
+  }
+
+  let byteRate = 0;
+  let offset = 12;
+
+  // Walk the chunks until we find the audio data
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+
+    if (chunkId === 'fmt ') {
+      byteRate = buffer.readUInt32LE(offset + 16);
+    } else if (chunkId === 'data') {
+      if (!byteRate) break;
+      // Streaming writers leave a placeholder size, so trust the file length instead
+      const dataSize = Math.min(chunkSize, buffer.length - offset - 8);
+      return dataSize / byteRate;
+    }
+
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+
+  throw new Error(`Could not read WAV duration: ${filePath}`);
+}
@@ -0,0 +1,37 @@
+/**
+ * Where rendered videos live and how they are addressed
+ * Kept apart from the renderer so resolving a video does not load canvas
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+export const OUTPUT_DIR = path.join(PUBLIC_DIR, 'videos');
+
+/**
+ * Get the URL for a video
+ * @param {string} videoPath - Full path to video file
+ * @returns {string} - URL for accessing the video
+ */
+export function getVideoUrl(videoPath) {
+  const relativePath = path.relative(PUBLIC_DIR, videoPath);
+  return `/${relativePath.replace(/\\/g, '/')}`;
+}
+
+/**
+ * Get the file behind a video URL. Only files in the video folder are
+ * returned, so a stored URL can never point at another file on the server.
+ * @param {string} videoUrl - URL returned by getVideoUrl
+ * @returns {string} - Full path to the video file
+ * @throws {Error} When the URL leads outside the video folder
+ */
+export function getVideoPath(videoUrl) {
+  const videoPath = path.resolve(PUBLIC_DIR, videoUrl.replace(/^\/+/, ''));
+  if (path.dirname(videoPath) !== path.resolve(OUTPUT_DIR)) {
+    throw new Error(`Video URL ${videoUrl} is outside the video folder`);
+  }
+  return videoPath;
+}
@@ -6,30 +6,37 @@
 
 import fs from 'fs';
 import path from 'path';
-import { createCanvas, registerFont, loadImage } from 'canvas';
+import { createCanvas, loadImage } from 'canvas';
 import ffmpeg from 'fluent-ffmpeg';
 import { fileURLToPath } from 'url';
+import { getTtsEngine } from './tts';
+import { writeSubtitles, removeSubtitles } from './subtitles';
+import { getFontFamily } from './fonts';
+import { getLanguage } from '@shared/languages';
+import { getQuizOptions, OPTION_LETTERS } from '@shared/quiz';
+import { parseMarkup, getSpeechText } from '@shared/markup';
+import { CODE_LANGUAGES, highlightCode } from '@shared/code';
+import { getMathText } from '@shared/math';
+import { getMathImage } from './math';
+import { OUTPUT_DIR } from './videoFiles';
 
 // Get current directory for file paths
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-// Attempt to load fonts if available
-try {
-  // Try to register fonts for better typography
-  // We'll skip this for now since we don't have the fonts downloaded
-  // The code will use system fonts by default
-  console.log('Using system fonts for video generation');
-} catch (err) {
-  console.log('Error loading fonts:', err.message);
-}
-
 // Animation settings
 const ANIMATION_FRAMES = 5; // Number of frames for each animation transition
 const USE_ANIMATIONS = true; // Enable or disable animations
 
+// Narration settings
+const NARRATION_PADDING = 1.0; // Seconds of silence left after each narrated slide
+const MIN_SLIDE_DURATION = 3; // Narrated slides never flash by faster than this
+const QUIZ_THINK_TIME = 4; // Seconds a question stays up after it is read, before the answer
+
+// Subtitle settings
+const BURN_IN_SUBTITLES = process.env.BURN_IN_SUBTITLES === 'true'; // Draw captions into the video itself
+
 // Ensure directories exist
 const TEMP_DIR = path.join(__dirname, '..', 'temp');
-const OUTPUT_DIR = path.join(__dirname, '..', 'public', 'videos');
 
 // Create directories if they don't exist
 if (!fs.existsSync(TEMP_DIR)) {
@@ -89,6 +96,15 @@ const SUBJECT_THEMES = {
   }
 };
 
+/**
+ * Colors and icon of a subject, for anything drawn to match its slides
+ * @param {string} subject - Subject id or name
+ * @returns {Object} Theme from SUBJECT_THEMES
+ */
+export function getSubjectTheme(subject) {
+  return SUBJECT_THEMES[subject.toLowerCase().replace(/\s+/g, '-')] || SUBJECT_THEMES.default;
+}
+
 /**
  * Helper to draw rounded rectangles
  */
@@ -256,9 +272,623 @@ function drawSubjectPattern(ctx, subject, width, height) {
   ctx.globalAlpha = 1;
 }
 
+/**
+ * Split text into lines that fit maxWidth with the current font
+ */
+function wrapLines(ctx, text, maxWidth) {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const testLine = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(testLine).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = testLine;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Draw a quiz question with its lettered options. The answer slide
+ * highlights the correct option and shows the explanation below.
+ */
+function drawQuiz(ctx, quiz, { theme, fontFamily, labels, reveal }) {
+  const left = 70;
+  const maxWidth = WIDTH - 140;
+  let y = 120;
+
+  // Label bar, like the one of interactive elements
+  ctx.fillStyle = drawGradient(ctx, 50, y, WIDTH - 100, 50, [theme.color, theme.gradient[1]]);
+  drawRoundedRect(ctx, 50, y, WIDTH - 100, 50, 8);
+  ctx.fill();
+  ctx.font = `bold 28px ${fontFamily}`;
+  ctx.fillStyle = '#FFFFFF';
+  const label = reveal ? `✅ ${labels.answer}` : `❓ ${labels.quiz}`;
+  ctx.fillText(`${label} · ${quiz.number}/${quiz.count}`, 100, y + 35);
+  y += 95;
+
+  ctx.font = `bold 28px ${fontFamily}`;
+  const questionLines = wrapLines(ctx, quiz.question, maxWidth);
+  if (questionLines.length > 3) {
+    questionLines.length = 3;
+    questionLines[2] += ' …';
+  }
+  questionLines.forEach(line => {
+    ctx.fillText(line, left, y);
+    y += 36;
+  });
+  y += 4;
+
+  const optionHeight = 46;
+  quiz.options.forEach((option, index) => {
+    const isAnswer = index === quiz.answerIndex;
+    ctx.globalAlpha = reveal && !isAnswer ? 0.4 : 1;
+
+    ctx.fillStyle = reveal && isAnswer ? '#16a34a' : 'rgba(255, 255, 255, 0.12)';
+    drawRoundedRect(ctx, left, y, maxWidth, optionHeight, 8);
+    ctx.fill();
+
+    ctx.beginPath();
+    ctx.arc(left + 26, y + optionHeight / 2, 16, 0, Math.PI * 2);
+    ctx.fillStyle = reveal && isAnswer ? '#FFFFFF' : theme.color;
+    ctx.fill();
+    ctx.font = `bold 18px ${fontFamily}`;
+    ctx.fillStyle = reveal && isAnswer ? '#16a34a' : '#FFFFFF';
+    ctx.textAlign = 'center';
+    ctx.fillText(OPTION_LETTERS[index], left + 26, y + optionHeight / 2 + 6);
+    ctx.textAlign = 'left';
+
+    ctx.font = `22px ${fontFamily}`;
+    ctx.fillStyle = '#FFFFFF';
+    const [optionLine, ...rest] = wrapLines(ctx, option, maxWidth - 80);
+    ctx.fillText(rest.length ? `${optionLine} …` : optionLine, left + 56, y + optionHeight / 2 + 8);
+
+    y += optionHeight + 10;
+  });
+  ctx.globalAlpha = 1;
+
+  if (reveal && quiz.explanation) {
+    ctx.font = `22px ${fontFamily}`;
+    ctx.fillStyle = '#FFFFFF';
+    y += 20;
+    for (const line of wrapLines(ctx, quiz.explanation, maxWidth)) {
+      if (y > HEIGHT - 100) {
+        ctx.fillText('...', left, y);
+        break;
+      }
+      ctx.fillText(line, left, y);
+      y += 30;
+    }
+  }
+}
+
+// Where section slides show their illustration
+const VISUAL_PANEL = { x: 760, y: 190, width: 450, height: 340 };
+
+// Body text layout, shared by createFrame and the pagination of long sections
+const TEXT_FONT_SIZE = 24;
+const TEXT_LINE_HEIGHT = 34;
+const TEXT_BOTTOM = HEIGHT - 100; // Lowest baseline that still fits in the content area
+const SECTION_TEXT_TOP = 205; // First baseline below a section heading
+const READING_WORDS_PER_SECOND = 2.5; // Matches the narration speed, for slides read without it
+
+/**
+ * Width available to body text, narrower when an illustration sits beside it
+ */
+function getTextWidth(hasVisual) {
+  return hasVisual ? VISUAL_PANEL.x - 100 : WIDTH - 160;
+}
+
+// Emoji fonts ahead of the lesson font, so emoji are drawn and measured in colour where installed
+const EMOJI_FONTS = '"Noto Color Emoji", "Apple Color Emoji", "Segoe UI Emoji"';
+const LIST_INDENT = 36;
+const MATH_SLACK = 6; // Pixels a formula may reach past its line
+
+function getRunFont(style, fontSize, fontFamily) {
+  if (style.emoji) return `${fontSize}px ${EMOJI_FONTS}, ${fontFamily}`;
+  return `${style.italic ? 'italic ' : ''}${style.bold || style.highlight ? 'bold ' : ''}${fontSize}px ${fontFamily}`;
+}
+
+/**
+ * Markup blocks with their runs split into words, the unit slides are
+ * wrapped and paginated in. A word is a list of styled pieces, so
+ * "**sun**light" still breaks as one word.
+ * @param {Array<Object>} blocks - Blocks from parseMarkup
+ * @returns {Array<Object>} { type, number, continued, words } per block with text
+ */
+function toWordBlocks(blocks) {
+  return blocks
+    .map(block => {
+      // A formula on its own line is one word, centred by the layout
+      if (block.type === 'math') {
+        return { type: block.type, continued: false, words: [[{ text: block.tex, math: true, display: true }]] };
+      }
+      
+      const words = [];
+      let word = [];
+      block.runs.forEach(run => {
+        // Formulas are never broken, they stay one piece of their word
+        if (run.math) {
+          word.push(run);
+          return;
+        }
+        run.text.split(/(\s+)/).forEach(part => {
+          if (!part) return;
+          if (/^\s+$/.test(part)) {
+            if (word.length > 0) words.push(word);
+            word = [];
+          } else {
+            word.push({ ...run, text: part });
+          }
+        });
+      });
+      if (word.length > 0) words.push(word);
+      return { type: block.type, number: block.number, continued: false, words };
+    })
+    .filter(block => block.words.length > 0);
+}
+
+// Back to markup blocks, for the narration of a page
+function toMarkupBlocks(wordBlocks) {
+  return wordBlocks.map(block => {
+    if (block.type === 'math') return { type: 'math', runs: [], tex: block.words[0][0].text };
+    return {
+      type: block.type,
+      number: block.number,
+      runs: block.words.flatMap((word, index) => (index > 0 ? [{ text: ' ' }, ...word] : word))
+    };
+  });
+}
+
+function getWordText(word) {
+  return word.map(piece => piece.text).join('');
+}
+
+/**
+ * Measure one piece of a word. Formulas are typeset to SVG at the text
+ * size, and fall back to their plain text when the TeX cannot be typeset.
+ */
+function measurePiece(ctx, piece, fontSize, fontFamily) {
+  if (piece.math) {
+    const image = getMathImage(piece.text, { display: piece.display, fontSize, color: '#FFFFFF' });
+    if (image) return { ...piece, image, width: image.width };
+    piece = { ...piece, text: getMathText(piece.text), math: false };
+  }
+  ctx.font = getRunFont(piece, fontSize, fontFamily);
+  return { ...piece, width: ctx.measureText(piece.text).width };
+}
+
+/**
+ * Wrap word blocks into lines, measuring every piece in its own font.
+ * List items are indented, and the first line of an item carries its
+ * bullet or number unless the item continues from the previous slide.
+ * Lines with formulas taller than the text take as many rows as they need.
+ * @param {CanvasRenderingContext2D} ctx - Context used for measuring
+ * @param {Array<Object>} blocks - Word blocks from toWordBlocks
+ * @param {Object} options - { fontSize, fontFamily, maxWidth, lineHeight }
+ * @returns {Array<Object>} Lines { blockIndex, lastWord, indent, marker, centered, rows, raise, width, pieces: [{ text, x, width, image, ...style }] }
+ */
+function layoutMarkup(ctx, blocks, { fontSize, fontFamily, maxWidth, lineHeight }) {
+  ctx.font = getRunFont({}, fontSize, fontFamily);
+  const spaceWidth = ctx.measureText(' ').width;
+  const lines = [];
+  
+  // Room for a formula: rows of lineHeight, with the baseline lowered when
+  // it rises above the text. It may reach a little into the gap between lines.
+  const finishLine = line => {
+    const images = line.pieces.filter(piece => piece.image).map(piece => piece.image);
+    const ascent = Math.max(fontSize, ...images.map(image => image.height - image.depth));
+    const depth = Math.max(lineHeight - fontSize, ...images.map(image => image.depth));
+    line.raise = Math.max(0, ascent - fontSize - MATH_SLACK);
+    line.rows = Math.max(1, Math.ceil((ascent + depth - MATH_SLACK) / lineHeight));
+    lines.push(line);
+  };
+
+  blocks.forEach((block, blockIndex) => {
+    const indent = block.type === 'paragraph' || block.type === 'math' ? 0 : LIST_INDENT;
+    let line = null;
+
+    block.words.forEach((word, wordIndex) => {
+      const pieces = word.map(piece => measurePiece(ctx, piece, fontSize, fontFamily));
+      const width = pieces.reduce((total, piece) => total + piece.width, 0);
+
+      if (line && line.width + spaceWidth + width > maxWidth - indent) {
+        finishLine(line);
+        line = null;
+      }
+      if (!line) {
+        const isFirst = wordIndex === 0 && !block.continued;
+        const marker = !isFirst || block.type === 'paragraph' || block.type === 'math' ? null : block.type === 'bullet' ? '•' : `${block.number}.`;
+        line = { blockIndex, lastWord: wordIndex, indent, marker, centered: block.type === 'math', width: 0, pieces: [] };
+      }
+
+      let x = line.pieces.length > 0 ? line.width + spaceWidth : 0;
+      pieces.forEach(piece => {
+        line.pieces.push({ ...piece, x });
+        x += piece.width;
+      });
+      line.width = x;
+      line.lastWord = wordIndex;
+    });
+
+    if (line) finishLine(line);
+  });
+
+  return lines;
+}
+
+/**
+ * Split word blocks into the pieces that fill one slide each. A page ends
+ * after the last full sentence or list item in its second half when there
+ * is one, so continuation slides rarely start mid-sentence.
+ * @param {CanvasRenderingContext2D} ctx - Context used for measuring
+ * @param {Array<Object>} blocks - Word blocks of a section
+ * @param {Object} layout - { fontSize, fontFamily, maxWidth, lineHeight }
+ * @param {number} linesPerPage - Rows of text that fit on one slide
+ * @returns {Array<Array<Object>>} Word blocks of every page
+ */
+function paginateMarkup(ctx, blocks, layout, linesPerPage) {
+  const pages = [];
+  let remaining = blocks;
+
+  while (remaining.length > 0) {
+    const lines = layoutMarkup(ctx, remaining, layout);
+    let fitting = 0;
+    for (let rows = 0; fitting < lines.length && rows + lines[fitting].rows <= linesPerPage; fitting++) {
+      rows += lines[fitting].rows;
+    }
+    if (fitting === lines.length) {
+      pages.push(remaining);
+      break;
+    }
+
+    // Every word that fits, as [block, word] positions. A formula taller
+    // than a whole slide still gets one to itself.
+    const lastLine = lines[Math.max(0, fitting - 1)];
+    const positions = [];
+    for (let b = 0; b <= lastLine.blockIndex; b++) {
+      const count = b === lastLine.blockIndex ? lastLine.lastWord + 1 : remaining[b].words.length;
+      for (let w = 0; w < count; w++) positions.push([b, w]);
+    }
+
+    let [cutBlock, cutWord] = positions[positions.length - 1];
+    for (let i = positions.length - 1; i >= Math.ceil(positions.length / 2); i--) {
+      const [b, w] = positions[i];
+      if (w === remaining[b].words.length - 1 || /[.!?।]["')\]]?$/.test(getWordText(remaining[b].words[w]))) {
+        [cutBlock, cutWord] = [b, w];
+        break;
+      }
+    }
+
+    const block = remaining[cutBlock];
+    const page = [...remaining.slice(0, cutBlock), { ...block, words: block.words.slice(0, cutWord + 1) }];
+    const rest = remaining.slice(cutBlock + 1);
+    if (cutWord + 1 < block.words.length) {
+      rest.unshift({ ...block, continued: true, words: block.words.slice(cutWord + 1) });
+    }
+    pages.push(page);
+    remaining = rest;
+  }
+
+  // A section without text still gets its heading slide
+  return pages.length > 0 ? pages : [[]];
+}
+
+/**
+ * Load the typeset formulas of laid out lines, so drawMarkup can draw them.
+ * A formula that cannot be loaded is drawn as its plain text instead.
+ */
+async function loadMathImages(lines) {
+  const pieces = lines.flatMap(line => line.pieces.filter(piece => piece.image));
+  await Promise.all(pieces.map(async piece => {
+    try {
+      piece.img = await loadImage(Buffer.from(piece.image.svg));
+    } catch (err) {
+      console.log(`Could not load formula "${piece.text}": ${err.message}`);
+    }
+  }));
+}
+
+/**
+ * Draw laid out markup lines from x, y. Highlighted keywords get a pill in
+ * the theme colour, spanning the spaces between highlighted words.
+ * Formulas need loadMathImages first.
+ * @returns {number} Baseline below the last line drawn
+ */
+function drawMarkup(ctx, lines, { x, y, maxY, maxWidth, fontSize, fontFamily, lineHeight, theme }) {
+  for (const line of lines) {
+    // Paginated sections always fit, anything longer is cut off
+    if (y + line.raise > maxY) {
+      ctx.font = getRunFont({}, fontSize, fontFamily);
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillText('...', x, y);
+      break;
+    }
+
+    const left = line.centered ? x + (maxWidth - line.width) / 2 : x + line.indent;
+    const baseline = y + line.raise;
+    if (line.marker) {
+      ctx.font = getRunFont({ bold: true }, fontSize, fontFamily);
+      ctx.fillStyle = theme.color;
+      ctx.fillText(line.marker, x + 4, baseline);
+    }
+
+    const highlights = [];
+    line.pieces.forEach(piece => {
+      if (!piece.highlight) return;
+      const last = highlights[highlights.length - 1];
+      if (last && piece.x - last.end < fontSize) {
+        last.end = piece.x + piece.width;
+      } else {
+        highlights.push({ start: piece.x, end: piece.x + piece.width });
+      }
+    });
+    highlights.forEach(({ start, end }) => {
+      ctx.fillStyle = theme.color;
+      drawRoundedRect(ctx, left + start - 6, baseline - fontSize, end - start + 12, fontSize + 10, 6);
+      ctx.fill();
+    });
+
+    line.pieces.forEach(piece => {
+      if (piece.img) {
+        const { height, depth } = piece.image;
+        ctx.drawImage(piece.img, left + piece.x, baseline - (height - depth), piece.width, height);
+        return;
+      }
+      ctx.font = getRunFont(piece, fontSize, fontFamily);
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillText(piece.image ? getMathText(piece.text) : piece.text, left + piece.x, baseline);
+    });
+
+    y += line.rows * lineHeight;
+  }
+
+  return y;
+}
+
+// Code slides show a dark editor panel below the section heading
+const CODE_FONTS = '"DejaVu Sans Mono", "Liberation Mono", "Courier New", monospace';
+const CODE_PANEL = { x: 70, y: 190, width: WIDTH - 140, height: HEIGHT - 290 };
+const CODE_BAR_HEIGHT = 36;
+const CODE_PADDING = 18;
+const CODE_FONT_SIZES = [26, 24, 22, 20, 18, 16]; // Largest first, the smallest still readable on a phone
+const CODE_MAX_REVEAL_STEPS = 10;
+const CODE_STEP_SECONDS = 1.5;
+const CODE_HOLD_SECONDS = 4; // The whole code stays up this long once revealed
+const CODE_COLORS = {
+  background: '#1E222A',
+  bar: '#2C313C',
+  gutter: '#5C6370',
+  currentLine: 'rgba(97, 175, 239, 0.16)',
+  keyword: '#C678DD',
+  builtin: '#E5C07B',
+  function: '#61AFEF',
+  string: '#98C379',
+  number: '#D19A66',
+  comment: '#7F848E',
+  tag: '#E06C75',
+  attribute: '#D19A66',
+  operator: '#56B6C2',
+  plain: '#ABB2BF'
+};
+
+function getCodeFont(fontSize, fontFamily, italic = false) {
+  return `${italic ? 'italic ' : ''}${fontSize}px ${CODE_FONTS}, ${fontFamily}`;
+}
+
+/**
+ * The largest font size a code block fits the panel at, and how many of its
+ * lines one slide holds. Code too long even at the smallest size goes on
+ * several slides; lines too wide for it are cut off when drawn.
+ * @param {CanvasRenderingContext2D} ctx - Context used for measuring
+ * @param {Array<string>} lines - Lines of the code block
+ * @param {string} fontFamily - Font stack of the lesson language
+ * @returns {Object} { fontSize, lineHeight, linesPerSlide }
+ */
+function fitCode(ctx, lines, fontFamily) {
+  for (const fontSize of CODE_FONT_SIZES) {
+    ctx.font = getCodeFont(fontSize, fontFamily);
+    const lineHeight = Math.round(fontSize * 1.45);
+    const gutterWidth = ctx.measureText(String(lines.length)).width + 24;
+    const codeWidth = CODE_PANEL.width - 2 * CODE_PADDING - gutterWidth;
+    const linesPerSlide = Math.floor((CODE_PANEL.height - CODE_BAR_HEIGHT - 2 * CODE_PADDING) / lineHeight);
+    const fits = lines.length <= linesPerSlide && lines.every(line => ctx.measureText(line).width <= codeWidth);
+    if (fits || fontSize === CODE_FONT_SIZES[CODE_FONT_SIZES.length - 1]) {
+      return { fontSize, lineHeight, linesPerSlide };
+    }
+  }
+}
+
+/**
+ * Slides for one code block. Long code is split across slides, at a blank
+ * line when there is one in the second half of a slide. Code that reveals
+ * gets one slide per step, each showing one more line, or a few more when
+ * the block has more lines than CODE_MAX_REVEAL_STEPS.
+ * @param {CanvasRenderingContext2D} ctx - Context used for measuring
+ * @param {Object} block - Code block from parseMarkup
+ * @param {string} fontFamily - Font stack of the lesson language
+ * @returns {Array<Object>} Frames of type 'code'
+ */
+function getCodeFrames(ctx, block, fontFamily) {
+  const lines = block.code.split('\n');
+  const tokens = highlightCode(block.code, block.language);
+  const { fontSize, lineHeight, linesPerSlide } = fitCode(ctx, lines, fontFamily);
+  const frames = [];
+
+  let start = 0;
+  while (start < lines.length) {
+    let end = Math.min(lines.length, start + linesPerSlide);
+    if (end < lines.length) {
+      for (let i = end - 1; i > start + linesPerSlide / 2; i--) {
+        if (!lines[i].trim()) {
+          end = i + 1;
+          break;
+        }
+      }
+    }
+
+    const slide = { language: block.language, lines: tokens.slice(start, end), startLine: start + 1, fontSize, lineHeight };
+    const count = end - start;
+
+    if (block.reveal) {
+      // Reveal up to each line with code on it, blank lines come with the next one
+      const codeLines = [];
+      for (let i = 0; i < count; i++) {
+        if (lines[start + i].trim()) codeLines.push(i);
+      }
+      const steps = Math.min(CODE_MAX_REVEAL_STEPS, codeLines.length);
+      let revealed = 0;
+      for (let step = 1; step <= steps; step++) {
+        const next = step === steps ? count : codeLines[Math.ceil((step * codeLines.length) / steps) - 1] + 1;
+        frames.push({
+          type: 'code',
+          text: '',
+          code: { ...slide, revealed: next, current: revealed },
+          duration: step === steps ? CODE_HOLD_SECONDS : CODE_STEP_SECONDS,
+          animate: step === 1
+        });
+        revealed = next;
+      }
+    } else {
+      frames.push({
+        type: 'code',
+        text: '',
+        code: { ...slide, revealed: count, current: count },
+        duration: Math.max(CODE_HOLD_SECONDS, Math.round(count * 0.8)),
+        animate: true
+      });
+    }
+
+    start = end;
+  }
+
+  return frames;
+}
+
+/**
+ * Draw a code slide: line numbers, highlighted code, and during a reveal
+ * the lines still to come faded with the newest lines marked
+ */
+function drawCode(ctx, code, { fontFamily }) {
+  const { x, y, width, height } = CODE_PANEL;
+  ctx.save();
+
+  ctx.fillStyle = CODE_COLORS.background;
+  drawRoundedRect(ctx, x, y, width, height, 12);
+  ctx.fill();
+
+  // Editor title bar with the language name
+  ctx.fillStyle = CODE_COLORS.bar;
+  drawRoundedRect(ctx, x, y, width, CODE_BAR_HEIGHT, 12);
+  ctx.fill();
+  ctx.fillRect(x, y + CODE_BAR_HEIGHT - 12, width, 12);
+  ['#FF5F56', '#FFBD2E', '#27C93F'].forEach((color, index) => {
+    ctx.beginPath();
+    ctx.arc(x + 22 + index * 20, y + CODE_BAR_HEIGHT / 2, 6, 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+  });
+  ctx.font = `bold 16px ${fontFamily}`;
+  ctx.fillStyle = CODE_COLORS.plain;
+  ctx.textAlign = 'right';
+  ctx.fillText(CODE_LANGUAGES[code.language], x + width - CODE_PADDING, y + 24);
+  ctx.textAlign = 'left';
+
+  const { fontSize, lineHeight } = code;
+  ctx.font = getCodeFont(fontSize, fontFamily);
+  const lastNumber = String(code.startLine + code.lines.length - 1);
+  const gutterWidth = ctx.measureText(lastNumber).width + 24;
+  const codeLeft = x + CODE_PADDING + gutterWidth;
+  const codeRight = x + width - CODE_PADDING;
+  const codeTop = y + CODE_BAR_HEIGHT + CODE_PADDING;
+
+  ctx.strokeStyle = CODE_COLORS.bar;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(codeLeft - 12, y + CODE_BAR_HEIGHT);
+  ctx.lineTo(codeLeft - 12, y + height);
+  ctx.stroke();
+
+  code.lines.forEach((tokens, index) => {
+    const rowTop = codeTop + index * lineHeight;
+    const baseline = rowTop + (lineHeight + fontSize * 0.7) / 2;
+    const isCurrent = index >= code.current && index < code.revealed;
+    ctx.globalAlpha = index < code.revealed ? 1 : 0.15;
+
+    if (isCurrent) {
+      ctx.fillStyle = CODE_COLORS.currentLine;
+      ctx.fillRect(x + 4, rowTop, width - 8, lineHeight);
+    }
+
+    ctx.font = getCodeFont(fontSize, fontFamily);
+    ctx.fillStyle = isCurrent ? CODE_COLORS.plain : CODE_COLORS.gutter;
+    ctx.textAlign = 'right';
+    ctx.fillText(String(code.startLine + index), codeLeft - 24, baseline);
+    ctx.textAlign = 'left';
+
+    let cursor = codeLeft;
+    for (const token of tokens) {
+      ctx.font = getCodeFont(fontSize, fontFamily, token.type === 'comment');
+      ctx.fillStyle = CODE_COLORS[token.type];
+      const tokenWidth = ctx.measureText(token.text).width;
+      if (cursor + tokenWidth > codeRight) {
+        ctx.fillStyle = CODE_COLORS.gutter;
+        ctx.fillText('…', cursor, baseline);
+        break;
+      }
+      ctx.fillText(token.text, cursor, baseline);
+      cursor += tokenWidth;
+    }
+  });
+
+  ctx.restore();
+}
+
+/**
+ * Load the illustration of a slide, or null when it has none or it cannot be read
+ */
+async function loadVisual(visual) {
+  if (!visual?.path) return null;
+  try {
+    return await loadImage(visual.path);
+  } catch (err) {
+    console.log(`Could not load illustration ${visual.path}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Draw an illustration scaled to fit a white card, with its caption below
+ */
+function drawVisual(ctx, image, caption, { fontFamily }) {
+  const { x, y, width, height } = VISUAL_PANEL;
+  const padding = 10;
+
+  ctx.fillStyle = '#FFFFFF';
+  drawRoundedRect(ctx, x, y, width, height, 12);
+  ctx.fill();
+
+  const scale = Math.min((width - padding * 2) / image.width, (height - padding * 2) / image.height);
+  const drawWidth = image.width * scale;
+  const drawHeight = image.height * scale;
+  ctx.drawImage(image, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+
+  if (caption) {
+    ctx.font = `18px ${fontFamily}`;
+    ctx.fillStyle = '#FFFFFF';
+    ctx.textAlign = 'center';
+    const [captionLine, ...rest] = wrapLines(ctx, caption, width);
+    ctx.fillText(rest.length ? `${captionLine} …` : captionLine, x + width / 2, y + height + 30);
+    ctx.textAlign = 'left';
+  }
+}
+
 /**
  * Create a video frame from content using canvas
- * @param {string} text - Text to display on frame
+ * @param {string} text - Text to display on frame, in the markup of @shared/markup
  * @param {number} frameNum - Frame number
  * @param {string} title - Content title
  * @param {string} subject - Subject area
@@ -267,10 +897,14 @@ function drawSubjectPattern(ctx, subject, width, height) {
  * @param {boolean} options.animate - Whether to apply animation effects
  * @param {number} options.totalFrames - Total number of frames in the video
  * @param {Object} options.frameData - Additional data about the frame
+ * @param {string} options.workDir - Render workspace the image is written to
+ * @param {number} options.sequence - Unique image index within the workspace
+ * @param {string} options.language - Language code of the lesson, selects fonts and labels
  * @returns {Promise<string>} - Path to generated image
  */
 async function createFrame(text, frameNum, title, subject, options = {}) {
-  const imagePath = path.join(TEMP_DIR, `frame_${frameNum.toString().padStart(5, '0')}.png`);
+  const sequence = options.sequence ?? frameNum;
+  const imagePath = path.join(options.workDir, `frame_${sequence.toString().padStart(5, '0')}.png`);
   
   // Determine subject theme
   const subjectKey = subject.toLowerCase().replace(/\s+/g, '-');
@@ -282,6 +916,12 @@ async function createFrame(text, frameNum, title, subject, options = {}) {
   
   // Determine the frame type for specialized styling
   const frameType = options.type || 'standard';
+  const isQuiz = frameType === 'quiz-question' || frameType === 'quiz-answer';
+  const isCode = frameType === 'code';
+  
+  // Put the script font of the lesson language ahead of the Latin fallbacks
+  const language = getLanguage(options.language);
+  const fontFamily = getFontFamily(language);
   
   // Animation effects
   const isAnimated = options.animate === true;
@@ -397,7 +1037,7 @@ async function createFrame(text, frameNum, title, subject, options = {}) {
   ctx.shadowBlur = 8;
   ctx.shadowOffsetX = 2;
   ctx.shadowOffsetY = 2;
-  ctx.font = 'bold 36px Poppins, Arial';
+  ctx.font = `bold 36px ${fontFamily}`;
   
   // Create gradient for title
   const titleGradient = ctx.createLinearGradient(60, 50, WIDTH / 2, 50);
@@ -422,7 +1062,7 @@ async function createFrame(text, frameNum, title, subject, options = {}) {
   ctx.shadowOffsetY = 2;
   
   // Draw subject icon and text
-  ctx.font = '18px Poppins, Arial';
+  ctx.font = `18px ${fontFamily}`;
   ctx.fillStyle = '#FFFFFF';
   ctx.textAlign = 'center';
   ctx.fillText(`${theme.icon} ${subject}`, WIDTH - subjectWidth / 2 - 40, 77);
@@ -430,29 +1070,15 @@ async function createFrame(text, frameNum, title, subject, options = {}) {
   ctx.restore();
   
   // Draw frame number indicator
-  ctx.font = '14px Poppins, Arial';
+  ctx.font = `14px ${fontFamily}`;
   ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
   ctx.textAlign = 'left';
   ctx.fillText(`Frame ${frameNum + 1}`, 70, HEIGHT - 50);
   
-  // Process text content - detect if it has structure
+  // Section slides carry their heading and paginated blocks, every other slide is one marked-up text
   const safeText = typeof text === 'string' ? text : String(text);
-  const isTextWithHeading = safeText.match(/<strong>(.*?)<\/strong>/i);
-  
-  // Extract heading and content if present
-  let heading = null;
-  let content = safeText;
-  
-  if (isTextWithHeading) {
-    const matches = safeText.match(/<strong>(.*?)<\/strong>(.*)/is);
-    if (matches && matches.length > 2) {
-      heading = matches[1].trim();
-      content = matches[2].replace(/<br\/?>/gi, ' ').trim();
-    }
-  }
-  
-  // Clean text of HTML tags
-  const cleanContent = content.replace(/<[^>]*>?/gm, '');
+  const heading = options.frameData?.heading || null;
+  const blocks = options.frameData?.blocks || toWordBlocks(parseMarkup(safeText));
   
   // Draw section heading if present
   let textY = 160;
@@ -475,9 +1101,9 @@ async function createFrame(text, frameNum, title, subject, options = {}) {
     ctx.fill();
     
     // Draw emoji and text
-    ctx.font = '32px Poppins, Arial';
+    ctx.font = `32px ${fontFamily}`;
     ctx.fillStyle = '#FFFFFF';
-    ctx.fillText('✋ Interactive Activity', 100, interactiveBoxY + 35);
+    ctx.fillText(`✋ ${language.labels.activity}`, 100, interactiveBoxY + 35);
     
     // Add a subtle pointing effect
     ctx.beginPath();
@@ -496,17 +1122,17 @@ async function createFrame(text, frameNum, title, subject, options = {}) {
     ctx.save();
     
     // Draw large decorative quotation mark or icon
-    ctx.font = '60px Poppins, Arial';
+    ctx.font = `60px ${fontFamily}`;
     ctx.fillStyle = theme.color + '90';
     ctx.fillText('🔍', 70, textY - 40);
     
     // Draw "Introduction" label
-    ctx.font = 'bold 32px Poppins, Arial';
+    ctx.font = `bold 32px ${fontFamily}`;
     ctx.fillStyle = theme.color;
-    ctx.fillText('Introduction', 150, textY - 40);
+    ctx.fillText(language.labels.introduction, 150, textY - 40);
     
     // Set up for the main content
-    ctx.font = '26px Poppins, Arial';
+    ctx.font = `26px ${fontFamily}`;
     ctx.fillStyle = '#FFFFFF';
     textY += 20;
     
@@ -516,61 +1142,66 @@ async function createFrame(text, frameNum, title, subject, options = {}) {
     ctx.save();
     
     // Draw decorative element
-    ctx.font = '60px Poppins, Arial';
+    ctx.font = `60px ${fontFamily}`;
     ctx.fillStyle = theme.color + '90';
     ctx.fillText('💡', 70, textY - 40);
     
     // Draw "Conclusion" label
-    ctx.font = 'bold 32px Poppins, Arial';
+    ctx.font = `bold 32px ${fontFamily}`;
     ctx.fillStyle = theme.color;
-    ctx.fillText('Conclusion', 150, textY - 40);
+    ctx.fillText(language.labels.conclusion, 150, textY - 40);
     
     // Set up for the main content
-    ctx.font = '26px Poppins, Arial';
+    ctx.font = `26px ${fontFamily}`;
     ctx.fillStyle = '#FFFFFF';
     textY += 20;
     
     ctx.restore();
   } else if (heading) {
     // For regular section frames with headings
-    ctx.font = 'bold 28px Poppins, Arial';
+    ctx.font = `bold 28px ${fontFamily}`;
     ctx.fillStyle = theme.color;
     ctx.fillText(heading, 70, textY);
+    
+    // Continuation slides repeat the heading and say where in the section they are
+    const { page, pageCount } = options.frameData || {};
+    if (pageCount > 1) {
+      ctx.font = `18px ${fontFamily}`;
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+      ctx.textAlign = 'right';
+      ctx.fillText(`${page}/${pageCount}`, 70 + getTextWidth(!!options.frameData.visual), textY);
+      ctx.textAlign = 'left';
+    }
     textY += 45;
   }
   
-  // Draw text content with improved wrapping
-  ctx.font = '24px Poppins, Arial';
-  ctx.fillStyle = '#FFFFFF';
+  // Quiz slides lay out their own question and options
+  if (isQuiz) {
+    drawQuiz(ctx, options.frameData.quiz, {
+      theme,
+      fontFamily,
+      labels: language.labels,
+      reveal: frameType === 'quiz-answer'
+    });
+  }
   
-  const words = cleanContent.split(' ');
-  let line = '';
-  const lineHeight = 34;
-  const maxWidth = WIDTH - 160;
-  
-  for (let n = 0; n < words.length; n++) {
-    const testLine = line + words[n] + ' ';
-    const metrics = ctx.measureText(testLine);
-    const testWidth = metrics.width;
-    
-    if (testWidth > maxWidth && n > 0) {
-      ctx.fillText(line, 70, textY);
-      line = words[n] + ' ';
-      textY += lineHeight;
-      
-      // Check if we're going off the content area
-      if (textY > HEIGHT - 100) {
-        ctx.fillText('...', 70, textY);
-        break;
-      }
-    } else {
-      line = testLine;
-    }
+  // Code slides draw their editor panel in place of text
+  if (isCode) {
+    drawCode(ctx, options.frameData.code, { fontFamily });
   }
-  if (line != '') {
-    ctx.fillText(line, 70, textY);
+  
+  // Illustrations take the right of the slide and the text wraps beside them
+  const visualImage = await loadVisual(options.frameData?.visual);
+  if (visualImage) {
+    drawVisual(ctx, visualImage, options.frameData.visual.title, { fontFamily });
   }
   
+  // Draw text content, laid out the same way generateVideo paginated it
+  const textLayout = { fontSize: TEXT_FONT_SIZE, fontFamily, maxWidth: getTextWidth(!!visualImage), lineHeight: TEXT_LINE_HEIGHT };
+  const lines = isQuiz || isCode ? [] : layoutMarkup(ctx, blocks, textLayout);
+  await loadMathImages(lines);
+  drawMarkup(ctx, lines, { ...textLayout, x: 70, y: textY, maxY: TEXT_BOTTOM, theme });
+  
   // Draw progress bar
   if (frameNum >= 0) {
     const progressBar = {
@@ -614,7 +1245,7 @@ async function createFrame(text, frameNum, title, subject, options = {}) {
   }
   
   // Draw footer
-  ctx.font = '16px Poppins, Arial';
+  ctx.font = `16px ${fontFamily}`;
   ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
   ctx.textAlign = 'right';
   ctx.fillText('The Apprentice Project • Educational Content', WIDTH - 40, HEIGHT - 40);
@@ -629,22 +1260,69 @@ async function createFrame(text, frameNum, title, subject, options = {}) {
   return imagePath;
 }
 
+/**
+ * Escape a file path for use as an option value inside an ffmpeg filter graph
+ * @param {string} filePath - Path to escape
+ * @returns {string} - Escaped path
+ */
+function escapeFilterPath(filePath) {
+  return filePath.replace(/\\/g, '/').replace(/([:'\[\],;])/g, '\\\\$1');
+}
+
+/**
+ * Seconds into the output an ffmpeg timemark such as 00:01:23.45 points at
+ * @param {string} timemark - Timemark reported with ffmpeg progress
+ * @returns {number} - Seconds, 0 when the timemark cannot be read
+ */
+function parseTimemark(timemark) {
+  const [hours, minutes, seconds] = String(timemark).split(':').map(Number);
+  const total = hours * 3600 + minutes * 60 + seconds;
+  return Number.isFinite(total) && total > 0 ? total : 0;
+}
+
+/**
+ * Create an isolated workspace for a single render so concurrent renders
+ * never share frame images or concat lists
+ * @param {number|string} id - Content id used to label the directory
+ * @returns {string} - Path to the new workspace
+ */
+function createWorkDir(id) {
+  return fs.mkdtempSync(path.join(TEMP_DIR, `render-${id ?? 'content'}-`));
+}
+
+/**
+ * Remove a render workspace and everything in it
+ * @param {string} workDir - Path returned by createWorkDir
+ */
+function removeWorkDir(workDir) {
+  try {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  } catch (err) {
+    console.log(`Could not delete render workspace ${workDir}: ${err.message}`);
+  }
+}
+
 /**
  * Generate a video from AI content
  * @param {Object} content - The AI-generated content
+ * @param {Function} [onProgress] - Receives { phase, frame, totalFrames, percent } updates
  * @returns {Promise<string>} - Path to the generated video
  */
-export async function generateVideo(content) {
+export async function generateVideo(content, onProgress = () => {}) {
+  const workDir = createWorkDir(content.id);
+  
   try {
-    console.log("Starting video generation process...");
+    console.log(`Starting video generation process in ${workDir}...`);
     
     const { 
       title, 
       subject, 
       scriptContent, 
       id,
-      ageGroup = '6-12' // Default age group if not specified
+      ageGroup = '6-12', // Default age group if not specified
+      language: languageCode
     } = content;
+    const language = getLanguage(languageCode);
     
     // Determine which audio file to use based on subject
     const subjectKey = subject.toLowerCase().replace(/\s+/g, '-');
@@ -666,120 +1344,128 @@ export async function generateVideo(content) {
     const filename = `${subject}_${title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_${timestamp}.mp4`;
     const outputPath = path.join(OUTPUT_DIR, filename);
     
-    // Extract script content for video frames
+    // Extract script content for video frames.
+    // scriptContent always follows the lesson schema (opening, mainContent[], conclusion)
     let frames = [];
     
-    // Safely extract text from potentially complex objects
-    const safeGetText = (obj) => {
-      if (typeof obj === 'string') return obj;
-      if (obj === null || obj === undefined) return '';
-      if (typeof obj === 'object') {
-        // For objects with a text or script property, prefer those
-        if (obj.text) return typeof obj.text === 'string' ? obj.text : JSON.stringify(obj.text);
-        if (obj.script) return typeof obj.script === 'string' ? obj.script : JSON.stringify(obj.script);
-        // Otherwise stringify the whole object
-        return JSON.stringify(obj, null, 2);
-      }
-      return String(obj); // Convert any other type to string
-    };
-    
-    // Handle different script content formats
-    if (scriptContent && typeof scriptContent === 'object') {
-      // Check if it has opening, mainContent, conclusion structure
-      if (scriptContent.opening || scriptContent.mainContent || scriptContent.conclusion) {
-        // Format 1: Opening, main content, conclusion
-        if (scriptContent.opening) {
-          // Title frame with intro content
-          frames.push({
-            type: 'opening',
-            text: safeGetText(scriptContent.opening),
-            duration: 6, // Slightly longer for introduction
-            animate: true
-          });
-        }
+    if (scriptContent) {
+      // Title frame with intro content
+      frames.push({
+        type: 'opening',
+        text: scriptContent.opening,
+        narrationText: getSpeechText(parseMarkup(scriptContent.opening)),
+        duration: 6, // Slightly longer for introduction
+        animate: true
+      });
+      
+      // Measure section text with the fonts the slides draw it in
+      const measureCtx = createCanvas(WIDTH, HEIGHT).getContext('2d');
+      const linesPerPage = Math.floor((TEXT_BOTTOM - SECTION_TEXT_TOP) / TEXT_LINE_HEIGHT) + 1;
+      
+      scriptContent.mainContent.forEach((section, index) => {
+        const { sectionTitle, script: sectionContent } = section;
         
-        if (scriptContent.mainContent) {
-          if (Array.isArray(scriptContent.mainContent)) {
-            scriptContent.mainContent.forEach((section, index) => {
-              // If section is an object with expected properties
-              if (section && typeof section === 'object') {
-                const sectionTitle = section.sectionTitle ? safeGetText(section.sectionTitle) : `Section ${index + 1}`;
-                const sectionContent = section.script ? safeGetText(section.script) : safeGetText(section);
-                
-                // Calculate duration based on content length - longer content gets more time
-                const contentLength = sectionContent.length;
-                const baseDuration = 7;
-                const extraDuration = Math.min(5, Math.floor(contentLength / 150)); // Add up to 5 seconds for long content
-                
-                frames.push({
-                  type: 'section',
-                  text: `<strong>${sectionTitle}</strong><br/><br/>${sectionContent}`,
-                  sectionTitle: sectionTitle,
-                  duration: baseDuration + extraDuration,
-                  animate: true,
-                  index: index
-                });
-                
-                if (section.interactiveElement) {
-                  frames.push({
-                    type: 'interactive',
-                    text: `<strong>Interactive Element:</strong><br/><br/>${safeGetText(section.interactiveElement)}`,
-                    duration: 5,
-                    animate: true
-                  });
-                }
-              } else {
-                // Section is a scalar value
-                frames.push({
-                  type: 'simple',
-                  text: safeGetText(section),
-                  duration: 5,
-                  animate: true
-                });
-              }
-            });
-          } else {
-            // MainContent is not an array
-            const content = safeGetText(scriptContent.mainContent);
-            // Calculate duration based on content length
-            const contentLength = content.length;
-            const baseDuration = 7;
-            const extraDuration = Math.min(5, Math.floor(contentLength / 200));
-            
-            frames.push({
-              type: 'content',
-              text: content,
-              duration: baseDuration + extraDuration,
-              animate: true
-            });
+        // Show the first illustration placed on this section next to its text
+        const visual = (content.visuals || []).find(item => item.sectionIndex === index);
+        
+        // Code blocks get slides of their own, the text around them is
+        // paginated, continuing on as many slides as it needs
+        const segments = [];
+        parseMarkup(sectionContent).forEach(block => {
+          const last = segments[segments.length - 1];
+          if (block.type === 'code') segments.push({ code: block });
+          else if (last && !last.code) last.blocks.push(block);
+          else segments.push({ blocks: [block] });
+        });
+        if (segments.length === 0) segments.push({ blocks: [] });
+        
+        const fontFamily = getFontFamily(language);
+        const layout = { fontSize: TEXT_FONT_SIZE, fontFamily, maxWidth: getTextWidth(!!visual), lineHeight: TEXT_LINE_HEIGHT };
+        segments.forEach(segment => {
+          if (!segment.code) segment.pages = paginateMarkup(measureCtx, toWordBlocks(segment.blocks), layout, linesPerPage);
+        });
+        const pages = segments.flatMap(segment => segment.pages || []);
+        
+        // Calculate duration based on content length - longer content gets more time,
+        // at least enough to read it, spread over its slides by their share of the words
+        const countWords = page => page.reduce((total, block) => total + block.words.length, 0);
+        const wordCount = pages.reduce((total, page) => total + countWords(page), 0);
+        const baseDuration = 7;
+        const extraDuration = Math.min(5, Math.floor(sectionContent.length / 150)); // Add up to 5 seconds for long content
+        const sectionDuration = Math.max(baseDuration + extraDuration, wordCount / READING_WORDS_PER_SECOND);
+        
+        const sectionFrames = [];
+        segments.forEach(segment => {
+          if (segment.code) {
+            sectionFrames.push(...getCodeFrames(measureCtx, segment.code, fontFamily));
+            return;
           }
-        }
+          segment.pages.forEach(pageBlocks => {
+            const pageText = getSpeechText(toMarkupBlocks(pageBlocks));
+            sectionFrames.push({
+              type: 'section',
+              text: pageText,
+              blocks: pageBlocks,
+              narrationText: pageText,
+              duration: Math.max(MIN_SLIDE_DURATION, Math.round((sectionDuration * countWords(pageBlocks)) / Math.max(1, wordCount) * 10) / 10),
+              animate: true,
+              page: pages.indexOf(pageBlocks) + 1,
+              pageCount: pages.length,
+              visual: visual ? { path: visual.path, title: content.visualReferences?.[visual.referenceIndex]?.title } : null
+            });
+          });
+        });
+        
+        // The title is read once, on the first slide of the section; every slide shows it
+        sectionFrames[0].narrationText = [sectionTitle, sectionFrames[0].narrationText].filter(Boolean).join('. ');
+        sectionFrames.forEach(frame => {
+          frames.push({ ...frame, heading: sectionTitle, sectionTitle: sectionTitle, index: index });
+        });
         
-        if (scriptContent.conclusion) {
+        if (section.interactiveElement) {
           frames.push({
-            type: 'conclusion',
-            text: safeGetText(scriptContent.conclusion),
-            duration: 6, // Slightly longer for conclusion
+            type: 'interactive',
+            text: section.interactiveElement,
+            narrationText: `${language.labels.activityPrompt} ${getSpeechText(parseMarkup(section.interactiveElement))}`,
+            duration: 5,
             animate: true
           });
         }
-      } else {
-        // Object without the expected structure, convert to string
-        frames.push({ text: JSON.stringify(scriptContent, null, 2), duration: 10 });
-      }
-    } else {
-      // For any other format, just use the entire script
-      const scriptText = typeof scriptContent === 'string' 
-        ? scriptContent 
-        : JSON.stringify(scriptContent, null, 2);
+      });
       
-      // Split into paragraphs
-      const paragraphs = scriptText.split(/\n\n|\\\n\\\n/);
-      for (const paragraph of paragraphs) {
-        if (paragraph.trim()) {
-          frames.push({ text: paragraph, duration: 5 });
-        }
-      }
+      // Quiz lessons ask each question, then reveal its answer
+      const quiz = content.quiz || [];
+      quiz.forEach((item, index) => {
+        const { options, answerIndex } = getQuizOptions(item);
+        const quizData = { question: item.question, options, answerIndex, number: index + 1, count: quiz.length };
+        const choices = options.map((option, i) => `${OPTION_LETTERS[i]}: ${option}.`).join(' ');
+        
+        frames.push({
+          type: 'quiz-question',
+          text: item.question,
+          narrationText: `${item.question} ${choices}`,
+          quiz: quizData,
+          duration: 6 + QUIZ_THINK_TIME,
+          thinkTime: QUIZ_THINK_TIME,
+          animate: true
+        });
+        frames.push({
+          type: 'quiz-answer',
+          text: item.explanation,
+          narrationText: `${language.labels.answer}: ${OPTION_LETTERS[answerIndex]}. ${item.answer}. ${item.explanation}`,
+          quiz: { ...quizData, explanation: item.explanation },
+          duration: 7,
+          animate: true
+        });
+      });
+      
+      frames.push({
+        type: 'conclusion',
+        text: scriptContent.conclusion,
+        narrationText: getSpeechText(parseMarkup(scriptContent.conclusion)),
+        duration: 6, // Slightly longer for conclusion
+        animate: true
+      });
     }
     
     // Ensure we have at least one frame
@@ -790,6 +1476,31 @@ export async function generateVideo(content) {
       });
     }
     
+    // Narrate each slide and let the narration decide how long it stays on screen
+    const ttsEngine = getTtsEngine();
+    if (ttsEngine) {
+      for (let i = 0; i < frames.length; i++) {
+        const frame = frames[i];
+        if (!frame.narrationText) continue;
+        
+        onProgress({ phase: 'narration', frame: i + 1, totalFrames: frames.length });
+        try {
+          frame.narration = await ttsEngine.synthesize(
+            frame.narrationText,
+            path.join(workDir, `narration_${i.toString().padStart(3, '0')}.wav`),
+            language.code === 'en' ? {} : { voice: language.code } // TTS_VOICE still picks the English voice
+          );
+          frame.duration = Math.max(
+            MIN_SLIDE_DURATION,
+            Math.ceil((frame.narration.duration + NARRATION_PADDING + (frame.thinkTime || 0)) * 10) / 10
+          );
+        } catch (err) {
+          // Keep the length estimate and render this slide silently
+          console.log(`Could not narrate frame ${i + 1}: ${err.message}`);
+        }
+      }
+    }
+    
     console.log(`Generating ${frames.length} frames for video...`);
     
     // Set the total number of frames for progress bar calculation
@@ -798,9 +1509,11 @@ export async function generateVideo(content) {
     
     // Generate all frames with transitions
     let frameFiles = [];
+    let sequence = 0; // Every image written gets its own file in the workspace
     for (let i = 0; i < frames.length; i++) {
       const frame = frames[i];
       console.log(`Creating frame ${i + 1} of ${frames.length}: ${frame.type || 'standard'}`);
+      onProgress({ phase: 'frames', frame: i + 1, totalFrames });
       
       // Special handling for the first frame (opening)
       if (i === 0 && frame.animate) {
@@ -819,7 +1532,10 @@ export async function generateVideo(content) {
               animationPhase: 'title-reveal',
               transitionProgress: progress,
               totalFrames: totalFrames,
-              frameData: frame
+              frameData: frame,
+              workDir,
+              sequence: sequence++,
+              language: language.code
             }
           );
           
@@ -843,7 +1559,10 @@ export async function generateVideo(content) {
           animate: frame.animate || false,
           animationPhase: 'main',
           totalFrames: totalFrames,
-          frameData: frame // Pass all frame data for additional customization
+          frameData: frame, // Pass all frame data for additional customization
+          workDir,
+          sequence: sequence++,
+          language: language.code
         }
       );
       
@@ -864,7 +1583,10 @@ export async function generateVideo(content) {
               animationPhase: 'transition-in',
               transitionProgress: progress,
               totalFrames: totalFrames,
-              frameData: frame
+              frameData: frame,
+              workDir,
+              sequence: sequence++,
+              language: language.code
             }
           );
           
@@ -878,38 +1600,62 @@ export async function generateVideo(content) {
       }
       
       // Add the main frame with the specified duration
-      frameFiles.push({ path: mainFramePath, duration: frame.duration });
+      frameFiles.push({
+        path: mainFramePath,
+        duration: frame.duration,
+        narration: frame.narration,
+        caption: (frame.narrationText || frame.text).replace(/<[^>]*>?/gm, ' ')
+      });
     }
     
     // Create video using ffmpeg
     console.log("Combining frames into video...");
     
-    return new Promise((resolve, reject) => {
+    return await new Promise((resolve, reject) => {
       try {
         // Create a concatenation file for ffmpeg
-        const concatFilePath = path.join(TEMP_DIR, 'concat.txt');
+        const concatFilePath = path.join(workDir, 'concat.txt');
         let concatContent = '';
         
+        // Track where each slide starts so narration clips and captions can be placed on the timeline
+        let elapsed = 0;
+        const narrationClips = [];
+        const captionSegments = [];
+        
         // Create content for concat file
         frameFiles.forEach(frame => {
+          const start = elapsed;
+          if (frame.narration) {
+            narrationClips.push({ path: frame.narration.path, start });
+          }
+          
           // For transition frames or frames with fractional duration
           if (frame.isTransition || frame.duration < 1) {
             concatContent += `file '${frame.path}'\nduration ${frame.duration.toFixed(1)}\n`;
+            elapsed += parseFloat(frame.duration.toFixed(1));
           } else {
             // For regular frames with integer durations, split into 1-second chunks
             // for better animation control
             for (let i = 0; i < Math.floor(frame.duration); i++) {
               concatContent += `file '${frame.path}'\nduration 1\n`;
+              elapsed += 1;
             }
             
             // Add any fractional part remaining
             const fractionalPart = frame.duration % 1;
             if (fractionalPart > 0) {
               concatContent += `file '${frame.path}'\nduration ${fractionalPart.toFixed(1)}\n`;
+              elapsed += parseFloat(fractionalPart.toFixed(1));
             }
           }
+          
+          if (frame.caption) {
+            captionSegments.push({ start, end: elapsed, text: frame.caption });
+          }
         });
         
+        const totalDuration = elapsed;
+        
         // Add the last file reference (required by ffmpeg concat)
         if (frameFiles.length > 0) {
           concatContent += `file '${frameFiles[frameFiles.length - 1].path}'`;
@@ -918,7 +1664,12 @@ export async function generateVideo(content) {
         // Write the concat file
         fs.writeFileSync(concatFilePath, concatContent);
         
-        console.log('Starting FFmpeg process with audio');
+        // Captions are written next to the video, named after it
+        const subtitles = writeSubtitles(outputPath, captionSegments);
+        console.log(`Wrote ${captionSegments.length} caption segments to ${subtitles.vtt}`);
+        
+        console.log(`Starting FFmpeg process with ${narrationClips.length} narration clips`);
+        onProgress({ phase: 'encoding', frame: totalFrames, totalFrames, percent: 0 });
         
         // Check if audio file exists
         const audioFileExists = fs.existsSync(audioFile);
@@ -928,36 +1679,68 @@ export async function generateVideo(content) {
         let ffmpegCommand = ffmpeg()
           .input(concatFilePath)
           .inputFormat('concat')
-          .inputOptions(['-safe 0'])
-          .videoCodec('libx264');
-          
-        // Add background music if audio file exists
+          .inputOptions(['-safe 0']);
+        
+        // Ensure consistent dimensions, optionally drawing the captions into the picture
+        const burnIn = BURN_IN_SUBTITLES ? `,subtitles=filename=${escapeFilterPath(subtitles.srt)}` : '';
+        const filters = [`[0:v]scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:-1:-1:color=black${burnIn}[vout]`];
+        let inputIndex = 1;
+        let musicInput = null;
+        let audioOutput = null;
+        
+        // Add background music if audio file exists, looped to cover the whole video
         if (audioFileExists) {
+          ffmpegCommand = ffmpegCommand.input(audioFile).inputOptions(['-stream_loop -1']);
+          musicInput = `[${inputIndex++}:a]`;
+        }
+        
+        // Place each narration clip at the start time of its slide
+        narrationClips.forEach((clip, index) => {
+          ffmpegCommand = ffmpegCommand.input(clip.path);
+          filters.push(`[${inputIndex++}:a]adelay=${Math.round(clip.start * 1000)}:all=1[n${index}]`);
+        });
+        
+        if (narrationClips.length > 0) {
+          const labels = narrationClips.map((_, index) => `[n${index}]`).join('');
+          filters.push(`${labels}amix=inputs=${narrationClips.length}:normalize=0:duration=longest,apad[voice]`);
+          
+          if (musicInput) {
+            // Duck the background music whenever the narrator speaks
+            filters.push('[voice]asplit=2[voicemix][voicekey]');
+            filters.push(`${musicInput}volume=0.5[music]`);
+            filters.push('[music][voicekey]sidechaincompress=threshold=0.02:ratio=10:attack=20:release=400[ducked]');
+            filters.push('[ducked][voicemix]amix=inputs=2:normalize=0:duration=first[aout]');
+          } else {
+            filters.push('[voice]anull[aout]');
+          }
+          audioOutput = '[aout]';
+        } else if (musicInput) {
+          // Reduce the volume of the background music
+          filters.push(`${musicInput}volume=0.5[aout]`);
+          audioOutput = '[aout]';
+        }
+        
+        ffmpegCommand = ffmpegCommand
+          .complexFilter(filters)
+          .videoCodec('libx264')
+          .outputOptions([
+            '-map [vout]',
+            '-pix_fmt yuv420p', // Required for compatibility
+            '-preset medium', // Balance between quality and encoding speed
+            '-crf 22', // Constant Rate Factor - lower is better quality (18-28 is good range)
+            '-movflags +faststart' // Allows video to start playing before fully downloaded
+          ]);
+        
+        if (audioOutput) {
           ffmpegCommand = ffmpegCommand
-            .input(audioFile)
+            .outputOptions([
+              `-map ${audioOutput}`,
+              '-shortest' // The audio is padded and looped, so stop with the video
+            ])
             .audioCodec('aac')
             .audioBitrate('128k')
             .audioChannels(2)
-            .audioFrequency(44100)
-            .outputOptions([
-              '-pix_fmt yuv420p', // Required for compatibility
-              '-preset medium', // Balance between quality and encoding speed
-              '-crf 22', // Constant Rate Factor - lower is better quality (18-28 is good range)
-              '-movflags +faststart', // Allows video to start playing before fully downloaded
-              '-vf scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:-1:-1:color=black', // Ensure consistent dimensions
-              '-shortest', // End the output when the shortest input stream ends
-              '-af "volume=0.5"' // Reduce the volume of the background music
-            ]);
-        } else {
-          // No audio file, just output video
-          ffmpegCommand = ffmpegCommand
-            .outputOptions([
-              '-pix_fmt yuv420p', // Required for compatibility
-              '-preset medium', // Balance between quality and encoding speed
-              '-crf 22', // Constant Rate Factor - lower is better quality (18-28 is good range)
-              '-movflags +faststart', // Allows video to start playing before fully downloaded
-              '-vf scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:-1:-1:color=black' // Ensure consistent dimensions
-            ]);
+            .audioFrequency(44100);
         }
         
         // Adding metadata as a separate option
@@ -965,30 +1748,19 @@ export async function generateVideo(content) {
           .addOutputOption('-metadata:s:v', 'title=TAP Educational Content')
           .output(outputPath)
           .on('progress', (progress) => {
-            console.log(`Processing: ${progress.percent ? progress.percent.toFixed(1) : 0}% done`);
+            // fluent-ffmpeg's own percent probes concat.txt as if it were a video,
+            // so measure how far the output got against the length of the slides
+            const percent = totalDuration > 0 ? Math.min(100, parseTimemark(progress.timemark) / totalDuration * 100) : 0;
+            console.log(`Processing: ${percent.toFixed(1)}% done`);
+            onProgress({ phase: 'encoding', frame: totalFrames, totalFrames, percent });
           })
           .on('end', () => {
             console.log('Video created successfully');
-            
-            // Clean up temporary files
-            frameFiles.forEach(frame => {
-              try {
-                fs.unlinkSync(frame.path);
-              } catch (err) {
-                console.log(`Could not delete frame: ${err.message}`);
-              }
-            });
-            
-            try {
-              fs.unlinkSync(concatFilePath);
-            } catch (err) {
-              console.log(`Could not delete concat file: ${err.message}`);
-            }
-            
             resolve(outputPath);
           })
           .on('error', (err) => {
             console.error('Error creating video:', err);
+            removeSubtitles(outputPath);
             reject(err);
           })
           .run();
@@ -1000,15 +1772,8 @@ export async function generateVideo(content) {
   } catch (error) {
     console.error("Error generating video:", error);
     throw error;
+  } finally {
+    // Always clean up the workspace, including after ffmpeg failures
+    removeWorkDir(workDir);
   }
 }
-
-/**
- * Get the URL for a video
- * @param {string} videoPath - Full path to video file
- * @returns {string} - URL for accessing the video
- */
-export function getVideoUrl(videoPath) {
-  const relativePath = path.relative(path.join(__dirname, '..', 'public'), videoPath);
-  return `/${relativePath.replace(/\\/g, '/')}`;
-}
\ No newline at end of file
@@ -0,0 +1,168 @@
+/**
+ * Concurrent renders must each get a workspace of their own, removed once
+ * the render ends, whether ffmpeg succeeds or fails. Frames are drawn with
+ * the real canvas; ffmpeg is replaced by a script that logs the concat list
+ * it was given and then writes the video or fails.
+ */
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import ffmpeg from "fluent-ffmpeg";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEMP_DIR = path.join(__dirname, "..", "temp");
+
+// Answers the capability checks fluent-ffmpeg runs before every command
+const FAKE_FFMPEG = `#!${process.execPath}
+const fs = require("fs");
+const args = process.argv.slice(2);
+if (args.includes("-formats")) {
+  console.log(" DE concat          Virtual concatenation script\\n DE mp4             MP4");
+  process.exit(0);
+}
+if (args.includes("-encoders")) {
+  console.log(" V..... libx264              H.264\\n A..... aac                  AAC");
+  process.exit(0);
+}
+
+const concat = args[args.indexOf("-i") + 1];
+const frames = Array.from(fs.readFileSync(concat, "utf8").matchAll(/^file '(.*)'$/gm), (match) => match[1]);
+fs.appendFileSync(process.env.FAKE_FFMPEG_LOG, JSON.stringify({ concat, frames }) + "\\n");
+
+// Report being halfway through the slides, the way ffmpeg prints its stats
+const durations = Array.from(fs.readFileSync(concat, "utf8").matchAll(/^duration (.*)$/gm), (match) => Number(match[1]));
+const halfway = new Date(durations.reduce((sum, duration) => sum + duration, 0) * 500).toISOString().slice(11, 22);
+console.error("frame=10 fps=0.0 q=0.0 size=0kB time=" + halfway + " bitrate=0.0kbits/s speed=1x");
+
+// Long enough for the two renders to be encoding at the same time
+setTimeout(() => {
+  if (process.env.FAKE_FFMPEG_FAIL) {
+    console.error("Conversion failed!");
+    process.exit(1);
+  }
+  fs.writeFileSync(args[args.length - 1], "video");
+  process.exit(0);
+}, 500);
+`;
+
+const canvasError = await import("canvas").then(
+  () => null,
+  (error: Error) => error.message.split("\n")[0],
+);
+
+function createLesson(id: number, title: string) {
+  return {
+    id,
+    title,
+    subject: "Science",
+    language: "en",
+    scriptContent: {
+      opening: "Let's learn about **rain**.",
+      mainContent: [{ sectionTitle: "Clouds", script: "Clouds are made of tiny drops of water." }],
+      conclusion: "Well done!",
+    },
+  };
+}
+
+function getWorkDirs(id: number) {
+  return fs.readdirSync(TEMP_DIR).filter((name) => name.startsWith(`render-${id}-`));
+}
+
+function readLog(logPath: string): { concat: string; frames: string[] }[] {
+  if (!fs.existsSync(logPath)) return [];
+  return fs.readFileSync(logPath, "utf8").trim().split("\n").filter(Boolean).map((line) => JSON.parse(line));
+}
+
+describe("generateVideo", { skip: canvasError ? `canvas is not available: ${canvasError}` : false }, () => {
+  let generateVideo: (content: any, onProgress?: (progress: any) => void) => Promise<string>;
+  let removeSubtitles: (videoPath: string) => void;
+  let fakeDir: string;
+  let logPath: string;
+  const previousEnv = { ...process.env };
+
+  before(async () => {
+    fakeDir = fs.mkdtempSync(path.join(os.tmpdir(), "fake-ffmpeg-"));
+    const fakePath = path.join(fakeDir, "ffmpeg.cjs");
+    fs.writeFileSync(fakePath, FAKE_FFMPEG, { mode: 0o755 });
+    ffmpeg.setFfmpegPath(fakePath);
+
+    logPath = path.join(fakeDir, "calls.log");
+    process.env.FAKE_FFMPEG_LOG = logPath;
+    process.env.TTS_ENGINE = "none";
+
+    ({ generateVideo } = await import("./videoGenerator"));
+    ({ removeSubtitles } = await import("./subtitles"));
+  });
+
+  after(() => {
+    process.env = previousEnv;
+    fs.rmSync(fakeDir, { recursive: true, force: true });
+  });
+
+  test("two renders at once get separate workspaces that are removed afterwards", async () => {
+    fs.rmSync(logPath, { force: true });
+    delete process.env.FAKE_FFMPEG_FAIL;
+
+    const videoPaths = await Promise.all([
+      generateVideo(createLesson(910001, "Rain one")),
+      generateVideo(createLesson(910002, "Rain two")),
+    ]);
+    try {
+      const calls = readLog(logPath);
+      assert.equal(calls.length, 2);
+
+      const workDirs = calls.map((call) => path.dirname(call.concat));
+      assert.notEqual(workDirs[0], workDirs[1]);
+      calls.forEach((call, index) => {
+        assert.ok(call.frames.length > 0);
+        // Every frame of a render comes from its own workspace
+        assert.ok(call.frames.every((frame) => path.dirname(frame) === workDirs[index]));
+        assert.equal(fs.existsSync(workDirs[index]), false);
+      });
+
+      assert.deepEqual([...getWorkDirs(910001), ...getWorkDirs(910002)], []);
+      videoPaths.forEach((videoPath) => assert.equal(fs.readFileSync(videoPath, "utf8"), "video"));
+    } finally {
+      videoPaths.forEach((videoPath) => {
+        fs.rmSync(videoPath, { force: true });
+        removeSubtitles(videoPath);
+      });
+    }
+  });
+
+  test("reports encoding progress against the length of the slides", async () => {
+    fs.rmSync(logPath, { force: true });
+    delete process.env.FAKE_FFMPEG_FAIL;
+
+    const progress: any[] = [];
+    const videoPath = await generateVideo(createLesson(910005, "Rain progress"), (update) => progress.push(update));
+    try {
+      const encoding = progress.filter((update) => update.phase === "encoding").map((update) => update.percent);
+      assert.equal(encoding[0], 0);
+      assert.ok(encoding.some((percent) => Math.abs(percent - 50) < 1), `no halfway update in ${encoding}`);
+    } finally {
+      fs.rmSync(videoPath, { force: true });
+      removeSubtitles(videoPath);
+    }
+  });
+
+  test("workspaces are removed when ffmpeg fails", async () => {
+    fs.rmSync(logPath, { force: true });
+    process.env.FAKE_FFMPEG_FAIL = "1";
+
+    const results = await Promise.allSettled([
+      generateVideo(createLesson(910003, "Storm one")),
+      generateVideo(createLesson(910004, "Storm two")),
+    ]);
+    assert.deepEqual(results.map((result) => result.status), ["rejected", "rejected"]);
+
+    const calls = readLog(logPath);
+    assert.equal(calls.length, 2);
+    calls.forEach((call) => assert.equal(fs.existsSync(path.dirname(call.concat)), false));
+    assert.deepEqual([...getWorkDirs(910003), ...getWorkDirs(910004)], []);
+  });
+});
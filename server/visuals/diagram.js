@@ -0,0 +1,283 @@
+/**
+ * Procedural diagram visual source
+ * Draws a simple cycle, step sequence, comparison or concept map from the
+ * wording of a reference, so every reference gets an image even when the
+ * illustration library has nothing for it
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { createCanvas } from 'canvas';
+import { getFontFamily } from '../fonts';
+import { getSubjectTheme } from '../videoGenerator';
+import { getKeywords } from './keywords';
+import { getLanguage } from '@shared/languages';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUTPUT_DIR = path.join(__dirname, '..', '..', 'public', 'visuals');
+
+const WIDTH = 960;
+const HEIGHT = 540;
+const MAX_LABELS = 6;
+const DIAGRAM_VERSION = 1; // Bump to redraw cached diagrams after changing the drawing
+
+// Leading wording that describes the image rather than what is in it
+const IMAGE_PHRASE = /^(?:an?\s+|the\s+)?(?:simple\s+|labell?ed\s+|colou?rful\s+)*(?:diagram|illustration|picture|image|chart|drawing|graphic|photo)\s+(?:of|showing|that shows|with|depicting)\s+/i;
+
+/**
+ * The kind of diagram that fits a reference
+ * @param {string} text - Title and description
+ * @returns {'cycle'|'steps'|'compare'|'concept'}
+ */
+export function getDiagramKind(text) {
+  if (/\b(cycle|cycles|loop|circular|repeats?)\b/i.test(text)) return 'cycle';
+  if (/\b(compare|comparison|comparing|versus|vs\.?|differences?|contrast)\b/i.test(text)) return 'compare';
+  if (/\b(steps?|process|sequence|stages?|flow|timeline)\b|→|->/i.test(text)) return 'steps';
+  return 'concept';
+}
+
+/**
+ * Short labels for the boxes of a diagram, split from the description
+ * @param {Object} reference - { title, description }
+ * @returns {Array<string>}
+ */
+export function getDiagramLabels(reference) {
+  const description = reference.description.replace(IMAGE_PHRASE, '');
+  const parts = description
+    .split(/\s*(?:,|;|:|→|->|=>|\.|\bthen\b|\band\b|\bversus\b|\bvs\b)\s*/i)
+    .map(part => part.replace(/^(?:(?:how|the|a|an)\s+|comparison\s+(?:of|between)\s+)+/i, '').trim())
+    .filter(part => part.length >= 2 && part.length <= 40);
+  const labels = [...new Set(parts)].slice(0, MAX_LABELS);
+  if (labels.length >= 2) return labels;
+
+  // Nothing list-like in the description, fall back to its main words
+  const keywords = [...getKeywords(description)];
+  return keywords.filter(word => !keywords.includes(`${word}s`)).slice(0, 4);
+}
+
+function roundedRect(ctx, x, y, width, height, radius) {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+}
+
+function wrapLabel(ctx, text, maxWidth, maxLines) {
+  const lines = [];
+  let line = '';
+  text.split(/\s+/).forEach(word => {
+    const testLine = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(testLine).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = testLine;
+    }
+  });
+  if (line) lines.push(line);
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] += '…';
+  }
+  return lines;
+}
+
+// A filled box centred on x, y with its label wrapped inside
+function drawNode(ctx, x, y, width, height, label, fill, fontFamily) {
+  ctx.fillStyle = fill;
+  roundedRect(ctx, x - width / 2, y - height / 2, width, height, 14);
+  ctx.fill();
+
+  ctx.font = `bold 20px ${fontFamily}`;
+  ctx.fillStyle = '#FFFFFF';
+  ctx.textAlign = 'center';
+  const lines = wrapLabel(ctx, label, width - 20, 3);
+  const lineHeight = 24;
+  lines.forEach((line, index) => {
+    ctx.fillText(line, x, y - ((lines.length - 1) * lineHeight) / 2 + index * lineHeight + 7);
+  });
+  ctx.textAlign = 'left';
+}
+
+function drawArrow(ctx, fromX, fromY, toX, toY, color) {
+  const angle = Math.atan2(toY - fromY, toX - fromX);
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = 4;
+  ctx.beginPath();
+  ctx.moveTo(fromX, fromY);
+  ctx.lineTo(toX - 10 * Math.cos(angle), toY - 10 * Math.sin(angle));
+  ctx.stroke();
+
+  ctx.beginPath();
+  ctx.moveTo(toX, toY);
+  ctx.lineTo(toX - 18 * Math.cos(angle - 0.45), toY - 18 * Math.sin(angle - 0.45));
+  ctx.lineTo(toX - 18 * Math.cos(angle + 0.45), toY - 18 * Math.sin(angle + 0.45));
+  ctx.closePath();
+  ctx.fill();
+}
+
+// Point where the line from a box centre towards a target leaves the box
+function boxEdge(x, y, width, height, towardX, towardY) {
+  const dx = towardX - x;
+  const dy = towardY - y;
+  const scale = 1 / Math.max(Math.abs(dx) / (width / 2), Math.abs(dy) / (height / 2));
+  return [x + dx * scale, y + dy * scale];
+}
+
+function drawCycle(ctx, labels, colors, fontFamily) {
+  const centerX = WIDTH / 2;
+  const centerY = 300;
+  const radius = labels.length > 4 ? 175 : 150;
+  const nodeWidth = 190;
+  const nodeHeight = 70;
+  const points = labels.map((_, index) => {
+    const angle = -Math.PI / 2 + (index * 2 * Math.PI) / labels.length;
+    return [centerX + radius * 1.6 * Math.cos(angle), centerY + radius * Math.sin(angle)];
+  });
+
+  points.forEach(([x, y], index) => {
+    const [nextX, nextY] = points[(index + 1) % points.length];
+    const [startX, startY] = boxEdge(x, y, nodeWidth + 16, nodeHeight + 16, nextX, nextY);
+    const [endX, endY] = boxEdge(nextX, nextY, nodeWidth + 16, nodeHeight + 16, x, y);
+    drawArrow(ctx, startX, startY, endX, endY, colors.arrow);
+  });
+  points.forEach(([x, y], index) => {
+    drawNode(ctx, x, y, nodeWidth, nodeHeight, labels[index], colors.nodes[index % colors.nodes.length], fontFamily);
+  });
+}
+
+function drawSteps(ctx, labels, colors, fontFamily) {
+  const gap = 44;
+  const nodeWidth = Math.min(220, (WIDTH - 80 - gap * (labels.length - 1)) / labels.length);
+  const nodeHeight = 110;
+  const startX = (WIDTH - (nodeWidth * labels.length + gap * (labels.length - 1))) / 2 + nodeWidth / 2;
+  const y = 300;
+
+  labels.forEach((label, index) => {
+    const x = startX + index * (nodeWidth + gap);
+    if (index > 0) {
+      drawArrow(ctx, x - nodeWidth / 2 - gap + 6, y, x - nodeWidth / 2 - 6, y, colors.arrow);
+    }
+    drawNode(ctx, x, y, nodeWidth, nodeHeight, label, colors.nodes[index % colors.nodes.length], fontFamily);
+  });
+}
+
+function drawCompare(ctx, labels, colors, fontFamily) {
+  const [left, right, ...details] = labels;
+  const columnWidth = 360;
+  const leftX = WIDTH / 2 - 220;
+  const rightX = WIDTH / 2 + 220;
+
+  drawNode(ctx, leftX, 170, columnWidth, 80, left, colors.nodes[0], fontFamily);
+  drawNode(ctx, rightX, 170, columnWidth, 80, right || '?', colors.nodes[1], fontFamily);
+
+  ctx.font = `bold 30px ${fontFamily}`;
+  ctx.fillStyle = colors.arrow;
+  ctx.textAlign = 'center';
+  ctx.fillText('vs', WIDTH / 2, 180);
+
+  // Remaining points alternate between the two sides
+  ctx.font = `20px ${fontFamily}`;
+  ctx.fillStyle = '#334155';
+  details.forEach((detail, index) => {
+    const x = index % 2 === 0 ? leftX : rightX;
+    const y = 270 + Math.floor(index / 2) * 60;
+    ctx.fillText(`• ${detail}`, x, y);
+  });
+  ctx.textAlign = 'left';
+
+  ctx.strokeStyle = '#CBD5E1';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(WIDTH / 2, 230);
+  ctx.lineTo(WIDTH / 2, HEIGHT - 40);
+  ctx.stroke();
+}
+
+function drawConcept(ctx, title, labels, colors, fontFamily) {
+  const centerX = WIDTH / 2;
+  const centerY = 300;
+  const points = labels.map((_, index) => {
+    const angle = -Math.PI / 2 + (index * 2 * Math.PI) / labels.length + Math.PI / labels.length;
+    return [centerX + 330 * Math.cos(angle), centerY + 160 * Math.sin(angle)];
+  });
+
+  ctx.strokeStyle = colors.arrow;
+  ctx.lineWidth = 3;
+  points.forEach(([x, y]) => {
+    ctx.beginPath();
+    ctx.moveTo(centerX, centerY);
+    ctx.lineTo(x, y);
+    ctx.stroke();
+  });
+
+  points.forEach(([x, y], index) => {
+    drawNode(ctx, x, y, 180, 64, labels[index], colors.nodes[(index + 1) % colors.nodes.length], fontFamily);
+  });
+  drawNode(ctx, centerX, centerY, 240, 90, title, colors.nodes[0], fontFamily);
+}
+
+/**
+ * Draw a diagram for a reference, reusing the image drawn for the same
+ * reference before
+ * @param {Object} reference - { title, description }
+ * @param {Object} context - { contentId, index, subject, language }
+ * @returns {Promise<{ path: string, url: string }>}
+ */
+async function find(reference, context) {
+  const kind = getDiagramKind(`${reference.title} ${reference.description}`);
+  const hash = createHash('sha1')
+    .update(JSON.stringify([DIAGRAM_VERSION, reference.title, reference.description, context.subject, context.language]))
+    .digest('hex')
+    .slice(0, 12);
+  const filename = `content_${context.contentId}_${context.index}_${hash}.png`;
+  const imagePath = path.join(OUTPUT_DIR, filename);
+  const url = `/visuals/${filename}`;
+
+  if (fs.existsSync(imagePath)) {
+    return { path: imagePath, url };
+  }
+
+  const theme = getSubjectTheme(context.subject);
+  const fontFamily = getFontFamily(getLanguage(context.language));
+  const colors = { nodes: [theme.color, theme.gradient[1], '#334155', '#0EA5E9'], arrow: '#64748B' };
+  const labels = getDiagramLabels(reference);
+
+  const canvas = createCanvas(WIDTH, HEIGHT);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+  ctx.font = `bold 32px ${fontFamily}`;
+  ctx.fillStyle = theme.color;
+  ctx.textAlign = 'center';
+  ctx.fillText(wrapLabel(ctx, reference.title, WIDTH - 80, 1)[0], WIDTH / 2, 60);
+  ctx.textAlign = 'left';
+
+  if (kind === 'cycle' && labels.length >= 3) {
+    drawCycle(ctx, labels, colors, fontFamily);
+  } else if (kind === 'compare' && labels.length >= 2) {
+    drawCompare(ctx, labels, colors, fontFamily);
+  } else if ((kind === 'steps' || kind === 'cycle') && labels.length >= 2) {
+    drawSteps(ctx, labels, colors, fontFamily);
+  } else {
+    drawConcept(ctx, reference.title, labels, colors, fontFamily);
+  }
+
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  fs.writeFileSync(imagePath, canvas.toBuffer('image/png'));
+  return { path: imagePath, url };
+}
+
+export const diagramVisualSource = {
+  id: 'diagram',
+  name: 'Procedural diagrams',
+  isAvailable: () => true,
+  find
+};
@@ -0,0 +1,119 @@
+/**
+ * Visual asset pipeline: turns the visual references of a lesson into images
+ * Every source exposes the same interface:
+ *   { id, name, isAvailable(), find(reference, context) }
+ * where find resolves to { path, url } for an image of the reference, or to
+ * null when the source has nothing that fits. Sources are tried in the order
+ * of VISUAL_SOURCES and the first image found is used.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { libraryVisualSource } from './library';
+import { diagramVisualSource } from './diagram';
+import { getKeywords, countShared } from './keywords';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PUBLIC_DIR = path.join(__dirname, '..', '..', 'public');
+
+const sources = new Map();
+
+/**
+ * Add a visual source to the registry, replacing any source with the same id
+ * @param {Object} source - Source implementing the shared interface
+ */
+export function registerVisualSource(source) {
+  sources.set(source.id, source);
+}
+
+/**
+ * The configured sources that can run on this host, in the order to try them
+ * @returns {Array<Object>} Visual sources
+ */
+export function getVisualSources() {
+  const ids = (process.env.VISUAL_SOURCES || 'library,diagram').toLowerCase().split(',').map(id => id.trim()).filter(Boolean);
+  if (ids.includes('none')) return [];
+
+  return ids
+    .map(id => {
+      const source = sources.get(id);
+      if (!source) console.warn(`Unknown visual source "${id}", skipping it`);
+      return source;
+    })
+    .filter(source => source && source.isAvailable());
+}
+
+/**
+ * File behind an image URL returned by a source
+ * @param {string} imageUrl - URL under /public
+ * @returns {string} Full path to the image
+ */
+export function getVisualPath(imageUrl) {
+  return path.join(PUBLIC_DIR, imageUrl.replace(/^\/+/, ''));
+}
+
+/**
+ * The section each reference is shown on: the one sharing the most words
+ * with it, spreading references over sections that have no image yet
+ * @param {Array<Object>} references - Visual references of the lesson
+ * @param {Array<Object>} sections - mainContent of the lesson
+ * @returns {Array<number|null>} Section index per reference
+ */
+function assignSections(references, sections) {
+  const sectionKeywords = sections.map(section => getKeywords(`${section.sectionTitle} ${section.script}`));
+  const taken = new Set();
+
+  return references.map(reference => {
+    const keywords = getKeywords(`${reference.title} ${reference.description}`);
+    let best = null;
+    let bestScore = -Infinity;
+
+    sectionKeywords.forEach((words, index) => {
+      const score = countShared(keywords, words) - (taken.has(index) ? 0.5 : 0);
+      if (score > bestScore) {
+        best = index;
+        bestScore = score;
+      }
+    });
+
+    if (best !== null) taken.add(best);
+    return best;
+  });
+}
+
+/**
+ * Find or draw an image for every visual reference of a lesson. References
+ * no source can illustrate are left out, and a failing source only costs
+ * the reference it failed on.
+ * @param {Object} content - Content row with visualReferences and scriptContent
+ * @returns {Promise<Array<Object>>} { referenceIndex, sectionIndex, imageUrl, source } per illustrated reference
+ */
+export async function createLessonVisuals(content) {
+  const references = content.visualReferences || [];
+  const available = getVisualSources();
+  if (references.length === 0 || available.length === 0) return [];
+
+  const sectionIndexes = assignSections(references, content.scriptContent?.mainContent || []);
+  const visuals = [];
+
+  for (let i = 0; i < references.length; i++) {
+    const context = { contentId: content.id, index: i, subject: content.subject, language: content.language };
+
+    for (const source of available) {
+      try {
+        const image = await source.find(references[i], context);
+        if (image) {
+          visuals.push({ referenceIndex: i, sectionIndex: sectionIndexes[i], imageUrl: image.url, source: source.id });
+          break;
+        }
+      } catch (err) {
+        console.log(`Visual source ${source.id} failed on "${references[i].title}": ${err.message}`);
+      }
+    }
+  }
+
+  return visuals;
+}
+
+registerVisualSource(libraryVisualSource);
+registerVisualSource(diagramVisualSource);
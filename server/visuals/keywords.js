@@ -0,0 +1,41 @@
+/**
+ * Keyword extraction shared by the visual sources and section matching
+ */
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'onto', 'their', 'there', 'they',
+  'what', 'when', 'where', 'which', 'while', 'how', 'why', 'who', 'are', 'was', 'were', 'been',
+  'has', 'have', 'had', 'its', 'our', 'your', 'you', 'can', 'will', 'show', 'shows', 'showing',
+  'image', 'picture', 'diagram', 'illustration', 'chart', 'visual', 'simple', 'each', 'some',
+  'other', 'more', 'most', 'very', 'also', 'about', 'using', 'used', 'use', 'like', 'such'
+]);
+
+/**
+ * Lowercase words of a text worth matching on, singular forms included
+ * @param {string} text - Any text, in any script
+ * @returns {Set<string>} Keywords
+ */
+export function getKeywords(text) {
+  const keywords = new Set();
+  (text || '').toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).forEach(word => {
+    if (word.length < 3 || STOPWORDS.has(word)) return;
+    keywords.add(word);
+    // Plurals match singular tags, "planets" matches "planet"
+    if (word.length > 4 && word.endsWith('s')) keywords.add(word.slice(0, -1));
+  });
+  return keywords;
+}
+
+/**
+ * Number of keywords two sets share
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number}
+ */
+export function countShared(a, b) {
+  let count = 0;
+  a.forEach(word => {
+    if (b.has(word)) count++;
+  });
+  return count;
+}
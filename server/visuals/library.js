@@ -0,0 +1,63 @@
+/**
+ * Illustration library visual source
+ * Matches references against the tagged images listed in
+ * public/illustrations/index.json; add images there to grow the library
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getKeywords, countShared } from './keywords';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LIBRARY_DIR = path.join(__dirname, '..', '..', 'public', 'illustrations');
+const INDEX_PATH = path.join(LIBRARY_DIR, 'index.json');
+
+// Title words count double; below this score a diagram says more than a loose match
+const MIN_MATCH_SCORE = 2;
+
+let illustrations;
+
+function loadIllustrations() {
+  if (!illustrations) {
+    illustrations = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8')).map(entry => ({
+      ...entry,
+      keywords: new Set(entry.tags.map(tag => tag.toLowerCase()))
+    }));
+  }
+  return illustrations;
+}
+
+/**
+ * Best matching illustration for a reference
+ * @param {Object} reference - { title, description }
+ * @param {Object} context - { subject }
+ * @returns {Promise<{ path: string, url: string }|null>}
+ */
+async function find(reference, context) {
+  const titleWords = getKeywords(reference.title);
+  const descriptionWords = getKeywords(reference.description);
+  let best = null;
+  let bestScore = 0;
+
+  loadIllustrations().forEach(entry => {
+    const matches = countShared(titleWords, entry.keywords) * 2 + countShared(descriptionWords, entry.keywords);
+    if (matches === 0) return;
+
+    const score = matches + (entry.subjects?.includes(context.subject) ? 1 : 0);
+    if (score > bestScore) {
+      best = entry;
+      bestScore = score;
+    }
+  });
+
+  if (!best || bestScore < MIN_MATCH_SCORE) return null;
+  return { path: path.join(LIBRARY_DIR, best.file), url: `/illustrations/${best.file}` };
+}
+
+export const libraryVisualSource = {
+  id: 'library',
+  name: 'Illustration library',
+  isAvailable: () => fs.existsSync(INDEX_PATH),
+  find
+};
@@ -0,0 +1,420 @@
+/**
+ * WhatsApp delivery against a local mock of the Cloud API media and messages
+ * endpoints. Deliveries run through the real job queue on the in-memory
+ * storage, so retries go through the same path as in production.
+ */
+
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { setTimeout as sleep } from "timers/promises";
+import { fileURLToPath } from "url";
+import type { AddressInfo } from "net";
+import type { Job } from "@shared/schema";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PHONE_NUMBER_ID = "1234567890";
+const RECIPIENTS = ["15550001", "15550002"];
+
+type MockRequest = {
+  path: string;
+  headers: http.IncomingHttpHeaders;
+  body: string;
+  json?: any;
+  status: number;
+};
+
+// Every request the mock received, and the failures it still has to hand out
+let requests: MockRequest[] = [];
+const failures: { matches: (request: MockRequest) => boolean; times: number }[] = [];
+
+function failRequests(matches: (request: MockRequest) => boolean, times = 1) {
+  failures.push({ matches, times });
+}
+
+const mockServer = http.createServer((req, res) => {
+  const chunks: Buffer[] = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    const body = Buffer.concat(chunks).toString();
+    const request: MockRequest = { path: req.url ?? "", headers: req.headers, body, status: 200 };
+    if (req.headers["content-type"] === "application/json") {
+      request.json = JSON.parse(body);
+    }
+    requests.push(request);
+
+    const failure = failures.find(({ matches, times }) => times > 0 && matches(request));
+    let response: object;
+    if (failure) {
+      failure.times--;
+      request.status = 500;
+      response = { error: { message: "Temporarily unavailable", code: 131000 } };
+    } else if (request.path.endsWith("/media")) {
+      response = { id: `media-${requests.length}` };
+    } else {
+      response = { messages: [{ id: `wamid.${requests.length}` }] };
+    }
+
+    res.writeHead(request.status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(response));
+  });
+});
+
+function isMessage(request: MockRequest, to: string, type: "video" | "text") {
+  return request.path.endsWith("/messages") && request.json?.to === to && request.json?.type === type;
+}
+
+function getUploads() {
+  return requests.filter((request) => request.path.endsWith("/media") && request.status === 200);
+}
+
+function getSentMessages(to: string, type: "video" | "text") {
+  return requests.filter((request) => isMessage(request, to, type) && request.status === 200);
+}
+
+let apiUrl: string;
+let storage: typeof import("./storage").storage;
+let jobQueue: typeof import("./jobQueue").jobQueue;
+let enqueueDelivery: typeof import("./deliveryJobs").enqueueDelivery;
+let applyDeliveryStatuses: typeof import("./deliveryJobs").applyDeliveryStatuses;
+let getLatestDeliveries: typeof import("./deliveryJobs").getLatestDeliveries;
+let whatsapp: any;
+let client: any;
+
+const videoPath = path.join(__dirname, "..", "public", "videos", `whatsapp-test-${process.pid}.mp4`);
+const videoUrl = `/videos/${path.basename(videoPath)}`;
+const editedVideoPath = videoPath.replace(/\.mp4$/, "-edited.mp4");
+const previousEnv = { ...process.env };
+
+before(async () => {
+  await new Promise<void>((resolve) => mockServer.listen(0, "127.0.0.1", resolve));
+  apiUrl = `http://127.0.0.1:${(mockServer.address() as AddressInfo).port}`;
+
+  // Read when the modules load, so they are set before importing them
+  Object.assign(process.env, {
+    STORAGE_DRIVER: "memory",
+    JOB_POLL_INTERVAL_MS: "20",
+    JOB_BACKOFF_BASE_MS: "0",
+    JOB_MAX_ATTEMPTS: "3",
+    WHATSAPP_API_URL: apiUrl,
+    WHATSAPP_PHONE_NUMBER_ID: PHONE_NUMBER_ID,
+    WHATSAPP_ACCESS_TOKEN: "test-token",
+    WHATSAPP_APP_SECRET: "test-secret",
+    WHATSAPP_RECIPIENTS: RECIPIENTS.map((number) => `+${number}`).join(","),
+  });
+
+  ({ storage } = await import("./storage"));
+  ({ jobQueue } = await import("./jobQueue"));
+  ({ enqueueDelivery, applyDeliveryStatuses, getLatestDeliveries } = await import("./deliveryJobs"));
+  whatsapp = await import("./whatsapp");
+  const { WhatsAppClient } = await import("./whatsapp/client");
+  client = new WhatsAppClient({ apiUrl: `${apiUrl}/`, phoneNumberId: PHONE_NUMBER_ID, accessToken: "test-token" });
+
+  fs.mkdirSync(path.dirname(videoPath), { recursive: true });
+  fs.writeFileSync(videoPath, "lesson video");
+  await jobQueue.start();
+});
+
+after(async () => {
+  jobQueue.stop();
+  fs.rmSync(videoPath, { force: true });
+  fs.rmSync(editedVideoPath, { force: true });
+  process.env = previousEnv;
+  await new Promise((resolve) => mockServer.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+  failures.length = 0;
+});
+
+describe("WhatsAppClient", () => {
+  test("uploads media as a form and returns its id", async () => {
+    const filePath = path.join(os.tmpdir(), `whatsapp-upload-${process.pid}.mp4`);
+    fs.writeFileSync(filePath, "video bytes");
+    try {
+      const mediaId = await client.uploadMedia(filePath, "video/mp4");
+
+      assert.equal(requests.length, 1);
+      const [request] = requests;
+      assert.equal(mediaId, "media-1");
+      assert.equal(request.path, `/${PHONE_NUMBER_ID}/media`);
+      assert.equal(request.headers.authorization, "Bearer test-token");
+      assert.match(request.headers["content-type"] ?? "", /^multipart\/form-data/);
+      assert.match(request.body, /name="messaging_product"\r\n\r\nwhatsapp/);
+      assert.match(request.body, /filename="whatsapp-upload-\d+\.mp4"/);
+      assert.ok(request.body.includes("video bytes"));
+    } finally {
+      fs.rmSync(filePath, { force: true });
+    }
+  });
+
+  test("sends video and text messages and returns their ids", async () => {
+    assert.equal(await client.sendVideo("15550001", "media-7", "*Rain*"), "wamid.1");
+    assert.equal(await client.sendText("15550001", "What you will learn"), "wamid.2");
+
+    assert.deepEqual(requests.map((request) => request.path), [`/${PHONE_NUMBER_ID}/messages`, `/${PHONE_NUMBER_ID}/messages`]);
+    assert.deepEqual(requests[0].json, {
+      messaging_product: "whatsapp",
+      recipient_type: "individual",
+      to: "15550001",
+      type: "video",
+      video: { id: "media-7", caption: "*Rain*" },
+    });
+    assert.deepEqual(requests[1].json, {
+      messaging_product: "whatsapp",
+      recipient_type: "individual",
+      to: "15550001",
+      type: "text",
+      text: { body: "What you will learn", preview_url: false },
+    });
+  });
+
+  test("turns API errors into WhatsAppApiError", async () => {
+    failRequests(() => true);
+
+    await assert.rejects(client.sendText("15550001", "Hello"), (error: any) => {
+      assert.ok(error instanceof whatsapp.WhatsAppApiError);
+      assert.equal(error.message, "Temporarily unavailable");
+      assert.equal(error.status, 500);
+      assert.equal(error.code, 131000);
+      return true;
+    });
+  });
+});
+
+describe("fitVideoToSize", () => {
+  let workDir: string;
+
+  before(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "whatsapp-fit-"));
+  });
+
+  after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test("returns a video that already fits as it is", async () => {
+    const original = path.join(workDir, "small.mp4");
+    fs.writeFileSync(original, "0123456789");
+
+    assert.equal(await whatsapp.fitVideoToSize(original, 10), original);
+  });
+
+  test("reuses a compact copy made after the video was rendered", async () => {
+    const original = path.join(workDir, "large.mp4");
+    fs.writeFileSync(original, "0123456789");
+    const compact = whatsapp.getCompactVideoPath(original);
+    fs.writeFileSync(compact, "01234");
+    const renderedAt = fs.statSync(original).mtime;
+    fs.utimesSync(compact, renderedAt, new Date(renderedAt.getTime() + 1000));
+
+    assert.equal(compact, path.join(workDir, "large.whatsapp.mp4"));
+    assert.equal(await whatsapp.fitVideoToSize(original, 5), compact);
+  });
+});
+
+describe("WhatsApp delivery", () => {
+  async function createLesson(learningObjectives = ["Name the stages", "Explain where rain comes from"]) {
+    return storage.createContent({
+      title: "The water cycle",
+      subject: "Science",
+      ageGroup: "8-10",
+      difficultyLevel: "beginner",
+      contentFormat: "video",
+      duration: "5",
+      userId: 1,
+      scriptContent: { opening: "Where does **rain** come from?", mainContent: [], conclusion: "Bye!" },
+      learningObjectives,
+      videoUrl,
+    });
+  }
+
+  async function publish(contentId: number) {
+    const event = await storage.createReviewEvent({ contentId, userId: 1, action: "publish", fromStatus: "approved", toStatus: "published" });
+    return event.id;
+  }
+
+  async function deliver(contentId: number, publishEventId?: number): Promise<Job> {
+    const { id } = await enqueueDelivery(contentId, publishEventId);
+    for (let i = 0; i < 200; i++) {
+      const job = await storage.getJob(id);
+      if (job && (job.status === "completed" || job.status === "failed")) return job;
+      await sleep(25);
+    }
+    throw new Error(`Delivery job ${id} did not finish`);
+  }
+
+  async function getDelivery(contentId: number, recipient: string) {
+    return (await storage.getDeliveries(contentId)).find((delivery) => delivery.recipient === recipient)!;
+  }
+
+  test("stays off until status webhooks can be verified with the app secret", () => {
+    assert.equal(whatsapp.isWhatsAppConfigured(), true);
+
+    delete process.env.WHATSAPP_APP_SECRET;
+    try {
+      assert.equal(whatsapp.isWhatsAppConfigured(), false);
+    } finally {
+      process.env.WHATSAPP_APP_SECRET = "test-secret";
+    }
+  });
+
+  test("uploads the video once and sends it, then the objectives, to every recipient", async () => {
+    const content = await createLesson();
+    const job = await deliver(content.id);
+
+    assert.equal(job.status, "completed");
+    assert.equal(getUploads().length, 1);
+    for (const recipient of RECIPIENTS) {
+      const [video] = getSentMessages(recipient, "video");
+      const [objectives] = getSentMessages(recipient, "text");
+      assert.equal(video.json.video.id, "media-1");
+      assert.match(video.json.video.caption, /^\*The water cycle\*\n\nWhere does rain come from\?/);
+      assert.match(objectives.json.text.body, /1\. Name the stages\n2\. Explain where rain comes from$/);
+      assert.ok(requests.indexOf(video) < requests.indexOf(objectives));
+
+      const delivery = await getDelivery(content.id, recipient);
+      assert.equal(delivery.status, "sent");
+      assert.equal(delivery.messageId, `wamid.${requests.indexOf(video) + 1}`);
+      assert.equal(delivery.objectivesMessageId, `wamid.${requests.indexOf(objectives) + 1}`);
+    }
+
+    // Everyone has the lesson, so delivering it again sends nothing
+    requests = [];
+    const repeat = await deliver(content.id);
+    assert.deepEqual(repeat.result, { sent: 0 });
+    assert.deepEqual(requests, []);
+  });
+
+  test("sends a lesson published again to the recipients of the earlier version", async () => {
+    const content = await createLesson();
+    const firstPublish = await publish(content.id);
+    await deliver(content.id, firstPublish);
+
+    // Edited, rendered again and published once more
+    fs.writeFileSync(editedVideoPath, "edited lesson video");
+    await storage.updateContent(content.id, {
+      learningObjectives: ["Name the stages of the water cycle"],
+      videoUrl: `/videos/${path.basename(editedVideoPath)}`,
+    });
+    const secondPublish = await publish(content.id);
+    const job = await deliver(content.id, secondPublish);
+
+    assert.equal(job.status, "completed");
+    const uploads = getUploads();
+    assert.equal(uploads.length, 2);
+    assert.ok(uploads[1].body.includes("edited lesson video"));
+    for (const recipient of RECIPIENTS) {
+      const videos = getSentMessages(recipient, "video");
+      const objectives = getSentMessages(recipient, "text");
+      assert.equal(videos.length, 2);
+      assert.equal(videos[1].json.video.id, `media-${requests.indexOf(uploads[1]) + 1}`);
+      assert.equal(objectives.length, 2);
+      assert.match(objectives[1].json.text.body, /1\. Name the stages of the water cycle$/);
+    }
+
+    // The first send keeps its own rows, the latest send is the one shown and retried
+    const deliveries = await storage.getDeliveries(content.id);
+    assert.deepEqual(deliveries.map((delivery) => delivery.publishEventId), [firstPublish, firstPublish, secondPublish, secondPublish]);
+    assert.ok(deliveries.every((delivery) => delivery.status === "sent"));
+    assert.deepEqual((await getLatestDeliveries(content.id)).map((delivery) => delivery.id), deliveries.slice(2).map((delivery) => delivery.id));
+
+    requests = [];
+    assert.deepEqual((await deliver(content.id)).result, { sent: 0 });
+    assert.deepEqual(requests, []);
+  });
+
+  test("leaves out the objectives message for lessons without objectives", async () => {
+    const content = await createLesson([]);
+    const job = await deliver(content.id);
+
+    assert.equal(job.status, "completed");
+    for (const recipient of RECIPIENTS) {
+      assert.equal(getSentMessages(recipient, "video").length, 1);
+      assert.equal(getSentMessages(recipient, "text").length, 0);
+      assert.equal((await getDelivery(content.id, recipient)).objectivesMessageId, null);
+    }
+  });
+
+  test("retries only the objectives when they failed after the video went out", async () => {
+    failRequests((request) => isMessage(request, RECIPIENTS[1], "text"));
+    const content = await createLesson();
+    const job = await deliver(content.id);
+
+    assert.equal(job.status, "completed");
+    assert.equal(job.attempts, 2);
+    // The retry had no video left to send, so nothing was uploaded again
+    assert.equal(getUploads().length, 1);
+    for (const recipient of RECIPIENTS) {
+      assert.equal(getSentMessages(recipient, "video").length, 1);
+      assert.equal(getSentMessages(recipient, "text").length, 1);
+      assert.ok((await getDelivery(content.id, recipient)).objectivesMessageId);
+    }
+  });
+
+  test("retries only the recipients whose video failed", async () => {
+    failRequests((request) => isMessage(request, RECIPIENTS[0], "video"));
+    const content = await createLesson();
+    const job = await deliver(content.id);
+
+    assert.equal(job.status, "completed");
+    assert.equal(job.attempts, 2);
+    assert.equal(getUploads().length, 2);
+    for (const recipient of RECIPIENTS) {
+      assert.equal(getSentMessages(recipient, "video").length, 1);
+      assert.equal(getSentMessages(recipient, "text").length, 1);
+      assert.equal((await getDelivery(content.id, recipient)).status, "sent");
+    }
+  });
+
+  test("marks a recipient as failed once every attempt was used", async () => {
+    failRequests((request) => isMessage(request, RECIPIENTS[0], "video"), Infinity);
+    const content = await createLesson();
+    const job = await deliver(content.id);
+
+    assert.equal(job.status, "failed");
+    assert.equal(job.attempts, 3);
+    const failed = await getDelivery(content.id, RECIPIENTS[0]);
+    assert.equal(failed.status, "failed");
+    assert.equal(failed.errorMessage, "Temporarily unavailable");
+    assert.equal(getSentMessages(RECIPIENTS[0], "text").length, 0);
+
+    assert.equal((await getDelivery(content.id, RECIPIENTS[1])).status, "sent");
+    assert.equal(getSentMessages(RECIPIENTS[1], "video").length, 1);
+    assert.equal(getSentMessages(RECIPIENTS[1], "text").length, 1);
+  });
+
+  test("applies webhook statuses without ever moving a delivery backwards", async () => {
+    const content = await createLesson();
+    const delivery = await storage.createDelivery({
+      contentId: content.id,
+      recipient: RECIPIENTS[0],
+      status: "sent",
+      messageId: "wamid.video",
+      objectivesMessageId: "wamid.objectives",
+    });
+
+    // Out of order: read arrives before delivered
+    await applyDeliveryStatuses([
+      { id: "wamid.video", status: "read" },
+      { id: "wamid.video", status: "delivered" },
+      { id: "wamid.unknown", status: "delivered" },
+    ]);
+    assert.equal((await getDelivery(content.id, RECIPIENTS[0])).status, "read");
+
+    // Statuses of the objectives message do not belong to the video
+    assert.deepEqual(await applyDeliveryStatuses([{ id: "wamid.objectives", status: "failed" }]), []);
+    assert.deepEqual(await applyDeliveryStatuses([{ id: "wamid.video", status: "sent" }]), []);
+
+    const [failed] = await applyDeliveryStatuses([
+      { id: "wamid.video", status: "failed", errors: [{ title: "Undeliverable", message: "Recipient is not on WhatsApp" }] },
+    ]);
+    assert.equal(failed.id, delivery.id);
+    assert.equal(failed.status, "failed");
+    assert.equal(failed.errorMessage, "Recipient is not on WhatsApp");
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Minimal WhatsApp Cloud API client
+ * Speaks the Graph API media and messages endpoints; point WHATSAPP_API_URL
+ * at a compatible server (or a local mock) to send somewhere else
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export class WhatsAppApiError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'WhatsAppApiError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export class WhatsAppClient {
+  /**
+   * @param {Object} options - { apiUrl, phoneNumberId, accessToken }
+   */
+  constructor({ apiUrl, phoneNumberId, accessToken }) {
+    this.baseUrl = `${apiUrl.replace(/\/+$/, '')}/${phoneNumberId}`;
+    this.accessToken = accessToken;
+  }
+
+  async request(endpoint, body) {
+    const isForm = body instanceof FormData;
+    const response = await fetch(`${this.baseUrl}/${endpoint}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this.accessToken}`,
+        ...(isForm ? {} : { 'Content-Type': 'application/json' })
+      },
+      body: isForm ? body : JSON.stringify(body)
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const message = data.error?.message || `WhatsApp API responded with ${response.status}`;
+      throw new WhatsAppApiError(message, response.status, data.error?.code);
+    }
+    return data;
+  }
+
+  /**
+   * Upload a media file so it can be sent to any number of recipients
+   * @param {string} filePath - File to upload
+   * @param {string} mimeType - e.g. video/mp4
+   * @returns {Promise<string>} Media id
+   */
+  async uploadMedia(filePath, mimeType) {
+    const form = new FormData();
+    form.append('messaging_product', 'whatsapp');
+    form.append('type', mimeType);
+    form.append('file', new Blob([await fs.promises.readFile(filePath)], { type: mimeType }), path.basename(filePath));
+
+    const data = await this.request('media', form);
+    return data.id;
+  }
+
+  async sendMessage(to, message) {
+    const data = await this.request('messages', {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to,
+      ...message
+    });
+    return data.messages?.[0]?.id;
+  }
+
+  /**
+   * @returns {Promise<string>} Message id
+   */
+  sendVideo(to, mediaId, caption) {
+    return this.sendMessage(to, { type: 'video', video: { id: mediaId, caption } });
+  }
+
+  /**
+   * @returns {Promise<string>} Message id
+   */
+  sendText(to, body) {
+    return this.sendMessage(to, { type: 'text', text: { body, preview_url: false } });
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * WhatsApp delivery configuration
+ */
+
+import { WhatsAppClient } from './client';
+
+const DEFAULT_API_URL = 'https://graph.facebook.com/v19.0';
+const DEFAULT_MAX_VIDEO_BYTES = 16 * 1024 * 1024; // Cloud API limit for video messages
+
+// WhatsApp caps video captions and text bodies
+export const MAX_CAPTION_LENGTH = 1024;
+export const MAX_TEXT_LENGTH = 4096;
+
+let client;
+
+/**
+ * Lessons are only sent once the status webhooks they lead to can be verified
+ * with WHATSAPP_APP_SECRET
+ * @returns {boolean}
+ */
+export function isWhatsAppConfigured() {
+  return !!(
+    process.env.WHATSAPP_ACCESS_TOKEN &&
+    process.env.WHATSAPP_PHONE_NUMBER_ID &&
+    process.env.WHATSAPP_APP_SECRET &&
+    getRecipients().length
+  );
+}
+
+/**
+ * Phone numbers every published lesson goes to, in international format without "+"
+ * @returns {Array<string>}
+ */
+export function getRecipients() {
+  return (process.env.WHATSAPP_RECIPIENTS || '')
+    .split(',')
+    .map((number) => number.trim().replace(/^\+/, ''))
+    .filter(Boolean);
+}
+
+export function getMaxVideoBytes() {
+  return parseInt(process.env.WHATSAPP_MAX_VIDEO_BYTES || String(DEFAULT_MAX_VIDEO_BYTES), 10);
+}
+
+export function getWhatsAppClient() {
+  if (!client) {
+    client = new WhatsAppClient({
+      apiUrl: process.env.WHATSAPP_API_URL || DEFAULT_API_URL,
+      phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+      accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+    });
+  }
+  return client;
+}
+
+export { WhatsAppApiError } from './client';
+export { fitVideoToSize, getCompactVideoPath } from './transcode';
@@ -0,0 +1,95 @@
+/**
+ * Shrink rendered lessons to fit WhatsApp's media size limit
+ */
+
+import fs from 'fs';
+import ffmpeg from 'fluent-ffmpeg';
+
+const AUDIO_BITRATE_KBPS = 64;
+const MIN_VIDEO_BITRATE_KBPS = 150;
+const MAX_TRANSCODE_ATTEMPTS = 3;
+
+function probeDuration(videoPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(videoPath, (err, metadata) => {
+      if (err) return reject(err);
+      resolve(Number(metadata.format.duration) || 0);
+    });
+  });
+}
+
+function transcode(inputPath, outputPath, videoBitrateKbps) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .videoCodec('libx264')
+      .audioCodec('aac')
+      .audioBitrate(`${AUDIO_BITRATE_KBPS}k`)
+      .videoFilters("scale=-2:'min(720,ih)'") // Cap at 720p, never upscale
+      .outputOptions([
+        '-pix_fmt yuv420p',
+        '-preset medium',
+        `-b:v ${videoBitrateKbps}k`,
+        `-maxrate ${videoBitrateKbps}k`,
+        `-bufsize ${videoBitrateKbps * 2}k`,
+        '-movflags +faststart'
+      ])
+      .output(outputPath)
+      .on('end', () => resolve(outputPath))
+      .on('error', reject)
+      .run();
+  });
+}
+
+/**
+ * Path of the smaller copy made for WhatsApp
+ * @param {string} videoPath - Rendered MP4
+ * @returns {string}
+ */
+export function getCompactVideoPath(videoPath) {
+  return videoPath.replace(/\.mp4$/i, '') + '.whatsapp.mp4';
+}
+
+/**
+ * Return a version of the video no larger than maxBytes, transcoding down
+ * with a bitrate budget derived from the duration when the original is too big.
+ * The smaller copy is kept next to the original and reused on later sends.
+ * @param {string} videoPath - Rendered MP4
+ * @param {number} maxBytes - Size limit
+ * @returns {Promise<string>} Path of a file that fits
+ */
+export async function fitVideoToSize(videoPath, maxBytes) {
+  if (fs.statSync(videoPath).size <= maxBytes) {
+    return videoPath;
+  }
+
+  const compactPath = getCompactVideoPath(videoPath);
+  if (fs.existsSync(compactPath) && fs.statSync(compactPath).size <= maxBytes &&
+      fs.statSync(compactPath).mtimeMs >= fs.statSync(videoPath).mtimeMs) {
+    return compactPath;
+  }
+
+  const duration = await probeDuration(videoPath);
+  if (!duration) {
+    throw new Error('Could not read the video duration to transcode it');
+  }
+
+  // Aim below the limit to leave room for the container, and lower the target on every retry
+  let targetBits = maxBytes * 8 * 0.9;
+  for (let attempt = 1; attempt <= MAX_TRANSCODE_ATTEMPTS; attempt++) {
+    const videoBitrateKbps = Math.floor(targetBits / duration / 1000) - AUDIO_BITRATE_KBPS;
+    if (videoBitrateKbps < MIN_VIDEO_BITRATE_KBPS) {
+      break;
+    }
+
+    await transcode(videoPath, compactPath, videoBitrateKbps);
+    if (fs.statSync(compactPath).size <= maxBytes) {
+      return compactPath;
+    }
+    targetBits *= 0.8;
+  }
+
+  if (fs.existsSync(compactPath)) {
+    fs.unlinkSync(compactPath);
+  }
+  throw new Error(`The video is too long to fit WhatsApp's ${Math.round(maxBytes / (1024 * 1024))} MB limit`);
+}
@@ -0,0 +1,186 @@
+import { createReadStream, statSync } from "fs";
+import { deflateRawSync } from "zlib";
+
+// Entries hold their data in memory, or point at a file that is streamed in
+export type ZipEntry = {
+  name: string;
+  data: Buffer | string;
+};
+
+export type ZipFileEntry = {
+  name: string;
+  path: string;
+};
+
+type ZipRecord = {
+  name: Buffer;
+  method: number;
+  crc: number;
+  compressedSize: number;
+  size: number;
+  offset: number;
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function updateCrc(crc: number, data: Buffer): number {
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return crc;
+}
+
+function crc32(data: Buffer): number {
+  return (updateCrc(0xffffffff, data) ^ 0xffffffff) >>> 0;
+}
+
+async function crc32File(filePath: string): Promise<number> {
+  let crc = 0xffffffff;
+  for await (const chunk of createReadStream(filePath)) {
+    crc = updateCrc(crc, chunk as Buffer);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Date and time in the MS-DOS format zip headers use
+function toDosDateTime(date: Date): { time: number; date: number } {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// Deflate in-memory data unless that makes it larger
+function compress(entry: ZipEntry) {
+  const data = typeof entry.data === "string" ? Buffer.from(entry.data, "utf8") : entry.data;
+  const deflated = deflateRawSync(data);
+  const isDeflated = deflated.length < data.length;
+  return { data, stored: isDeflated ? deflated : data, method: isDeflated ? 8 : 0 };
+}
+
+function localHeader(record: ZipRecord, dos: { time: number; date: number }): Buffer {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(20, 4); // Version needed to extract
+  header.writeUInt16LE(0x0800, 6); // UTF-8 file names
+  header.writeUInt16LE(record.method, 8);
+  header.writeUInt16LE(dos.time, 10);
+  header.writeUInt16LE(dos.date, 12);
+  header.writeUInt32LE(record.crc, 14);
+  header.writeUInt32LE(record.compressedSize, 18);
+  header.writeUInt32LE(record.size, 22);
+  header.writeUInt16LE(record.name.length, 26);
+  header.writeUInt16LE(0, 28);
+  return Buffer.concat([header, record.name]);
+}
+
+function centralHeader(record: ZipRecord, dos: { time: number; date: number }): Buffer {
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(20, 4); // Version made by
+  header.writeUInt16LE(20, 6);
+  header.writeUInt16LE(0x0800, 8);
+  header.writeUInt16LE(record.method, 10);
+  header.writeUInt16LE(dos.time, 12);
+  header.writeUInt16LE(dos.date, 14);
+  header.writeUInt32LE(record.crc, 16);
+  header.writeUInt32LE(record.compressedSize, 20);
+  header.writeUInt32LE(record.size, 24);
+  header.writeUInt16LE(record.name.length, 28);
+  header.writeUInt32LE(record.offset, 42);
+  return Buffer.concat([header, record.name]);
+}
+
+function endOfCentralDirectory(records: ZipRecord[], directory: Buffer, offset: number): Buffer {
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(records.length, 8);
+  end.writeUInt16LE(records.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return end;
+}
+
+/**
+ * Build a zip archive in memory. Names use forward slashes for folders and
+ * are stored as UTF-8.
+ */
+export function createZip(entries: ZipEntry[], modified = new Date()): Buffer {
+  const dos = toDosDateTime(modified);
+  const parts: Buffer[] = [];
+  const records: ZipRecord[] = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const { data, stored, method } = compress(entry);
+    const record = {
+      name: Buffer.from(entry.name, "utf8"),
+      method,
+      crc: crc32(data),
+      compressedSize: stored.length,
+      size: data.length,
+      offset,
+    };
+    const header = localHeader(record, dos);
+
+    parts.push(header, stored);
+    records.push(record);
+    offset += header.length + stored.length;
+  }
+
+  const directory = Buffer.concat(records.map((record) => centralHeader(record, dos)));
+  return Buffer.concat([...parts, directory, endOfCentralDirectory(records, directory, offset)]);
+}
+
+function write(output: NodeJS.WritableStream, chunk: Buffer): Promise<void> {
+  return new Promise((resolve, reject) => {
+    output.write(chunk, (error?: Error | null) => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * Stream a zip archive to output without holding file entries in memory.
+ * Files are stored as they are, since videos and images are compressed
+ * already; they are read twice, once for the checksum the header needs.
+ */
+export async function writeZip(
+  output: NodeJS.WritableStream,
+  entries: (ZipEntry | ZipFileEntry)[],
+  modified = new Date(),
+): Promise<void> {
+  const dos = toDosDateTime(modified);
+  const records: ZipRecord[] = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, "utf8");
+    let record: ZipRecord;
+
+    if ("path" in entry) {
+      const size = statSync(entry.path).size;
+      record = { name, method: 0, crc: await crc32File(entry.path), compressedSize: size, size, offset };
+      await write(output, localHeader(record, dos));
+      for await (const chunk of createReadStream(entry.path)) {
+        await write(output, chunk as Buffer);
+      }
+    } else {
+      const { data, stored, method } = compress(entry);
+      record = { name, method, crc: crc32(data), compressedSize: stored.length, size: data.length, offset };
+      await write(output, localHeader(record, dos));
+      await write(output, stored);
+    }
+
+    records.push(record);
+    offset += 30 + name.length + record.compressedSize;
+  }
+
+  const directory = Buffer.concat(records.map((record) => centralHeader(record, dos)));
+  await write(output, directory);
+  await write(output, endOfCentralDirectory(records, directory, offset));
+}
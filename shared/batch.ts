@@ -0,0 +1,192 @@
+import { z } from "zod";
+import { languageCodeSchema } from "./languages";
+
+export const DIFFICULTY_LEVELS = ["beginner", "intermediate", "advanced"] as const;
+export const CONTENT_FORMATS = ["tutorial", "lesson", "demonstration", "activity", "quiz"] as const;
+
+// Largest syllabus accepted in one upload, every row is a generation and a render job
+export const MAX_BATCH_ITEMS = 100;
+
+// One lesson of a syllabus; the optional columns default to what the wizard starts with
+export const syllabusItemSchema = z.object({
+  subject: z.string({ required_error: "Subject is required" }).trim().min(1, "Subject is required"),
+  title: z.string({ required_error: "Title is required" }).trim().min(1, "Title is required").max(200),
+  ageGroup: z.string({ required_error: "Age group is required" }).trim().min(1, "Age group is required"),
+  difficultyLevel: z.enum(DIFFICULTY_LEVELS).default("beginner"),
+  contentFormat: z.enum(CONTENT_FORMATS).default("tutorial"),
+  duration: z.string().trim().min(1).default("5-8"),
+  specificInstructions: z.string().trim().optional(),
+  language: languageCodeSchema.optional(),
+});
+
+export const createBatchRequestSchema = z.object({
+  name: z.string().trim().min(1, "Name the batch").max(200),
+  // Used for rows that do not name their own language
+  language: languageCodeSchema.optional(),
+  aiModel: z.string().optional(),
+  items: z.array(syllabusItemSchema).min(1, "The syllabus has no lessons").max(MAX_BATCH_ITEMS),
+});
+
+export type SyllabusItem = z.infer<typeof syllabusItemSchema>;
+export type CreateBatchRequest = z.infer<typeof createBatchRequestSchema>;
+export type SyllabusError = { row: number; message: string };
+
+// Column names teachers are likely to use, keyed by their lowercased alphanumerics
+const COLUMN_ALIASES: Record<string, keyof SyllabusItem> = {
+  subject: "subject",
+  title: "title",
+  topic: "title",
+  lessontitle: "title",
+  agegroup: "ageGroup",
+  age: "ageGroup",
+  ages: "ageGroup",
+  difficulty: "difficultyLevel",
+  difficultylevel: "difficultyLevel",
+  level: "difficultyLevel",
+  format: "contentFormat",
+  contentformat: "contentFormat",
+  duration: "duration",
+  instructions: "specificInstructions",
+  specificinstructions: "specificInstructions",
+  notes: "specificInstructions",
+  language: "language",
+};
+
+/**
+ * Split CSV text into rows of fields, following RFC 4180 quoting
+ */
+export function parseCsv(text: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Blank lines carry no lesson
+  return rows.filter((fields) => fields.some((value) => value.trim()));
+}
+
+// Map a raw row onto the syllabus fields, tidying values typed by hand
+function normalizeRow(raw: Record<string, unknown>): Record<string, string> {
+  const row: Record<string, string> = {};
+  for (const [key, value] of Object.entries(raw)) {
+    const field = COLUMN_ALIASES[key.toLowerCase().replace(/[^a-z0-9]/g, "")];
+    if (!field || value === undefined || value === null || String(value).trim() === "") continue;
+    row[field] = String(value).trim();
+  }
+
+  if (row.subject) row.subject = row.subject.toLowerCase().replace(/\s+/g, "-");
+  if (row.difficultyLevel) row.difficultyLevel = row.difficultyLevel.toLowerCase();
+  if (row.contentFormat) row.contentFormat = row.contentFormat.toLowerCase();
+  if (row.language) row.language = row.language.toLowerCase();
+  return row;
+}
+
+function readRows(text: string): Record<string, unknown>[] {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    const data = JSON.parse(trimmed);
+    const rows = Array.isArray(data) ? data : data.items ?? data.lessons;
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON syllabi must be an array of lessons or have an "items" array');
+    }
+    return rows;
+  }
+
+  const [header, ...lines] = parseCsv(trimmed);
+  if (!header) return [];
+  return lines.map((fields) => Object.fromEntries(header.map((column, index) => [column, fields[index]])));
+}
+
+/**
+ * Read the lessons of a CSV or JSON syllabus. Rows that do not validate are
+ * reported by their 1-based position instead of failing the whole file.
+ */
+export function parseSyllabus(text: string): { items: SyllabusItem[]; errors: SyllabusError[] } {
+  const items: SyllabusItem[] = [];
+  const errors: SyllabusError[] = [];
+
+  let rows: Record<string, unknown>[];
+  try {
+    rows = readRows(text);
+  } catch (error: any) {
+    return { items, errors: [{ row: 0, message: error.message }] };
+  }
+
+  rows.forEach((raw, index) => {
+    const result = syllabusItemSchema.safeParse(normalizeRow(raw ?? {}));
+    if (result.success) {
+      items.push(result.data);
+    } else {
+      const message = result.error.issues.map((issue) => `${issue.path.join(".")}: ${issue.message}`).join("; ");
+      errors.push({ row: index + 1, message });
+    }
+  });
+
+  return { items, errors };
+}
+
+export type BatchProgress = {
+  total: number;
+  queued: number;
+  generating: number;
+  rendering: number;
+  completed: number;
+  failed: number;
+  percent: number;
+  isActive: boolean;
+};
+
+/**
+ * Aggregate progress of a batch from the status of its lessons
+ */
+export function summarizeBatch(items: { status: string | null }[]): BatchProgress {
+  const progress = { total: items.length, queued: 0, generating: 0, rendering: 0, completed: 0, failed: 0 };
+
+  for (const { status } of items) {
+    if (status === "completed") progress.completed++;
+    else if (status === "error") progress.failed++;
+    else if (status === "processing") progress.rendering++;
+    else if (status === "generating") progress.generating++;
+    else progress.queued++;
+  }
+
+  const finished = progress.completed + progress.failed;
+  return {
+    ...progress,
+    percent: progress.total ? Math.round((finished / progress.total) * 100) : 100,
+    isActive: finished < progress.total,
+  };
+}
@@ -0,0 +1,238 @@
+/**
+ * Syntax highlighting for the code blocks of lesson scripts, shared by the
+ * video code slides and the preview. Each language is a list of rules tried
+ * in order at every position of a line; the first that matches makes a token.
+ */
+
+export const CODE_LANGUAGES = {
+  python: "Python",
+  javascript: "JavaScript",
+  scratch: "Scratch",
+  html: "HTML",
+  text: "Code",
+} as const;
+
+export type CodeLanguage = keyof typeof CODE_LANGUAGES;
+
+export type CodeTokenType =
+  | "keyword"
+  | "builtin"
+  | "function"
+  | "string"
+  | "number"
+  | "comment"
+  | "tag"
+  | "attribute"
+  | "operator"
+  | "plain";
+
+export type CodeToken = { type: CodeTokenType; text: string };
+
+// Fence names lessons use for each language
+const LANGUAGE_ALIASES: Record<string, CodeLanguage> = {
+  python: "python",
+  python3: "python",
+  py: "python",
+  javascript: "javascript",
+  js: "javascript",
+  node: "javascript",
+  html: "html",
+  htm: "html",
+  xml: "html",
+  scratch: "scratch",
+  blocks: "scratch",
+  pseudo: "scratch",
+  pseudocode: "scratch",
+};
+
+type Rule = { type: CodeTokenType; pattern: RegExp };
+
+// A construct that may run over several lines, like a block comment
+type Span = { type: CodeTokenType; open: string; close: string };
+
+// Sticky patterns, built with RegExp because the type-check target does not allow the y flag in literals
+function rule(type: CodeTokenType, source: string, flags = ""): Rule {
+  return { type, pattern: new RegExp(source, `y${flags}`) };
+}
+
+function words(list: string): string {
+  return String.raw`\b(?:${list.trim().split(/\s+/).join("|")})\b`;
+}
+
+const NUMBER = String.raw`\b(?:0[xXoObB][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)\b`;
+const DOUBLE_QUOTED = String.raw`"(?:\\.|[^"\\])*"?`;
+const SINGLE_QUOTED = String.raw`'(?:\\.|[^'\\])*'?`;
+const CALL = String.raw`[A-Za-z_$][\w$]*(?=\s*\()`;
+const IDENTIFIER = String.raw`[A-Za-z_$][\w$]*`;
+
+const RULES: Record<CodeLanguage, Rule[]> = {
+  python: [
+    rule("comment", "#.*"),
+    rule("string", String.raw`[rRbBfFuU]{0,2}(?:${DOUBLE_QUOTED}|${SINGLE_QUOTED})`),
+    rule("number", NUMBER),
+    rule(
+      "keyword",
+      words(`False None True and as assert async await break class continue def del elif else except finally for
+        from global if import in is lambda nonlocal not or pass raise return try while with yield`),
+    ),
+    rule(
+      "builtin",
+      words(`print input len range int str float bool list dict set tuple type open abs min max sum sorted
+        reversed enumerate zip map filter round isinstance super self`),
+    ),
+    rule("function", CALL),
+    rule("plain", IDENTIFIER),
+    rule("operator", String.raw`[-+*/%=<>!&|^~:]+`),
+  ],
+  javascript: [
+    rule("comment", "//.*"),
+    rule("string", String.raw`${DOUBLE_QUOTED}|${SINGLE_QUOTED}|\`(?:\\.|[^\`\\])*\``),
+    rule("number", NUMBER),
+    rule(
+      "keyword",
+      words(`break case catch class const continue debugger default delete do else export extends finally for
+        function if import in instanceof let new of return super switch this throw try typeof var void while
+        with yield async await null undefined true false`),
+    ),
+    rule(
+      "builtin",
+      words(`console document window Math JSON Array Object String Number Boolean Promise Date alert prompt
+        setTimeout setInterval parseInt parseFloat`),
+    ),
+    rule("function", CALL),
+    rule("plain", IDENTIFIER),
+    rule("operator", String.raw`[-+*/%=<>!&|^~?:]+|=>`),
+  ],
+  html: [
+    rule("tag", String.raw`<\/?[A-Za-z][\w-]*|\/?>|<!DOCTYPE[^>]*>`, "i"),
+    rule("attribute", String.raw`[A-Za-z_:][\w:.-]*(?=\s*=)`),
+    rule("string", `${DOUBLE_QUOTED}|${SINGLE_QUOTED}`),
+    rule("keyword", String.raw`&[#\w]+;`),
+    rule("plain", String.raw`[^<>"'&=]+`),
+    rule("operator", "="),
+  ],
+  // Scratch blocks written out as text: events and control in one colour,
+  // motion, looks and sound in another
+  scratch: [
+    rule("comment", String.raw`(?:\/\/|#).*`),
+    rule("string", `${DOUBLE_QUOTED}|${SINGLE_QUOTED}`),
+    rule("number", NUMBER),
+    rule(
+      "keyword",
+      words(`when flag clicked key pressed this sprite repeat forever if then else wait until end stop all
+        broadcast receive and or not`),
+      "i",
+    ),
+    rule(
+      "builtin",
+      words(`move steps turn degrees go to glide secs say think show hide switch costume backdrop next play sound
+        start set change by ask answer point in direction size effect x y`),
+      "i",
+    ),
+    rule("plain", IDENTIFIER),
+    rule("operator", String.raw`[-+*/%=<>()\[\]{}]+`),
+  ],
+  text: [
+    rule("comment", String.raw`(?:\/\/|#).*`),
+    rule("string", `${DOUBLE_QUOTED}|${SINGLE_QUOTED}`),
+    rule("number", NUMBER),
+    rule("plain", IDENTIFIER),
+  ],
+};
+
+const SPANS: Partial<Record<CodeLanguage, Span[]>> = {
+  python: [
+    { type: "string", open: '"""', close: '"""' },
+    { type: "string", open: "'''", close: "'''" },
+  ],
+  javascript: [
+    { type: "comment", open: "/*", close: "*/" },
+    { type: "string", open: "`", close: "`" },
+  ],
+  html: [{ type: "comment", open: "<!--", close: "-->" }],
+};
+
+/**
+ * The language of a code block, from its fence name or, without one, from
+ * what the code looks like
+ * @param name - Language written after the opening fence, if any
+ * @param code - The code itself
+ */
+export function getCodeLanguage(name: string | undefined, code: string): CodeLanguage {
+  const alias = LANGUAGE_ALIASES[(name || "").toLowerCase()];
+  if (alias) return alias;
+  if (name) return "text";
+
+  if (/^\s*<(?:!DOCTYPE|[a-z][\w-]*)[\s>]/im.test(code)) return "html";
+  if (/^\s*when\b.*\b(?:clicked|pressed|receive)/im.test(code) || /^\s*(?:forever|repeat\s+\d+)\s*$/im.test(code)) {
+    return "scratch";
+  }
+  if (/\b(?:const|let|function)\s|console\.log|=>|;\s*$/m.test(code)) return "javascript";
+  if (/^\s*(?:def|import|from|for|while|if)\b.*:\s*$|\bprint\(/m.test(code)) return "python";
+  return "text";
+}
+
+function tokenizeLine(line: string, language: CodeLanguage, state: { span: Span | null }): CodeToken[] {
+  const tokens: CodeToken[] = [];
+  const push = (type: CodeTokenType, text: string) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type) last.text += text;
+    else tokens.push({ type, text });
+  };
+
+  let position = 0;
+  while (position < line.length) {
+    // Inside a construct opened on an earlier line
+    if (state.span) {
+      const end = line.indexOf(state.span.close, position);
+      const stop = end === -1 ? line.length : end + state.span.close.length;
+      push(state.span.type, line.slice(position, stop));
+      if (end !== -1) state.span = null;
+      position = stop;
+      continue;
+    }
+
+    const span = (SPANS[language] || []).find((item) => line.startsWith(item.open, position));
+    if (span) {
+      const end = line.indexOf(span.close, position + span.open.length);
+      if (end === -1) {
+        push(span.type, line.slice(position));
+        state.span = span;
+        break;
+      }
+      push(span.type, line.slice(position, end + span.close.length));
+      position = end + span.close.length;
+      continue;
+    }
+
+    if (/\s/.test(line[position])) {
+      push("plain", line[position]);
+      position++;
+      continue;
+    }
+
+    const match = RULES[language].find(({ pattern }) => {
+      pattern.lastIndex = position;
+      return pattern.test(line) && pattern.lastIndex > position;
+    });
+    if (match) {
+      push(match.type, line.slice(position, match.pattern.lastIndex));
+      position = match.pattern.lastIndex;
+    } else {
+      push("plain", line[position]);
+      position++;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Highlighted tokens of every line of a code block
+ * @param code - Code with lines separated by \n
+ * @param language - Language from getCodeLanguage
+ */
+export function highlightCode(code: string, language: CodeLanguage): CodeToken[][] {
+  const state = { span: null as Span | null };
+  return code.split("\n").map((line) => tokenizeLine(line, language, state));
+}
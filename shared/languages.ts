@@ -0,0 +1,78 @@
+import { z } from "zod";
+
+// Languages lessons can be generated in, with the labels drawn on video slides.
+// fontFamily must match a font registered by the video generator.
+export const SUPPORTED_LANGUAGES = [
+  {
+    code: "en",
+    name: "English",
+    nativeName: "English",
+    fontFamily: null,
+    labels: { introduction: "Introduction", conclusion: "Conclusion", activity: "Interactive Activity", activityPrompt: "Activity time!", quiz: "Quiz Time", answer: "Answer" },
+  },
+  {
+    code: "hi",
+    name: "Hindi",
+    nativeName: "हिन्दी",
+    fontFamily: "Noto Sans Devanagari",
+    labels: { introduction: "परिचय", conclusion: "निष्कर्ष", activity: "गतिविधि", activityPrompt: "गतिविधि का समय!", quiz: "प्रश्नोत्तरी", answer: "उत्तर" },
+  },
+  {
+    code: "mr",
+    name: "Marathi",
+    nativeName: "मराठी",
+    fontFamily: "Noto Sans Devanagari",
+    labels: { introduction: "परिचय", conclusion: "निष्कर्ष", activity: "उपक्रम", activityPrompt: "उपक्रमाची वेळ!", quiz: "प्रश्नमंजुषा", answer: "उत्तर" },
+  },
+  {
+    code: "bn",
+    name: "Bengali",
+    nativeName: "বাংলা",
+    fontFamily: "Noto Sans Bengali",
+    labels: { introduction: "ভূমিকা", conclusion: "উপসংহার", activity: "কার্যকলাপ", activityPrompt: "কার্যকলাপের সময়!", quiz: "কুইজ", answer: "উত্তর" },
+  },
+  {
+    code: "gu",
+    name: "Gujarati",
+    nativeName: "ગુજરાતી",
+    fontFamily: "Noto Sans Gujarati",
+    labels: { introduction: "પરિચય", conclusion: "નિષ્કર્ષ", activity: "પ્રવૃત્તિ", activityPrompt: "પ્રવૃત્તિનો સમય!", quiz: "ક્વિઝ", answer: "જવાબ" },
+  },
+  {
+    code: "ta",
+    name: "Tamil",
+    nativeName: "தமிழ்",
+    fontFamily: "Noto Sans Tamil",
+    labels: { introduction: "அறிமுகம்", conclusion: "முடிவுரை", activity: "செயல்பாடு", activityPrompt: "செயல்பாட்டு நேரம்!", quiz: "வினாடி வினா", answer: "பதில்" },
+  },
+  {
+    code: "te",
+    name: "Telugu",
+    nativeName: "తెలుగు",
+    fontFamily: "Noto Sans Telugu",
+    labels: { introduction: "పరిచయం", conclusion: "ముగింపు", activity: "కార్యాచరణ", activityPrompt: "కార్యాచరణ సమయం!", quiz: "క్విజ్", answer: "సమాధానం" },
+  },
+  {
+    code: "kn",
+    name: "Kannada",
+    nativeName: "ಕನ್ನಡ",
+    fontFamily: "Noto Sans Kannada",
+    labels: { introduction: "ಪರಿಚಯ", conclusion: "ಸಮಾರೋಪ", activity: "ಚಟುವಟಿಕೆ", activityPrompt: "ಚಟುವಟಿಕೆಯ ಸಮಯ!", quiz: "ರಸಪ್ರಶ್ನೆ", answer: "ಉತ್ತರ" },
+  },
+] as const;
+
+export type Language = (typeof SUPPORTED_LANGUAGES)[number];
+export type LanguageCode = Language["code"];
+
+export const DEFAULT_LANGUAGE: LanguageCode = "en";
+
+export const languageCodeSchema = z.enum(
+  SUPPORTED_LANGUAGES.map((language) => language.code) as [LanguageCode, ...LanguageCode[]],
+);
+
+/**
+ * Look up a supported language, falling back to English for unknown codes
+ */
+export function getLanguage(code?: string | null): Language {
+  return SUPPORTED_LANGUAGES.find((language) => language.code === code) ?? SUPPORTED_LANGUAGES[0];
+}
@@ -0,0 +1,84 @@
+import { z } from "zod";
+
+// Shape every AI provider must produce for a generated lesson
+export const lessonSectionSchema = z.object({
+  sectionTitle: z.string().min(1),
+  script: z.string().min(1),
+  interactiveElement: z.string().optional(),
+});
+
+export const scriptContentSchema = z.object({
+  opening: z.string().min(1),
+  mainContent: z.array(lessonSectionSchema).min(1),
+  conclusion: z.string().min(1),
+});
+
+// A single editable part of the script: the opening, the conclusion or a main section by index
+export const lessonSectionRefSchema = z.union([
+  z.enum(["opening", "conclusion"]),
+  z.number().int().min(0),
+]);
+
+export const regenerateSectionRequestSchema = z.object({
+  section: lessonSectionRefSchema,
+  instructions: z.string().trim().max(1000).optional(),
+  aiModel: z.string().optional(),
+});
+
+export const visualReferenceSchema = z.object({
+  title: z.string().min(1),
+  description: z.string(),
+});
+
+// A multiple-choice question: one correct answer, plausible distractors and why the answer is right
+export const quizQuestionSchema = z
+  .object({
+    question: z.string().min(1),
+    answer: z.string().min(1),
+    distractors: z.array(z.string().min(1)).min(2).max(4),
+    explanation: z.string().min(1),
+  })
+  .refine((item) => !item.distractors.includes(item.answer), {
+    message: "The answer cannot also be a distractor",
+    path: ["distractors"],
+  });
+
+export const generatedLessonSchema = z.object({
+  scriptContent: scriptContentSchema,
+  learningObjectives: z.array(z.string().min(1)).min(1),
+  materials: z.array(z.string()),
+  visualReferences: z.array(visualReferenceSchema),
+  quiz: z.array(quizQuestionSchema).optional(),
+  teacherNotes: z.string().optional(),
+});
+
+// Lessons in the "quiz" format must come with their questions
+export const quizLessonSchema = generatedLessonSchema.extend({
+  quiz: z.array(quizQuestionSchema).min(3).max(10),
+});
+
+// The image the render pipeline found or drew for a visual reference, and the section slide it is shown on
+export const lessonVisualSchema = z.object({
+  referenceIndex: z.number().int().min(0),
+  sectionIndex: z.number().int().min(0).nullable(),
+  imageUrl: z.string(),
+  source: z.string(),
+});
+
+// One call made to an AI provider while generating a lesson
+export const generationAttemptSchema = z.object({
+  provider: z.string(),
+  attempt: z.number(),
+  success: z.boolean(),
+  durationMs: z.number(),
+  error: z.string().optional(),
+});
+
+export type LessonSection = z.infer<typeof lessonSectionSchema>;
+export type ScriptContent = z.infer<typeof scriptContentSchema>;
+export type LessonSectionRef = z.infer<typeof lessonSectionRefSchema>;
+export type VisualReference = z.infer<typeof visualReferenceSchema>;
+export type QuizQuestion = z.infer<typeof quizQuestionSchema>;
+export type LessonVisual = z.infer<typeof lessonVisualSchema>;
+export type GeneratedLesson = z.infer<typeof generatedLessonSchema>;
+export type GenerationAttempt = z.infer<typeof generationAttemptSchema>;
@@ -0,0 +1,218 @@
+/**
+ * The small markup lesson scripts may use, parsed the same way for video
+ * slides, narration and the preview:
+ *   **bold**, *italic* or _italic_, ==highlighted keyword==,
+ *   lines starting with "- " or "• " for bullets and "1. " for numbered items,
+ *   code between ``` fences, optionally followed by the language and
+ *   "static" to show it all at once instead of line by line,
+ *   TeX math between $...$ or \(...\), on a line of its own between $$...$$
+ *   or \[...\], with \ce{...} for chemical equations,
+ *   and emoji written as themselves.
+ * Everything else is plain text, so scripts without markup read unchanged.
+ */
+
+import { getCodeLanguage, type CodeLanguage } from "./code";
+import { getMathSpeech, getMathText } from "./math";
+
+export type MarkupStyle = {
+  bold?: boolean;
+  italic?: boolean;
+  highlight?: boolean;
+  emoji?: boolean;
+  // The run is TeX source, typeset rather than drawn as text
+  math?: boolean;
+};
+
+export type MarkupRun = MarkupStyle & { text: string };
+
+export type MarkupBlock = {
+  type: "paragraph" | "bullet" | "number" | "code" | "math";
+  // Number of a numbered item, as written
+  number?: number;
+  runs: MarkupRun[];
+  // Code blocks keep their text as written, with the language named after the fence
+  code?: string;
+  language?: CodeLanguage;
+  reveal?: boolean;
+  // TeX of a formula on its own line
+  tex?: string;
+};
+
+const BULLET_LINE = /^\s*[-*•]\s+/;
+const NUMBER_LINE = /^\s*(\d{1,3})[.)]\s+/;
+const FENCE_LINE = /^\s*```\s*([\w+#-]*)\s*(.*)$/;
+const MATH_LINE = /^\s*(?:\$\$(.+)\$\$|\\\[(.+)\\\])\s*$/;
+const MATH_OPEN_LINE = /^\s*(\$\$|\\\[)\s*$/;
+
+// Built with RegExp for the u flag, which the type-check target does not allow in literals.
+// Math first, so TeX is never read as markup; a "$" only opens math when
+// text follows it and only closes it when no digit does, so "$5 and $10"
+// stays money. Bold before italic, so "**" is never read as two italic
+// markers; a "*" or "_" inside a word, as in 2*3 or snake_case, stays a character
+const INLINE_MARKUP = new RegExp(
+  String.raw`\\\((.+?)\\\)|\$(?=[^\s$])((?:\\\$|[^$])+?)(?<=[^\s\\])\$(?!\d)|\*\*(?=\S)(.+?)(?<=\S)\*\*(?!\*)|==(?=\S)(.+?)(?<=\S)==|(?<![\p{L}\p{N}*])\*(?=[^\s*])(.+?)(?<=[^\s*])\*(?![\p{L}\p{N}])|(?<![\p{L}\p{N}_])_(?=\S)(.+?)(?<=\S)_(?![\p{L}\p{N}_])`,
+  "gu",
+);
+
+// One emoji with its variation selector, skin tone or zero-width-joined parts
+const EMOJI = new RegExp(String.raw`\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier}|\u200D\p{Extended_Pictographic})*`, "gu");
+
+function splitEmoji(text: string, style: MarkupStyle): MarkupRun[] {
+  const runs: MarkupRun[] = [];
+  let last = 0;
+  for (const match of Array.from(text.matchAll(EMOJI))) {
+    if (match.index! > last) runs.push({ ...style, text: text.slice(last, match.index) });
+    runs.push({ ...style, text: match[0], emoji: true });
+    last = match.index! + match[0].length;
+  }
+  if (last < text.length) runs.push({ ...style, text: text.slice(last) });
+  return runs;
+}
+
+function parseInline(text: string, style: MarkupStyle = {}): MarkupRun[] {
+  const runs: MarkupRun[] = [];
+  let last = 0;
+  for (const match of Array.from(text.matchAll(INLINE_MARKUP))) {
+    if (match.index! > last) runs.push(...splitEmoji(text.slice(last, match.index), style));
+
+    const [, parenthesized, dollars, bold, highlight, italic, underscored] = match;
+    if (parenthesized !== undefined || dollars !== undefined) runs.push({ ...style, text: (parenthesized ?? dollars).trim(), math: true });
+    else if (bold !== undefined) runs.push(...parseInline(bold, { ...style, bold: true }));
+    else if (highlight !== undefined) runs.push(...parseInline(highlight, { ...style, highlight: true }));
+    else runs.push(...parseInline(italic ?? underscored, { ...style, italic: true }));
+    last = match.index! + match[0].length;
+  }
+  if (last < text.length) runs.push(...splitEmoji(text.slice(last), style));
+  return runs;
+}
+
+// Lines of a code block without the indentation they all share, tabs as four spaces
+function dedent(lines: string[]): string {
+  const expanded = lines.map((line) => line.replace(/\t/g, "    ").replace(/\s+$/, ""));
+  while (expanded.length > 0 && !expanded[0].trim()) expanded.shift();
+  while (expanded.length > 0 && !expanded[expanded.length - 1].trim()) expanded.pop();
+  const indent = Math.min(...expanded.filter((line) => line.trim()).map((line) => line.match(/^ */)![0].length));
+  return expanded.map((line) => line.slice(indent)).join("\n");
+}
+
+function parseCode(lines: string[], fence: RegExpMatchArray): MarkupBlock {
+  const code = dedent(lines);
+  // "```static" names no language, only the flag
+  const [name, flags] = /^static$/i.test(fence[1]) ? ["", fence[1]] : [fence[1], fence[2]];
+  return {
+    type: "code",
+    runs: [],
+    code,
+    language: getCodeLanguage(name, code),
+    reveal: !/\bstatic\b/i.test(flags),
+  };
+}
+
+function parseLine(line: string): MarkupBlock {
+  const number = line.match(NUMBER_LINE);
+  if (number) {
+    return { type: "number", number: Number(number[1]), runs: parseInline(line.slice(number[0].length).trim()) };
+  }
+  if (BULLET_LINE.test(line)) {
+    return { type: "bullet", runs: parseInline(line.replace(BULLET_LINE, "").trim()) };
+  }
+  return { type: "paragraph", runs: parseInline(line.trim()) };
+}
+
+/**
+ * Blocks of a marked-up text, one per paragraph line, list item or code
+ * block. Blank lines only separate blocks, and a code block left open runs
+ * to the end of the text.
+ */
+export function parseMarkup(text: string): MarkupBlock[] {
+  const blocks: MarkupBlock[] = [];
+  let fence: RegExpMatchArray | null = null;
+  let codeLines: string[] = [];
+  let mathClose: string | null = null;
+  let mathLines: string[] = [];
+
+  (text || "").split(/\r?\n/).forEach((line) => {
+    if (mathClose) {
+      if (line.trim() === mathClose) {
+        blocks.push({ type: "math", runs: [], tex: mathLines.join(" ").trim() });
+        mathClose = null;
+      } else {
+        mathLines.push(line.trim());
+      }
+      return;
+    }
+    if (fence) {
+      if (/^\s*```\s*$/.test(line)) {
+        blocks.push(parseCode(codeLines, fence));
+        fence = null;
+      } else {
+        codeLines.push(line);
+      }
+      return;
+    }
+
+    const opening = line.match(FENCE_LINE);
+    const math = line.match(MATH_LINE);
+    const mathOpening = line.match(MATH_OPEN_LINE);
+    if (opening) {
+      fence = opening;
+      codeLines = [];
+    } else if (math) {
+      blocks.push({ type: "math", runs: [], tex: (math[1] ?? math[2]).trim() });
+    } else if (mathOpening) {
+      mathClose = mathOpening[1] === "$$" ? "$$" : "\\]";
+      mathLines = [];
+    } else if (line.trim()) {
+      blocks.push(parseLine(line));
+    }
+  });
+
+  if (fence) blocks.push(parseCode(codeLines, fence));
+  if (mathClose) blocks.push({ type: "math", runs: [], tex: mathLines.join(" ").trim() });
+  return blocks.filter((block) => (block.type !== "code" || block.code) && (block.type !== "math" || block.tex));
+}
+
+// Text of a block, with math written out in Unicode, or for speech as words and without emoji
+function blockText(block: MarkupBlock, spoken: boolean): string {
+  if (block.type === "math") return spoken ? getMathSpeech(block.tex ?? "") : getMathText(block.tex ?? "");
+  return block.runs
+    .filter((run) => !spoken || !run.emoji)
+    .map((run) => {
+      if (!run.math) return run.text;
+      return spoken ? ` ${getMathSpeech(run.text)} ` : getMathText(run.text);
+    })
+    .join("")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * The text without markup, one line per block, for documents and search
+ */
+export function stripMarkup(text: string): string {
+  return parseMarkup(text)
+    .map((block) => {
+      if (block.type === "code") return block.code ?? "";
+      const line = blockText(block, false);
+      if (block.type === "number") return `${block.number}. ${line}`;
+      return block.type === "bullet" ? `• ${line}` : line;
+    })
+    .join("\n");
+}
+
+/**
+ * What is read aloud for blocks: no markup, emoji or code, math as words,
+ * and list items, formulas and the line introducing a list closed as
+ * sentences so the voice pauses after them
+ */
+export function getSpeechText(blocks: MarkupBlock[]): string {
+  return blocks
+    .map((block, index) => {
+      const line = blockText(block, true);
+      const isList = (item?: MarkupBlock) => item?.type === "bullet" || item?.type === "number";
+      const isClosed = isList(block) || isList(blocks[index + 1]) || block.type === "math";
+      return isClosed && line && !/[.!?।:;]$/.test(line) ? `${line}.` : line;
+    })
+    .filter(Boolean)
+    .join(" ");
+}
@@ -0,0 +1,147 @@
+/**
+ * Readable and speakable forms of the TeX in lesson scripts, for narration,
+ * captions and documents that cannot show typeset math. They cover the
+ * notation lessons use, fractions, powers, roots, Greek letters and \ce{}
+ * chemical equations, and leave anything else as written.
+ */
+
+const SUPERSCRIPTS: Record<string, string> = {
+  "0": "⁰", "1": "¹", "2": "²", "3": "³", "4": "⁴", "5": "⁵", "6": "⁶", "7": "⁷", "8": "⁸", "9": "⁹",
+  "+": "⁺", "-": "⁻", "n": "ⁿ", "i": "ⁱ",
+};
+const SUBSCRIPTS: Record<string, string> = {
+  "0": "₀", "1": "₁", "2": "₂", "3": "₃", "4": "₄", "5": "₅", "6": "₆", "7": "₇", "8": "₈", "9": "₉",
+  "+": "₊", "-": "₋",
+};
+
+const SYMBOLS: Record<string, [string, string]> = {
+  times: ["×", "times"],
+  cdot: ["·", "times"],
+  div: ["÷", "divided by"],
+  pm: ["±", "plus or minus"],
+  approx: ["≈", "is about"],
+  neq: ["≠", "is not equal to"],
+  le: ["≤", "is less than or equal to"],
+  leq: ["≤", "is less than or equal to"],
+  ge: ["≥", "is greater than or equal to"],
+  geq: ["≥", "is greater than or equal to"],
+  to: ["→", "to"],
+  rightarrow: ["→", "gives"],
+  infty: ["∞", "infinity"],
+  degree: ["°", "degrees"],
+  circ: ["°", "degrees"],
+  "%": ["%", "percent"],
+  alpha: ["α", "alpha"], beta: ["β", "beta"], gamma: ["γ", "gamma"], delta: ["δ", "delta"], Delta: ["Δ", "delta"],
+  theta: ["θ", "theta"], lambda: ["λ", "lambda"], mu: ["μ", "mu"], pi: ["π", "pi"], rho: ["ρ", "rho"],
+  sigma: ["σ", "sigma"], Sigma: ["Σ", "sum"], omega: ["ω", "omega"], Omega: ["Ω", "ohms"],
+};
+
+const POWER_WORDS: Record<string, string> = { "2": "squared", "3": "cubed" };
+
+// The argument of a command: a {group} or a single character
+const ARGUMENT = String.raw`(?:\{((?:[^{}]|\{[^{}]*\})*)\}|(\S))`;
+const FRACTION = new RegExp(String.raw`\\[dt]?frac\s*${ARGUMENT}\s*${ARGUMENT}`);
+const ROOT = new RegExp(String.raw`\\sqrt\s*${ARGUMENT}`);
+const TEXT = new RegExp(String.raw`\\(?:text|mathrm|mathbf|operatorname)\s*${ARGUMENT}`);
+const POWER = new RegExp(String.raw`\^\s*${ARGUMENT}`);
+const INDEX = new RegExp(String.raw`_\s*${ARGUMENT}`);
+
+function mapChars(text: string, table: Record<string, string>): string | null {
+  const chars = Array.from(text);
+  return chars.every((char) => table[char]) ? chars.map((char) => table[char]).join("") : null;
+}
+
+// Replace every command with its arguments; nested ones, like a fraction
+// inside a fraction, resolve from the inside out over repeated passes
+function replaceCommand(text: string, pattern: RegExp, replace: (...args: string[]) => string, nested = false): string {
+  const global = new RegExp(pattern.source, "g");
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(global, (_match, ...groups) => {
+      const args: string[] = [];
+      for (let i = 0; i + 1 < groups.length && args.length < 2; i += 2) {
+        if (typeof groups[i] === "string" || typeof groups[i + 1] === "string") args.push(groups[i] ?? groups[i + 1]);
+      }
+      return replace(...args);
+    });
+  } while (nested && text !== previous);
+  return text;
+}
+
+// \ce{2H2 + O2 -> 2H2O} written out as TeX the other conversions understand
+function expandChemistry(tex: string): string {
+  return tex.replace(/\\ce\s*\{((?:[^{}]|\{[^{}]*\})*)\}/g, (_match, formula: string) =>
+    formula
+      .replace(/<=>|<->/g, " \\rightleftharpoons ")
+      .replace(/->/g, " \\rightarrow ")
+      // Atom counts after an element or bracket are subscripts, leading coefficients are not
+      .replace(/([A-Za-z)\]])(\d+)/g, "$1_{$2}")
+      // Charges like Na+ or SO4^2-
+      .replace(/([A-Za-z\d)\]}])\^?(\d*[+-])(?=\s|$)/g, "$1^{$2}")
+  );
+}
+
+// Sizing and spacing commands only change how a formula looks
+function dropLayout(tex: string): string {
+  return tex.replace(/\\(?:left|right|big|Big)\b/g, "").replace(/\\[,;!]|\\quad\b/g, " ");
+}
+
+function cleanUp(text: string): string {
+  return text
+    .replace(/[{}]/g, "")
+    .replace(/\\/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * The formula in plain Unicode, like "C₆H₁₂O₆" or "A = P(1 + r/n)ⁿᵗ"
+ */
+export function getMathText(tex: string): string {
+  let text = dropLayout(expandChemistry(tex));
+  text = replaceCommand(text, TEXT, (content) => content);
+  text = replaceCommand(
+    text,
+    FRACTION,
+    (top, bottom) => {
+      const wrap = (part: string) => (/^[\w.]+$/.test(part) ? part : `(${part})`);
+      return `${wrap(top)}/${wrap(bottom)}`;
+    },
+    true,
+  );
+  text = replaceCommand(text, ROOT, (content) => `√(${content})`, true);
+  text = replaceCommand(text, POWER, (power) => mapChars(power, SUPERSCRIPTS) ?? `^(${power})`);
+  text = replaceCommand(text, INDEX, (index) => mapChars(index, SUBSCRIPTS) ?? `_${index}`);
+  text = text
+    .replace(/\\rightleftharpoons/g, "⇌")
+    .replace(/\\([A-Za-z]+|%)/g, (match, name: string) => SYMBOLS[name]?.[0] ?? match);
+  return cleanUp(text);
+}
+
+/**
+ * The formula as words for text-to-speech, like "A equals P times ..."
+ */
+export function getMathSpeech(tex: string): string {
+  let text = expandChemistry(tex);
+  const isChemistry = text !== tex;
+  text = dropLayout(text);
+  text = replaceCommand(text, TEXT, (content) => ` ${content} `);
+  text = replaceCommand(text, FRACTION, (top, bottom) => ` ${top} over ${bottom} `, true);
+  text = replaceCommand(text, ROOT, (content) => ` the square root of ${content} `, true);
+  text = replaceCommand(text, POWER, (power) =>
+    isChemistry ? ` ${power.replace("+", " plus").replace("-", " minus")} ` : ` ${POWER_WORDS[power] ?? `to the power of ${power}`} `
+  );
+  // Atom counts are read as numbers, other subscripts as "sub"
+  text = replaceCommand(text, INDEX, (index) => (isChemistry ? ` ${index} ` : ` sub ${index} `));
+  text = text
+    .replace(/\\rightleftharpoons/g, " is in balance with ")
+    .replace(/\\([A-Za-z]+|%)/g, (match, name: string) => ` ${SYMBOLS[name]?.[1] ?? name} `)
+    .replace(/=/g, " equals ")
+    .replace(/\+/g, " plus ")
+    .replace(/(\s|^)-(\s|\d)/g, "$1minus$2")
+    .replace(/[()]/g, " ");
+  // Spell out chemical symbols letter by letter, "CO2" reads as "C O 2"
+  if (isChemistry) text = text.replace(/([A-Z][a-z]?)(?=[A-Z\d\s]|$)/g, " $1 ");
+  return cleanUp(text);
+}
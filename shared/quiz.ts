@@ -0,0 +1,24 @@
+import type { QuizQuestion } from "./lesson";
+
+export const OPTION_LETTERS = ["A", "B", "C", "D", "E"] as const;
+
+// Small string hash, so a question always gets the same option order
+function hashText(text: string): number {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * The choices of a question in display order. The answer's position is
+ * derived from the question text, so the video, the preview and every
+ * export agree on which letter is correct.
+ */
+export function getQuizOptions(item: QuizQuestion): { options: string[]; answerIndex: number } {
+  const answerIndex = hashText(item.question) % (item.distractors.length + 1);
+  const options = [...item.distractors];
+  options.splice(answerIndex, 0, item.answer);
+  return { options, answerIndex };
+}
@@ -0,0 +1,79 @@
+import { z } from "zod";
+
+export const USER_ROLES = ["creator", "reviewer", "admin"] as const;
+export type UserRole = (typeof USER_ROLES)[number];
+export const userRoleSchema = z.enum(USER_ROLES);
+
+// Editorial lifecycle of a lesson, independent of the video render status
+export const REVIEW_STATUSES = ["draft", "in-review", "approved", "rejected", "published"] as const;
+export type ReviewStatus = (typeof REVIEW_STATUSES)[number];
+
+export const REVIEW_STATUS_LABELS: Record<ReviewStatus, string> = {
+  draft: "Draft",
+  "in-review": "In Review",
+  approved: "Approved",
+  rejected: "Changes Requested",
+  published: "Published",
+};
+
+type ReviewTransition = {
+  label: string;
+  from: readonly ReviewStatus[];
+  to: ReviewStatus;
+  // Roles allowed to take the action on someone else's content (admins always can)
+  roles: readonly UserRole[];
+  // Whether the author may take the action on their own content
+  author: boolean;
+  requiresComment?: boolean;
+};
+
+export const REVIEW_TRANSITIONS = {
+  submit: { label: "Submit for review", from: ["draft", "rejected"], to: "in-review", roles: [], author: true },
+  withdraw: { label: "Withdraw", from: ["in-review"], to: "draft", roles: [], author: true },
+  approve: { label: "Approve", from: ["in-review"], to: "approved", roles: ["reviewer"], author: false },
+  reject: { label: "Request changes", from: ["in-review"], to: "rejected", roles: ["reviewer"], author: false, requiresComment: true },
+  publish: { label: "Send to TAPBuddy", from: ["approved"], to: "published", roles: [], author: true },
+} as const satisfies Record<string, ReviewTransition>;
+
+export type ReviewAction = keyof typeof REVIEW_TRANSITIONS;
+export const reviewActionSchema = z.enum(Object.keys(REVIEW_TRANSITIONS) as [ReviewAction, ...ReviewAction[]]);
+
+export const reviewActionRequestSchema = z.object({
+  action: reviewActionSchema,
+  comment: z.string().trim().max(2000).optional(),
+});
+
+export const reviewCommentRequestSchema = z.object({
+  body: z.string().trim().min(1, "Comment cannot be empty").max(2000),
+});
+
+type Actor = { id: number; role: string };
+type ReviewTarget = { userId: number | null; reviewStatus: string };
+
+/**
+ * Whether a user may take a review action on a piece of content right now
+ */
+export function canTakeReviewAction(action: ReviewAction, content: ReviewTarget, user: Actor): boolean {
+  const transition: ReviewTransition = REVIEW_TRANSITIONS[action];
+  if (!transition.from.includes(content.reviewStatus as ReviewStatus)) return false;
+
+  // Authors never review their own work, except admins who can do anything
+  if (user.role === "admin") return true;
+  return content.userId === user.id ? transition.author : transition.roles.includes(user.role as UserRole);
+}
+
+/**
+ * The review actions a user can take on a piece of content
+ */
+export function getAvailableReviewActions(content: ReviewTarget, user: Actor): ReviewAction[] {
+  return (Object.keys(REVIEW_TRANSITIONS) as ReviewAction[]).filter((action) =>
+    canTakeReviewAction(action, content, user),
+  );
+}
+
+/**
+ * Reviewers and admins can read content that has left the author's drafts
+ */
+export function canReviewContent(content: ReviewTarget, user: Actor): boolean {
+  return user.role === "admin" || (user.role === "reviewer" && content.reviewStatus !== "draft");
+}
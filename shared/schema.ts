@@ -1,16 +1,40 @@
 import { pgTable, text, serial, integer, boolean, timestamp, json } from "drizzle-orm/pg-core";
 import { createInsertSchema } from "drizzle-zod";
 import { z } from "zod";
+import {
+  scriptContentSchema,
+  visualReferenceSchema,
+  generationAttemptSchema,
+  quizQuestionSchema,
+  lessonVisualSchema,
+  type ScriptContent,
+  type VisualReference,
+  type GenerationAttempt,
+  type QuizQuestion,
+  type LessonVisual,
+} from "./lesson";
+import { DEFAULT_LANGUAGE, languageCodeSchema } from "./languages";
+import { REVIEW_STATUSES, userRoleSchema, type ReviewStatus, type UserRole } from "./review";
 
 export const users = pgTable("users", {
   id: serial("id").primaryKey(),
   username: text("username").notNull().unique(),
   password: text("password").notNull(),
+  role: text("role").$type<UserRole>().notNull().default("creator"), // creator | reviewer | admin
 });
 
-export const insertUserSchema = createInsertSchema(users).pick({
+export const insertUserSchema = createInsertSchema(users, {
+  role: userRoleSchema.optional(),
+}).pick({
   username: true,
   password: true,
+  role: true,
+});
+
+// Rules for accounts created through the registration form; the role is never self-assigned
+export const registerUserSchema = z.object({
+  username: z.string().trim().min(3, "Username must be at least 3 characters").max(50),
+  password: z.string().min(8, "Password must be at least 8 characters"),
 });
 
 export const contents = pgTable("contents", {
@@ -23,18 +47,44 @@ export const contents = pgTable("contents", {
   duration: text("duration").notNull(),
   userId: integer("userId"),
   status: text("status").default("draft"),
-  scriptContent: text("scriptContent"),
-  learningObjectives: json("learningObjectives").$type(),
-  materials: json("materials").$type(),
-  visualReferences: json("visualReferences").$type(),
+  reviewStatus: text("reviewStatus").$type<ReviewStatus>().notNull().default("draft"),
+  scriptContent: json("scriptContent").$type<ScriptContent>(),
+  learningObjectives: json("learningObjectives").$type<string[]>(),
+  materials: json("materials").$type<string[]>(),
+  visualReferences: json("visualReferences").$type<VisualReference[]>(),
+  // Multiple-choice questions, generated for the "quiz" format
+  quiz: json("quiz").$type<QuizQuestion[]>(),
   specificInstructions: text("specificInstructions"),
+  language: text("language").notNull().default(DEFAULT_LANGUAGE),
+  // The lesson this row was translated from; translations of a lesson share it
+  sourceContentId: integer("sourceContentId"),
+  // The syllabus upload this lesson was generated from, if any
+  batchId: integer("batchId"),
+  // The course this lesson is part of and its place in the course's sequence
+  courseId: integer("courseId"),
+  coursePosition: integer("coursePosition"),
   videoUrl: text("videoUrl"),
+  subtitlesUrl: text("subtitlesUrl"),
+  // Illustrations shown for the visual references, filled in when the video renders
+  visuals: json("visuals").$type<LessonVisual[]>(),
   errorMessage: text("errorMessage"),
   aiModel: text("aiModel"),
+  promptVersion: text("promptVersion"),
+  generationAttempts: json("generationAttempts").$type<GenerationAttempt[]>(),
   createdAt: timestamp("createdAt").defaultNow(),
 });
 
-export const insertContentSchema = createInsertSchema(contents).omit({
+export const insertContentSchema = createInsertSchema(contents, {
+  reviewStatus: z.enum(REVIEW_STATUSES).optional(),
+  language: languageCodeSchema.optional(),
+  scriptContent: scriptContentSchema.nullish(),
+  learningObjectives: z.array(z.string()).nullish(),
+  materials: z.array(z.string()).nullish(),
+  visualReferences: z.array(visualReferenceSchema).nullish(),
+  quiz: z.array(quizQuestionSchema).nullish(),
+  visuals: z.array(lessonVisualSchema).nullish(),
+  generationAttempts: z.array(generationAttemptSchema).nullish(),
+}).omit({
   id: true,
   createdAt: true,
 });
@@ -44,3 +94,165 @@ export type User = typeof users.$inferSelect;
 
 export type InsertContent = z.infer<typeof insertContentSchema>;
 export type Content = typeof contents.$inferSelect;
+
+export const jobs = pgTable("jobs", {
+  id: serial("id").primaryKey(),
+  type: text("type").notNull(),
+  payload: json("payload").$type<Record<string, any>>().notNull(),
+  status: text("status").notNull().default("queued"), // queued | processing | completed | failed
+  attempts: integer("attempts").notNull().default(0),
+  maxAttempts: integer("maxAttempts").notNull().default(3),
+  runAt: timestamp("runAt").notNull().defaultNow(),
+  lastError: text("lastError"),
+  result: json("result"),
+  createdAt: timestamp("createdAt").defaultNow(),
+  updatedAt: timestamp("updatedAt").defaultNow(),
+});
+
+export const insertJobSchema = createInsertSchema(jobs).omit({
+  id: true,
+  createdAt: true,
+  updatedAt: true,
+});
+
+export type InsertJob = z.infer<typeof insertJobSchema>;
+export type Job = typeof jobs.$inferSelect;
+
+// Audit trail of every review state change
+export const reviewEvents = pgTable("reviewEvents", {
+  id: serial("id").primaryKey(),
+  contentId: integer("contentId").notNull(),
+  userId: integer("userId").notNull(),
+  action: text("action").notNull(),
+  fromStatus: text("fromStatus").notNull(),
+  toStatus: text("toStatus").notNull(),
+  createdAt: timestamp("createdAt").defaultNow(),
+});
+
+export const insertReviewEventSchema = createInsertSchema(reviewEvents).omit({
+  id: true,
+  createdAt: true,
+});
+
+export type InsertReviewEvent = z.infer<typeof insertReviewEventSchema>;
+export type ReviewEvent = typeof reviewEvents.$inferSelect;
+
+export const reviewComments = pgTable("reviewComments", {
+  id: serial("id").primaryKey(),
+  contentId: integer("contentId").notNull(),
+  userId: integer("userId").notNull(),
+  body: text("body").notNull(),
+  createdAt: timestamp("createdAt").defaultNow(),
+});
+
+export const insertReviewCommentSchema = createInsertSchema(reviewComments).omit({
+  id: true,
+  createdAt: true,
+});
+
+export type InsertReviewComment = z.infer<typeof insertReviewCommentSchema>;
+export type ReviewComment = typeof reviewComments.$inferSelect;
+
+// One row per recipient each time a lesson is sent out over WhatsApp
+export const deliveries = pgTable("deliveries", {
+  id: serial("id").primaryKey(),
+  contentId: integer("contentId").notNull(),
+  // The publish review event that sent the lesson out; null for sends from before it was recorded
+  publishEventId: integer("publishEventId"),
+  recipient: text("recipient").notNull(),
+  status: text("status").notNull().default("pending"), // pending | sent | delivered | read | failed
+  // WhatsApp message id of the video, matched against status webhooks
+  messageId: text("messageId"),
+  // WhatsApp message id of the learning objectives sent after the video, null until they are sent
+  objectivesMessageId: text("objectivesMessageId"),
+  errorMessage: text("errorMessage"),
+  createdAt: timestamp("createdAt").defaultNow(),
+  updatedAt: timestamp("updatedAt").defaultNow(),
+});
+
+export const insertDeliverySchema = createInsertSchema(deliveries).omit({
+  id: true,
+  createdAt: true,
+  updatedAt: true,
+});
+
+export type InsertDelivery = z.infer<typeof insertDeliverySchema>;
+export type Delivery = typeof deliveries.$inferSelect;
+
+// Immutable snapshot of a lesson, taken every time its script, lists or video change
+export const contentVersions = pgTable("contentVersions", {
+  id: serial("id").primaryKey(),
+  contentId: integer("contentId").notNull(),
+  version: integer("version").notNull(),
+  changedFields: json("changedFields").$type<string[]>().notNull(),
+  scriptContent: json("scriptContent").$type<ScriptContent>(),
+  learningObjectives: json("learningObjectives").$type<string[]>(),
+  materials: json("materials").$type<string[]>(),
+  visualReferences: json("visualReferences").$type<VisualReference[]>(),
+  quiz: json("quiz").$type<QuizQuestion[]>(),
+  videoUrl: text("videoUrl"),
+  subtitlesUrl: text("subtitlesUrl"),
+  visuals: json("visuals").$type<LessonVisual[]>(),
+  createdAt: timestamp("createdAt").defaultNow(),
+});
+
+export const insertContentVersionSchema = createInsertSchema(contentVersions, {
+  changedFields: z.array(z.string()),
+  scriptContent: scriptContentSchema.nullish(),
+  learningObjectives: z.array(z.string()).nullish(),
+  materials: z.array(z.string()).nullish(),
+  visualReferences: z.array(visualReferenceSchema).nullish(),
+  quiz: z.array(quizQuestionSchema).nullish(),
+  visuals: z.array(lessonVisualSchema).nullish(),
+}).omit({
+  id: true,
+  createdAt: true,
+});
+
+export type InsertContentVersion = z.infer<typeof insertContentVersionSchema>;
+export type ContentVersion = typeof contentVersions.$inferSelect;
+
+// A syllabus uploaded in one go; its lessons point back to it through contents.batchId
+export const batches = pgTable("batches", {
+  id: serial("id").primaryKey(),
+  userId: integer("userId").notNull(),
+  name: text("name").notNull(),
+  createdAt: timestamp("createdAt").defaultNow(),
+});
+
+export const insertBatchSchema = createInsertSchema(batches).omit({
+  id: true,
+  createdAt: true,
+});
+
+export type InsertBatch = z.infer<typeof insertBatchSchema>;
+export type Batch = typeof batches.$inferSelect;
+
+// An ordered series of lessons; lessons join it through contents.courseId and contents.coursePosition
+export const courses = pgTable("courses", {
+  id: serial("id").primaryKey(),
+  userId: integer("userId").notNull(),
+  title: text("title").notNull(),
+  subject: text("subject"),
+  description: text("description"),
+  createdAt: timestamp("createdAt").defaultNow(),
+});
+
+export const insertCourseSchema = createInsertSchema(courses, {
+  title: z.string().trim().min(1, "Give the course a title").max(200),
+  description: z.string().trim().max(2000).nullish(),
+}).omit({
+  id: true,
+  createdAt: true,
+});
+
+// The full lesson sequence of a course, in order
+export const courseLessonsRequestSchema = z.object({
+  lessonIds: z.array(z.number().int().positive()).refine(
+    (ids) => new Set(ids).size === ids.length,
+    "A lesson can only appear once in a course",
+  ),
+});
+
+export type InsertCourse = z.infer<typeof insertCourseSchema>;
+export type Course = typeof courses.$inferSelect;
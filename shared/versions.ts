@@ -0,0 +1,183 @@
+import type { LessonSection, QuizQuestion, ScriptContent, VisualReference } from "./lesson";
+
+// Updating any of these fields snapshots the lesson as a new version
+export const VERSIONED_FIELDS = [
+  "scriptContent",
+  "learningObjectives",
+  "materials",
+  "visualReferences",
+  "quiz",
+  "videoUrl",
+] as const;
+export type VersionedField = (typeof VERSIONED_FIELDS)[number];
+
+// Everything a version stores, so restoring it brings back the matching captions and illustrations too
+export const VERSION_SNAPSHOT_FIELDS = [...VERSIONED_FIELDS, "subtitlesUrl", "visuals"] as const;
+
+export const VERSIONED_FIELD_LABELS: Record<VersionedField, string> = {
+  scriptContent: "Script",
+  learningObjectives: "Learning objectives",
+  materials: "Materials",
+  visualReferences: "Visual references",
+  quiz: "Quiz",
+  videoUrl: "Video",
+};
+
+type VersionSnapshot = {
+  scriptContent?: ScriptContent | null;
+  learningObjectives?: string[] | null;
+  materials?: string[] | null;
+  visualReferences?: VisualReference[] | null;
+  quiz?: QuizQuestion[] | null;
+  videoUrl?: string | null;
+};
+
+// JSON with sorted keys, so equal values compare equal whatever order their keys came in
+function stableStringify(value: unknown): string {
+  if (value === undefined || value === null) return "null";
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (typeof value === "object") {
+    const entries = Object.entries(value as Record<string, unknown>)
+      .filter(([, v]) => v !== undefined)
+      .sort(([a], [b]) => a.localeCompare(b));
+    return `{${entries.map(([k, v]) => `${JSON.stringify(k)}:${stableStringify(v)}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * The versioned fields an update actually changes
+ */
+export function getChangedVersionFields(current: VersionSnapshot, update: VersionSnapshot): VersionedField[] {
+  return VERSIONED_FIELDS.filter(
+    (field) => field in update && update[field] !== undefined && stableStringify(update[field]) !== stableStringify(current[field]),
+  );
+}
+
+export type WordChange = { type: "same" | "added" | "removed"; text: string };
+
+/**
+ * Word-level diff of two texts, based on their longest common subsequence
+ */
+export function diffWords(before: string, after: string): WordChange[] {
+  const a = before.split(/(\s+)/).filter(Boolean);
+  const b = after.split(/(\s+)/).filter(Boolean);
+
+  // lengths[i][j] is the LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array<number>(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes: WordChange[] = [];
+  const push = (type: WordChange["type"], text: string) => {
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) last.text += text;
+    else changes.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("same", a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push("removed", a[i++]);
+    } else {
+      push("added", b[j++]);
+    }
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+
+  return changes;
+}
+
+export type VersionChange = {
+  path: string;
+  label: string;
+  before: string | null;
+  after: string | null;
+  words?: WordChange[];
+};
+
+function textChange(path: string, label: string, before?: string | null, after?: string | null): VersionChange | null {
+  const from = before ?? "";
+  const to = after ?? "";
+  if (from === to) return null;
+  return { path, label, before: before ?? null, after: after ?? null, words: diffWords(from, to) };
+}
+
+function sectionChanges(index: number, before?: LessonSection, after?: LessonSection): VersionChange[] {
+  const path = `scriptContent.mainContent.${index}`;
+  const name = `Section ${index + 1}`;
+
+  if (!before || !after) {
+    const section = (before || after)!;
+    return [{
+      path,
+      label: `${name} ${before ? "removed" : "added"}`,
+      before: before ? `${section.sectionTitle}\n${section.script}` : null,
+      after: after ? `${section.sectionTitle}\n${section.script}` : null,
+    }];
+  }
+
+  return [
+    textChange(`${path}.sectionTitle`, `${name} title`, before.sectionTitle, after.sectionTitle),
+    textChange(`${path}.script`, `${name} script`, before.script, after.script),
+    textChange(`${path}.interactiveElement`, `${name} interactive element`, before.interactiveElement, after.interactiveElement),
+  ].filter((change): change is VersionChange => change !== null);
+}
+
+function listChange(path: string, label: string, before: string[] = [], after: string[] = []): VersionChange | null {
+  const removed = before.filter((item) => !after.includes(item));
+  const added = after.filter((item) => !before.includes(item));
+  if (removed.length === 0 && added.length === 0) return null;
+
+  return {
+    path,
+    label,
+    before: removed.length ? removed.join("\n") : null,
+    after: added.length ? added.join("\n") : null,
+  };
+}
+
+function formatQuestion(item: QuizQuestion) {
+  return `${item.question} (${item.answer})`;
+}
+
+/**
+ * Everything that differs between two versions of a lesson, part by part
+ */
+export function diffVersions(from: VersionSnapshot, to: VersionSnapshot): VersionChange[] {
+  const changes: (VersionChange | null)[] = [];
+  const before = from.scriptContent;
+  const after = to.scriptContent;
+
+  changes.push(textChange("scriptContent.opening", "Opening", before?.opening, after?.opening));
+  const sectionCount = Math.max(before?.mainContent.length ?? 0, after?.mainContent.length ?? 0);
+  for (let index = 0; index < sectionCount; index++) {
+    changes.push(...sectionChanges(index, before?.mainContent[index], after?.mainContent[index]));
+  }
+  changes.push(textChange("scriptContent.conclusion", "Conclusion", before?.conclusion, after?.conclusion));
+
+  changes.push(listChange("learningObjectives", "Learning objectives", from.learningObjectives ?? [], to.learningObjectives ?? []));
+  changes.push(listChange("materials", "Materials", from.materials ?? [], to.materials ?? []));
+  changes.push(listChange(
+    "visualReferences",
+    "Visual references",
+    (from.visualReferences ?? []).map((reference) => `${reference.title}: ${reference.description}`),
+    (to.visualReferences ?? []).map((reference) => `${reference.title}: ${reference.description}`),
+  ));
+  changes.push(listChange("quiz", "Quiz", (from.quiz ?? []).map(formatQuestion), (to.quiz ?? []).map(formatQuestion)));
+
+  if ((from.videoUrl ?? null) !== (to.videoUrl ?? null)) {
+    changes.push({ path: "videoUrl", label: "Video", before: from.videoUrl ?? null, after: to.videoUrl ?? null });
+  }
+
+  return changes.filter((change): change is VersionChange => change !== null);
+}